@@ -6,6 +6,8 @@ import express from 'express';
 import mongoose from 'mongoose';
 import cors from 'cors';
 import connectDB from './src/config/database.js';
+import { startScheduledOrderReleaser } from './src/services/scheduledOrder.service.js';
+import { startTableHoldSweeper } from './src/services/reservation.service.js';
 
 
 dotenv.config();
@@ -39,7 +41,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept', 'Origin', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 200,
   preflightContinue: false,
 };
@@ -78,6 +81,9 @@ import inventoryRoutes from './src/modules/inventory/routes/inventory.routes.js'
 import billingRoutes from './src/modules/billing/routes/billing.routes.js';
 import reportsRoutes from './src/modules/reports/routes/reports.routes.js';
 import tableRoutes from './src/modules/tables/routes/table.routes.js';
+import reservationRoutes from './src/modules/tables/routes/reservation.routes.js';
+import sectionRoutes from './src/modules/tables/routes/section.routes.js';
+import waiterAssignmentRoutes from './src/modules/tables/routes/waiterAssignment.routes.js';
 import superAdminRoutes from './src/modules/super-admin/routes/superadmin.routes.js';
 import allinoneRoutes from './src/modules/pos/routes/allinone.routes.js';
 import gstReportsRoutes from './src/modules/reports/routes/gstReports.routes.js';
@@ -95,6 +101,10 @@ app.use('/api/pos', posRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/billing', billingRoutes);
 app.use('/api/reports', reportsRoutes);
+// Before /api/tables so they are not caught by /api/tables/:id
+app.use('/api/tables/reservations', reservationRoutes);
+app.use('/api/tables/sections', sectionRoutes);
+app.use('/api/tables/assignments', waiterAssignmentRoutes);
 app.use('/api/tables', tableRoutes);
 app.use('/api/super-admin', superAdminRoutes);
 app.use('/api/allinone', allinoneRoutes);
@@ -170,6 +180,12 @@ allinoneNamespace.on('connection', (socket) => {
 
 app.set('io', io);
 
+// Sends KOTs of scheduled orders to the kitchen ahead of their slot
+const scheduledOrderReleaser = startScheduledOrderReleaser(io);
+
+// Marks tables reserved as their booking nears, frees them after a no-show
+const tableHoldSweeper = startTableHoldSweeper(io);
+
 // ============================================
 // START SERVER
 // ============================================
@@ -182,6 +198,8 @@ httpServer.listen(PORT, '0.0.0.0', () => {
 // Graceful Shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`${signal} received. Shutting down...`);
+  clearInterval(scheduledOrderReleaser);
+  clearInterval(tableHoldSweeper);
   httpServer.close(async () => {
     try {
       await mongoose.connection.close();
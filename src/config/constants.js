@@ -7,7 +7,8 @@ export const USER_ROLES = {
   KITCHEN_STAFF: 'kitchen_staff',
   RECEPTIONIST: 'receptionist',
   HOUSEKEEPING: 'housekeeping', // Add this
-  WAITER: 'waiter'
+  WAITER: 'waiter',
+  RIDER: 'rider',
 };
 
 // User Status
@@ -55,6 +56,62 @@ export const ORDER_STATUS = {
   CANCELLED: 'cancelled',
 };
 
+// Delivery Status (dispatch stage of a delivery order, after the kitchen)
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  READY_FOR_PICKUP: 'ready_for_pickup',
+  OUT_FOR_DELIVERY: 'out_for_delivery',
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+};
+
+// Cashier Shift (cash drawer session)
+export const SHIFT_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+// Cash put into / taken out of the drawer outside of sales
+export const CASH_MOVEMENT_TYPES = {
+  PAY_IN: 'pay_in',
+  PAY_OUT: 'pay_out',
+};
+
+// Business day (Z-report) — a closed day locks its orders and payments
+export const BUSINESS_DAY_STATUS = {
+  CLOSED: 'closed',
+  REOPENED: 'reopened',
+};
+
+// Table Reservation Status
+export const RESERVATION_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  SEATED: 'seated',
+  CANCELLED: 'cancelled',
+  NO_SHOW: 'no_show',
+};
+
+// Kitchen Stations (KOT routing)
+export const KITCHEN_STATIONS = {
+  MAIN: 'main',
+  TANDOOR: 'tandoor',
+  CHINESE: 'chinese',
+  BAR: 'bar',
+  DESSERT: 'dessert',
+};
+
+// Reason codes for voiding order items (loss-prevention reporting)
+export const VOID_REASONS = {
+  CUSTOMER_REQUEST: 'customer_request',
+  WRONG_ITEM: 'wrong_item',
+  QUALITY_ISSUE: 'quality_issue',
+  OUT_OF_STOCK: 'out_of_stock',
+  LONG_WAIT: 'long_wait',
+  DUPLICATE_ENTRY: 'duplicate_entry',
+  OTHER: 'other',
+};
+
 // Payment Status
 export const PAYMENT_STATUS = {
   PENDING: 'pending',
@@ -101,6 +158,27 @@ export const STOCK_LEVELS = {
 // GST Rate (India)
 export const GST_RATE = parseFloat(process.env.GST_RATE) || 5;
 
+// GST slabs a menu item / category is billed under
+export const GST_TAX_CLASSES = {
+  EXEMPT: 'exempt',
+  GST_5: 'gst_5',
+  GST_12: 'gst_12',
+  GST_18: 'gst_18',
+  GST_28: 'gst_28',
+};
+
+// Rate (%) per tax class
+export const GST_CLASS_RATES = {
+  exempt: 0,
+  gst_5: 5,
+  gst_12: 12,
+  gst_18: 18,
+  gst_28: 28,
+};
+
+// HSN (goods) / SAC (services) code: 4, 6 or 8 digits
+export const HSN_CODE_REGEX = /^(\d{4}|\d{6}|\d{8})$/;
+
 // Pagination
 export const PAGINATION = {
   DEFAULT_PAGE: 1,
@@ -108,6 +186,19 @@ export const PAGINATION = {
   MAX_LIMIT: parseInt(process.env.MAX_PAGE_SIZE) || 100,
 };
 
+// Idempotency-Key replay (POS retries on flaky networks)
+export const IDEMPOTENCY = {
+  HEADER: 'Idempotency-Key',
+  TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24,
+};
+
+// Offline POS sync (terminals billing without connectivity)
+export const OFFLINE_SYNC = {
+  MAX_BATCH: 50, // orders per push
+  ORDER_TYPES: ['dine-in', 'takeaway'],
+  CLOCK_SKEW_MINUTES: 5, // terminal clock may run this far ahead
+};
+
 // HTTP Status Codes
 export const HTTP_STATUS = {
   OK: 200,
@@ -117,6 +208,7 @@ export const HTTP_STATUS = {
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
+  UNPROCESSABLE_ENTITY: 422,
   INTERNAL_SERVER_ERROR: 500,
 };
 
@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../modules/pos/models/IdempotencyKey.model.js';
+import { errorResponse } from '../utils/responseHandler.js';
+import { HTTP_STATUS, IDEMPOTENCY } from '../config/constants.js';
+import asyncHandler from '../utils/asyncHandler.js';
+
+// JSON with object keys sorted, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+const replay = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.response.statusCode).json(record.response.body);
+};
+
+/**
+ * Idempotency-Key Support
+ * Middleware for create / payment endpoints that clients retry. With an
+ * `Idempotency-Key` header the first response is stored per hotel and replayed
+ * on retries; reusing the key with a different body is rejected.
+ * Requests without the header run as usual. Use after `protect`.
+ */
+export const idempotent = asyncHandler(async (req, res, next) => {
+  const key = req.get(IDEMPOTENCY.HEADER);
+  if (!key) return next();
+
+  if (key.length < 8 || key.length > 255) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      `${IDEMPOTENCY.HEADER} must be 8-255 characters`
+    );
+  }
+
+  const hotel = req.user?.hotel?._id || null;
+  const path = `${req.baseUrl}${req.path}`;
+  const fingerprint = crypto
+    .createHash('sha256')
+    .update(`${req.method} ${path} ${stableStringify(req.body)}`)
+    .digest('hex');
+
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      hotel,
+      key,
+      user: req.user?._id || null,
+      method: req.method,
+      path,
+      fingerprint,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY.TTL_HOURS * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne({ hotel, key });
+
+    // Expired but not swept by the TTL monitor yet — start over
+    if (!existing || existing.expiresAt < new Date()) {
+      if (existing) await existing.deleteOne();
+      return idempotent(req, res, next);
+    }
+
+    if (existing.fingerprint !== fingerprint) {
+      return errorResponse(
+        res,
+        HTTP_STATUS.UNPROCESSABLE_ENTITY,
+        `${IDEMPOTENCY.HEADER} was already used for a different request`
+      );
+    }
+
+    if (existing.status === 'processing') {
+      return errorResponse(
+        res,
+        HTTP_STATUS.CONFLICT,
+        'A request with this Idempotency-Key is still being processed'
+      );
+    }
+
+    return replay(res, existing);
+  }
+
+  // Capture the response; server errors are not stored so the retry runs again.
+  // The response is sent only once it is stored, so an immediate retry replays
+  // it instead of hitting the 'processing' record.
+  let captured = false;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    captured = true;
+    const statusCode = res.statusCode;
+
+    const store = async () => {
+      if (statusCode >= 500) {
+        await IdempotencyKey.deleteOne({ _id: record._id });
+        return;
+      }
+      // Plain JSON, not Mongoose documents, in the Mixed field
+      const stored = JSON.parse(JSON.stringify(body ?? null));
+      await IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', response: { statusCode, body: stored } }
+      );
+    };
+
+    store()
+      .catch(async (err) => {
+        console.error('Idempotency key save failed:', err.message);
+        // Don't leave the key 'processing' until it expires, blocking every retry
+        await IdempotencyKey.deleteOne({ _id: record._id })
+          .catch((e) => console.error('Idempotency key release failed:', e.message));
+      })
+      .finally(() => json(body));
+
+    return res;
+  };
+
+  // Connection dropped before a response — free the key for the retry
+  res.on('close', () => {
+    if (!captured) {
+      IdempotencyKey.deleteOne({ _id: record._id })
+        .catch((err) => console.error('Idempotency key release failed:', err.message));
+    }
+  });
+
+  next();
+});
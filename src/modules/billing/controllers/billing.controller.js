@@ -5,6 +5,7 @@ import { successResponse, paginatedResponse } from '../../../utils/responseHandl
 import { HTTP_STATUS, PAGINATION, USER_ROLES, INVOICE_STATUS, PAYMENT_STATUS, ORDER_STATUS, GST_RATE } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
+import { assertDayOpen } from '../../../services/dayClose.service.js';
 
 /**
  * Generate Invoice for Booking
@@ -208,6 +209,9 @@ export const addPayment = asyncHandler(async (req, res) => {
     throw new AppError(`Payment amount exceeds balance. Balance: ₹${remainingAmount}`, HTTP_STATUS.BAD_REQUEST);
   }
 
+  // Payment is booked on today's business day
+  await assertDayOpen(invoice.hotel);
+
   // Add payment
   invoice.addPayment(amount, method, reference, req.user._id);
   await invoice.save();
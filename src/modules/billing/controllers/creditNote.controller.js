@@ -0,0 +1,100 @@
+// backend/src/modules/billing/controllers/creditNote.controller.js
+
+import CreditNote from '../models/CreditNote.model.js';
+import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, PAGINATION, USER_ROLES } from '../../../config/constants.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+
+/**
+ * Get All Credit Notes
+ * GET /api/billing/credit-notes
+ * Query: ?sourceType=order|booking&startDate=&endDate=&search=
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getAllCreditNotes = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    hotel,
+    sourceType,
+    startDate,
+    endDate,
+    search,
+  } = req.query;
+
+  const query = {};
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    query.hotel = req.user.hotel._id;
+  } else if (hotel) {
+    query.hotel = hotel;
+  }
+
+  if (sourceType) query.sourceType = sourceType;
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) query.createdAt.$gte = new Date(startDate);
+    if (endDate) query.createdAt.$lte = new Date(new Date(endDate).setHours(23, 59, 59, 999));
+  }
+
+  if (search) {
+    query.$or = [
+      { creditNoteNumber: new RegExp(search, 'i') },
+      { originalInvoiceNumber: new RegExp(search, 'i') },
+      { 'customer.name': new RegExp(search, 'i') },
+      { 'customer.phone': new RegExp(search, 'i') },
+    ];
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (pageNum - 1) * limitNum;
+
+  const creditNotes = await CreditNote.find(query)
+    .populate('order', 'orderNumber')
+    .populate('booking', 'bookingNumber')
+    .populate('issuedBy', 'name')
+    .populate('approvedBy', 'name')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await CreditNote.countDocuments(query);
+
+  return paginatedResponse(
+    res,
+    creditNotes,
+    pageNum,
+    limitNum,
+    total,
+    'Credit notes fetched successfully'
+  );
+});
+
+/**
+ * Get Single Credit Note
+ * GET /api/billing/credit-notes/:id
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getCreditNoteById = asyncHandler(async (req, res) => {
+  const creditNote = await CreditNote.findById(req.params.id)
+    .populate('hotel', 'name code address contact gst')
+    .populate('order', 'orderNumber invoiceNumber orderType pricing')
+    .populate('booking', 'bookingNumber invoiceNumber pricing')
+    .populate('issuedBy', 'name email')
+    .populate('approvedBy', 'name email');
+
+  if (!creditNote) {
+    throw new AppError('Credit note not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    if (!req.user.hotel || creditNote.hotel._id.toString() !== req.user.hotel._id.toString()) {
+      throw new AppError('Access denied to this credit note', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  return successResponse(res, HTTP_STATUS.OK, 'Credit note fetched successfully', { creditNote });
+});
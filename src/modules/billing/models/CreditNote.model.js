@@ -0,0 +1,116 @@
+// backend/src/modules/billing/models/CreditNote.model.js
+
+import mongoose from 'mongoose';
+import Counter from '../../pos/models/Counter.model.js';
+
+// Issued for every refund so the original invoice stays untouched and
+// GST can be reversed against the credit note
+const creditNoteSchema = new mongoose.Schema(
+  {
+    creditNoteNumber: {
+      type: String,
+      uppercase: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ['order', 'booking'],
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking',
+      default: null,
+    },
+    // Invoice / order number the refund is raised against
+    originalInvoiceNumber: {
+      type: String,
+      default: '',
+    },
+    customer: {
+      name: { type: String, trim: true, default: '' },
+      phone: { type: String, trim: true, default: '' },
+    },
+    lines: [
+      {
+        _id: false,
+        description: { type: String, required: true },
+        quantity: { type: Number, default: 1, min: 0 },
+        rate: { type: Number, default: 0, min: 0 },
+        amount: { type: Number, required: true, min: 0 },
+      },
+    ],
+    amounts: {
+      taxable: { type: Number, required: true, min: 0 },
+      tax: { type: Number, default: 0, min: 0 },
+      // Split as on the original bill; notes issued before this have none
+      cgst: { type: Number, min: 0 },
+      sgst: { type: Number, min: 0 },
+      igst: { type: Number, min: 0 },
+      total: { type: Number, required: true, min: 0.01 },
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 300,
+    },
+    // How the money went back to the guest
+    refund: {
+      mode: {
+        type: String,
+        enum: ['CASH', 'UPI', 'CARD'],
+        required: true,
+      },
+      reference: { type: String, trim: true, maxlength: 100, default: '' },
+    },
+    restocked: {
+      type: Boolean,
+      default: false,
+    },
+    issuedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+creditNoteSchema.index({ hotel: 1, creditNoteNumber: 1 }, { unique: true });
+creditNoteSchema.index({ hotel: 1, sourceType: 1, createdAt: -1 });
+creditNoteSchema.index({ order: 1 });
+creditNoteSchema.index({ booking: 1 });
+
+// Credit note number — per-hotel atomic counter
+creditNoteSchema.pre('save', async function () {
+  if (!this.creditNoteNumber) {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'credit-note' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.creditNoteNumber = `CN-${counter.seq.toString().padStart(4, '0')}`;
+  }
+});
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+export default CreditNote;
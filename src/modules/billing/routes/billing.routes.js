@@ -6,6 +6,7 @@ import {
   getInvoiceById,
   getPendingPayments,
 } from '../controllers/billing.controller.js';
+import { getAllCreditNotes, getCreditNoteById } from '../controllers/creditNote.controller.js';
 import { protect, authorize } from '../../../middlewares/auth.middleware.js';
 import {
   validateGenerateInvoice,
@@ -74,4 +75,33 @@ router.post(
   addPayment
 );
 
+/**
+ * Credit Note Routes (issued by order / booking refunds)
+ */
+
+// Get all credit notes
+router.get(
+  '/credit-notes',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getAllCreditNotes
+);
+
+// Get single credit note
+router.get(
+  '/credit-notes/:id',
+  validateInvoiceId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getCreditNoteById
+);
+
 export default router;
\ No newline at end of file
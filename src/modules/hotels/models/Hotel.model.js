@@ -10,6 +10,35 @@ const chargeSlabSchema = new mongoose.Schema(
   { _id: false }
 );
 
+// Area the hotel delivers to — matched by pincode, or by distance from the hotel when no pincodes are listed
+const deliveryZoneSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 50 },
+  pincodes: [{ type: String, match: [/^[0-9]{6}$/, 'Please enter a valid 6-digit pincode'] }],
+  radiusKm: { type: Number, default: null, min: 0 },            // used when pincodes is empty
+  charge: { type: Number, default: 0, min: 0 },                 // delivery charge for this zone
+  minOrder: { type: Number, default: 0, min: 0 },               // smallest subtotal accepted
+  freeDeliveryAbove: { type: Number, default: null, min: 0 },   // null = always charge
+  isActive: { type: Boolean, default: true },
+});
+
+// One service window of a weekday; close before open runs past midnight
+const openingHoursSchema = new mongoose.Schema(
+  {
+    day: { type: Number, required: true, min: 0, max: 6 }, // 0 = Sunday
+    open: {
+      type: String,
+      required: true,
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)'],
+    },
+    close: {
+      type: String,
+      required: true,
+      match: [/^([0-1][0-9]|2[0-3]):[0-5][0-9]$/, 'Invalid time format (HH:MM)'],
+    },
+  },
+  { _id: false }
+);
+
 const hotelSchema = new mongoose.Schema(
   {
     name: {
@@ -47,6 +76,11 @@ const hotelSchema = new mongoose.Schema(
         match: [/^[0-9]{6}$/, 'Please enter a valid 6-digit pincode'],
       },
       country: { type: String, default: 'India' },
+      // Needed for distance-based delivery zones
+      location: {
+        lat: { type: Number, min: -90, max: 90, default: null },
+        lng: { type: Number, min: -180, max: 180, default: null },
+      },
     },
     contact: {
       phone: {
@@ -93,7 +127,12 @@ const hotelSchema = new mongoose.Schema(
       },
       currency: { type: String, default: 'INR' },
       timezone: { type: String, default: 'Asia/Kolkata' },
+      // GST on menu items without a tax class, and on taxable charges
       taxRate: { type: Number, default: 5, min: 0, max: 100 },
+      // SAC printed for those lines (996331 = restaurant services)
+      defaultSacCode: { type: String, trim: true, match: /^(\d{4}|\d{6}|\d{8})$/, default: '996331' },
+      // Menu prices already include GST (MRP-style); items can override
+      pricesIncludeTax: { type: Boolean, default: false },
 
       // ─── DELIVERY ───────────────────────────────────────────
       deliveryEnabled: { type: Boolean, default: false },
@@ -108,6 +147,9 @@ const hotelSchema = new mongoose.Schema(
       deliveryCharge: { type: Number, default: 0, min: 0 }, // used when type = fixed
       deliverySlabs: { type: [chargeSlabSchema], default: [] }, // used when type = slab
 
+      // Zones replace the charge above and limit where we deliver (empty = deliver anywhere)
+      deliveryZones: { type: [deliveryZoneSchema], default: [] },
+
       // ─── PACKAGING ──────────────────────────────────────────
       packagingEnabled: { type: Boolean, default: false },
 
@@ -127,6 +169,43 @@ const hotelSchema = new mongoose.Schema(
       },
       packagingCharge: { type: Number, default: 0, min: 0 }, // used when type = fixed
       packagingSlabs: { type: [chargeSlabSchema], default: [] }, // used when type = slab
+
+      // ─── SERVICE CHARGE ─────────────────────────────────────
+      serviceChargeEnabled: { type: Boolean, default: false },
+      serviceChargeRate: { type: Number, default: 0, min: 0, max: 25 }, // % of subtotal after discount
+
+      // Which order types get service charge
+      serviceChargeApplicableOn: {
+        type: [String],
+        enum: ['delivery', 'takeaway', 'dine-in', 'room-service'],
+        default: ['dine-in'],
+      },
+      serviceChargeTaxable: { type: Boolean, default: true }, // GST charged on service charge
+
+      // ─── OPENING HOURS ──────────────────────────────────────
+      // Several windows per day allowed (lunch + dinner); empty = open all day
+      openingHours: { type: [openingHoursSchema], default: [] },
+
+      // ─── SCHEDULED ORDERS ───────────────────────────────────
+      scheduledOrdersEnabled: { type: Boolean, default: true },
+      scheduledOrderMinLeadMinutes: { type: Number, default: 30, min: 0, max: 1440 }, // earliest slot from now
+      scheduledOrderMaxDaysAhead: { type: Number, default: 7, min: 1, max: 30 },
+      kotReleaseMinutes: { type: Number, default: 30, min: 0, max: 240 }, // KOT goes to the kitchen this long before the slot
+
+      // ─── THERMAL PRINTING (ESC/POS) ─────────────────────────
+      printerPaperWidth: { type: Number, enum: [58, 80], default: 80 }, // mm
+      printLogo: { type: Boolean, default: false }, // logo stored in the printer's NV memory
+      printerLogoKey: { type: String, default: 'LG', match: [/^[\x20-\x7e]{2}$/, 'Logo key must be 2 characters'] },
+      receiptHeader: { type: String, maxlength: 300, default: '' }, // lines under the hotel name
+      receiptFooter: { type: String, maxlength: 300, default: 'Thank you! Visit again.' },
+      receiptShowGst: { type: Boolean, default: true }, // GSTIN + CGST/SGST break-up on bills
+      printerAutoCut: { type: Boolean, default: true },
+
+      // ─── TABLE RESERVATIONS ─────────────────────────────────
+      onlineReservationsEnabled: { type: Boolean, default: true },
+      reservationSlotMinutes: { type: Number, default: 90, min: 15, max: 480 }, // how long a booking holds the table
+      reservationGraceMinutes: { type: Number, default: 15, min: 0, max: 120 }, // late arrival before no-show
+      reservationDepositPerGuest: { type: Number, default: 0, min: 0 }, // 0 = no deposit asked
     },
 
     status: {
@@ -159,10 +238,83 @@ hotelSchema.methods.isOperational = function () {
   return this.status === 'active';
 };
 
+// Great-circle distance in km between two { lat, lng } points
+const distanceKm = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+};
+
+const toMinutes = (hhmm) => {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+};
+
+// ✅ Helper: Is the hotel open at `date` (in the hotel's timezone)?
+hotelSchema.methods.isOpenAt = function (date) {
+  const hours = this.settings?.openingHours || [];
+  if (hours.length === 0) return true;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: this.settings.timezone || 'Asia/Kolkata',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday'));
+  const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+
+  return hours.some((w) => {
+    const open = toMinutes(w.open);
+    const close = toMinutes(w.close);
+    if (close > open) return w.day === day && minutes >= open && minutes < close;
+    // Past midnight: evening of `day` or early hours of the next day
+    return (w.day === day && minutes >= open) || ((w.day + 1) % 7 === day && minutes < close);
+  });
+};
+
+// ✅ Helper: Active delivery zones (none = no area restriction)
+hotelSchema.methods.activeDeliveryZones = function () {
+  return (this.settings?.deliveryZones || []).filter((z) => z.isActive);
+};
+
+// ✅ Helper: Find the delivery zone for an address
+// Pincode zones win; otherwise the smallest radius zone that reaches the location.
+// Returns { zone, distanceKm } or null when no zone covers the address.
+hotelSchema.methods.findDeliveryZone = function ({ pincode, location } = {}) {
+  const zones = this.activeDeliveryZones();
+
+  if (pincode) {
+    const zone = zones.find((z) => z.pincodes.includes(pincode));
+    if (zone) return { zone, distanceKm: null };
+  }
+
+  const origin = this.address?.location;
+  if (location?.lat == null || location?.lng == null || origin?.lat == null || origin?.lng == null) return null;
+
+  const distance = Math.round(distanceKm(origin, location) * 10) / 10;
+  const zone = zones
+    .filter((z) => z.pincodes.length === 0 && z.radiusKm != null && distance <= z.radiusKm)
+    .sort((a, b) => a.radiusKm - b.radiusKm)[0];
+
+  return zone ? { zone, distanceKm: distance } : null;
+};
+
 // ✅ Helper: Calculate delivery charge based on settings + order subtotal
-hotelSchema.methods.calcDeliveryCharge = function (subtotal) {
+// (zone charge when the order has a delivery zone)
+hotelSchema.methods.calcDeliveryCharge = function (subtotal, zone = null) {
   const s = this.settings;
   if (!s.deliveryEnabled) return 0;
+
+  if (zone) {
+    if (zone.freeDeliveryAbove != null && subtotal >= zone.freeDeliveryAbove) return 0;
+    return zone.charge || 0;
+  }
+
   if (s.deliveryChargeType === 'fixed') return s.deliveryCharge || 0;
 
   // slab based
@@ -187,6 +339,15 @@ hotelSchema.methods.calcPackagingCharge = function (orderType, subtotal) {
   return slab ? slab.charge : 0;
 };
 
+// ✅ Helper: Calculate service charge based on settings + order type + (discounted) subtotal
+hotelSchema.methods.calcServiceCharge = function (orderType, amount) {
+  const s = this.settings;
+  if (!s.serviceChargeEnabled || !s.serviceChargeRate) return 0;
+  if (!s.serviceChargeApplicableOn.includes(orderType)) return 0;
+
+  return Math.round(amount * s.serviceChargeRate) / 100;
+};
+
 const Hotel = mongoose.model('Hotel', hotelSchema);
 
 export default Hotel;
\ No newline at end of file
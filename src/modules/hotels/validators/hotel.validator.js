@@ -1,5 +1,5 @@
 import { errorResponse } from '../../../utils/responseHandler.js';
-import { HTTP_STATUS } from '../../../config/constants.js';
+import { HTTP_STATUS, HSN_CODE_REGEX } from '../../../config/constants.js';
 
 /**
  * Validate Create Hotel Data
@@ -102,6 +102,14 @@ export const validateUpdateHotel = (req, res, next) => {
         errors.push('Valid 6-digit pincode is required');
       }
     }
+
+    if (address.location) {
+      const lat = parseFloat(address.location.lat);
+      const lng = parseFloat(address.location.lng);
+      if (isNaN(lat) || lat < -90 || lat > 90 || isNaN(lng) || lng < -180 || lng > 180) {
+        errors.push('Location must have a valid latitude and longitude');
+      }
+    }
   }
 
   // Contact validation (if provided)
@@ -149,6 +157,119 @@ export const validateUpdateHotel = (req, res, next) => {
         errors.push('Tax rate must be between 0 and 100');
       }
     }
+
+    if (settings.defaultSacCode !== undefined && !HSN_CODE_REGEX.test(String(settings.defaultSacCode))) {
+      errors.push('Default SAC code must be 4, 6 or 8 digits');
+    }
+
+    if (settings.pricesIncludeTax !== undefined && typeof settings.pricesIncludeTax !== 'boolean') {
+      errors.push('pricesIncludeTax must be true or false');
+    }
+
+    if (settings.serviceChargeRate !== undefined) {
+      const rate = parseFloat(settings.serviceChargeRate);
+      if (isNaN(rate) || rate < 0 || rate > 25) {
+        errors.push('Service charge rate must be between 0 and 25');
+      }
+    }
+
+    if (settings.reservationSlotMinutes !== undefined) {
+      const minutes = parseInt(settings.reservationSlotMinutes);
+      if (isNaN(minutes) || minutes < 15 || minutes > 480) {
+        errors.push('Reservation slot must be between 15 and 480 minutes');
+      }
+    }
+
+    if (settings.reservationGraceMinutes !== undefined) {
+      const minutes = parseInt(settings.reservationGraceMinutes);
+      if (isNaN(minutes) || minutes < 0 || minutes > 120) {
+        errors.push('Reservation grace period must be between 0 and 120 minutes');
+      }
+    }
+
+    if (settings.openingHours !== undefined) {
+      if (!Array.isArray(settings.openingHours)) {
+        errors.push('Opening hours must be an array');
+      } else {
+        settings.openingHours.forEach((window, index) => {
+          if (!Number.isInteger(window.day) || window.day < 0 || window.day > 6) {
+            errors.push(`Opening hours ${index + 1}: Day must be 0 (Sunday) to 6 (Saturday)`);
+          }
+          if (!timeRegex.test(window.open) || !timeRegex.test(window.close)) {
+            errors.push(`Opening hours ${index + 1}: Open and close must be in HH:MM format (24-hour)`);
+          } else if (window.open === window.close) {
+            errors.push(`Opening hours ${index + 1}: Open and close cannot be the same`);
+          }
+        });
+      }
+    }
+
+    if (settings.scheduledOrderMinLeadMinutes !== undefined) {
+      const minutes = parseInt(settings.scheduledOrderMinLeadMinutes);
+      if (isNaN(minutes) || minutes < 0 || minutes > 1440) {
+        errors.push('Scheduled order notice must be between 0 and 1440 minutes');
+      }
+    }
+
+    if (settings.scheduledOrderMaxDaysAhead !== undefined) {
+      const days = parseInt(settings.scheduledOrderMaxDaysAhead);
+      if (isNaN(days) || days < 1 || days > 30) {
+        errors.push('Scheduled orders can be taken 1 to 30 days ahead');
+      }
+    }
+
+    if (settings.kotReleaseMinutes !== undefined) {
+      const minutes = parseInt(settings.kotReleaseMinutes);
+      if (isNaN(minutes) || minutes < 0 || minutes > 240) {
+        errors.push('KOT release time must be between 0 and 240 minutes before the slot');
+      }
+    }
+
+    if (settings.deliveryZones !== undefined) {
+      if (!Array.isArray(settings.deliveryZones)) {
+        errors.push('Delivery zones must be an array');
+      } else {
+        settings.deliveryZones.forEach((zone, index) => {
+          const label = `Delivery zone ${index + 1}`;
+          if (!zone.name || !zone.name.trim()) {
+            errors.push(`${label}: Name is required`);
+          }
+          const pincodes = zone.pincodes || [];
+          if (!Array.isArray(pincodes) || pincodes.some((p) => !/^[0-9]{6}$/.test(p))) {
+            errors.push(`${label}: Pincodes must be 6-digit codes`);
+          }
+          if (pincodes.length === 0 && !(parseFloat(zone.radiusKm) > 0)) {
+            errors.push(`${label}: Give a pincode list or a radius in km`);
+          }
+          ['charge', 'minOrder', 'freeDeliveryAbove'].forEach((field) => {
+            if (zone[field] != null && (isNaN(parseFloat(zone[field])) || parseFloat(zone[field]) < 0)) {
+              errors.push(`${label}: ${field} cannot be negative`);
+            }
+          });
+        });
+      }
+    }
+
+    if (settings.printerPaperWidth !== undefined && ![58, 80].includes(Number(settings.printerPaperWidth))) {
+      errors.push('Printer paper width must be 58 or 80 mm');
+    }
+
+    if (settings.printerLogoKey !== undefined && !/^[\x20-\x7e]{2}$/.test(settings.printerLogoKey)) {
+      errors.push('Printer logo key must be 2 characters');
+    }
+
+    ['receiptHeader', 'receiptFooter'].forEach((field) => {
+      if (settings[field] !== undefined && (typeof settings[field] !== 'string' || settings[field].length > 300)) {
+        errors.push(`${field} must be text of at most 300 characters`);
+      }
+    });
+
+    if (settings.reservationDepositPerGuest !== undefined) {
+      const deposit = parseFloat(settings.reservationDepositPerGuest);
+      if (isNaN(deposit) || deposit < 0) {
+        errors.push('Reservation deposit cannot be negative');
+      }
+    }
   }
 
   // If errors exist, return error response
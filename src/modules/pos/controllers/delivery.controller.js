@@ -0,0 +1,439 @@
+// backend/src/modules/pos/controllers/delivery.controller.js
+
+import mongoose from 'mongoose';
+import Order from '../models/Order.model.js';
+import RiderSettlement from '../models/RiderSettlement.model.js';
+import User from '../../auth/models/User.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import {
+  HTTP_STATUS,
+  USER_ROLES,
+  USER_STATUS,
+  ORDER_STATUS,
+  DELIVERY_STATUS,
+} from '../../../config/constants.js';
+import { buildTenders } from '../../../services/orderPayment.service.js';
+import { publicDeliveryInfo } from '../../../services/delivery.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Orders still on their way (rider busy with them)
+const ACTIVE_DELIVERY = [
+  DELIVERY_STATUS.PENDING,
+  DELIVERY_STATUS.READY_FOR_PICKUP,
+  DELIVERY_STATUS.OUT_FOR_DELIVERY,
+  DELIVERY_STATUS.FAILED,
+];
+
+// Cash a rider collected and has not handed over yet
+const UNSETTLED_COD = { 'delivery.cod.collected': { $gt: 0 }, 'delivery.cod.settlement': null };
+
+const loadDeliveryOrder = async (id, user) => {
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (order.orderType !== 'delivery') {
+    throw new AppError('Not a delivery order', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Order has been cancelled', HTTP_STATUS.BAD_REQUEST);
+  }
+  return order;
+};
+
+// Riders may only act on orders assigned to them
+const assertOwnDelivery = (user, order) => {
+  if (user.role !== USER_ROLES.RIDER) return;
+  if (order.delivery.rider?.toString() !== user._id.toString()) {
+    throw new AppError('This delivery is not assigned to you', HTTP_STATUS.FORBIDDEN);
+  }
+};
+
+const loadRider = async (riderId, hotelId) => {
+  const rider = await User.findOne({ _id: riderId, hotel: hotelId, role: USER_ROLES.RIDER });
+  if (!rider) throw new AppError('Rider not found in this hotel', HTTP_STATUS.NOT_FOUND);
+  return rider;
+};
+
+const resolveHotelId = (req, source) => {
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? source.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+  return hotelId;
+};
+
+// Tell the counter, and the guest tracking a public order
+const emitDeliveryUpdate = async (req, order) => {
+  const populated = await Order.findById(order._id).populate('delivery.rider', 'name phone');
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:delivery-updated', populated);
+
+  if (order.isPublicOrder) {
+    io.of('/allinone').to(`order:${order.orderNumber}`).emit('order:delivery-updated', {
+      orderNumber: order.orderNumber,
+      status: populated.status,
+      delivery: publicDeliveryInfo(populated),
+    });
+  }
+  return populated;
+};
+
+/**
+ * DELIVERY BOARD
+ * GET /api/pos/delivery/orders?status=out_for_delivery&rider=USER_ID&all=true
+ * Active deliveries by default; riders only see their own.
+ */
+export const getDeliveryOrders = asyncHandler(async (req, res) => {
+  const { status, rider, all } = req.query;
+  const hotelId = resolveHotelId(req, req.query);
+
+  const query = {
+    hotel: hotelId,
+    orderType: 'delivery',
+    status: { $ne: ORDER_STATUS.CANCELLED },
+  };
+
+  if (status) {
+    query['delivery.status'] = { $in: status.split(',') };
+  } else if (all !== 'true') {
+    query['delivery.status'] = { $in: ACTIVE_DELIVERY };
+  }
+
+  if (req.user.role === USER_ROLES.RIDER) {
+    query['delivery.rider'] = req.user._id;
+  } else if (rider) {
+    query['delivery.rider'] = rider;
+  }
+
+  const orders = await Order.find(query)
+    .select('orderNumber orderType status customer items.name items.quantity items.status pricing payment delivery specialInstructions isPublicOrder createdAt')
+    .populate('delivery.rider', 'name phone')
+    .sort({ createdAt: 1 })
+    .limit(200);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Delivery orders fetched successfully',
+    { orders, count: orders.length }
+  );
+});
+
+/**
+ * RIDERS (with current load and cash in hand)
+ * GET /api/pos/delivery/riders
+ */
+export const getRiders = asyncHandler(async (req, res) => {
+  const hotelId = resolveHotelId(req, req.query);
+
+  const riders = await User.find({ hotel: hotelId, role: USER_ROLES.RIDER, status: USER_STATUS.ACTIVE })
+    .select('name phone email')
+    .sort({ name: 1 })
+    .lean();
+
+  const hotel = new mongoose.Types.ObjectId(hotelId);
+  const [load, cash] = await Promise.all([
+    Order.aggregate([
+      { $match: { hotel, orderType: 'delivery', 'delivery.status': { $in: ACTIVE_DELIVERY }, 'delivery.rider': { $ne: null } } },
+      { $group: { _id: '$delivery.rider', count: { $sum: 1 } } },
+    ]),
+    Order.aggregate([
+      { $match: { hotel, ...UNSETTLED_COD } },
+      { $group: { _id: '$delivery.rider', amount: { $sum: '$delivery.cod.collected' }, orders: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const byRider = (rows) => new Map(rows.map((row) => [row._id.toString(), row]));
+  const loadMap = byRider(load);
+  const cashMap = byRider(cash);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Riders fetched successfully',
+    {
+      riders: riders.map((rider) => ({
+        ...rider,
+        activeDeliveries: loadMap.get(rider._id.toString())?.count || 0,
+        cashInHand: round2(cashMap.get(rider._id.toString())?.amount || 0),
+        unsettledOrders: cashMap.get(rider._id.toString())?.orders || 0,
+      })),
+    }
+  );
+});
+
+/**
+ * ASSIGN RIDER
+ * POST /api/pos/delivery/orders/:id/assign
+ * Body: { riderId }
+ * Allowed until pickup; also re-dispatches a failed delivery.
+ */
+export const assignRider = asyncHandler(async (req, res) => {
+  const order = await loadDeliveryOrder(req.params.id, req.user);
+  const rider = await loadRider(req.body.riderId, order.hotel);
+
+  if (rider.status !== USER_STATUS.ACTIVE) {
+    throw new AppError(`${rider.name} is not active`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const { status } = order.delivery;
+  if ([DELIVERY_STATUS.OUT_FOR_DELIVERY, DELIVERY_STATUS.DELIVERED].includes(status)) {
+    throw new AppError(`Cannot assign a rider to an order that is ${status.replace(/_/g, ' ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  order.delivery.rider = rider._id;
+  order.delivery.assignedAt = new Date();
+  order.delivery.assignedBy = req.user._id;
+  if (status === DELIVERY_STATUS.FAILED) {
+    order.delivery.status = DELIVERY_STATUS.READY_FOR_PICKUP;
+    order.delivery.failureReason = '';
+  }
+  await order.save();
+
+  const populated = await emitDeliveryUpdate(req, order);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    `Order assigned to ${rider.name}`,
+    { order: populated }
+  );
+});
+
+/**
+ * PICK UP (rider leaves with the order)
+ * POST /api/pos/delivery/orders/:id/pickup
+ * Whatever is still unpaid becomes the cash-on-delivery amount.
+ */
+export const pickupDelivery = asyncHandler(async (req, res) => {
+  const order = await loadDeliveryOrder(req.params.id, req.user);
+  assertOwnDelivery(req.user, order);
+
+  if (order.delivery.status !== DELIVERY_STATUS.READY_FOR_PICKUP) {
+    throw new AppError('Order is not ready for pickup', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!order.delivery.rider) {
+    throw new AppError('Assign a rider first', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  order.delivery.status = DELIVERY_STATUS.OUT_FOR_DELIVERY;
+  order.delivery.pickedUpAt = new Date();
+  order.delivery.attempts += 1;
+  order.delivery.cod.amount = round2(Math.max(0, order.pricing.total - (order.payment?.paidAmount || 0)));
+  await order.save();
+
+  const populated = await emitDeliveryUpdate(req, order);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Order is out for delivery',
+    { order: populated, codAmount: order.delivery.cod.amount }
+  );
+});
+
+/**
+ * DELIVERED
+ * POST /api/pos/delivery/orders/:id/deliver
+ * Body (when cash on delivery is due): { mode } or { payments: [...] } — defaults to CASH for the full balance
+ * Cash taken is held by the rider until settled at the counter.
+ */
+export const completeDelivery = asyncHandler(async (req, res) => {
+  const order = await loadDeliveryOrder(req.params.id, req.user);
+  assertOwnDelivery(req.user, order);
+
+  if (order.delivery.status !== DELIVERY_STATUS.OUT_FOR_DELIVERY) {
+    throw new AppError('Order is not out for delivery', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const riderId = order.delivery.rider;
+  const balanceDue = round2(order.pricing.total - (order.payment?.paidAmount || 0));
+  let tenders = [];
+
+  if (balanceDue > 0) {
+    // COD collected now is a payment on the order's business day
+    await assertOrderDayOpen(order);
+
+    const body = req.body.mode || req.body.payments ? req.body : { mode: 'CASH' };
+    tenders = buildTenders(body, balanceDue, { receivedBy: riderId });
+    tenders.forEach((tender) => order.payments.push(tender));
+    order.rollUpPayments();
+
+    const cash = tenders.filter((t) => t.mode === 'CASH').reduce((sum, t) => sum + t.amount, 0);
+    order.delivery.cod.collected = round2(order.delivery.cod.collected + cash);
+    order.delivery.cod.collectedAt = new Date();
+  }
+
+  const now = new Date();
+  order.items.forEach((item) => {
+    if (item.status !== ORDER_STATUS.CANCELLED) order.setItemStatus(item, ORDER_STATUS.SERVED);
+  });
+  order.rollUpItemStatus();
+  order.servedBy = riderId;
+  order.delivery.status = DELIVERY_STATUS.DELIVERED;
+  order.delivery.deliveredAt = now;
+  await order.save();
+
+  const populated = await emitDeliveryUpdate(req, order);
+  if (order.payment.status === 'PAID') {
+    req.app.get('io').of('/pos').emit('order:paid', populated);
+  }
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Order delivered',
+    {
+      order: populated,
+      tenders,
+      cashCollected: order.delivery.cod.collected,
+      balanceDue: order.payment.balanceDue,
+    }
+  );
+});
+
+/**
+ * DELIVERY FAILED (customer unreachable, wrong address, refused...)
+ * POST /api/pos/delivery/orders/:id/fail
+ * Body: { reason }
+ * The order comes back to the counter to be re-assigned or cancelled.
+ */
+export const failDelivery = asyncHandler(async (req, res) => {
+  const order = await loadDeliveryOrder(req.params.id, req.user);
+  assertOwnDelivery(req.user, order);
+
+  if (order.delivery.status !== DELIVERY_STATUS.OUT_FOR_DELIVERY) {
+    throw new AppError('Order is not out for delivery', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  order.delivery.status = DELIVERY_STATUS.FAILED;
+  order.delivery.failedAt = new Date();
+  order.delivery.failureReason = req.body.reason.trim();
+  await order.save();
+
+  const populated = await emitDeliveryUpdate(req, order);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Delivery marked as failed',
+    { order: populated }
+  );
+});
+
+/**
+ * RIDER CASH IN HAND
+ * GET /api/pos/delivery/riders/:id/cod
+ * COD orders not yet settled, plus the rider's recent settlements.
+ */
+export const getRiderCOD = asyncHandler(async (req, res) => {
+  const hotelId = resolveHotelId(req, req.query);
+
+  if (req.user.role === USER_ROLES.RIDER && req.params.id !== req.user._id.toString()) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  const rider = await loadRider(req.params.id, hotelId);
+
+  const [orders, settlements] = await Promise.all([
+    Order.find({ hotel: hotelId, 'delivery.rider': rider._id, ...UNSETTLED_COD })
+      .select('orderNumber customer.name pricing.total delivery.cod delivery.deliveredAt')
+      .sort({ 'delivery.cod.collectedAt': 1 }),
+    RiderSettlement.find({ hotel: hotelId, rider: rider._id })
+      .populate('settledBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(10),
+  ]);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Rider cash fetched successfully',
+    {
+      rider: { _id: rider._id, name: rider.name, phone: rider.phone },
+      cashInHand: round2(orders.reduce((sum, o) => sum + o.delivery.cod.collected, 0)),
+      orders,
+      settlements,
+    }
+  );
+});
+
+/**
+ * SETTLE RIDER CASH
+ * POST /api/pos/delivery/riders/:id/settle
+ * Body: { receivedAmount, orderIds?, notes? } — all unsettled COD orders unless orderIds given
+ * Records any shortage / excess against the rider.
+ */
+export const settleRiderCOD = asyncHandler(async (req, res) => {
+  const { receivedAmount, orderIds, notes = '' } = req.body;
+  const hotelId = resolveHotelId(req, req.body);
+  const rider = await loadRider(req.params.id, hotelId);
+
+  const query = { hotel: hotelId, 'delivery.rider': rider._id, ...UNSETTLED_COD };
+  if (orderIds?.length) query._id = { $in: orderIds };
+
+  const orders = await Order.find(query).select('orderNumber delivery.cod');
+  if (orders.length === 0) {
+    throw new AppError(`${rider.name} has no cash to settle`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (orderIds?.length && orders.length !== orderIds.length) {
+    throw new AppError('One or more orders are not unsettled COD orders of this rider', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const expectedAmount = round2(orders.reduce((sum, o) => sum + o.delivery.cod.collected, 0));
+  const received = round2(Number(receivedAmount));
+
+  const settlement = await RiderSettlement.create({
+    hotel: hotelId,
+    rider: rider._id,
+    orders: orders.map((o) => ({
+      order: o._id,
+      orderNumber: o.orderNumber,
+      amount: o.delivery.cod.collected,
+      collectedAt: o.delivery.cod.collectedAt,
+    })),
+    expectedAmount,
+    receivedAmount: received,
+    difference: round2(received - expectedAmount),
+    notes,
+    settledBy: req.user._id,
+  });
+
+  // Only claim orders still unsettled, so two cashiers can't settle the same cash twice
+  const claimed = await Order.updateMany(
+    { _id: { $in: orders.map((o) => o._id) }, 'delivery.cod.settlement': null },
+    { 'delivery.cod.settlement': settlement._id }
+  );
+  if (claimed.modifiedCount !== orders.length) {
+    await Order.updateMany({ 'delivery.cod.settlement': settlement._id }, { 'delivery.cod.settlement': null });
+    await settlement.deleteOne();
+    throw new AppError('Some of these orders were settled meanwhile. Please retry.', HTTP_STATUS.CONFLICT);
+  }
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('rider:settled', settlement);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.CREATED,
+    settlement.difference < 0
+      ? `Settled with a shortage of ₹${Math.abs(settlement.difference).toFixed(2)}`
+      : 'Rider cash settled successfully',
+    { settlement }
+  );
+});
@@ -0,0 +1,250 @@
+// backend/src/modules/pos/controllers/discount.controller.js
+
+import Discount from '../models/Discount.model.js';
+import Order from '../models/Order.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { repriceOrder } from '../../../services/orderPricing.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
+import {
+  findRedeemableDiscount,
+  calculateDiscount,
+  redeemDiscount,
+  releaseDiscount,
+} from '../../../services/discount.service.js';
+
+// Fields staff can set on a discount rule
+const EDITABLE_FIELDS = [
+  'name', 'code', 'description', 'type', 'value', 'maxDiscount', 'scope', 'menuItems',
+  'categories', 'orderTypes', 'minOrderValue', 'validFrom', 'validTo', 'maxUses',
+  'perCustomerLimit', 'allowOnline', 'isActive',
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// ── Hotel access helper ──
+const assertHotelAccess = (user, hotelId) => {
+  if (user.role === USER_ROLES.SUPER_ADMIN) return;
+  if (!user.hotel || hotelId.toString() !== user.hotel._id.toString()) {
+    throw new AppError('Access denied to this discount', HTTP_STATUS.FORBIDDEN);
+  }
+};
+
+/**
+ * Create Discount / Coupon
+ * POST /api/pos/discounts
+ * Access: Hotel Admin, Manager
+ */
+export const createDiscount = asyncHandler(async (req, res) => {
+  let assignedHotel = req.body.hotel;
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    assignedHotel = req.user.hotel._id;
+  }
+
+  const data = pickEditable(req.body);
+
+  if (data.code) {
+    const existing = await Discount.findOne({ hotel: assignedHotel, code: data.code.trim().toUpperCase() });
+    if (existing) throw new AppError('Coupon code already exists', HTTP_STATUS.CONFLICT);
+  }
+
+  const discount = await Discount.create({
+    ...data,
+    hotel: assignedHotel,
+    createdBy: req.user._id,
+  });
+
+  return successResponse(res, HTTP_STATUS.CREATED, 'Discount created successfully', { discount });
+});
+
+/**
+ * Get All Discounts
+ * GET /api/pos/discounts
+ * Query: ?active=true (only currently redeemable) &code=
+ * Access: Authenticated users (cashiers pick from this list)
+ */
+export const getAllDiscounts = asyncHandler(async (req, res) => {
+  const { hotel, active, code } = req.query;
+
+  const query = {};
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    query.hotel = req.user.hotel._id;
+  } else if (hotel) {
+    query.hotel = hotel;
+  }
+  if (code) query.code = code.trim().toUpperCase();
+
+  let discounts = await Discount.find(query)
+    .populate('menuItems', 'name')
+    .populate('categories', 'name')
+    .sort({ isActive: -1, createdAt: -1 });
+
+  if (active === 'true') discounts = discounts.filter((d) => d.isRedeemable());
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discounts fetched successfully', {
+    discounts,
+    count: discounts.length,
+  });
+});
+
+/**
+ * Get Single Discount
+ * GET /api/pos/discounts/:id
+ */
+export const getDiscountById = asyncHandler(async (req, res) => {
+  const discount = await Discount.findById(req.params.id)
+    .populate('menuItems', 'name price')
+    .populate('categories', 'name')
+    .populate('createdBy', 'name');
+
+  if (!discount) throw new AppError('Discount not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, discount.hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discount fetched successfully', { discount });
+});
+
+/**
+ * Update Discount
+ * PUT /api/pos/discounts/:id
+ * Access: Hotel Admin, Manager
+ */
+export const updateDiscount = asyncHandler(async (req, res) => {
+  const discount = await Discount.findById(req.params.id);
+  if (!discount) throw new AppError('Discount not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, discount.hotel);
+
+  const data = pickEditable(req.body);
+
+  if (data.code && data.code.trim().toUpperCase() !== discount.code) {
+    const existing = await Discount.findOne({
+      hotel: discount.hotel,
+      code: data.code.trim().toUpperCase(),
+      _id: { $ne: discount._id },
+    });
+    if (existing) throw new AppError('Coupon code already exists', HTTP_STATUS.CONFLICT);
+  }
+
+  Object.assign(discount, data);
+  await discount.save();
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discount updated successfully', { discount });
+});
+
+/**
+ * Delete Discount (deactivate — past orders keep their snapshot)
+ * DELETE /api/pos/discounts/:id
+ * Access: Hotel Admin
+ */
+export const deleteDiscount = asyncHandler(async (req, res) => {
+  const discount = await Discount.findById(req.params.id);
+  if (!discount) throw new AppError('Discount not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, discount.hotel);
+
+  discount.isActive = false;
+  await discount.save();
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discount deleted successfully');
+});
+
+// ── Load an order that can still change price ──
+const loadOpenOrder = async (id, user) => {
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Cancelled order cannot be discounted', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.payments.length > 0 || order.payment?.status === 'PAID') {
+    throw new AppError('Apply discounts before taking payment', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.splits.length > 0) {
+    throw new AppError('Remove the split before changing the discount', HTTP_STATUS.BAD_REQUEST);
+  }
+  await assertOrderDayOpen(order);
+
+  return order;
+};
+
+/**
+ * Apply Discount / Coupon to an Order
+ * POST /api/pos/orders/:id/discount
+ * Body: { couponCode } or { discountId } — replaces any discount already applied
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const applyOrderDiscount = asyncHandler(async (req, res) => {
+  const { couponCode, discountId } = req.body;
+
+  const order = await loadOpenOrder(req.params.id, req.user);
+  const hotel = await Hotel.findById(order.hotel);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  const discount = await findRedeemableDiscount({ hotelId: order.hotel, code: couponCode, discountId });
+  const previous = order.appliedDiscount?.discount;
+  const sameRule = previous && previous.toString() === discount._id.toString();
+
+  const { applied } = await calculateDiscount(discount, {
+    items: order.items,
+    orderType: order.orderType,
+    customerPhone: order.customer?.phone,
+    orderId: order._id,
+  });
+
+  if (!sameRule) {
+    await redeemDiscount(discount._id);
+    if (previous) await releaseDiscount(previous);
+  }
+
+  order.appliedDiscount = { ...applied, appliedBy: req.user._id };
+  await repriceOrder(order, hotel);
+  order.rollUpPayments();
+  await order.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discount applied successfully', {
+    order,
+    discount: order.appliedDiscount,
+  });
+});
+
+/**
+ * Remove Discount from an Order
+ * DELETE /api/pos/orders/:id/discount
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const removeOrderDiscount = asyncHandler(async (req, res) => {
+  const order = await loadOpenOrder(req.params.id, req.user);
+
+  if (!order.appliedDiscount?.discount) {
+    throw new AppError('Order has no discount applied', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotel = await Hotel.findById(order.hotel);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  await releaseDiscount(order.appliedDiscount.discount);
+  order.appliedDiscount = { discount: null, amount: 0 };
+  await repriceOrder(order, hotel);
+  order.rollUpPayments();
+  await order.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Discount removed successfully', { order });
+});
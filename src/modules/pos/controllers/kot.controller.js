@@ -0,0 +1,205 @@
+// backend/src/modules/pos/controllers/kot.controller.js
+
+import KOT from '../models/KOT.model.js';
+import Order from '../models/Order.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, PAGINATION, USER_ROLES, KITCHEN_STATIONS } from '../../../config/constants.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { renderKOT, resolvePrintOptions, sendReceipt } from '../../../services/thermalPrint.service.js';
+
+// ── Hotel access helper ──
+const assertHotelAccess = (user, hotelId) => {
+  if (user.role === USER_ROLES.SUPER_ADMIN) return;
+  if (!user.hotel || hotelId.toString() !== user.hotel._id.toString()) {
+    throw new AppError('Access denied to this KOT', HTTP_STATUS.FORBIDDEN);
+  }
+};
+
+/**
+ * Get Order KOT (single ticket for the whole order)
+ * GET /api/pos/orders/:id/kot
+ * Original print payload, kept for existing clients. Per-station tickets are
+ * served by GET /api/pos/orders/:id/kots.
+ */
+export const getOrderKOT = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('items.menuItem', 'name preparationTime category')
+    .populate('room', 'roomNumber');
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, order.hotel);
+
+  const kotData = {
+    kotNumber: order.orderNumber,
+    orderId: order._id,
+    orderType: order.orderType,
+    tableNumber: order.tableNumber || null,
+    roomNumber: order.room?.roomNumber || null,
+    customerName: order.customer?.name || null,
+    items: order.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      variant: item.variant || null,
+      specialInstructions: item.specialInstructions || null,
+      category: item.menuItem?.category || null,
+    })),
+    specialInstructions: order.specialInstructions || order.notes || null,
+    placedAt: order.timestamps?.placed || order.createdAt,
+    printedAt: new Date(),
+  };
+
+  return successResponse(res, HTTP_STATUS.OK, 'KOT fetched successfully', kotData);
+});
+
+/**
+ * Get KOTs of an Order (one per kitchen station and round)
+ * GET /api/pos/orders/:id/kots
+ * Read-only: KOTs are created when the order is placed, items are appended or
+ * a held order is released.
+ */
+export const getOrderKOTs = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, order.hotel);
+
+  // Tickets of orders merged into this bill belong to it too
+  const orderIds = [order._id, ...order.merges.map((m) => m.order)];
+  const kots = await KOT.find({ order: { $in: orderIds } })
+    .populate('room', 'roomNumber')
+    .sort({ sequence: 1, createdAt: 1 });
+
+  return successResponse(res, HTTP_STATUS.OK, 'KOTs fetched successfully', {
+    kots: kots.map((kot) => kot.toPrintData()),
+    count: kots.length,
+  });
+});
+
+/**
+ * Get All KOTs
+ * GET /api/pos/kots
+ * Query: ?station=tandoor&startDate=&endDate=&page=&limit=
+ */
+export const getAllKOTs = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    hotel,
+    station,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const query = {};
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    query.hotel = req.user.hotel._id;
+  } else if (hotel) {
+    query.hotel = hotel;
+  }
+
+  if (station) {
+    if (!Object.values(KITCHEN_STATIONS).includes(station)) {
+      throw new AppError(
+        `Invalid station. Must be one of: ${Object.values(KITCHEN_STATIONS).join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    query.station = station;
+  }
+
+  if (startDate || endDate) {
+    query.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      query.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.createdAt.$lte = end;
+    }
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (pageNum - 1) * limitNum;
+
+  const kots = await KOT.find(query)
+    .populate('room', 'roomNumber')
+    .populate('reprints.reprintedBy', 'name')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limitNum);
+
+  const total = await KOT.countDocuments(query);
+
+  return paginatedResponse(res, kots, pageNum, limitNum, total, 'KOTs fetched successfully');
+});
+
+/**
+ * Get Single KOT
+ * GET /api/pos/kots/:id
+ */
+export const getKOTById = asyncHandler(async (req, res) => {
+  const kot = await KOT.findById(req.params.id)
+    .populate('room', 'roomNumber')
+    .populate('createdBy', 'name')
+    .populate('reprints.reprintedBy', 'name');
+
+  if (!kot) throw new AppError('KOT not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, kot.hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'KOT fetched successfully', { kot });
+});
+
+/**
+ * Reprint KOT
+ * POST /api/pos/kots/:id/reprint
+ * Body: { reason }
+ */
+export const reprintKOT = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  const kot = await KOT.findById(req.params.id);
+  if (!kot) throw new AppError('KOT not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, kot.hotel);
+
+  kot.printCount += 1;
+  kot.reprints.push({
+    reprintedBy: req.user._id,
+    reprintedAt: new Date(),
+    reason: reason?.trim() || '',
+  });
+  await kot.save();
+  await kot.populate('room', 'roomNumber');
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('kot:reprinted', kot.toPrintData());
+
+  return successResponse(res, HTTP_STATUS.OK, 'KOT reprinted successfully', {
+    kot: kot.toPrintData(),
+    reprintCount: kot.reprints.length,
+  });
+});
+
+/**
+ * KOT for a Thermal Printer
+ * GET /api/pos/kots/:id/escpos?format=escpos|text&width=58|80
+ * Raw ESC/POS bytes (or a plain-text preview). Doesn't count as a reprint —
+ * use POST /kots/:id/reprint to log one.
+ */
+export const getKOTEscPos = asyncHandler(async (req, res) => {
+  const kot = await KOT.findById(req.params.id).populate('room', 'roomNumber');
+  if (!kot) throw new AppError('KOT not found', HTTP_STATUS.NOT_FOUND);
+  assertHotelAccess(req.user, kot.hotel);
+
+  const hotel = await Hotel.findById(kot.hotel).select('name settings');
+  const options = resolvePrintOptions(hotel, req.query);
+
+  return sendReceipt(res, renderKOT(kot.toPrintData(), hotel, options), {
+    format: options.format,
+    filename: `kot-${kot.kotNumber}`,
+  });
+});
@@ -10,7 +10,7 @@ import AppError from '../../../utils/AppError.js';
  * Access: Hotel Admin, Manager
  */
 export const createCategory = asyncHandler(async (req, res) => {
-  const { hotel, name, description, displayOrder, image } = req.body;
+  const { hotel, name, description, displayOrder, image, station, taxClass, hsnCode } = req.body;
 
   // Authorization: Only allow for user's hotel
   let assignedHotel = hotel;
@@ -35,6 +35,9 @@ export const createCategory = asyncHandler(async (req, res) => {
     description,
     displayOrder,
     image,
+    station,
+    taxClass,
+    hsnCode,
     createdBy: req.user._id,
   });
 
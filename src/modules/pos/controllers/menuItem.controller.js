@@ -5,6 +5,7 @@ import { successResponse, paginatedResponse } from '../../../utils/responseHandl
 import { HTTP_STATUS, PAGINATION, USER_ROLES } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
+import { assertValidComboSlots } from '../../../services/combo.service.js';
 
 /**
  * Create Menu Item
@@ -19,10 +20,17 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     description,
     price,
     variants,
+    modifierGroups,
+    isCombo,
+    comboSlots,
     type,
     cuisine,
     spicyLevel,
     preparationTime,
+    station,
+    taxClass,
+    hsnCode,
+    priceIncludesTax,
     tags,
     images,
     ingredients,
@@ -45,6 +53,9 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     throw new AppError('Category does not belong to this hotel', HTTP_STATUS.BAD_REQUEST);
   }
 
+  // Combo components must be plain items of this hotel
+  if (isCombo) await assertValidComboSlots(comboSlots, assignedHotel);
+
   // Create menu item
   const menuItem = await MenuItem.create({
     hotel: assignedHotel,
@@ -53,10 +64,17 @@ export const createMenuItem = asyncHandler(async (req, res) => {
     description,
     price,
     variants,
+    modifierGroups,
+    isCombo: !!isCombo,
+    comboSlots: isCombo ? comboSlots : [],
     type,
     cuisine,
     spicyLevel,
     preparationTime,
+    station,
+    taxClass,
+    hsnCode,
+    priceIncludesTax,
     tags,
     images,
     ingredients,
@@ -213,6 +231,16 @@ export const updateMenuItem = asyncHandler(async (req, res) => {
     }
   }
 
+  // Combo slots: re-check components, and a combo always needs slots
+  if (updateData.comboSlots !== undefined) {
+    await assertValidComboSlots(updateData.comboSlots, menuItem.hotel, menuItem._id);
+  }
+  const willBeCombo = updateData.isCombo ?? menuItem.isCombo;
+  const slots = updateData.comboSlots ?? menuItem.comboSlots;
+  if (willBeCombo && slots.length === 0) {
+    throw new AppError('A combo needs at least one slot', HTTP_STATUS.BAD_REQUEST);
+  }
+
   // Update menu item
   const updatedItem = await MenuItem.findByIdAndUpdate(id, updateData, {
     new: true,
@@ -1,21 +1,77 @@
 import Order from '../models/Order.model.js';
 import MenuItem from '../models/MenuItem.model.js';
 import InventoryItem from '../../inventory/models/InventoryItem.model.js';
-import StockTransaction from '../../inventory/models/StockTransaction.model.js';
 import Room from '../../rooms/models/Room.model.js';
 import Booking from '../../rooms/models/Booking.model.js';
 import Hotel from '../../hotels/models/Hotel.model.js';
 import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
-import { HTTP_STATUS, PAGINATION, USER_ROLES, ORDER_STATUS, GST_RATE } from '../../../config/constants.js';
+import { HTTP_STATUS, PAGINATION, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
 import PDFDocument from 'pdfkit';
 import Table from '../../tables/models/Table.model.js';
+import { createKOTsForOrder } from '../../../services/kot.service.js';
+import { calculateOrderPricing, repriceOrder } from '../../../services/orderPricing.service.js';
+import { applyLineTaxes, billTaxRows, hotelTaxRate, resolvePlaceOfSupply } from '../../../services/gst.service.js';
+import { findRedeemableDiscount, calculateDiscount, redeemDiscount, releaseDiscount } from '../../../services/discount.service.js';
+import { buildTenders, buildTip } from '../../../services/orderPayment.service.js';
+import { resolveModifiers } from '../../../services/menuModifier.service.js';
+import { resolveComboSelections } from '../../../services/combo.service.js';
+import { deductInventoryForOrder } from '../../../services/orderInventory.service.js';
+import { assertWaiterTable, findTableWaiter, getWaiterTables } from '../../../services/waiter.service.js';
+import { broadcastOrderEtas } from '../../../services/eta.service.js';
+import {
+  validateScheduledFor,
+  releaseScheduledOrder,
+  isAwaitingRelease,
+  RELEASED_QUERY,
+} from '../../../services/scheduledOrder.service.js';
+import { renderBill, resolvePrintOptions, sendReceipt } from '../../../services/thermalPrint.service.js';
+import { assertDayOpen, assertOrderDayOpen } from '../../../services/dayClose.service.js';
+
+// ── Order line helper (shared by create + append) ──
+// Validates menu items against the hotel, prices them and bumps totalOrders
+const processOrderItems = async (items, hotelId) => {
+  const processedItems = [];
+
+  for (const item of items) {
+    const menuItem = await MenuItem.findById(item.menuItem);
+    if (!menuItem || menuItem.hotel.toString() !== hotelId.toString()) {
+      throw new AppError(`Menu item not found: ${item.menuItem}`, HTTP_STATUS.NOT_FOUND);
+    }
+    if (!menuItem.canOrder()) throw new AppError(`Item not available: ${menuItem.name}`, HTTP_STATUS.BAD_REQUEST);
+
+    const { modifiers, modifiersTotal } = resolveModifiers(menuItem, item.modifiers);
+    const { components, comboTotal } = await resolveComboSelections(menuItem, item.comboSelections);
+    const itemPrice = menuItem.getPrice(item.variant) + modifiersTotal + comboTotal;
+    if (itemPrice < 0) throw new AppError(`Invalid price for ${menuItem.name}`, HTTP_STATUS.BAD_REQUEST);
+    const itemSubtotal = itemPrice * item.quantity;
+
+    processedItems.push({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      variant: item.variant || null,
+      modifiers,
+      comboItems: components,
+      quantity: item.quantity,
+      price: itemPrice,
+      subtotal: itemSubtotal,
+      specialInstructions: item.specialInstructions || '',
+      seatNumber: item.seatNumber || null,
+      status: ORDER_STATUS.PENDING,
+    });
+
+    menuItem.totalOrders += item.quantity;
+    await menuItem.save();
+  }
+
+  return processedItems;
+};
 
 /**
  * Create Order
  * POST /api/pos/orders
- * Access: Hotel Admin, Manager, Cashier
+ * Access: Hotel Admin, Manager, Cashier, Waiter (dine-in, own tables only)
  */
 export const createOrder = asyncHandler(async (req, res) => {
   const {
@@ -29,6 +85,11 @@ export const createOrder = asyncHandler(async (req, res) => {
     payment,
     specialInstructions,
     extraCharges,
+    couponCode,
+    discountId,
+    waiveServiceCharge = false,
+    scheduledFor,
+    placeOfSupply: requestedPlaceOfSupply,
   } = req.body;
 
   // Authorization: Only allow for user's hotel
@@ -41,6 +102,15 @@ export const createOrder = asyncHandler(async (req, res) => {
   const hotelDoc = await Hotel.findById(assignedHotel);
   if (!hotelDoc) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
 
+  // Today may already be closed (Z-report)
+  await assertDayOpen(hotelDoc._id);
+
+  // Waiters only order for tables they are covering
+  await assertWaiterTable(req.user, { orderType, tableNumber });
+
+  // Pre-order: KOTs are held until shortly before the slot
+  const schedule = scheduledFor ? validateScheduledFor(hotelDoc, scheduledFor, orderType) : null;
+
   // Validate order type specific requirements
   if (orderType === 'room-service' && !room && !booking) {
     throw new AppError('Room or booking is required for room service', HTTP_STATUS.BAD_REQUEST);
@@ -60,75 +130,56 @@ export const createOrder = asyncHandler(async (req, res) => {
     }
   }
 
-  // ── Process order items ──
-  const deliveryChargeFromBody = orderType === 'delivery' ? (req.body.deliveryCharge || 0) : 0;
-  const processedItems = [];
-  let subtotal = 0;
-
-  for (const item of items) {
-    const menuItem = await MenuItem.findById(item.menuItem);
-    if (!menuItem) throw new AppError(`Menu item not found: ${item.menuItem}`, HTTP_STATUS.NOT_FOUND);
-    if (!menuItem.canOrder()) throw new AppError(`Item not available: ${menuItem.name}`, HTTP_STATUS.BAD_REQUEST);
+  // ── Process order items (each line keeps its GST rate / HSN code) ──
+  const processedItems = await processOrderItems(items, assignedHotel);
+  await applyLineTaxes(processedItems, hotelDoc);
 
-    const itemPrice = menuItem.getPrice(item.variant);
-    const itemSubtotal = itemPrice * item.quantity;
+  // Customer in another state (B2B GSTIN or explicit place of supply) pays IGST
+  const { placeOfSupply, interState } = resolvePlaceOfSupply(hotelDoc, {
+    placeOfSupply: requestedPlaceOfSupply,
+    customerGstin: customer?.gstin,
+  });
 
-    processedItems.push({
-      menuItem: menuItem._id,
-      name: menuItem.name,
-      variant: item.variant || null,
-      quantity: item.quantity,
-      price: itemPrice,
-      subtotal: itemSubtotal,
-      specialInstructions: item.specialInstructions || '',
-      status: ORDER_STATUS.PENDING,
+  // ── Discount / coupon ──
+  let discount = null;
+  let discountAmount = 0;
+  let appliedDiscount;
+  if (couponCode || discountId) {
+    discount = await findRedeemableDiscount({ hotelId: assignedHotel, code: couponCode, discountId });
+    const result = await calculateDiscount(discount, {
+      items: processedItems,
+      orderType,
+      customerPhone: customer?.phone,
     });
-
-    subtotal += itemSubtotal;
-
-    menuItem.totalOrders += item.quantity;
-    await menuItem.save();
-  }
-
-  // ── Extra charges (manual, from body) ──
-  const validExtraCharges = Array.isArray(extraCharges)
-    ? extraCharges.filter((c) => c.label && Number(c.amount) > 0)
-    : [];
-  const extraChargesTotal = validExtraCharges.reduce((sum, c) => sum + Number(c.amount), 0);
-
-  // ── Auto: Delivery charge from hotel settings ──
-  const autoDeliveryCharge =
-    orderType === 'delivery' ? hotelDoc.calcDeliveryCharge(subtotal) : 0;
-
-  // Use hotel settings delivery charge (ignore manual deliveryCharge from body for consistency)
-  const finalDeliveryCharge = autoDeliveryCharge;
-
-  // ── Auto: Packaging charge from hotel settings ──
-  const packagingCharge = hotelDoc.calcPackagingCharge(orderType, subtotal);
-
-  // Add packaging as an extraCharge line if applicable
-  if (packagingCharge > 0) {
-    validExtraCharges.push({ label: 'Packaging', amount: packagingCharge });
+    discountAmount = result.amount;
+    appliedDiscount = { ...result.applied, appliedBy: req.user._id };
   }
 
-  const finalExtraChargesTotal = validExtraCharges.reduce((sum, c) => sum + Number(c.amount), 0);
+  // ── Extra charges, packaging, delivery & tax ──
+  const { extraCharges: validExtraCharges, pricing } = calculateOrderPricing({
+    hotel: hotelDoc,
+    orderType,
+    items: processedItems,
+    extraCharges,
+    taxRate: hotelTaxRate(hotelDoc),
+    interState,
+    discount: discountAmount,
+    waiveServiceCharge,
+  });
 
-  // ── Pricing ──
-  const tax = Math.ceil(((subtotal + finalExtraChargesTotal) * GST_RATE) / 100);
-  const total = Math.ceil(subtotal + finalExtraChargesTotal + tax + finalDeliveryCharge);
+  // ── Pay-at-order: record tenders up front (single mode or multi-tender) ──
+  const tenders = payment && (payment.mode || payment.payments)
+    ? buildTenders(payment, pricing.total, { receivedBy: req.user._id })
+    : [];
+  const tip = buildTip(payment?.tip, tenders, { receivedBy: req.user._id });
 
-  let paymentData = { status: 'UNPAID' };
-  if (payment && payment.mode) {
-    paymentData = {
-      mode: payment.mode,
-      status: 'PAID',
-      paidAt: new Date(),
-      paidBy: req.user._id,
-    };
-  }
+  // ── Waiter: the one taking the order, else whoever covers the table ──
+  const waiter = req.user.role === USER_ROLES.WAITER
+    ? req.user._id
+    : orderType === 'dine-in' ? await findTableWaiter(assignedHotel, tableNumber) : null;
 
   // ── Create order ──
-  const order = await Order.create({
+  const order = new Order({
     hotel: assignedHotel,
     orderType,
     tableNumber,
@@ -137,19 +188,34 @@ export const createOrder = asyncHandler(async (req, res) => {
     customer,
     items: processedItems,
     extraCharges: validExtraCharges,
-    pricing: {
-      subtotal,
-      discount: 0,
-      tax,
-      deliveryCharge: finalDeliveryCharge,
-      extraChargesTotal: finalExtraChargesTotal,
-      total,
-    },
+    pricing,
+    placeOfSupply,
     status: ORDER_STATUS.PENDING,
-    payment: paymentData,
+    payments: tenders,
+    appliedDiscount,
     specialInstructions,
+    serviceChargeWaived: waiveServiceCharge,
     createdBy: req.user._id,
+    waiter,
+    ...schedule,
   });
+  order.rollUpPayments();
+  if (tip) order.addTip(tip);
+
+  if (discount) await redeemDiscount(discount._id);
+  try {
+    await order.save();
+  } catch (error) {
+    if (discount) await releaseDiscount(discount._id);
+    throw error;
+  }
+
+  // ── Send KOTs to kitchen stations (scheduled orders wait for their release time) ──
+  if (!schedule) {
+    await createKOTsForOrder(order, { createdBy: req.user._id, io: req.app.get('io') });
+  } else if (schedule.kotReleaseAt <= new Date()) {
+    await releaseScheduledOrder(order, { io: req.app.get('io'), releasedBy: req.user._id });
+  }
 
   // ── Update table status if dine-in ──
   if (orderType === 'dine-in' && tableNumber) {
@@ -176,10 +242,100 @@ export const createOrder = asyncHandler(async (req, res) => {
   io.of('/pos').emit('order:created', populatedOrder);
   io.of('/pos').emit('order:updated', populatedOrder);
   io.of('/pos').emit('order:paid', populatedOrder);
+  broadcastOrderEtas(io, order.hotel);
 
   return successResponse(res, HTTP_STATUS.CREATED, 'Order created successfully', { order: populatedOrder });
 });
 
+/**
+ * Append Items to a Running Order
+ * POST /api/pos/orders/:id/items
+ * Adds a new round of items, re-prices the order and sends a KOT with only the new lines.
+ * Access: Hotel Admin, Manager, Cashier, Waiter (own tables only)
+ */
+export const appendOrderItems = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { items } = req.body;
+
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    if (!req.user.hotel || order.hotel.toString() !== req.user.hotel._id.toString()) {
+      throw new AppError('Access denied to update this order', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  await assertWaiterTable(req.user, order);
+
+  if (order.payment?.status === 'PAID') {
+    throw new AppError('Cannot add items to a paid order', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertOrderDayOpen(order);
+
+  if ([ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(order.status)) {
+    throw new AppError(`Cannot add items to a ${order.status} order`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (order.splits.length > 0 && order.payments.length > 0) {
+    throw new AppError('Cannot add items after a split bill has been paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotelDoc = await Hotel.findById(order.hotel);
+  if (!hotelDoc) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  // ── Process new round ──
+  const processedItems = await processOrderItems(items, order.hotel);
+  await applyLineTaxes(processedItems, hotelDoc);
+  const firstNewIndex = order.items.length;
+  processedItems.forEach((item) => order.items.push(item));
+  const newItems = order.items.slice(firstNewIndex);
+
+  // ── Re-price whole order (keeps any applied discount) ──
+  await repriceOrder(order, hotelDoc);
+
+  // Existing (unpaid) splits no longer match the bill
+  if (order.splits.length > 0) {
+    order.splitType = null;
+    order.splits = [];
+  }
+
+  // Part-paid orders get a new running balance
+  order.rollUpPayments();
+
+  // New dishes are pending, so a ready/served order goes back to preparing
+  order.rollUpItemStatus();
+
+  await order.save();
+
+  // ── KOT with only the new lines (held orders send everything on release) ──
+  const io = req.app.get('io');
+  const kots = isAwaitingRelease(order)
+    ? []
+    : await createKOTsForOrder(order, {
+      items: newItems,
+      createdBy: req.user._id,
+      isAddon: true,
+      io,
+    });
+
+  const populatedOrder = await Order.findById(order._id)
+    .populate('hotel', 'name code address contact gst')
+    .populate('room', 'roomNumber')
+    .populate('booking', 'bookingNumber')
+    .populate('items.menuItem', 'name type preparationTime')
+    .populate('createdBy', 'name email');
+
+  io.of('/pos').emit('order:updated', populatedOrder);
+  broadcastOrderEtas(io, order.hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Items added to order successfully', {
+    order: populatedOrder,
+    kots: kots.map((kot) => kot.toPrintData()),
+  });
+});
+
 /**
  * Get All Orders
  * GET /api/pos/orders
@@ -297,24 +453,42 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
     }
   }
 
+  // Kitchen progress is fine after close; cancelling would change the day's sales
+  if (status === ORDER_STATUS.CANCELLED) await assertOrderDayOpen(order);
+
+  const wasCancelled = order.status === ORDER_STATUS.CANCELLED;
   order.status = status;
 
+  // Whole-order moves cascade to the dishes that are behind
   switch (status) {
     case ORDER_STATUS.PREPARING:
       order.timestamps.preparing = new Date();
       order.preparedBy = req.user._id;
+      order.items.forEach((item) => {
+        if (item.status === ORDER_STATUS.PENDING) order.setItemStatus(item, ORDER_STATUS.PREPARING);
+      });
       break;
     case ORDER_STATUS.READY:
-      order.status = ORDER_STATUS.SERVED;
       order.timestamps.ready = new Date();
-      order.timestamps.served = new Date();
+      order.items.forEach((item) => {
+        if ([ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING].includes(item.status)) {
+          order.setItemStatus(item, ORDER_STATUS.READY);
+        }
+      });
       break;
     case ORDER_STATUS.SERVED:
       order.timestamps.served = new Date();
       order.servedBy = req.user._id;
+      order.items.forEach((item) => {
+        if (item.status !== ORDER_STATUS.CANCELLED) order.setItemStatus(item, ORDER_STATUS.SERVED);
+      });
       break;
     case ORDER_STATUS.CANCELLED:
       order.timestamps.cancelled = new Date();
+      // Cancelled orders don't count towards coupon usage
+      if (!wasCancelled && order.appliedDiscount?.discount) {
+        await releaseDiscount(order.appliedDiscount.discount);
+      }
       break;
   }
 
@@ -327,17 +501,92 @@ export const updateOrderStatus = asyncHandler(async (req, res) => {
 
   const io = req.app.get('io');
   io.of('/pos').emit('order:updated', updatedOrder);
+  broadcastOrderEtas(io, order.hotel);
 
   return successResponse(res, HTTP_STATUS.OK, 'Order status updated successfully', { order: updatedOrder });
 });
 
+/**
+ * Update Single Item Status (kitchen)
+ * PATCH /api/pos/orders/:id/items/:itemId/status
+ * Order status + timestamps are rolled up from the items.
+ */
+export const updateOrderItemStatus = asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+  const { status } = req.body;
+
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    if (!req.user.hotel || order.hotel.toString() !== req.user.hotel._id.toString()) {
+      throw new AppError('Access denied to update this order', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  if ([ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(order.status)) {
+    throw new AppError(`Cannot update items of a ${order.status} order`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const item = order.items.id(itemId);
+  if (!item) throw new AppError('Order item not found', HTTP_STATUS.NOT_FOUND);
+
+  if (item.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Cancelled item cannot be updated', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const previousOrderStatus = order.status;
+  order.setItemStatus(item, status);
+  order.rollUpItemStatus();
+
+  if (status === ORDER_STATUS.PREPARING && !order.preparedBy) order.preparedBy = req.user._id;
+  if (order.status === ORDER_STATUS.SERVED && previousOrderStatus !== ORDER_STATUS.SERVED) {
+    order.servedBy = req.user._id;
+  }
+
+  await order.save();
+
+  const itemPayload = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    orderType: order.orderType,
+    tableNumber: order.tableNumber || null,
+    itemId: item._id,
+    name: item.name,
+    variant: item.variant,
+    quantity: item.quantity,
+    status: item.status,
+    orderStatus: order.status,
+  };
+
+  const updatedOrder = await Order.findById(id)
+    .populate('hotel', 'name code address contact gst')
+    .populate('preparedBy', 'name')
+    .populate('servedBy', 'name');
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:item-updated', itemPayload);
+  if (item.status === ORDER_STATUS.READY) io.of('/pos').emit('order:item-ready', itemPayload);
+  io.of('/pos').emit('order:updated', updatedOrder);
+  if (order.isPublicOrder) {
+    io.of('/allinone').to(`order:${order.orderNumber}`).emit('order:item-updated', itemPayload);
+  }
+  broadcastOrderEtas(io, order.hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Item status updated successfully', {
+    item: itemPayload,
+    order: updatedOrder,
+  });
+});
+
 /**
  * Get Kitchen Orders
  * GET /api/pos/orders/kitchen
  */
 export const getKitchenOrders = asyncHandler(async (req, res) => {
   const { status, all } = req.query;
-  let query = { hotel: req.user.hotel._id };
+  // Scheduled orders show up once their KOTs are released
+  let query = { hotel: req.user.hotel._id, ...RELEASED_QUERY };
 
   if (all === 'true') {
     query.status = { $nin: ['cancelled', 'settled', 'completed'] };
@@ -378,7 +627,7 @@ export const checkoutOrder = asyncHandler(async (req, res) => {
     throw new AppError('Order payment is pending. Cannot checkout.', HTTP_STATUS.BAD_REQUEST);
   }
 
-  await deductInventoryForOrder(order, req.user);
+  if (!order.inventoryDeductedAt) await deductInventoryForOrder(order, req.user);
 
   order.status = ORDER_STATUS.COMPLETED;
   order.timestamps.completed = new Date();
@@ -390,45 +639,67 @@ export const checkoutOrder = asyncHandler(async (req, res) => {
   return successResponse(res, HTTP_STATUS.OK, 'Order checked out successfully', { order });
 });
 
-// ── Inventory deduction helper ──
-const deductInventoryForOrder = async (order, user) => {
-  for (const orderItem of order.items) {
-    const menuItem = await MenuItem.findById(orderItem.menuItem).populate('ingredients.inventoryItem');
-    if (!menuItem || !menuItem.ingredients) continue;
-
-    for (const ingredient of menuItem.ingredients) {
-      const inventoryItem = ingredient.inventoryItem;
-      if (!inventoryItem) continue;
+/**
+ * Waive / Restore Service Charge
+ * PATCH /api/pos/orders/:id/service-charge
+ * Body: { waived: true | false }
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const setServiceChargeWaiver = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { waived } = req.body;
 
-      const requiredQty = ingredient.quantity * orderItem.quantity;
+  if (typeof waived !== 'boolean') {
+    throw new AppError('waived must be true or false', HTTP_STATUS.BAD_REQUEST);
+  }
 
-      if (inventoryItem.quantity.current < requiredQty) {
-        throw new AppError(`Insufficient stock for ${inventoryItem.name}`, HTTP_STATUS.BAD_REQUEST);
-      }
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
 
-      const previousStock = inventoryItem.quantity.current;
-      inventoryItem.quantity.current -= requiredQty;
-      await inventoryItem.save();
-
-      await StockTransaction.create({
-        hotel: order.hotel,
-        inventoryItem: inventoryItem._id,
-        transactionType: 'sale',
-        quantity: requiredQty,
-        unit: inventoryItem.unit,
-        previousStock,
-        newStock: inventoryItem.quantity.current,
-        reference: { type: 'pos_order', id: order._id },
-        reason: `POS Order ${order.orderNumber}`,
-        performedBy: user._id,
-      });
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    if (!req.user.hotel || order.hotel.toString() !== req.user.hotel._id.toString()) {
+      throw new AppError('Access denied to update this order', HTTP_STATUS.FORBIDDEN);
     }
   }
-};
+
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Order is cancelled', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.payments.length > 0 || order.payment?.status === 'PAID') {
+    throw new AppError('Cannot change service charge after payment', HTTP_STATUS.BAD_REQUEST);
+  }
+  await assertOrderDayOpen(order);
+
+  const hotelDoc = await Hotel.findById(order.hotel);
+  if (!hotelDoc) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  order.serviceChargeWaived = waived;
+  await repriceOrder(order, hotelDoc);
+
+  // Unpaid splits no longer match the bill
+  if (order.splits.length > 0) {
+    order.splitType = null;
+    order.splits = [];
+  }
+
+  order.rollUpPayments();
+  await order.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    waived ? 'Service charge removed' : 'Service charge applied',
+    { order }
+  );
+});
 
 /**
  * Get Running Orders
  * GET /api/pos/orders/running
+ * Waiters only see orders for their tables (and ones they took).
  */
 export const getRunningOrders = asyncHandler(async (req, res) => {
   let assignedHotel;
@@ -436,12 +707,24 @@ export const getRunningOrders = asyncHandler(async (req, res) => {
     assignedHotel = req.user.hotel._id;
   }
 
-  const orders = await Order.find({
+  const query = {
     hotel: assignedHotel,
     status: {
       $in: [ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING, ORDER_STATUS.READY, ORDER_STATUS.SERVED],
     },
-  })
+  };
+
+  if (req.user.role === USER_ROLES.WAITER) {
+    const { tableNumbers } = await getWaiterTables(assignedHotel, req.user._id);
+    query.orderType = 'dine-in';
+    query.$or = [
+      { tableNumber: { $in: tableNumbers } },
+      { mergedTables: { $in: tableNumbers } },
+      { waiter: req.user._id },
+    ];
+  }
+
+  const orders = await Order.find(query)
     .populate('room', 'roomNumber')
     .populate('items.menuItem', 'name')
     .populate('createdBy', 'name')
@@ -453,19 +736,131 @@ export const getRunningOrders = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get Scheduled Orders
+ * GET /api/pos/orders/scheduled?date=2026-01-31&released=false
+ * Upcoming pre-orders by slot time (default: from now on).
+ */
+export const getScheduledOrders = asyncHandler(async (req, res) => {
+  const { date, released } = req.query;
+
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? req.query.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const query = {
+    hotel: hotelId,
+    status: { $ne: ORDER_STATUS.CANCELLED },
+    scheduledFor: { $gte: new Date() },
+  };
+
+  if (date) {
+    const dayStart = new Date(date);
+    if (isNaN(dayStart)) throw new AppError('Invalid date', HTTP_STATUS.BAD_REQUEST);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+    query.scheduledFor = { $gte: dayStart, $lte: dayEnd };
+  }
+  if (released === 'true') query.kotReleasedAt = { $ne: null };
+  if (released === 'false') query.kotReleasedAt = null;
+
+  const orders = await Order.find(query)
+    .select('orderNumber orderType status customer items.name items.quantity items.variant pricing payment scheduledFor kotReleaseAt kotReleasedAt isPublicOrder specialInstructions createdAt')
+    .populate('createdBy', 'name')
+    .sort({ scheduledFor: 1 });
+
+  return successResponse(res, HTTP_STATUS.OK, 'Scheduled orders fetched successfully', {
+    orders,
+    count: orders.length,
+  });
+});
+
+/**
+ * Release Scheduled Order Now
+ * POST /api/pos/orders/:id/release
+ * Sends a held pre-order's KOTs to the kitchen ahead of its release time.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const releaseOrderNow = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    req.user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== req.user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (!order.scheduledFor) {
+    throw new AppError('Order is not scheduled', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Cancelled order cannot be released', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const kots = await releaseScheduledOrder(order, { io: req.app.get('io'), releasedBy: req.user._id });
+  if (!kots) {
+    throw new AppError('Order has already been sent to the kitchen', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return successResponse(res, HTTP_STATUS.OK, 'Order sent to the kitchen', {
+    kots: kots.map((kot) => kot.toPrintData()),
+  });
+});
+
 export const getOrderInvoicePDF = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   const order = await Order.findById(id)
-    .populate('hotel', 'name address contact gst')
+    .populate('hotel', 'name address contact gst settings.serviceChargeRate settings.taxRate')
     .populate('items.menuItem', 'name price');
 
   if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
 
+  // ── Split bill: ?split=<splitId | splitNumber> prints just that share ──
+  let split = null;
+  if (req.query.split) {
+    split = order.splits.find(
+      (s) => s._id.toString() === req.query.split || String(s.splitNumber) === req.query.split
+    );
+    if (!split) throw new AppError('Split not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const pricing = split ? split.pricing : order.pricing;
+  const lines = split
+    ? split.items.map((line) => ({
+        name: line.name,
+        modifiers: order.items.id(line.orderItem)?.modifiers || [],
+        comboItems: order.items.id(line.orderItem)?.comboItems || [],
+        quantity: line.quantity,
+        price: line.price,
+        amount: line.amount,
+      }))
+    : order.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED).map((item) => ({
+        name: item.menuItem?.name || item.name || 'Unknown Item',
+        modifiers: item.modifiers || [],
+        comboItems: item.comboItems || [],
+        quantity: item.quantity,
+        price: item.price,
+        amount: item.quantity * item.price,
+      }));
+  const payment = split ? split.payment : order.payment;
+  const tenders = split
+    ? order.payments.filter((p) => p.split?.toString() === split._id.toString())
+    : order.payments;
+  const invoiceNo = split ? `${order.orderNumber}-${split.splitNumber}` : order.orderNumber;
+
   const doc = new PDFDocument({ size: 'A4', margin: 40, layout: 'portrait' });
 
   res.setHeader('Content-Type', 'application/pdf');
-  res.setHeader('Content-Disposition', `inline; filename=invoice-${order.orderNumber}.pdf`);
+  res.setHeader('Content-Disposition', `inline; filename=invoice-${invoiceNo}.pdf`);
   doc.pipe(res);
 
   const primaryColor = '#00ADB5';
@@ -478,12 +873,14 @@ export const getOrderInvoicePDF = asyncHandler(async (req, res) => {
   doc.text(`${order.hotel.address?.city || ''}, ${order.hotel.address?.state || ''} ${order.hotel.address?.pincode || ''}`, { align: 'center' });
   doc.moveDown(0.5);
   doc.fillColor(darkGray).fontSize(9).text(`Phone: ${order.hotel.contact?.phone || 'N/A'} | Email: ${order.hotel.contact?.email || 'N/A'}`, { align: 'center' });
+  if (order.hotel.gst?.number) doc.text(`GSTIN: ${order.hotel.gst.number}`, { align: 'center' });
   doc.moveDown(1);
 
   doc.fillColor(accentColor).fontSize(18).text('INVOICE', { align: 'center' });
   doc.moveDown(0.5);
   doc.fontSize(11).fillColor(darkGray);
-  doc.text(`Invoice No: ${order.orderNumber}`, 50, doc.y);
+  doc.text(`Invoice No: ${invoiceNo}`, 50, doc.y);
+  if (split) doc.text(`Split ${split.splitNumber} of ${order.splits.length} (${split.label})`, 50, doc.y);
   doc.text(`Date: ${new Date(order.createdAt).toLocaleDateString('en-IN')}`, 50, doc.y);
   doc.text(`Order Type: ${order.orderType.toUpperCase()}`, 50, doc.y);
   if (order.tableNumber) doc.text(`Table: ${order.tableNumber}`, 50, doc.y);
@@ -495,6 +892,8 @@ export const getOrderInvoicePDF = asyncHandler(async (req, res) => {
   doc.text(`Name: ${order.customer?.name || 'Guest'}`, 50, doc.y);
   if (order.customer?.phone) doc.text(`Phone: ${order.customer.phone}`, 50, doc.y);
   if (order.customer?.email) doc.text(`Email: ${order.customer.email}`, 50, doc.y);
+  if (order.customer?.gstin) doc.text(`GSTIN: ${order.customer.gstin}`, 50, doc.y);
+  if (order.placeOfSupply) doc.text(`Place of Supply: ${order.placeOfSupply}`, 50, doc.y);
   doc.moveDown(1.5);
 
   const tableTop = doc.y;
@@ -512,17 +911,38 @@ export const getOrderInvoicePDF = asyncHandler(async (req, res) => {
   doc.font('Helvetica').fontSize(10).fillColor(darkGray);
   let currentY = tableTop + 30;
 
-  order.items.forEach((item) => {
-    const itemName = item.menuItem?.name || 'Unknown Item';
+  lines.forEach((item) => {
     x = 50;
-    doc.text(itemName, x, currentY, { width: colWidths[0], align: 'left', lineBreak: true });
+    doc.text(item.name, x, currentY, { width: colWidths[0], align: 'left', lineBreak: true });
     x += colWidths[0];
     doc.text(item.quantity.toString(), x, currentY, { width: colWidths[1], align: 'center' });
     x += colWidths[1];
     doc.text(`₹${item.price.toFixed(2)}`, x, currentY, { width: colWidths[2], align: 'right' });
     x += colWidths[2];
-    doc.text(`₹${(item.quantity * item.price).toFixed(2)}`, x, currentY, { width: colWidths[3], align: 'right' });
+    doc.text(`₹${item.amount.toFixed(2)}`, x, currentY, { width: colWidths[3], align: 'right' });
     currentY += 25;
+
+    // Add-ons under the dish (unit price above already includes them)
+    if (item.modifiers.length > 0) {
+      doc.fontSize(8);
+      item.modifiers.forEach((m) => {
+        const delta = m.price ? ` (${m.price > 0 ? '+' : '-'}₹${Math.abs(m.price).toFixed(2)})` : '';
+        doc.text(`  + ${m.option}${delta}`, 50, currentY - 10, { width: colWidths[0] });
+        currentY += 11;
+      });
+      doc.fontSize(10);
+    }
+
+    // What's inside a combo (price above already includes any upgrades)
+    if (item.comboItems.length > 0) {
+      doc.fontSize(8);
+      item.comboItems.forEach((c) => {
+        const qty = c.quantity > 1 ? ` x${c.quantity}` : '';
+        doc.text(`  • ${c.name}${qty}`, 50, currentY - 10, { width: colWidths[0] });
+        currentY += 11;
+      });
+      doc.fontSize(10);
+    }
   });
 
   doc.moveDown(1);
@@ -532,41 +952,151 @@ export const getOrderInvoicePDF = asyncHandler(async (req, res) => {
   const totalsX = 350;
   doc.font('Helvetica').fontSize(11).fillColor(darkGray);
   doc.text('Subtotal:', totalsX, doc.y);
-  doc.text(`₹${order.pricing.subtotal.toFixed(2)}`, 450, doc.y, { align: 'right' });
+  doc.text(`₹${pricing.subtotal.toFixed(2)}`, 450, doc.y, { align: 'right' });
   doc.moveDown(0.5);
 
-  if (order.pricing.discount > 0) {
-    doc.text('Discount:', totalsX, doc.y);
-    doc.text(`-₹${order.pricing.discount.toFixed(2)}`, 450, doc.y, { align: 'right' });
+  if (pricing.discount > 0) {
+    const discountLabel = order.appliedDiscount?.code || order.appliedDiscount?.name;
+    doc.text(discountLabel ? `Discount (${discountLabel}):` : 'Discount:', totalsX, doc.y);
+    doc.text(`-₹${pricing.discount.toFixed(2)}`, 450, doc.y, { align: 'right' });
     doc.moveDown(0.5);
   }
 
   // ✅ Show packaging charge in PDF if present
-  if (order.pricing.extraChargesTotal > 0) {
-    order.extraCharges?.forEach((ec) => {
-      doc.text(`${ec.label}:`, totalsX, doc.y);
-      doc.text(`₹${ec.amount.toFixed(2)}`, 450, doc.y, { align: 'right' });
+  if (pricing.extraChargesTotal > 0) {
+    if (split) {
+      doc.text('Extra Charges:', totalsX, doc.y);
+      doc.text(`₹${pricing.extraChargesTotal.toFixed(2)}`, 450, doc.y, { align: 'right' });
       doc.moveDown(0.5);
-    });
+    } else {
+      order.extraCharges?.forEach((ec) => {
+        doc.text(`${ec.label}:`, totalsX, doc.y);
+        doc.text(`₹${ec.amount.toFixed(2)}`, 450, doc.y, { align: 'right' });
+        doc.moveDown(0.5);
+      });
+    }
   }
 
-  if (order.pricing.deliveryCharge > 0) {
+  if (pricing.serviceCharge > 0) {
+    const rate = order.hotel?.settings?.serviceChargeRate;
+    doc.text(rate ? `Service Charge (${rate}%):` : 'Service Charge:', totalsX, doc.y);
+    doc.text(`₹${pricing.serviceCharge.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    doc.moveDown(0.5);
+  }
+
+  if (pricing.deliveryCharge > 0) {
     doc.text('Delivery Charge:', totalsX, doc.y);
-    doc.text(`₹${order.pricing.deliveryCharge.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    doc.text(`₹${pricing.deliveryCharge.toFixed(2)}`, 450, doc.y, { align: 'right' });
     doc.moveDown(0.5);
   }
 
-  doc.text('GST (5%):', totalsX, doc.y);
-  doc.text(`₹${order.pricing.tax.toFixed(2)}`, 450, doc.y, { align: 'right' });
-  doc.moveDown(0.5);
+  // Tax-inclusive prices: back the GST out of the lines above, then show it
+  if (pricing.includedTax > 0) {
+    doc.text('Less: GST in prices:', totalsX, doc.y);
+    doc.text(`-₹${pricing.includedTax.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    doc.moveDown(0.5);
+  }
+
+  billTaxRows(order, split).forEach(([label, amount]) => {
+    doc.text(`${label}:`, totalsX, doc.y);
+    doc.text(`₹${amount.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    doc.moveDown(0.5);
+  });
+
+  if (pricing.roundOff) {
+    doc.text('Round Off:', totalsX, doc.y);
+    doc.text(`₹${pricing.roundOff.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    doc.moveDown(0.5);
+  }
 
   doc.font('Helvetica-Bold').fontSize(12).fillColor(primaryColor);
   doc.text('Grand Total:', totalsX, doc.y);
-  doc.text(`₹${order.pricing.total.toFixed(2)}`, 450, doc.y, { align: 'right' });
+  doc.text(`₹${pricing.total.toFixed(2)}`, 450, doc.y, { align: 'right' });
+
+  // ✅ Tenders received (multi-tender / partial payments)
+  if (tenders.length > 0) {
+    doc.moveDown(1);
+    doc.font('Helvetica').fontSize(10).fillColor(darkGray);
+    tenders.forEach((t) => {
+      const ref = t.upiTransactionId ? ` (Txn ${t.upiTransactionId})` : t.cardLast4 ? ` (XXXX ${t.cardLast4})` : '';
+      doc.text(`Paid by ${t.mode}${ref}:`, totalsX, doc.y);
+      doc.text(`₹${t.amount.toFixed(2)}`, 450, doc.y, { align: 'right' });
+      doc.moveDown(0.3);
+    });
+    const balance = Math.max(0, pricing.total - tenders.reduce((sum, t) => sum + t.amount, 0));
+    if (balance > 0) {
+      doc.text('Balance Due:', totalsX, doc.y);
+      doc.text(`₹${balance.toFixed(2)}`, 450, doc.y, { align: 'right' });
+    }
+  }
+
+  // ✅ HSN/SAC-wise tax summary (whole-order invoice)
+  const taxBreakdown = split ? [] : order.pricing.taxBreakdown || [];
+  if (taxBreakdown.length > 0) {
+    const interState = order.pricing.igst > 0;
+    const hsnHeaders = interState
+      ? ['HSN/SAC', 'Taxable', 'Rate', 'IGST', 'Total Tax']
+      : ['HSN/SAC', 'Taxable', 'Rate', 'CGST', 'SGST', 'Total Tax'];
+    const hsnWidth = 480 / hsnHeaders.length;
+
+    doc.moveDown(1.5);
+    doc.font('Helvetica-Bold').fontSize(9).fillColor(accentColor);
+    let rowY = doc.y;
+    hsnHeaders.forEach((header, i) => {
+      doc.text(header, 50 + i * hsnWidth, rowY, { width: hsnWidth, align: i === 0 ? 'left' : 'right' });
+    });
+    doc.font('Helvetica').fillColor(darkGray);
+    taxBreakdown.forEach((row) => {
+      rowY += 14;
+      const cells = interState
+        ? [row.hsnCode || '-', row.taxable.toFixed(2), `${row.rate}%`, row.igst.toFixed(2), row.tax.toFixed(2)]
+        : [row.hsnCode || '-', row.taxable.toFixed(2), `${row.rate}%`, row.cgst.toFixed(2), row.sgst.toFixed(2), row.tax.toFixed(2)];
+      cells.forEach((cell, i) => {
+        doc.text(cell, 50 + i * hsnWidth, rowY, { width: hsnWidth, align: i === 0 ? 'left' : 'right' });
+      });
+    });
+  }
 
   doc.moveDown(2);
   doc.fontSize(10).fillColor(darkGray).text('Thank you for dining with us!', 50, doc.y, { align: 'center' });
-  doc.text(`Payment Mode: ${order.payment?.mode || 'N/A'} • Status: ${order.payment?.status || 'Pending'}`, 50, doc.y + 15, { align: 'center' });
+  doc.text(`Payment Mode: ${payment?.mode || 'N/A'} • Status: ${payment?.status || 'Pending'}`, 50, doc.y + 15, { align: 'center' });
 
   doc.end();
-});
\ No newline at end of file
+});
+/**
+ * Bill for a Thermal Printer
+ * GET /api/pos/orders/:id/invoice/escpos?split=&format=escpos|text&width=58|80
+ * Same bill as the PDF invoice, as raw ESC/POS bytes or a plain-text preview.
+ * Paper width, logo, header/footer and GST details come from the hotel settings.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getOrderInvoiceEscPos = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.id)
+    .populate('hotel', 'name address contact gst settings')
+    .populate('room', 'roomNumber');
+
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    req.user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel._id.toString() !== req.user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  let split = null;
+  if (req.query.split) {
+    split = order.splits.find(
+      (s) => s._id.toString() === req.query.split || String(s.splitNumber) === req.query.split
+    );
+    if (!split) throw new AppError('Split not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const options = resolvePrintOptions(order.hotel, req.query);
+  const billNo = split ? `${order.orderNumber}-${split.splitNumber}` : order.orderNumber;
+
+  return sendReceipt(res, renderBill(order, { ...options, split }), {
+    format: options.format,
+    filename: `bill-${billNo}`,
+  });
+});
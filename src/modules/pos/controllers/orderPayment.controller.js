@@ -5,24 +5,21 @@ import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
 import { successResponse } from '../../../utils/responseHandler.js';
 import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
-import Table from '../../tables/models/Table.model.js';
+import { buildTenders, buildTip } from '../../../services/orderPayment.service.js';
+import { setTablesStatus, orderTableNumbers } from '../../../services/table.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
 
 /**
- * Mark Order as Paid
+ * Record Order Payment
  * PATCH /api/pos/orders/:id/payment
+ * Body: { mode } — pays the full balance in one tender
+ *   or  { payments: [{ mode, amount, tendered, upiTransactionId, cardLast4, reference }] }
+ *   plus optional tip: { amount, mode? } — recorded on the order, outside the bill total
+ * Partial payments keep the order PARTIAL with a running balance until fully paid.
  * Access: Super Admin, Hotel Admin, Manager, Cashier
  */
 export const markOrderPaid = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { mode } = req.body;
-
-  // 🔍 Validate payment mode
-  if (!['CASH', 'UPI', 'CARD'].includes(mode)) {
-    throw new AppError(
-      'Invalid payment mode. Must be CASH, UPI, or CARD',
-      HTTP_STATUS.BAD_REQUEST
-    );
-  }
 
   const order = await Order.findById(id);
 
@@ -54,45 +51,61 @@ export const markOrderPaid = asyncHandler(async (req, res) => {
     );
   }
 
-  // ✅ Mark payment
-  order.payment = {
-    mode,
-    status: 'PAID',
-    paidAt: new Date(),
-    paidBy: req.user._id,
-  };
+  // ❌ Split bills are settled split by split
+  if (order.splits?.length > 0) {
+    throw new AppError(
+      'Order is split. Settle each split separately',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  // 🔒 Closed business day (Z-report)
+  await assertOrderDayOpen(order);
+
+  // ✅ Record tenders against the running balance
+  const balanceDue = order.pricing.total - (order.payment?.paidAmount || 0);
+  const tenders = buildTenders(req.body, balanceDue, { receivedBy: req.user._id });
+  tenders.forEach((tender) => order.payments.push(tender));
+  order.rollUpPayments();
+
+  const tip = buildTip(req.body.tip, tenders, { receivedBy: req.user._id });
+  if (tip) order.addTip(tip);
+
+  const settled = order.payment.status === 'PAID';
 
   // ✅ Auto mark as served
   // order.status = ORDER_STATUS.SERVED;
   // order.timestamps.served = new Date();
-  order.servedBy = req.user._id;
+  if (settled) order.servedBy = req.user._id;
 
   await order.save();
 
-  if (order.orderType === 'dine-in' && order.tableNumber) {
-  const updatedTable = await Table.findOneAndUpdate(
-    { hotel: order.hotel, tableNumber: order.tableNumber },
-    { status: 'available' }, // Set back to available after payment
-    { new: true }
-  );
-  
-  // Notify frontend to update the table grid
-  const io = req.app.get('io');
-  io.of('/pos').emit('table:updated', updatedTable);
-}
+  // Free the table (and any tables merged into this bill) — emits table:updated
+  if (settled) {
+    await setTablesStatus(order.hotel, orderTableNumbers(order), 'available', req.app.get('io'));
+  }
 
   const populatedOrder = await Order.findById(order._id)
     .populate('hotel', 'name code')
-    .populate('servedBy', 'name email');
+    .populate('servedBy', 'name email')
+    .populate('payments.receivedBy', 'name');
 
   // 🔊 Emit socket event
   const io = req.app.get('io');
-  io.of('/pos').emit('order:paid', populatedOrder);
+  io.of('/pos').emit(settled ? 'order:paid' : 'order:payment-updated', populatedOrder);
 
   return successResponse(
     res,
     HTTP_STATUS.OK,
-    'Payment recorded successfully',
-    { order: populatedOrder }
+    settled ? 'Payment recorded successfully' : 'Partial payment recorded',
+    {
+      order: populatedOrder,
+      tenders,
+      paidAmount: order.payment.paidAmount,
+      balanceDue: order.payment.balanceDue,
+      change: tenders.reduce((sum, t) => sum + t.change, 0),
+      tip,
+      tipTotal: order.tipTotal,
+    }
   );
 });
\ No newline at end of file
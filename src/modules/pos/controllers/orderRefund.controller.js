@@ -0,0 +1,245 @@
+// backend/src/modules/pos/controllers/orderRefund.controller.js
+
+import Order from '../models/Order.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import CreditNote from '../../billing/models/CreditNote.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
+import { resolveApprover } from '../../../services/approval.service.js';
+import { restockOrderItem } from '../../../services/orderInventory.service.js';
+import { refundTaxPortion, splitRefundTax } from '../../../services/refund.service.js';
+import { assertDayOpen } from '../../../services/dayClose.service.js';
+import { calculateTaxBreakdown, hotelTaxRate } from '../../../services/gst.service.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Amount collected on the order (orders paid before tenders were tracked count as fully paid)
+const collectedAmount = (order) => {
+  if (order.payments.length > 0) return order.payment.paidAmount;
+  return order.payment?.status === 'PAID' || order.payment?.status === 'REFUNDED' ? order.pricing.total : 0;
+};
+
+// Lines' value after their share of the discount, at their own GST rates
+// (tax-inclusive lines included)
+const linesTax = (lines, discount, hotel) =>
+  calculateTaxBreakdown({
+    lines: lines.map(({ item, quantity }) => ({ subtotal: (item.subtotal / item.quantity) * quantity, tax: item.tax })),
+    discount,
+    defaultRate: hotelTaxRate(hotel),
+  });
+
+// Amount and GST of an item refund: the lines priced at their own rates plus
+// their share of the bill's charges (and the tax on them)
+const priceItemRefund = async (order, lines) => {
+  const hotel = await Hotel.findById(order.hotel).select('settings');
+  const p = order.pricing;
+  const lineValue = ({ item, quantity }) => (item.subtotal / item.quantity) * quantity;
+
+  const billed = order.items
+    .filter((item) => item.status !== ORDER_STATUS.CANCELLED)
+    .map((item) => ({ item, quantity: item.quantity }));
+  const bill = linesTax(billed, p.discount || 0, hotel);
+
+  const value = lines.reduce((sum, line) => sum + lineValue(line), 0);
+  const share = p.subtotal > 0 ? value / p.subtotal : 0;
+  const refunded = linesTax(lines, round2((p.discount || 0) * share), hotel);
+
+  const charges = Math.max(0, p.total - bill.taxable - bill.tax);
+  const chargesTax = Math.max(0, p.tax - bill.tax);
+  return {
+    amount: round2(refunded.taxable + refunded.tax + charges * share),
+    tax: round2(refunded.tax + chargesTax * share),
+  };
+};
+
+/**
+ * Refund a Paid Order (full, by items, or a fixed amount)
+ * POST /api/pos/orders/:id/refund
+ * Body: {
+ *   reason, refundMode: CASH|UPI|CARD, reference?,
+ *   items?: [{ itemId, quantity? }],  // refund these lines, priced like the bill
+ *   amount?,                           // fixed amount (goodwill) or override for items
+ *   restock?,                          // put refunded lines back into inventory
+ *   approval?: { email, password }     // required unless a manager is logged in
+ * }
+ * No items and no amount refunds everything still refundable.
+ * Bills from a closed day can still be refunded: the credit note is booked on
+ * today's business day, which must be open.
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const refundOrder = asyncHandler(async (req, res) => {
+  const { items = [], amount, reason, reference = '', restock = false, approval } = req.body;
+  const refundMode = req.body.refundMode.toUpperCase();
+
+  const order = await Order.findById(req.params.id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    req.user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== req.user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  const collected = collectedAmount(order);
+  if (collected <= 0) {
+    throw new AppError('Only paid orders can be refunded', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const refundable = round2(collected - order.refundedAmount);
+  if (refundable <= 0) {
+    throw new AppError('Order is already fully refunded', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertDayOpen(order.hotel);
+
+  const approver = await resolveApprover(req.user, approval, order.hotel);
+
+  // ── Lines being refunded ──
+  let lines = [];
+  if (items.length > 0) {
+    lines = items.map(({ itemId, quantity }) => {
+      const item = order.items.id(itemId);
+      if (!item) throw new AppError('Order item not found', HTTP_STATUS.NOT_FOUND);
+      if (item.status === ORDER_STATUS.CANCELLED) {
+        throw new AppError(`${item.name} was voided and never charged`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const remaining = item.quantity - item.refundedQuantity;
+      const qty = quantity ?? remaining;
+      if (qty < 1 || qty > remaining) {
+        throw new AppError(`Only ${remaining} of ${item.name} can be refunded`, HTTP_STATUS.BAD_REQUEST);
+      }
+      return { item, quantity: qty };
+    });
+  } else if (amount === undefined) {
+    lines = order.items
+      .filter((item) => item.status !== ORDER_STATUS.CANCELLED && item.quantity > item.refundedQuantity)
+      .map((item) => ({ item, quantity: item.quantity - item.refundedQuantity }));
+  }
+
+  // ── Amount: explicit, or the lines priced like the bill (discount, charges and tax included) ──
+  const itemRefund = items.length > 0 ? await priceItemRefund(order, lines) : null;
+  let refundAmount;
+  if (amount !== undefined) {
+    refundAmount = round2(amount);
+    if (refundAmount > refundable) {
+      throw new AppError(`Refund exceeds refundable balance of ₹${refundable}`, HTTP_STATUS.BAD_REQUEST);
+    }
+  } else if (itemRefund) {
+    refundAmount = Math.min(itemRefund.amount, refundable);
+  } else {
+    refundAmount = refundable;
+  }
+
+  if (refundAmount <= 0) {
+    throw new AppError('Refund amount must be greater than 0', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Item refunds carry their own lines' GST; plain amounts go at the bill's ratio
+  const tax = itemRefund
+    ? refundTaxPortion(refundAmount, itemRefund.amount, itemRefund.tax)
+    : refundTaxPortion(refundAmount, order.pricing.total, order.pricing.tax);
+
+  // ── Credit note ──
+  const creditNote = new CreditNote({
+    hotel: order.hotel,
+    sourceType: 'order',
+    order: order._id,
+    originalInvoiceNumber: order.invoiceNumber || order.orderNumber,
+    customer: { name: order.customer?.name || '', phone: order.customer?.phone || '' },
+    lines: lines.length > 0
+      ? lines.map(({ item, quantity }) => ({
+          description: `${item.name}${item.variant ? ` (${item.variant})` : ''}`,
+          quantity,
+          rate: item.price,
+          amount: item.price * quantity,
+        }))
+      : [{ description: `Refund against ${order.orderNumber}`, quantity: 1, rate: refundAmount, amount: refundAmount }],
+    amounts: {
+      taxable: round2(refundAmount - tax),
+      tax,
+      ...splitRefundTax(tax, order.pricing.igst > 0),
+      total: refundAmount,
+    },
+    reason,
+    refund: { mode: refundMode, reference },
+    issuedBy: req.user._id,
+    approvedBy: approver._id,
+  });
+  await creditNote.save();
+
+  // ── Record on the order ──
+  lines.forEach(({ item, quantity }) => {
+    item.refundedQuantity += quantity;
+  });
+  order.refunds.push({
+    creditNote: creditNote._id,
+    amount: refundAmount,
+    tax,
+    mode: refundMode,
+    reference,
+    reason,
+    items: lines.map(({ item, quantity }) => ({ orderItem: item._id, name: item.name, quantity })),
+    restocked: false,
+    refundedBy: req.user._id,
+    approvedBy: approver._id,
+  });
+  order.refundedAmount = round2(order.refundedAmount + refundAmount);
+
+  if (order.payments.length > 0) {
+    order.rollUpPayments();
+  } else if (order.refundedAmount >= collected) {
+    order.payment.status = 'REFUNDED';
+  }
+
+  // A note the order doesn't record would show in GST reports and allow a second refund
+  try {
+    await order.save();
+  } catch (error) {
+    await CreditNote.deleteOne({ _id: creditNote._id });
+    throw error;
+  }
+
+  const refund = order.refunds[order.refunds.length - 1];
+
+  // ── Optional stock return (only if checkout already deducted it), once the refund is recorded ──
+  let restockedCount = 0;
+  if (restock) {
+    for (const { item, quantity } of lines) {
+      const transactions = await restockOrderItem(
+        order,
+        item,
+        quantity,
+        req.user,
+        `Refund ${creditNote.creditNoteNumber}: ${quantity} x ${item.name}`
+      );
+      restockedCount += transactions.length;
+    }
+  }
+  if (restockedCount > 0) {
+    creditNote.restocked = true;
+    refund.restocked = true;
+    await creditNote.save();
+    await Order.updateOne({ _id: order._id, 'refunds._id': refund._id }, { $set: { 'refunds.$.restocked': true } });
+  }
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:refunded', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    creditNoteNumber: creditNote.creditNoteNumber,
+    amount: refundAmount,
+    refundedAmount: order.refundedAmount,
+    paymentStatus: order.payment.status,
+  });
+
+  return successResponse(res, HTTP_STATUS.OK, 'Order refunded successfully', {
+    order,
+    refund,
+    creditNote,
+    refundableBalance: round2(collected - order.refundedAmount),
+  });
+});
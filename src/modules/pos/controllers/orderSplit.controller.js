@@ -0,0 +1,329 @@
+// src/modules/pos/controllers/orderSplit.controller.js
+
+import Order from '../models/Order.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
+import { buildTenders, buildTip } from '../../../services/orderPayment.service.js';
+import { setTablesStatus, orderTableNumbers } from '../../../services/table.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
+import { calculateTaxBreakdown, hotelTaxRate } from '../../../services/gst.service.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ── Load order + hotel authorization ──
+const loadOrder = async (id, user) => {
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  return order;
+};
+
+const activeItems = (order) => order.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED);
+
+// Split line for (part of) an order item, priced from the line's own subtotal
+const splitLine = (item, quantity) => ({
+  orderItem: item._id,
+  name: item.name,
+  variant: item.variant || null,
+  quantity: round2(quantity),
+  price: item.price,
+  amount: round2((item.subtotal / item.quantity) * quantity),
+});
+
+// ── Split by selected items (quantities may be divided across splits) ──
+const buildItemSplits = (order, splits) => {
+  const remaining = new Map(activeItems(order).map((item) => [item._id.toString(), item.quantity]));
+
+  const result = splits.map((split, index) => ({
+    label: split.label?.trim() || `Split ${index + 1}`,
+    items: split.items.map((line) => {
+      const item = order.items.id(line.itemId);
+      if (!item || item.status === ORDER_STATUS.CANCELLED) {
+        throw new AppError(`Order item not found: ${line.itemId}`, HTTP_STATUS.NOT_FOUND);
+      }
+
+      const quantity = line.quantity !== undefined ? Number(line.quantity) : item.quantity;
+      const left = remaining.get(item._id.toString()) - quantity;
+      if (left < -0.001) {
+        throw new AppError(`Split quantity of "${item.name}" exceeds the ordered quantity`, HTTP_STATUS.BAD_REQUEST);
+      }
+      remaining.set(item._id.toString(), left);
+
+      return splitLine(item, quantity);
+    }),
+  }));
+
+  const unassigned = activeItems(order).filter((item) => remaining.get(item._id.toString()) > 0.001);
+  if (unassigned.length > 0) {
+    throw new AppError(
+      `Every item must be assigned to a split. Unassigned: ${unassigned.map((i) => i.name).join(', ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return result;
+};
+
+// ── Split by seats (items without a seat are shared equally) ──
+const buildSeatSplits = (order, splits) => {
+  const seatOwner = new Map();
+  splits.forEach((split, index) => {
+    split.seats.forEach((seat) => {
+      if (seatOwner.has(seat)) {
+        throw new AppError(`Seat ${seat} is in more than one split`, HTTP_STATUS.BAD_REQUEST);
+      }
+      seatOwner.set(seat, index);
+    });
+  });
+
+  const result = splits.map((split) => ({
+    label: split.label?.trim() || `Seat ${split.seats.join(', ')}`,
+    seats: split.seats,
+    items: [],
+  }));
+
+  activeItems(order).forEach((item) => {
+    if (item.seatNumber) {
+      const index = seatOwner.get(item.seatNumber);
+      if (index === undefined) {
+        throw new AppError(`Seat ${item.seatNumber} ("${item.name}") is not in any split`, HTTP_STATUS.BAD_REQUEST);
+      }
+      result[index].items.push(splitLine(item, item.quantity));
+    } else {
+      result.forEach((split) => split.items.push(splitLine(item, item.quantity / result.length)));
+    }
+  });
+
+  const empty = result.find((split) => split.items.length === 0);
+  if (empty) throw new AppError(`${empty.label} has no items`, HTTP_STATUS.BAD_REQUEST);
+
+  return result;
+};
+
+// ── Split into N equal shares ──
+const buildEqualSplits = (order, parts) =>
+  Array.from({ length: parts }, (_, index) => ({
+    label: `Share ${index + 1} of ${parts}`,
+    items: activeItems(order).map((item) => splitLine(item, item.quantity / parts)),
+  }));
+
+// ── Price each split: GST from its own lines, order charges by subtotal share ──
+// Lines keep their own rate and tax-inclusive flag, so a split only pays the
+// tax on what it holds. Discount and charges are spread by the split's share
+// of the subtotal, the last split absorbing the remainder; each split is
+// rounded to the rupee and the last one makes the totals add up to the order.
+const priceSplits = (order, splits, hotel) => {
+  const p = order.pricing;
+  const keys = ['subtotal', 'discount', 'extraChargesTotal', 'serviceCharge', 'deliveryCharge'];
+  const allocated = { subtotal: 0, discount: 0, extraChargesTotal: 0, serviceCharge: 0, deliveryCharge: 0, total: 0 };
+  const serviceChargeTaxable = hotel.settings?.serviceChargeTaxable !== false;
+
+  return splits.map((split, index) => {
+    const isLast = index === splits.length - 1;
+    const lineTotal = split.items.reduce((sum, line) => sum + line.amount, 0);
+    const share = p.subtotal > 0 ? lineTotal / p.subtotal : 1 / splits.length;
+
+    const pricing = {};
+    keys.forEach((key) => {
+      pricing[key] = isLast
+        ? Math.max(0, round2((p[key] || 0) - allocated[key]))
+        : round2((p[key] || 0) * share);
+      allocated[key] += pricing[key];
+    });
+
+    const gst = calculateTaxBreakdown({
+      lines: split.items.map((line) => ({ subtotal: line.amount, tax: order.items.id(line.orderItem)?.tax })),
+      discount: pricing.discount,
+      charges: pricing.extraChargesTotal + (serviceChargeTaxable ? pricing.serviceCharge : 0),
+      defaultRate: hotelTaxRate(hotel),
+      defaultHsn: hotel.settings?.defaultSacCode || '',
+      interState: p.igst > 0,
+    });
+    Object.assign(pricing, {
+      tax: gst.tax,
+      cgst: gst.cgst,
+      sgst: gst.sgst,
+      igst: gst.igst,
+      includedTax: gst.includedTax,
+      taxBreakdown: gst.taxBreakdown,
+    });
+
+    // Tax already inside tax-inclusive prices isn't added again
+    const raw = pricing.subtotal - pricing.discount + pricing.extraChargesTotal + pricing.serviceCharge
+      + pricing.deliveryCharge + pricing.tax - pricing.includedTax;
+    pricing.total = isLast ? Math.max(0, round2(p.total - allocated.total)) : Math.round(raw);
+    pricing.roundOff = round2(pricing.total - raw);
+    allocated.total += pricing.total;
+
+    return {
+      splitNumber: index + 1,
+      ...split,
+      pricing,
+      payment: { status: 'UNPAID' },
+    };
+  });
+};
+
+/**
+ * Split Order Bill
+ * POST /api/pos/orders/:id/split
+ * Body:
+ *   { type: 'items', splits: [{ label, items: [{ itemId, quantity }] }] }
+ *   { type: 'seats', splits: [{ label, seats: [1, 2] }] }
+ *   { type: 'equal', parts: 3 }
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const splitOrder = asyncHandler(async (req, res) => {
+  const { type, parts, splits } = req.body;
+
+  const order = await loadOrder(req.params.id, req.user);
+
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Cancelled order cannot be split', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (order.payment?.status === 'PAID') {
+    throw new AppError('Order is already paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (order.payments.length > 0) {
+    throw new AppError('Order already has payments and cannot be re-split', HTTP_STATUS.CONFLICT);
+  }
+
+  await assertOrderDayOpen(order);
+
+  let draft;
+  if (type === 'items') draft = buildItemSplits(order, splits);
+  else if (type === 'seats') draft = buildSeatSplits(order, splits);
+  else draft = buildEqualSplits(order, parts);
+
+  const hotel = await Hotel.findById(order.hotel);
+
+  order.splitType = type;
+  order.splits = priceSplits(order, draft, hotel);
+  await order.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Order split successfully', {
+    orderId: order._id,
+    splitType: order.splitType,
+    splits: order.splits,
+  });
+});
+
+/**
+ * Remove Split (merge back into a single bill)
+ * DELETE /api/pos/orders/:id/split
+ */
+export const removeOrderSplit = asyncHandler(async (req, res) => {
+  const order = await loadOrder(req.params.id, req.user);
+
+  if (order.splits.length === 0) {
+    throw new AppError('Order is not split', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (order.payments.length > 0) {
+    throw new AppError('Cannot remove split after a split has been paid', HTTP_STATUS.CONFLICT);
+  }
+
+  await assertOrderDayOpen(order);
+
+  order.splitType = null;
+  order.splits = [];
+  await order.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Split removed successfully', { order });
+});
+
+/**
+ * Pay a Single Split
+ * PATCH /api/pos/orders/:id/splits/:splitId/payment
+ * Body: { mode } or { payments: [{ mode, amount, tendered, upiTransactionId, cardLast4, reference }] }
+ *   plus optional tip: { amount, mode? }
+ * Tenders go into Order.payments; the parent order is PAID once every split is settled.
+ */
+export const payOrderSplit = asyncHandler(async (req, res) => {
+  const { splitId } = req.params;
+
+  const order = await loadOrder(req.params.id, req.user);
+
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Cancelled order cannot be paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const split = order.splits.id(splitId);
+  if (!split) throw new AppError('Split not found', HTTP_STATUS.NOT_FOUND);
+
+  if (split.payment?.status === 'PAID') {
+    throw new AppError('Split is already paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertOrderDayOpen(order);
+
+  const tenders = buildTenders(req.body, round2(split.pricing.total - (split.payment?.paidAmount || 0)), {
+    receivedBy: req.user._id,
+    split: split._id,
+  });
+  tenders.forEach((tender) => order.payments.push(tender));
+
+  const tip = buildTip(req.body.tip, tenders, { receivedBy: req.user._id, split: split._id });
+  if (tip) order.addTip(tip);
+
+  // ── Split summary from its own tenders ──
+  const splitTenders = order.payments.filter((p) => p.split?.toString() === split._id.toString());
+  const paidAmount = round2(splitTenders.reduce((sum, p) => sum + p.amount, 0));
+  const modes = [...new Set(splitTenders.map((p) => p.mode))];
+  const splitPaid = paidAmount >= split.pricing.total;
+  split.payment = {
+    mode: modes.length > 1 ? 'MIXED' : modes[0],
+    status: splitPaid ? 'PAID' : 'PARTIAL',
+    paidAmount,
+    paidAt: splitPaid ? new Date() : undefined,
+    paidBy: splitPaid ? req.user._id : undefined,
+  };
+
+  // ✅ Split totals add up to the order total, so the parent settles with the last split
+  order.rollUpPayments();
+  const settled = order.payment.status === 'PAID';
+  if (settled) order.servedBy = req.user._id;
+
+  await order.save();
+
+  const io = req.app.get('io');
+
+  if (settled) {
+    await setTablesStatus(order.hotel, orderTableNumbers(order), 'available', io);
+  }
+
+  io.of('/pos').emit('order:split-paid', { orderId: order._id, split });
+  if (settled) io.of('/pos').emit('order:paid', order);
+
+  let message = 'Split payment recorded successfully';
+  if (!splitPaid) message = 'Partial split payment recorded';
+  if (settled) message = 'All splits paid. Order settled.';
+
+  return successResponse(res, HTTP_STATUS.OK, message, {
+    split,
+    tenders,
+    tip,
+    splitBalanceDue: Math.max(0, round2(split.pricing.total - paidAmount)),
+    settled,
+    pendingSplits: order.splits.filter((s) => s.payment?.status !== 'PAID').length,
+    order,
+  });
+});
@@ -0,0 +1,161 @@
+// backend/src/modules/pos/controllers/orderVoid.controller.js
+
+import Order from '../models/Order.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
+import { repriceOrder } from '../../../services/orderPricing.service.js';
+import { releaseDiscount } from '../../../services/discount.service.js';
+import { restockOrderItem } from '../../../services/orderInventory.service.js';
+import { resolveApprover } from '../../../services/approval.service.js';
+import { broadcastOrderEtas } from '../../../services/eta.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
+
+/**
+ * Void Order Item (whole line or part of it)
+ * POST /api/pos/orders/:id/items/:itemId/void
+ * Body: { reasonCode, note?, quantity?, approval?: { email, password } }
+ * Managers approve their own voids; other staff need manager approval once the
+ * kitchen has started the dish or the order has taken payment.
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const voidOrderItem = asyncHandler(async (req, res) => {
+  const { id, itemId } = req.params;
+  const { reasonCode, note = '', approval } = req.body;
+
+  const order = await Order.findById(id);
+  if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    req.user.role !== USER_ROLES.SUPER_ADMIN &&
+    order.hotel.toString() !== req.user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (order.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Order is already cancelled', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const item = order.items.id(itemId);
+  if (!item) throw new AppError('Order item not found', HTTP_STATUS.NOT_FOUND);
+  if (item.status === ORDER_STATUS.CANCELLED) {
+    throw new AppError('Item is already voided', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Refunded units are settled through their credit note, not voided
+  const voidable = item.quantity - item.refundedQuantity;
+  const quantity = req.body.quantity ?? voidable;
+  if (quantity < 1 || quantity > voidable) {
+    throw new AppError(`Only ${voidable} of ${item.name} can be voided`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (order.payments.some((p) => p.split)) {
+    throw new AppError('Cannot void items after a split bill has been paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertOrderDayOpen(order);
+
+  // ── Approval ──
+  const wasPrepared = item.status !== ORDER_STATUS.PENDING;
+  const approver = await resolveApprover(req.user, approval, order.hotel, {
+    required: wasPrepared || order.payments.length > 0 || order.payment?.status === 'PAID',
+  });
+
+  const voidInfo = {
+    reasonCode,
+    note,
+    amount: item.price * quantity,
+    wasPrepared,
+    voidedBy: req.user._id,
+    approvedBy: approver?._id || null,
+    voidedAt: new Date(),
+  };
+
+  // ── Partial void keeps the rest of the line and adds a cancelled copy ──
+  let voidedLine = item;
+  if (quantity < item.quantity) {
+    item.quantity -= quantity;
+    item.subtotal = item.price * item.quantity;
+
+    const { _id, ...copy } = item.toObject();
+    order.items.push({
+      ...copy,
+      quantity,
+      subtotal: item.price * quantity,
+      status: ORDER_STATUS.CANCELLED,
+      voidInfo,
+    });
+    voidedLine = order.items[order.items.length - 1];
+  } else {
+    item.status = ORDER_STATUS.CANCELLED;
+    item.voidInfo = voidInfo;
+  }
+
+  // Unpaid splits no longer match the bill
+  if (order.splits.length > 0) {
+    order.splitType = null;
+    order.splits = [];
+  }
+
+  // ── Nothing left → the whole order is cancelled ──
+  const hasActiveItems = order.items.some((line) => line.status !== ORDER_STATUS.CANCELLED);
+  if (!hasActiveItems) {
+    order.status = ORDER_STATUS.CANCELLED;
+    order.timestamps.cancelled = new Date();
+  }
+
+  const hotel = await Hotel.findById(order.hotel);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  await repriceOrder(order, hotel);
+  order.rollUpPayments();
+  order.rollUpItemStatus();
+  await order.save();
+
+  // Coupon use is given back only once the cancellation is saved
+  if (!hasActiveItems && order.appliedDiscount?.discount) await releaseDiscount(order.appliedDiscount.discount);
+
+  // ── Stock already deducted at checkout goes back (after the save, so a failed void restocks nothing) ──
+  const restocked = await restockOrderItem(
+    order,
+    voidedLine,
+    quantity,
+    req.user,
+    `Void ${order.orderNumber}: ${quantity} x ${item.name} (${reasonCode})`
+  );
+
+  // Anything already collected above the new total has to be refunded
+  const refundDue = Math.max(0, Math.round(((order.payment?.paidAmount || 0) - order.pricing.total) * 100) / 100);
+
+  const payload = {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    tableNumber: order.tableNumber || null,
+    itemId: voidedLine._id,
+    orderItem: item._id,
+    name: item.name,
+    variant: item.variant,
+    quantity,
+    reasonCode,
+    wasPrepared,
+    orderStatus: order.status,
+  };
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('order:item-voided', payload);
+  io.of('/pos').emit('order:updated', order);
+  if (order.isPublicOrder) {
+    io.of('/allinone').to(`order:${order.orderNumber}`).emit('order:item-voided', payload);
+  }
+  broadcastOrderEtas(io, order.hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Item voided successfully', {
+    order,
+    voided: payload,
+    restockedTransactions: restocked.length,
+    refundDue,
+  });
+});
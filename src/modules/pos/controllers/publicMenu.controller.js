@@ -3,12 +3,13 @@
 import Hotel from '../../hotels/models/Hotel.model.js';
 import MenuCategory from '../models/MenuCategory.model.js';
 import MenuItem from '../models/MenuItem.model.js';
-import Table from '../../tables/models/Table.model.js';
 import Room from '../../rooms/models/Room.model.js';
 import { successResponse } from '../../../utils/responseHandler.js';
 import { HTTP_STATUS } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
+import { findFreeTables } from '../../../services/reservation.service.js';
+import { resolveDeliveryZone } from '../../../services/delivery.service.js';
 
 /**
  * 🌍 PUBLIC: Get All Active Hotels/Restaurants
@@ -143,7 +144,8 @@ export const getPublicMenu = asyncHandler(async (req, res) => {
         isActive: true,
         isAvailable: true, // Only show available items
       })
-        .select('name description price variants type cuisine spicyLevel preparationTime tags images')
+        .select('name description price variants modifierGroups isCombo comboSlots type cuisine spicyLevel preparationTime tags images')
+        .populate('comboSlots.options.menuItem', 'name type images')
         .sort({ displayOrder: 1, name: 1 });
 
       return {
@@ -247,7 +249,8 @@ export const getPublicCategoryItems = asyncHandler(async (req, res) => {
     isActive: true,
     isAvailable: true,
   })
-    .select('name description price variants type cuisine spicyLevel preparationTime tags images')
+    .select('name description price variants modifierGroups isCombo comboSlots type cuisine spicyLevel preparationTime tags images')
+    .populate('comboSlots.options.menuItem', 'name type images')
     .sort({ displayOrder: 1, name: 1 });
 
   return successResponse(
@@ -268,7 +271,9 @@ export const getPublicCategoryItems = asyncHandler(async (req, res) => {
 
 /**
  * 🌍 PUBLIC: Get Available Tables
- * GET /api/public/:hotelCode/tables/available
+ * GET /api/public/:hotelCode/tables/available?at=&partySize=
+ * Free for a full reservation slot from `at` (default: now) — tables
+ * with a reservation coming up in that slot are left out.
  * Access: Public (No Auth Required)
  */
 export const getAvailableTables = asyncHandler(async (req, res) => {
@@ -284,13 +289,17 @@ export const getAvailableTables = asyncHandler(async (req, res) => {
     throw new AppError('Hotel not found or inactive', HTTP_STATUS.NOT_FOUND);
   }
 
-  // Get only available tables
-  const tables = await Table.find({
-    hotel: hotel._id,
-    status: 'available',
-  })
-    .select('tableNumber capacity status')
-    .sort({ tableNumber: 1 });
+  const start = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(start)) {
+    throw new AppError('Invalid time', HTTP_STATUS.BAD_REQUEST);
+  }
+  const partySize = parseInt(req.query.partySize) || 1;
+
+  // Free now and not promised to an upcoming reservation
+  const free = await findFreeTables(hotel, { start, partySize });
+  const tables = free
+    .map(({ _id, tableNumber, capacity, status }) => ({ _id, tableNumber, capacity, status }))
+    .sort((a, b) => a.tableNumber.localeCompare(b.tableNumber));
 
   return successResponse(
     res,
@@ -335,6 +344,60 @@ export const getAvailableRooms = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * 🌍 PUBLIC: Check Delivery To An Address
+ * GET /api/public/:hotelCode/delivery/check?pincode=110001  or  ?lat=28.61&lng=77.21
+ * Answers 400 with the reason when the address can't be served.
+ * Access: Public (No Auth Required)
+ */
+export const checkDeliveryArea = asyncHandler(async (req, res) => {
+  const { hotelCode } = req.params;
+  const { pincode, lat, lng } = req.query;
+
+  const hotel = await Hotel.findOne({
+    code: hotelCode.toUpperCase(),
+    status: 'active',
+  });
+
+  if (!hotel) {
+    throw new AppError('Hotel not found or inactive', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!hotel.settings.deliveryEnabled) {
+    throw new AppError('This restaurant does not deliver', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (pincode && !/^[0-9]{6}$/.test(pincode)) {
+    throw new AppError('Please enter a valid 6-digit pincode', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const location = lat !== undefined && lng !== undefined
+    ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+    : undefined;
+  if (location && (isNaN(location.lat) || isNaN(location.lng))) {
+    throw new AppError('Invalid location', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const match = resolveDeliveryZone(hotel, { pincode, location });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'We deliver to this address',
+    {
+      deliverable: true,
+      zone: match
+        ? {
+          name: match.zone.name,
+          charge: match.zone.charge,
+          minOrder: match.zone.minOrder,
+          freeDeliveryAbove: match.zone.freeDeliveryAbove,
+          distanceKm: match.distanceKm,
+        }
+        : null,
+    }
+  );
+});
+
 /**
  * 🌍 PUBLIC: Get Single Menu Item Details
  * GET /api/public/:hotelCode/items/:itemId
@@ -358,8 +421,9 @@ export const getPublicMenuItem = asyncHandler(async (req, res) => {
     hotel: hotel._id,
     isActive: true,
   })
-    .select('name description price variants type cuisine spicyLevel preparationTime tags images allergens')
-    .populate('category', 'name description');
+    .select('name description price variants modifierGroups isCombo comboSlots type cuisine spicyLevel preparationTime tags images allergens')
+    .populate('category', 'name description')
+    .populate('comboSlots.options.menuItem', 'name type images');
 
   if (!menuItem) {
     throw new AppError('Menu item not found', HTTP_STATUS.NOT_FOUND);
@@ -6,9 +6,29 @@ import MenuItem from '../models/MenuItem.model.js';
 import Table from '../../tables/models/Table.model.js';
 import Room from '../../rooms/models/Room.model.js';
 import { successResponse } from '../../../utils/responseHandler.js';
-import { HTTP_STATUS, ORDER_STATUS } from '../../../config/constants.js';
+import { HTTP_STATUS, ORDER_STATUS, DELIVERY_STATUS } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
+import { createKOTsForOrder } from '../../../services/kot.service.js';
+import { calculateOrderPricing } from '../../../services/orderPricing.service.js';
+import { applyLineTaxes, hotelTaxRate, resolvePlaceOfSupply } from '../../../services/gst.service.js';
+import { resolveModifiers } from '../../../services/menuModifier.service.js';
+import { resolveComboSelections } from '../../../services/combo.service.js';
+import { findRedeemableDiscount, calculateDiscount, redeemDiscount, releaseDiscount } from '../../../services/discount.service.js';
+import { estimateOrderEta, broadcastOrderEtas } from '../../../services/eta.service.js';
+import { findClosedDay } from '../../../services/dayClose.service.js';
+import {
+  resolveDeliveryZone,
+  assertZoneMinimum,
+  zoneSnapshot,
+  publicDeliveryInfo,
+} from '../../../services/delivery.service.js';
+import {
+  validateScheduledFor,
+  releaseScheduledOrder,
+  isAwaitingRelease,
+  scheduleLabel,
+} from '../../../services/scheduledOrder.service.js';
 // import PushSubscription from '../models/PushSubscription.model.js';
 // import { sendPushToAll } from '../../../services/push.service.js';
 
@@ -28,18 +48,28 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
     customer,
     items,
     specialInstructions,
+    couponCode,
+    scheduledFor,
   } = req.body;
 
   // ── 1. Validate Hotel ──
   const hotel = await Hotel.findOne({ code: hotelCode.toUpperCase(), status: 'active' });
   if (!hotel) throw new AppError('Hotel not found or inactive', HTTP_STATUS.NOT_FOUND);
 
+  // Day already closed (Z-report) — no more orders today
+  if (await findClosedDay(hotel._id)) {
+    throw new AppError('The restaurant has closed for the day. Please order again tomorrow', HTTP_STATUS.BAD_REQUEST);
+  }
+
   // ── 2. Validate Order Type ──
   const validOrderTypes = ['dine-in', 'room-service', 'takeaway', 'delivery'];
   if (!validOrderTypes.includes(orderType)) {
     throw new AppError(`Invalid order type. Must be one of: ${validOrderTypes.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
   }
 
+  // ── 2.5 Pre-order slot (opening hours, notice period) ──
+  const schedule = scheduledFor ? validateScheduledFor(hotel, scheduledFor, orderType) : null;
+
   // ── 3. Validate Customer ──
   if (!customer || !customer.name || !customer.phone) {
     throw new AppError('Customer name and phone are required', HTTP_STATUS.BAD_REQUEST);
@@ -67,10 +97,26 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
     }
   }
 
+  let deliveryZone = null;
+  let deliveryLocation;
   if (orderType === 'delivery') {
     if (!customer.address || customer.address.trim().length < 10) {
       throw new AppError('Delivery address is required and must be at least 10 characters', HTTP_STATUS.BAD_REQUEST);
     }
+    if (customer.pincode && !/^[0-9]{6}$/.test(customer.pincode)) {
+      throw new AppError('Please enter a valid 6-digit pincode', HTTP_STATUS.BAD_REQUEST);
+    }
+    if (customer.location) {
+      const lat = Number(customer.location.lat);
+      const lng = Number(customer.location.lng);
+      if (!(Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+        throw new AppError('Invalid delivery location', HTTP_STATUS.BAD_REQUEST);
+      }
+      deliveryLocation = { lat, lng };
+    }
+
+    // Undeliverable addresses are turned away before anything is priced or saved
+    deliveryZone = resolveDeliveryZone(hotel, { pincode: customer.pincode, location: deliveryLocation });
   }
 
   // ── 5. Validate Items ──
@@ -94,6 +140,19 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
       if (variantData?.price) itemPrice = variantData.price;
     }
 
+    // Add-ons (extra cheese, no onion ...) priced from the menu, never from the client
+    if (item.modifiers != null && !Array.isArray(item.modifiers)) {
+      throw new AppError('Item modifiers must be an array', HTTP_STATUS.BAD_REQUEST);
+    }
+    const { modifiers, modifiersTotal } = resolveModifiers(menuItem, item.modifiers);
+
+    // Combo choices (pick 1 of 3 curries ...) with their upcharges
+    if (item.comboSelections != null && !Array.isArray(item.comboSelections)) {
+      throw new AppError('Combo selections must be an array', HTTP_STATUS.BAD_REQUEST);
+    }
+    const { components, comboTotal } = await resolveComboSelections(menuItem, item.comboSelections);
+    itemPrice = Math.max(0, itemPrice + modifiersTotal + comboTotal);
+
     const itemSubtotal = itemPrice * item.quantity;
     subtotal += itemSubtotal;
 
@@ -101,6 +160,8 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
       menuItem: menuItem._id,
       name: menuItem.name,
       variant: item.variant || null,
+      modifiers,
+      comboItems: components,
       quantity: item.quantity,
       price: itemPrice,
       subtotal: itemSubtotal,
@@ -109,56 +170,81 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
     });
   }
 
-  // ── 7. Auto-calculate delivery charge ──
-  const autoDeliveryCharge =
-    orderType === 'delivery' ? hotel.calcDeliveryCharge(subtotal) : 0;
+  // ── 6.1 GST per line (guests order as consumers, supplied in the hotel's state) ──
+  await applyLineTaxes(orderItems, hotel);
+  const { placeOfSupply } = resolvePlaceOfSupply(hotel);
 
-  // ── 8. Auto-calculate packaging charge ──
-  const packagingCharge = hotel.calcPackagingCharge(orderType, subtotal);
+  // ── 6.2 Zone minimum order ──
+  assertZoneMinimum(deliveryZone?.zone, subtotal);
 
-  const extraCharges = [];
-  if (packagingCharge > 0) {
-    extraCharges.push({ label: 'Packaging', amount: packagingCharge });
+  // ── 6.5 Coupon code ──
+  let coupon = null;
+  let appliedDiscount;
+  if (couponCode) {
+    coupon = await findRedeemableDiscount({ hotelId: hotel._id, code: couponCode, isPublic: true });
+    ({ applied: appliedDiscount } = await calculateDiscount(coupon, {
+      items: orderItems,
+      orderType,
+      customerPhone: customer.phone,
+    }));
   }
-  const extraChargesTotal = extraCharges.reduce((sum, c) => sum + c.amount, 0);
 
-  // ── 9. Calculate pricing ──
-  const taxRate = hotel.settings?.taxRate || 5;
-  const tax = Math.ceil(((subtotal + extraChargesTotal) * taxRate) / 100);
-  const total = subtotal + extraChargesTotal + tax + autoDeliveryCharge;
-
-  // ── 10. Create Order ──
-  const order = await Order.create({
-    hotel: hotel._id,
+  // ── 7-9. Packaging, delivery charge & tax from hotel settings ──
+  const { extraCharges, packagingCharge, pricing } = calculateOrderPricing({
+    hotel,
     orderType,
-    tableNumber: orderType === 'dine-in' ? tableNumber : undefined,
-    room:
-      orderType === 'room-service'
-        ? (await Room.findOne({ hotel: hotel._id, roomNumber: roomNumber.toUpperCase() }))?._id
-        : undefined,
-    customer: {
-      name: customer.name.trim(),
-      phone: customer.phone,
-      email: customer.email?.trim() || '',
-      address: customer.address?.trim() || '',
-    },
     items: orderItems,
-    extraCharges,
-    pricing: {
-      subtotal,
-      discount: 0,
-      tax,
-      deliveryCharge: autoDeliveryCharge,
-      extraChargesTotal,
-      total,
-    },
-    status: ORDER_STATUS.PENDING,
-    payment: { status: 'UNPAID' },
-    specialInstructions: specialInstructions || '',
-    timestamps: { placed: new Date() },
-    isPublicOrder: true,
-    createdBy: null,
+    taxRate: hotelTaxRate(hotel),
+    discount: appliedDiscount?.amount || 0,
+    deliveryZone: deliveryZone?.zone,
   });
+  const { deliveryCharge: autoDeliveryCharge, tax, total } = pricing;
+
+  // ── 10. Create Order ──
+  if (coupon) await redeemDiscount(coupon._id);
+  let order;
+  try {
+    order = await Order.create({
+      hotel: hotel._id,
+      orderType,
+      tableNumber: orderType === 'dine-in' ? tableNumber : undefined,
+      room:
+        orderType === 'room-service'
+          ? (await Room.findOne({ hotel: hotel._id, roomNumber: roomNumber.toUpperCase() }))?._id
+          : undefined,
+      customer: {
+        name: customer.name.trim(),
+        phone: customer.phone,
+        email: customer.email?.trim() || '',
+        address: customer.address?.trim() || '',
+        pincode: orderType === 'delivery' ? customer.pincode || undefined : undefined,
+        location: deliveryLocation,
+      },
+      ...(deliveryZone && { delivery: { zone: zoneSnapshot(deliveryZone) } }),
+      items: orderItems,
+      extraCharges,
+      pricing,
+      placeOfSupply,
+      appliedDiscount,
+      status: ORDER_STATUS.PENDING,
+      payment: { status: 'UNPAID' },
+      specialInstructions: specialInstructions || '',
+      timestamps: { placed: new Date() },
+      isPublicOrder: true,
+      createdBy: null,
+      ...schedule,
+    });
+  } catch (error) {
+    if (coupon) await releaseDiscount(coupon._id);
+    throw error;
+  }
+
+  // ── 10.5 Send KOTs to kitchen stations (pre-orders wait for their release time) ──
+  if (!schedule) {
+    await createKOTsForOrder(order, { io: req.app.get('io') });
+  } else if (schedule.kotReleaseAt <= new Date()) {
+    await releaseScheduledOrder(order, { io: req.app.get('io') });
+  }
 
   // ── 11. Update table status if dine-in ──
   if (orderType === 'dine-in' && tableNumber) {
@@ -222,6 +308,10 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
     io.of('/pos').emit('order:new-public', populatedOrder);
   }
 
+  // ── 12.5 ETA (a new order pushes back everyone queued behind it) ──
+  const eta = schedule ? null : await estimateOrderEta(order);
+  if (!schedule) broadcastOrderEtas(io, hotel._id);
+
   // ── 13. Response ──
   return successResponse(res, HTTP_STATUS.CREATED, 'Order placed successfully! Waiting for cashier approval.', {
     order: {
@@ -232,6 +322,8 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
       items: order.items.map((item) => ({
         name: item.name,
         variant: item.variant,
+        modifiers: item.modifiers.map((m) => ({ group: m.group, option: m.option, price: m.price })),
+        comboItems: item.comboItems.map((c) => ({ slot: c.slot, name: c.name, quantity: c.quantity })),
         quantity: item.quantity,
         price: item.price,
         subtotal: item.subtotal,
@@ -239,12 +331,17 @@ export const placePublicOrder = asyncHandler(async (req, res) => {
       pricing: order.pricing,
       chargesBreakdown: {
         subtotal,
+        ...(pricing.discount > 0 && { discount: pricing.discount, couponCode: appliedDiscount.code }),
         ...(packagingCharge > 0 && { packagingCharge }),
+        ...(pricing.serviceCharge > 0 && { serviceCharge: pricing.serviceCharge }),
         ...(autoDeliveryCharge > 0 && { deliveryCharge: autoDeliveryCharge }),
+        ...(deliveryZone && { deliveryZone: deliveryZone.zone.name }),
         tax,
         total,
       },
-      estimatedTime: '15-30 minutes',
+      scheduledFor: order.scheduledFor,
+      estimatedTime: schedule ? `Scheduled for ${scheduleLabel(hotel, order.scheduledFor)}` : eta.label,
+      eta,
     },
   });
 });
@@ -265,14 +362,29 @@ export const trackPublicOrder = asyncHandler(async (req, res) => {
     isPublicOrder: true,
   })
     .populate('items.menuItem', 'name images preparationTime')
+    .populate('delivery.rider', 'name phone')
     .select('-createdBy -preparedBy -servedBy -notes');
 
   if (!order) throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
 
-  let estimatedTime = 'Processing...';
-  if (order.status === ORDER_STATUS.PREPARING) estimatedTime = '10-15 minutes';
-  else if (order.status === ORDER_STATUS.READY) estimatedTime = 'Ready for pickup/delivery';
-  else if (order.status === ORDER_STATUS.SERVED) estimatedTime = 'Completed';
+  const delivery = publicDeliveryInfo(order);
+
+  let estimatedTime = 'Completed';
+  let eta = null;
+  if (isAwaitingRelease(order) && order.status === ORDER_STATUS.PENDING) {
+    estimatedTime = `Scheduled for ${scheduleLabel(hotel, order.scheduledFor)}`;
+  } else if ([ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING].includes(order.status)) {
+    eta = await estimateOrderEta(order);
+    estimatedTime = eta.label;
+  } else if (order.status === ORDER_STATUS.CANCELLED) estimatedTime = 'Cancelled';
+  else if (delivery) {
+    estimatedTime = {
+      [DELIVERY_STATUS.READY_FOR_PICKUP]: 'Waiting for a delivery partner',
+      [DELIVERY_STATUS.OUT_FOR_DELIVERY]: 'Out for delivery',
+      [DELIVERY_STATUS.DELIVERED]: 'Delivered',
+      [DELIVERY_STATUS.FAILED]: 'Delivery attempt failed',
+    }[delivery.status] || estimatedTime;
+  } else if (order.status === ORDER_STATUS.READY) estimatedTime = 'Ready for pickup/delivery';
 
   return successResponse(res, HTTP_STATUS.OK, 'Order details fetched successfully', {
     order: {
@@ -285,7 +397,10 @@ export const trackPublicOrder = asyncHandler(async (req, res) => {
       extraCharges: order.extraCharges,
       specialInstructions: order.specialInstructions,
       timestamps: order.timestamps,
+      scheduledFor: order.scheduledFor,
       estimatedTime,
+      eta,
+      delivery,
     },
   });
 });
\ No newline at end of file
@@ -0,0 +1,315 @@
+// backend/src/modules/pos/controllers/shift.controller.js
+
+import CashierShift from '../models/CashierShift.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
+import {
+  HTTP_STATUS,
+  USER_ROLES,
+  PAGINATION,
+  SHIFT_STATUS,
+} from '../../../config/constants.js';
+import {
+  TENDER_MODES,
+  buildShiftSummary,
+  buildShiftReport,
+  calculateVariance,
+} from '../../../services/cashierShift.service.js';
+import { renderShiftReport, resolvePrintOptions, sendReceipt } from '../../../services/thermalPrint.service.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const resolveHotelId = (req, source) => {
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? source.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+  return hotelId;
+};
+
+// Cashiers only see their own drawer; managers and admins the whole hotel
+const loadShift = async (id, user) => {
+  const shift = await CashierShift.findById(id)
+    .populate('cashier', 'name email')
+    .populate('closedBy', 'name');
+  if (!shift) throw new AppError('Shift not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    shift.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  if (user.role === USER_ROLES.CASHIER && shift.cashier._id.toString() !== user._id.toString()) {
+    throw new AppError('This shift belongs to another cashier', HTTP_STATUS.FORBIDDEN);
+  }
+  return shift;
+};
+
+const assertOpen = (shift) => {
+  if (shift.status !== SHIFT_STATUS.OPEN) {
+    throw new AppError('Shift is already closed', HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+// Live totals while open, the figures frozen at close afterwards
+const shiftSummary = (shift) => shift.summary || buildShiftSummary(shift);
+
+/**
+ * OPEN SHIFT
+ * POST /api/pos/shifts/open
+ * Body: { counter, openingFloat, notes }
+ * Starts a cash drawer session for the logged-in user.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const openShift = asyncHandler(async (req, res) => {
+  const { counter, openingFloat, notes } = req.body;
+  const hotelId = resolveHotelId(req, req.body);
+
+  const busy = await CashierShift.findOne({
+    hotel: hotelId,
+    status: SHIFT_STATUS.OPEN,
+    $or: [{ cashier: req.user._id }, { counter: counter.trim() }],
+  });
+  if (busy) {
+    const message = busy.cashier.toString() === req.user._id.toString()
+      ? `You already have an open shift (${busy.shiftNumber}) at ${busy.counter}`
+      : `${busy.counter} already has an open shift (${busy.shiftNumber})`;
+    throw new AppError(message, HTTP_STATUS.CONFLICT);
+  }
+
+  let shift;
+  try {
+    shift = await CashierShift.create({
+      hotel: hotelId,
+      counter,
+      cashier: req.user._id,
+      openingFloat: round2(openingFloat),
+      openedBy: req.user._id,
+      openingNotes: notes?.trim() || '',
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('A shift was just opened for this cashier or counter', HTTP_STATUS.CONFLICT);
+    }
+    throw error;
+  }
+  await shift.populate('cashier', 'name email');
+
+  req.app.get('io').of('/pos').emit('shift:opened', shift);
+
+  return successResponse(res, HTTP_STATUS.CREATED, 'Shift opened successfully', { shift });
+});
+
+/**
+ * GET MY CURRENT SHIFT
+ * GET /api/pos/shifts/current
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getCurrentShift = asyncHandler(async (req, res) => {
+  const hotelId = resolveHotelId(req, req.query);
+
+  const shift = await CashierShift.findOne({
+    hotel: hotelId,
+    cashier: req.user._id,
+    status: SHIFT_STATUS.OPEN,
+  }).populate('cashier', 'name email');
+
+  if (!shift) {
+    return successResponse(res, HTTP_STATUS.OK, 'No open shift', { shift: null, summary: null });
+  }
+
+  const summary = await buildShiftSummary(shift);
+  return successResponse(res, HTTP_STATUS.OK, 'Current shift fetched successfully', { shift, summary });
+});
+
+/**
+ * GET SHIFTS
+ * GET /api/pos/shifts?status=open&cashier=&counter=&startDate=&endDate=&page=&limit=
+ * Cashiers only see their own shifts.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getShifts = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    cashier,
+    counter,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const query = { hotel: resolveHotelId(req, req.query) };
+
+  if (req.user.role === USER_ROLES.CASHIER) query.cashier = req.user._id;
+  else if (cashier) query.cashier = cashier;
+
+  if (status) {
+    if (!Object.values(SHIFT_STATUS).includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${Object.values(SHIFT_STATUS).join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    query.status = status;
+  }
+  if (counter) query.counter = counter;
+
+  if (startDate || endDate) {
+    query.openedAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      start.setHours(0, 0, 0, 0);
+      query.openedAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      query.openedAt.$lte = end;
+    }
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [shifts, total] = await Promise.all([
+    CashierShift.find(query)
+      .select('-summary -cashMovements')
+      .populate('cashier', 'name')
+      .sort({ openedAt: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    CashierShift.countDocuments(query),
+  ]);
+
+  return paginatedResponse(res, shifts, pageNum, limitNum, total, 'Shifts fetched successfully');
+});
+
+/**
+ * GET SHIFT
+ * GET /api/pos/shifts/:id
+ * Access: Hotel Admin, Manager, Cashier (own)
+ */
+export const getShiftById = asyncHandler(async (req, res) => {
+  const shift = await loadShift(req.params.id, req.user);
+  const summary = await shiftSummary(shift);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Shift fetched successfully', { shift, summary });
+});
+
+/**
+ * PAY-IN / PAY-OUT
+ * POST /api/pos/shifts/:id/cash-movements
+ * Body: { type: 'pay_in' | 'pay_out', amount, reason }
+ * Access: Hotel Admin, Manager, Cashier (own)
+ */
+export const addCashMovement = asyncHandler(async (req, res) => {
+  const { type, amount, reason } = req.body;
+
+  const shift = await loadShift(req.params.id, req.user);
+  assertOpen(shift);
+
+  shift.cashMovements.push({
+    type,
+    amount: round2(amount),
+    reason: reason.trim(),
+    recordedBy: req.user._id,
+    recordedAt: new Date(),
+  });
+  await shift.save();
+
+  return successResponse(res, HTTP_STATUS.CREATED, 'Cash movement recorded', {
+    movement: shift.cashMovements[shift.cashMovements.length - 1],
+    netCashMovement: round2(shift.netCashMovement()),
+  });
+});
+
+/**
+ * SHIFT REPORT
+ * GET /api/pos/shifts/:id/report?format=json|escpos|text&width=58|80
+ * X-report while the shift is open (nothing is closed), shift close report after.
+ * Access: Hotel Admin, Manager, Cashier (own)
+ */
+export const getShiftReport = asyncHandler(async (req, res) => {
+  const shift = await loadShift(req.params.id, req.user);
+  const summary = await shiftSummary(shift);
+  const report = { ...buildShiftReport(shift, summary), printedBy: req.user.name };
+
+  if (!req.query.format || req.query.format === 'json') {
+    return successResponse(res, HTTP_STATUS.OK, `${report.title} generated`, { report, summary });
+  }
+
+  const hotel = await Hotel.findById(shift.hotel).select('name settings');
+  const options = resolvePrintOptions(hotel, req.query);
+
+  return sendReceipt(res, renderShiftReport(report, hotel, options), {
+    format: options.format,
+    filename: `${shift.status === SHIFT_STATUS.OPEN ? 'x-report' : 'shift'}-${shift.shiftNumber}`,
+  });
+});
+
+/**
+ * CLOSE SHIFT
+ * POST /api/pos/shifts/:id/close
+ * Body: { declared: { CASH, UPI, CARD }, denominations: [{ value, count }], notes }
+ * Cash counted is `declared.CASH`, or the sum of the denominations. UPI / card
+ * totals from the terminal slips are optional.
+ * Access: Hotel Admin, Manager, Cashier (own)
+ */
+export const closeShift = asyncHandler(async (req, res) => {
+  const { declared = {}, denominations = [], notes } = req.body;
+
+  const shift = await loadShift(req.params.id, req.user);
+  assertOpen(shift);
+
+  const closedAt = new Date();
+  const summary = await buildShiftSummary(shift, closedAt);
+
+  const counted = Object.fromEntries(
+    TENDER_MODES.map((mode) => [mode, declared[mode] == null ? null : round2(Number(declared[mode]))])
+  );
+  if (counted.CASH == null) {
+    counted.CASH = round2(denominations.reduce((sum, d) => sum + d.value * d.count, 0));
+  }
+
+  // Claim the close so two devices can't close the same drawer
+  const claimed = await CashierShift.findOneAndUpdate(
+    { _id: shift._id, status: SHIFT_STATUS.OPEN },
+    {
+      status: SHIFT_STATUS.CLOSED,
+      closedAt,
+      closedBy: req.user._id,
+      closingNotes: notes?.trim() || '',
+      denominations,
+      expected: summary.expected,
+      declared: counted,
+      variance: calculateVariance(summary.expected, counted),
+      summary,
+    },
+    { new: true }
+  )
+    .populate('cashier', 'name email')
+    .populate('closedBy', 'name');
+
+  if (!claimed) throw new AppError('Shift is already closed', HTTP_STATUS.CONFLICT);
+
+  const report = { ...buildShiftReport(claimed, summary), printedBy: req.user.name };
+
+  req.app.get('io').of('/pos').emit('shift:closed', {
+    shiftId: claimed._id,
+    shiftNumber: claimed.shiftNumber,
+    counter: claimed.counter,
+    cashier: claimed.cashier,
+    variance: claimed.variance,
+  });
+
+  return successResponse(res, HTTP_STATUS.OK, 'Shift closed successfully', { shift: claimed, report });
+});
@@ -0,0 +1,82 @@
+// backend/src/modules/pos/controllers/sync.controller.js
+
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES } from '../../../config/constants.js';
+import { buildSyncSnapshot, syncOfflineOrders } from '../../../services/offlineSync.service.js';
+
+const loadHotel = async (req, source) => {
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? source.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotel = await Hotel.findById(hotelId);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+  return hotel;
+};
+
+/**
+ * GET OFFLINE SNAPSHOT
+ * GET /api/pos/sync/snapshot?version=<last version>
+ * Menu, tables and tax settings for billing offline. When the terminal's
+ * version is still current only `{ version, changed: false }` is returned.
+ * Access: Hotel Admin, Manager, Cashier, Waiter
+ */
+export const getSyncSnapshot = asyncHandler(async (req, res) => {
+  const hotel = await loadHotel(req, req.query);
+  const { version, snapshot } = await buildSyncSnapshot(hotel);
+
+  if (req.query.version === version) {
+    return successResponse(res, HTTP_STATUS.OK, 'Snapshot is up to date', { version, changed: false });
+  }
+
+  return successResponse(res, HTTP_STATUS.OK, 'Snapshot fetched successfully', {
+    version,
+    changed: true,
+    generatedAt: new Date(),
+    snapshot,
+  });
+});
+
+/**
+ * PUSH OFFLINE ORDERS
+ * POST /api/pos/sync/orders
+ * Body: { terminalId, snapshotVersion?, orders: [{ clientOrderId, placedAt, orderType,
+ *   tableNumber, customer, items, extraCharges, payment, served, kotPrinted, clientTotal }] }
+ * Orders are priced on the server and de-duplicated by clientOrderId; each one
+ * gets its own result (created / duplicate / rejected / failed) with conflicts.
+ * Access: Hotel Admin, Manager, Cashier, Waiter
+ */
+export const pushOfflineOrders = asyncHandler(async (req, res) => {
+  const { terminalId, snapshotVersion, orders } = req.body;
+  const hotel = await loadHotel(req, req.body);
+
+  const results = await syncOfflineOrders(hotel, orders, {
+    user: req.user,
+    terminalId,
+    snapshotVersion,
+    io: req.app.get('io'),
+  });
+
+  const summary = results.reduce(
+    (acc, r) => ({ ...acc, [r.status]: acc[r.status] + 1 }),
+    { created: 0, duplicate: 0, rejected: 0, failed: 0 }
+  );
+
+  // Tell the terminal to re-download if it billed from an old menu
+  const { version } = await buildSyncSnapshot(hotel);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Offline orders synced', {
+    terminalId,
+    summary,
+    results,
+    snapshot: { version, stale: Boolean(snapshotVersion) && snapshotVersion !== version },
+  });
+});
@@ -0,0 +1,170 @@
+// backend/src/modules/pos/models/CashierShift.model.js
+
+import mongoose from 'mongoose';
+import Counter from './Counter.model.js';
+import { SHIFT_STATUS, CASH_MOVEMENT_TYPES } from '../../../config/constants.js';
+
+// Amount per tender mode (null = not declared)
+const tenderAmountsSchema = new mongoose.Schema(
+  {
+    CASH: { type: Number, default: null },
+    UPI: { type: Number, default: null },
+    CARD: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// Cash put into or taken out of the drawer that isn't a sale (change top-up, petty expenses)
+const cashMovementSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.values(CASH_MOVEMENT_TYPES),
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// One cashier at one counter, from opening float to cash count.
+// Takings are the tenders the cashier received between openedAt and closedAt.
+const cashierShiftSchema = new mongoose.Schema(
+  {
+    shiftNumber: {
+      type: String,
+      uppercase: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    // Till / counter name, e.g. "Main Counter"
+    counter: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    cashier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(SHIFT_STATUS),
+      default: SHIFT_STATUS.OPEN,
+    },
+    openingFloat: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    openedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    openedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    openingNotes: {
+      type: String,
+      maxlength: 300,
+      default: '',
+    },
+    cashMovements: {
+      type: [cashMovementSchema],
+      default: [],
+    },
+    // ── Set on close ──
+    closedAt: {
+      type: Date,
+      default: null,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    closingNotes: {
+      type: String,
+      maxlength: 300,
+      default: '',
+    },
+    // Notes / coins counted, e.g. [{ value: 500, count: 4 }]
+    denominations: [
+      {
+        _id: false,
+        value: { type: Number, required: true, min: 0 },
+        count: { type: Number, required: true, min: 0 },
+      },
+    ],
+    expected: { type: tenderAmountsSchema, default: null },
+    declared: { type: tenderAmountsSchema, default: null },
+    // declared - expected (negative = short)
+    variance: { type: tenderAmountsSchema, default: null },
+    // Shift totals frozen at close (see buildShiftSummary)
+    summary: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cashierShiftSchema.index({ hotel: 1, status: 1, openedAt: -1 });
+cashierShiftSchema.index({ hotel: 1, cashier: 1, openedAt: -1 });
+cashierShiftSchema.index({ hotel: 1, shiftNumber: 1 }, { unique: true, sparse: true });
+// A cashier runs one drawer at a time, and a counter has one open drawer
+cashierShiftSchema.index(
+  { hotel: 1, cashier: 1 },
+  { unique: true, partialFilterExpression: { status: SHIFT_STATUS.OPEN }, name: 'one_open_shift_per_cashier' }
+);
+cashierShiftSchema.index(
+  { hotel: 1, counter: 1 },
+  { unique: true, partialFilterExpression: { status: SHIFT_STATUS.OPEN }, name: 'one_open_shift_per_counter' }
+);
+
+cashierShiftSchema.pre('save', async function () {
+  if (!this.shiftNumber) {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'cashier-shift' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.shiftNumber = `SH-${counter.seq.toString().padStart(4, '0')}`;
+  }
+});
+
+// Net cash moved in (+) / out (-) of the drawer
+cashierShiftSchema.methods.netCashMovement = function () {
+  return this.cashMovements.reduce(
+    (sum, m) => sum + (m.type === CASH_MOVEMENT_TYPES.PAY_IN ? m.amount : -m.amount),
+    0
+  );
+};
+
+const CashierShift = mongoose.model('CashierShift', cashierShiftSchema);
+
+export default CashierShift;
@@ -0,0 +1,140 @@
+// backend/src/modules/pos/models/Discount.model.js
+
+import mongoose from 'mongoose';
+
+// Discount rule — with a `code` it works as a coupon, without one the
+// cashier picks it from the POS discount list
+const discountSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: [true, 'Hotel is required'],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Discount name is required'],
+      trim: true,
+      maxlength: [100, 'Discount name cannot exceed 100 characters'],
+    },
+    code: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      default: null,
+    },
+    description: {
+      type: String,
+      maxlength: [200, 'Description cannot exceed 200 characters'],
+      default: '',
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: true,
+    },
+    value: {
+      type: Number,
+      required: [true, 'Discount value is required'],
+      min: [0, 'Discount value cannot be negative'],
+    },
+    // Cap for percentage discounts (null = no cap)
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null,
+    },
+    // What the discount applies to
+    scope: {
+      type: String,
+      enum: ['order', 'items', 'categories'],
+      default: 'order',
+    },
+    menuItems: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuItem',
+      },
+    ],
+    categories: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'MenuCategory',
+      },
+    ],
+    // Empty = every order type
+    orderTypes: [
+      {
+        type: String,
+        enum: ['dine-in', 'room-service', 'takeaway', 'delivery'],
+      },
+    ],
+    minOrderValue: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      default: null,
+    },
+    validTo: {
+      type: Date,
+      default: null,
+    },
+    // Total redemptions allowed (null = unlimited)
+    maxUses: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    usedCount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Redemptions per customer phone (null = unlimited)
+    perCustomerLimit: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    // Coupon can be used on the public ordering site
+    allowOnline: {
+      type: Boolean,
+      default: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Coupon codes are unique within a hotel
+discountSchema.index(
+  { hotel: 1, code: 1 },
+  { unique: true, partialFilterExpression: { code: { $type: 'string' } } }
+);
+
+// Method to check active flag, validity window and usage cap
+discountSchema.methods.isRedeemable = function (at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.validFrom && at < this.validFrom) return false;
+  if (this.validTo && at > this.validTo) return false;
+  if (this.maxUses != null && this.usedCount >= this.maxUses) return false;
+  return true;
+};
+
+const Discount = mongoose.model('Discount', discountSchema);
+
+export default Discount;
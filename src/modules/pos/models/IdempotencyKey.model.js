@@ -0,0 +1,53 @@
+// backend/src/modules/pos/models/IdempotencyKey.model.js
+
+import mongoose from 'mongoose';
+
+// A request made with an Idempotency-Key header and the response it produced,
+// replayed when the client retries with the same key
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      default: null,
+    },
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    method: { type: String, required: true },
+    path: { type: String, required: true },
+    // sha256 of method + path + body
+    fingerprint: { type: String, required: true },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing',
+    },
+    response: {
+      statusCode: { type: Number, default: null },
+      body: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+idempotencyKeySchema.index({ hotel: 1, key: 1 }, { unique: true });
+// MongoDB drops keys once the retention window has passed
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+export default IdempotencyKey;
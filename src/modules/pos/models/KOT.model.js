@@ -0,0 +1,193 @@
+// backend/src/modules/pos/models/KOT.model.js
+
+import mongoose from 'mongoose';
+import { KITCHEN_STATIONS } from '../../../config/constants.js';
+import Counter from './Counter.model.js';
+
+const kotSchema = new mongoose.Schema(
+  {
+    kotNumber: {
+      type: String,
+      uppercase: true,
+    },
+    // Per-hotel running sequence (KOT0001, KOT0002 ...)
+    sequence: {
+      type: Number,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    orderNumber: {
+      type: String,
+      uppercase: true,
+    },
+    station: {
+      type: String,
+      enum: Object.values(KITCHEN_STATIONS),
+      default: KITCHEN_STATIONS.MAIN,
+      index: true,
+    },
+    orderType: {
+      type: String,
+      enum: ['dine-in', 'room-service', 'takeaway', 'delivery'],
+    },
+    tableNumber: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      default: null,
+    },
+    customerName: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    items: [
+      {
+        // _id of the line inside Order.items
+        orderItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+        menuItem: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'MenuItem',
+          required: true,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        variant: {
+          type: String,
+          default: null,
+        },
+        // Add-on names, e.g. ['Extra cheese', 'No onion']
+        modifiers: [{ type: String }],
+        // Combo this component belongs to (e.g. 'Veg Thali'), null for normal lines
+        comboOf: {
+          type: String,
+          default: null,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        specialInstructions: {
+          type: String,
+          default: '',
+        },
+      },
+    ],
+    specialInstructions: {
+      type: String,
+      maxlength: 500,
+      default: '',
+    },
+    // true for follow-up rounds appended to a running order
+    isAddon: {
+      type: Boolean,
+      default: false,
+    },
+    // Number of times the ticket has been printed (first print + reprints)
+    printCount: {
+      type: Number,
+      default: 1,
+      min: 0,
+    },
+    reprints: [
+      {
+        reprintedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        reprintedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        reason: {
+          type: String,
+          maxlength: 200,
+          default: '',
+        },
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+kotSchema.index({ hotel: 1, kotNumber: 1 }, { unique: true, sparse: true });
+kotSchema.index({ hotel: 1, station: 1, createdAt: -1 });
+
+// Per-hotel KOT number (atomic counter, same pattern as order invoice numbers)
+kotSchema.pre('save', async function () {
+  if (this.kotNumber) return;
+
+  try {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'kot' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+
+    this.sequence = counter.seq;
+    this.kotNumber = `KOT${counter.seq.toString().padStart(4, '0')}`;
+  } catch (error) {
+    console.error('Error generating KOT number:', error);
+    this.kotNumber = `KOT${Date.now()}`;
+  }
+});
+
+// Shape used by the frontend printer
+kotSchema.methods.toPrintData = function () {
+  return {
+    kotId: this._id,
+    kotNumber: this.kotNumber,
+    orderId: this.order?._id || this.order,
+    orderNumber: this.orderNumber,
+    station: this.station,
+    orderType: this.orderType,
+    tableNumber: this.tableNumber,
+    roomNumber: this.room?.roomNumber || null,
+    customerName: this.customerName,
+    items: this.items.map((item) => ({
+      name: item.name,
+      quantity: item.quantity,
+      variant: item.variant || null,
+      modifiers: item.modifiers || [],
+      comboOf: item.comboOf || null,
+      specialInstructions: item.specialInstructions || null,
+    })),
+    specialInstructions: this.specialInstructions || null,
+    isAddon: this.isAddon,
+    placedAt: this.createdAt,
+    printCount: this.printCount,
+    isReprint: this.printCount > 1,
+    printedAt: new Date(),
+  };
+};
+
+const KOT = mongoose.model('KOT', kotSchema);
+
+export default KOT;
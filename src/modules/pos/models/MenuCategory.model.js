@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { KITCHEN_STATIONS, GST_TAX_CLASSES, HSN_CODE_REGEX } from '../../../config/constants.js';
 
 const menuCategorySchema = new mongoose.Schema(
   {
@@ -38,6 +39,24 @@ const menuCategorySchema = new mongoose.Schema(
       type: String,
       default: null,
     },
+    // Kitchen counter that receives KOTs for items in this category
+    station: {
+      type: String,
+      enum: Object.values(KITCHEN_STATIONS),
+      default: KITCHEN_STATIONS.MAIN,
+    },
+    // GST class for items in this category; null = hotel default rate
+    taxClass: {
+      type: String,
+      enum: [...Object.values(GST_TAX_CLASSES), null],
+      default: null,
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [HSN_CODE_REGEX, 'HSN/SAC code must be 4, 6 or 8 digits'],
+      default: undefined,
+    },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
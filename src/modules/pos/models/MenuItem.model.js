@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { KITCHEN_STATIONS, GST_TAX_CLASSES, HSN_CODE_REGEX } from '../../../config/constants.js';
 
 const menuItemSchema = new mongoose.Schema(
   {
@@ -51,6 +52,98 @@ const menuItemSchema = new mongoose.Schema(
         },
       },
     ],
+    // Add-ons / customisations (e.g. "Extra cheese" +30, "No onion" +0)
+    modifierGroups: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 50,
+        },
+        required: {
+          type: Boolean,
+          default: false,
+        },
+        minSelect: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // null = no upper limit
+        maxSelect: {
+          type: Number,
+          default: null,
+          min: 1,
+        },
+        options: [
+          {
+            name: {
+              type: String,
+              required: true,
+              trim: true,
+              maxlength: 50,
+            },
+            // Added to the unit price (can be negative, e.g. "Half portion")
+            price: {
+              type: Number,
+              default: 0,
+            },
+            isAvailable: {
+              type: Boolean,
+              default: true,
+            },
+          },
+        ],
+      },
+    ],
+    // Combo / thali — sold at this item's price, made of other menu items
+    isCombo: {
+      type: Boolean,
+      default: false,
+      index: true,
+    },
+    // Choice slots, e.g. "Curry" pick 1 of 3. A slot with one option is a fixed component.
+    comboSlots: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          maxlength: 50,
+        },
+        minSelect: {
+          type: Number,
+          default: 1,
+          min: 0,
+        },
+        maxSelect: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        options: [
+          {
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'MenuItem',
+              required: true,
+            },
+            // Portions of the component per combo
+            quantity: {
+              type: Number,
+              default: 1,
+              min: 1,
+            },
+            // Upcharge for premium choices (e.g. Paneer +40)
+            priceDelta: {
+              type: Number,
+              default: 0,
+            },
+          },
+        ],
+      },
+    ],
     type: {
       type: String,
       enum: ['veg', 'non-veg', 'vegan', 'beverage'],
@@ -72,6 +165,29 @@ const menuItemSchema = new mongoose.Schema(
       default: 15,
       min: 0,
     },
+    // Overrides the category station; null = use category station
+    station: {
+      type: String,
+      enum: [...Object.values(KITCHEN_STATIONS), null],
+      default: null,
+    },
+    // Overrides the category tax class / HSN; null = use the category's
+    taxClass: {
+      type: String,
+      enum: [...Object.values(GST_TAX_CLASSES), null],
+      default: null,
+    },
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: [HSN_CODE_REGEX, 'HSN/SAC code must be 4, 6 or 8 digits'],
+      default: undefined,
+    },
+    // Price already includes GST; null = hotel setting (settings.pricesIncludeTax)
+    priceIncludesTax: {
+      type: Boolean,
+      default: null,
+    },
     tags: [
       {
         type: String,
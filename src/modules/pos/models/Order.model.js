@@ -1,7 +1,213 @@
 import mongoose from 'mongoose';
-import { ORDER_STATUS, PAYMENT_STATUS } from '../../../config/constants.js';
+import { ORDER_STATUS, PAYMENT_STATUS, VOID_REASONS, DELIVERY_STATUS } from '../../../config/constants.js';
 import Counter from './Counter.model.js'; 
 
+// Child bill produced by splitting an order (by items, seats or equal shares)
+// GST for one HSN/SAC code and rate, as printed on the invoice
+const taxBreakdownRowSchema = new mongoose.Schema(
+  {
+    hsnCode: { type: String, default: '' },
+    rate: { type: Number, required: true, min: 0 },
+    taxable: { type: Number, required: true, min: 0 },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const splitBillSchema = new mongoose.Schema({
+  splitNumber: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  label: {
+    type: String,
+    trim: true,
+    default: '',
+  },
+  seats: [{ type: Number, min: 1 }],
+  items: [
+    {
+      orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      name: { type: String, required: true },
+      variant: { type: String, default: null },
+      // Can be fractional when a shared dish is divided between seats
+      quantity: { type: Number, required: true, min: 0 },
+      price: { type: Number, required: true, min: 0 },
+      amount: { type: Number, required: true, min: 0 },
+    },
+  ],
+  pricing: {
+    subtotal: { type: Number, required: true, min: 0 },
+    discount: { type: Number, default: 0, min: 0 },
+    extraChargesTotal: { type: Number, default: 0, min: 0 },
+    deliveryCharge: { type: Number, default: 0, min: 0 },
+    serviceCharge: { type: Number, default: 0, min: 0 },
+    tax: { type: Number, required: true, min: 0 },
+    // Split's own GST, from the rates of the lines it holds
+    cgst: { type: Number, default: 0, min: 0 },
+    sgst: { type: Number, default: 0, min: 0 },
+    igst: { type: Number, default: 0, min: 0 },
+    includedTax: { type: Number, default: 0, min: 0 },
+    taxBreakdown: [taxBreakdownRowSchema],
+    roundOff: { type: Number, default: 0 },
+    total: { type: Number, required: true, min: 0 },
+  },
+  // Tenders for a split live in Order.payments with `split` set to this split
+  payment: {
+    mode: {
+      type: String,
+      enum: ['CASH', 'UPI', 'CARD', 'MIXED'],
+    },
+    status: {
+      type: String,
+      enum: ['PAID', 'PARTIAL', 'UNPAID'],
+      default: 'UNPAID',
+    },
+    paidAmount: { type: Number, default: 0, min: 0 },
+    paidAt: { type: Date },
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+});
+
+// One tender received against an order — an order can be settled with several
+// (part cash, part UPI, part card), each split payment is also recorded here
+const tenderSchema = new mongoose.Schema({
+  mode: {
+    type: String,
+    enum: ['CASH', 'UPI', 'CARD'],
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  // Cash handed over by the guest, change = tendered - amount
+  tendered: { type: Number, default: null },
+  change: { type: Number, default: 0, min: 0 },
+  upiTransactionId: {
+    type: String,
+    trim: true,
+    default: null,
+  },
+  cardLast4: {
+    type: String,
+    trim: true,
+    match: [/^\d{4}$/, 'Card last 4 must be 4 digits'],
+    default: null,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  // Split bill this tender settles (null for whole-order payments)
+  split: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Gratuity left on top of the bill — not part of pricing.total and not taxed
+const tipSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  mode: {
+    type: String,
+    enum: ['CASH', 'UPI', 'CARD'],
+    required: true,
+  },
+  split: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Money returned against a paid order — each refund has its own credit note
+const refundSchema = new mongoose.Schema({
+  creditNote: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote',
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01,
+  },
+  // GST portion of `amount`
+  tax: { type: Number, default: 0, min: 0 },
+  mode: {
+    type: String,
+    enum: ['CASH', 'UPI', 'CARD'],
+    required: true,
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 300,
+  },
+  // Lines refunded (empty for an amount-only / goodwill refund)
+  items: [
+    {
+      _id: false,
+      orderItem: { type: mongoose.Schema.Types.ObjectId, required: true },
+      name: { type: String, required: true },
+      quantity: { type: Number, required: true, min: 1 },
+    },
+  ],
+  restocked: { type: Boolean, default: false },
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  refundedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
 const orderSchema = new mongoose.Schema(
   {
     orderNumber: {
@@ -33,6 +239,33 @@ const orderSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Other tables seated on this bill after a table merge
+    mergedTables: [{ type: String, trim: true }],
+    // Orders merged into this one — items moved here, kept so they can be un-merged
+    merges: [
+      {
+        _id: false,
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order',
+          required: true,
+        },
+        orderNumber: { type: String },
+        tableNumber: { type: String },
+        items: [{ type: mongoose.Schema.Types.ObjectId }],
+        mergedAt: { type: Date, default: Date.now },
+        mergedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+      },
+    ],
+    // Set on an order whose items were merged into another bill
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      default: null,
+    },
     room: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Room',
@@ -58,6 +291,22 @@ const orderSchema = new mongoose.Schema(
         trim: true,
       },
       address: { type: String, maxlength: 300 },
+      // Business customer's GSTIN (B2B invoice, sets the place of supply)
+      gstin: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: [/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/, 'Please enter a valid GSTIN'],
+      },
+      // Delivery address pincode / pin drop, used to find the delivery zone
+      pincode: {
+        type: String,
+        match: [/^[0-9]{6}$/, 'Please enter a valid 6-digit pincode'],
+      },
+      location: {
+        lat: { type: Number, min: -90, max: 90 },
+        lng: { type: Number, min: -180, max: 180 },
+      },
     },
     items: [
       {
@@ -94,11 +343,86 @@ const orderSchema = new mongoose.Schema(
           maxlength: 200,
           default: '',
         },
+        // Chosen add-ons; `price` above already includes their deltas
+        modifiers: [
+          {
+            _id: false,
+            groupId: { type: mongoose.Schema.Types.ObjectId },
+            group: { type: String, required: true },
+            optionId: { type: mongoose.Schema.Types.ObjectId },
+            option: { type: String, required: true },
+            price: { type: Number, default: 0 },
+          },
+        ],
+        // Components of a combo line (per combo; multiply by quantity)
+        comboItems: [
+          {
+            _id: false,
+            slot: { type: String },
+            menuItem: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'MenuItem',
+              required: true,
+            },
+            name: { type: String, required: true },
+            quantity: { type: Number, default: 1, min: 1 },
+            priceDelta: { type: Number, default: 0 },
+          },
+        ],
+        // GST for the line, fixed when it was ordered (see resolveItemTaxes)
+        tax: {
+          taxClass: { type: String, default: null },
+          rate: { type: Number, min: 0 },
+          hsnCode: { type: String, default: '' },
+          // Price already includes the tax (taxable value is backed out of it)
+          inclusive: { type: Boolean, default: false },
+        },
+        // Units of this line already refunded
+        refundedQuantity: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        // Guest seat at the table (used for split-by-seat)
+        seatNumber: {
+          type: Number,
+          min: 1,
+          default: null,
+        },
         status: {
           type: String,
           enum: Object.values(ORDER_STATUS),
           default: ORDER_STATUS.PENDING,
         },
+        // Per-dish kitchen progress
+        timestamps: {
+          preparing: { type: Date, default: null },
+          ready: { type: Date, default: null },
+          served: { type: Date, default: null },
+        },
+        // Set when the line is voided (status becomes cancelled)
+        voidInfo: {
+          reasonCode: {
+            type: String,
+            enum: [...Object.values(VOID_REASONS), null],
+            default: null,
+          },
+          note: { type: String, maxlength: 200, default: '' },
+          amount: { type: Number, default: 0, min: 0 },
+          // Kitchen had already started — the food is a loss, not just a correction
+          wasPrepared: { type: Boolean, default: false },
+          voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          approvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+          },
+          voidedAt: { type: Date, default: null },
+        },
       },
     ],
     // Extra charges (service charge, packaging, etc.)
@@ -138,33 +462,91 @@ const orderSchema = new mongoose.Schema(
         default: 0,
         min: 0,
       },
+      // From hotel service-charge settings (0 when waived)
+      serviceCharge: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      // Value GST is charged on (after discount, incl. taxable charges)
+      taxable: {
+        type: Number,
+        min: 0,
+      },
       tax: {
         type: Number,
         required: true,
         min: 0,
       },
+      // tax = cgst + sgst (same state) or igst (inter-state)
+      cgst: { type: Number, default: 0, min: 0 },
+      sgst: { type: Number, default: 0, min: 0 },
+      igst: { type: Number, default: 0, min: 0 },
+      // Part of `tax` already inside tax-inclusive menu prices (not added on top)
+      includedTax: { type: Number, default: 0, min: 0 },
+      // Per HSN/SAC code and rate, as printed on the invoice
+      taxBreakdown: [taxBreakdownRowSchema],
+      roundOff: {
+        type: Number,
+        default: 0,
+      },
       total: {
         type: Number,
         required: true,
         min: 0,
       },
     },
+    // State code (01-37) of the place of supply; IGST applies when it isn't the hotel's state
+    placeOfSupply: {
+      type: String,
+      match: [/^[0-9]{2}$/, 'Place of supply must be a 2-digit state code'],
+      default: undefined,
+    },
+    // Discount rule / coupon behind pricing.discount (snapshot at time of use)
+    appliedDiscount: {
+      discount: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Discount',
+        default: null,
+      },
+      code: { type: String, default: null },
+      name: { type: String, default: null },
+      type: { type: String, enum: ['percentage', 'flat', null], default: null },
+      value: { type: Number, default: null },
+      scope: { type: String, enum: ['order', 'items', 'categories', null], default: null },
+      amount: { type: Number, default: 0, min: 0 },
+      appliedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+    },
     status: {
       type: String,
       enum: Object.values(ORDER_STATUS),
       default: ORDER_STATUS.PENDING,
       index: true,
     },
+    // Payment summary, derived from `payments` by rollUpPayments()
     payment: {
       mode: {
         type: String,
-        enum: ['CASH', 'UPI', 'CARD'],
+        enum: ['CASH', 'UPI', 'CARD', 'MIXED'],
       },
       status: {
         type: String,
-        enum: ['PAID', 'UNPAID'],
+        enum: ['PAID', 'PARTIAL', 'UNPAID', 'REFUNDED'],
         default: 'UNPAID',
       },
+      paidAmount: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      balanceDue: {
+        type: Number,
+        default: null,
+      },
       paidAt: {
         type: Date,
       },
@@ -173,6 +555,45 @@ const orderSchema = new mongoose.Schema(
         ref: 'User',
       },
     },
+    payments: {
+      type: [tenderSchema],
+      default: [],
+    },
+    refunds: {
+      type: [refundSchema],
+      default: [],
+    },
+    // Sum of refunds[].amount — net takings are paidAmount - refundedAmount
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    tips: {
+      type: [tipSchema],
+      default: [],
+    },
+    // Sum of tips[].amount
+    tipTotal: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // Guest asked for the hotel's service charge to be removed
+    serviceChargeWaived: {
+      type: Boolean,
+      default: false,
+    },
+    // Split bill — parent order is PAID only when every split is settled
+    splitType: {
+      type: String,
+      enum: ['items', 'seats', 'equal', null],
+      default: null,
+    },
+    splits: {
+      type: [splitBillSchema],
+      default: [],
+    },
     specialInstructions: {
       type: String,
       maxlength: 500,
@@ -217,6 +638,12 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Waiter serving the table (taker of the order, or the table's assigned waiter)
+    waiter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
     preparedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -232,6 +659,92 @@ const orderSchema = new mongoose.Schema(
       default: false,
       index: true,
     },
+    // Pre-order for a later slot — KOTs are held back until kotReleaseAt
+    scheduledFor: {
+      type: Date,
+      default: null,
+    },
+    kotReleaseAt: {
+      type: Date,
+      default: null,
+    },
+    kotReleasedAt: {
+      type: Date,
+      default: null,
+    },
+    // Dispatch of a delivery order once the kitchen is done (unset for other order types)
+    delivery: {
+      status: {
+        type: String,
+        enum: [...Object.values(DELIVERY_STATUS), null],
+        default: null,
+      },
+      rider: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      assignedAt: { type: Date, default: null },
+      assignedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+      },
+      pickedUpAt: { type: Date, default: null },
+      deliveredAt: { type: Date, default: null },
+      failedAt: { type: Date, default: null },
+      failureReason: { type: String, maxlength: 200, default: '' },
+      // Hotel delivery zone the address fell in (snapshot, keeps the charge stable on re-pricing)
+      zone: {
+        zoneId: { type: mongoose.Schema.Types.ObjectId, default: null },
+        name: { type: String, default: null },
+        charge: { type: Number, default: 0, min: 0 },
+        freeDeliveryAbove: { type: Number, default: null },
+        distanceKm: { type: Number, default: null },
+      },
+      // Pickups made (more than one after a failed attempt)
+      attempts: { type: Number, default: 0, min: 0 },
+      // Cash on delivery — balance due at pickup, cash the rider took, and the
+      // rider settlement it was handed over in
+      cod: {
+        amount: { type: Number, default: 0, min: 0 },
+        collected: { type: Number, default: 0, min: 0 },
+        collectedAt: { type: Date, default: null },
+        settlement: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'RiderSettlement',
+          default: null,
+        },
+      },
+    },
+    // ID generated by a POS terminal for an order billed offline (de-duplicates re-pushes)
+    clientOrderId: {
+      type: String,
+      trim: true,
+      default: undefined,
+    },
+    // Offline order pushed through the sync API
+    offlineSync: {
+      terminalId: { type: String, trim: true, default: null },
+      snapshotVersion: { type: String, default: null },
+      syncedAt: { type: Date, default: null },
+      // Differences between the terminal's bill and server pricing, kept for review
+      conflicts: [
+        {
+          _id: false,
+          code: { type: String, required: true },
+          message: { type: String, default: '' },
+          menuItem: { type: mongoose.Schema.Types.ObjectId, ref: 'MenuItem', default: null },
+          clientValue: { type: mongoose.Schema.Types.Mixed, default: null },
+          serverValue: { type: mongoose.Schema.Types.Mixed, default: null },
+        },
+      ],
+    },
+    // Set once recipe stock has been deducted (at checkout)
+    inventoryDeductedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -245,6 +758,29 @@ orderSchema.index({ hotel: 1, createdAt: -1 });
 orderSchema.index({ booking: 1 });
 orderSchema.index({ room: 1 });
 orderSchema.index({ hotel: 1, isPublicOrder: 1 });
+orderSchema.index({ 'appliedDiscount.discount': 1, 'customer.phone': 1 });
+orderSchema.index({ hotel: 1, 'items.voidInfo.voidedAt': -1 });
+orderSchema.index({ hotel: 1, waiter: 1, createdAt: -1 });
+orderSchema.index({ hotel: 1, 'delivery.rider': 1, 'delivery.status': 1 });
+orderSchema.index({ kotReleaseAt: 1, kotReleasedAt: 1 });
+orderSchema.index({ hotel: 1, scheduledFor: 1 });
+orderSchema.index(
+  { hotel: 1, clientOrderId: 1 },
+  { unique: true, partialFilterExpression: { clientOrderId: { $type: 'string' } } }
+);
+
+// Delivery orders wait for the kitchen, then for a rider to pick them up
+orderSchema.pre('save', function () {
+  if (this.orderType !== 'delivery') return;
+
+  if (!this.delivery?.status) this.delivery.status = DELIVERY_STATUS.PENDING;
+  if (
+    this.delivery.status === DELIVERY_STATUS.PENDING &&
+    [ORDER_STATUS.READY, ORDER_STATUS.SERVED].includes(this.status)
+  ) {
+    this.delivery.status = DELIVERY_STATUS.READY_FOR_PICKUP;
+  }
+});
 
 // ✅ FIXED: Generate order number + invoice number (Race-condition safe)
 orderSchema.pre('save', async function () {
@@ -282,7 +818,85 @@ orderSchema.methods.isActive = function () {
   return ![ORDER_STATUS.SERVED, ORDER_STATUS.CANCELLED].includes(this.status);
 };
 
-// Method to calculate total preparation time
+// Kitchen statuses an item moves through, in order
+const ITEM_FLOW = [ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING, ORDER_STATUS.READY, ORDER_STATUS.SERVED];
+
+// Method to move a single item and stamp the time it reached each stage
+orderSchema.methods.setItemStatus = function (item, status) {
+  const now = new Date();
+  item.status = status;
+  if (!item.timestamps) item.timestamps = {};
+  if (status === ORDER_STATUS.PREPARING && !item.timestamps.preparing) item.timestamps.preparing = now;
+  if (status === ORDER_STATUS.READY && !item.timestamps.ready) item.timestamps.ready = now;
+  if (status === ORDER_STATUS.SERVED && !item.timestamps.served) item.timestamps.served = now;
+  return item;
+};
+
+// Method to derive overall order status + timestamps from its items
+// (slowest active item decides; cancelled items are ignored)
+orderSchema.methods.rollUpItemStatus = function () {
+  if ([ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED].includes(this.status)) return this.status;
+
+  const active = this.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED);
+  if (active.length === 0) return this.status;
+
+  const slowest = Math.min(...active.map((item) => Math.max(0, ITEM_FLOW.indexOf(item.status))));
+  const anyStarted = active.some((item) => item.status !== ORDER_STATUS.PENDING);
+
+  let status = ITEM_FLOW[slowest];
+  if (status === ORDER_STATUS.PENDING && anyStarted) status = ORDER_STATUS.PREPARING;
+
+  const now = new Date();
+  this.status = status;
+  if (status !== ORDER_STATUS.PENDING && !this.timestamps.preparing) this.timestamps.preparing = now;
+  if ([ORDER_STATUS.READY, ORDER_STATUS.SERVED].includes(status) && !this.timestamps.ready) this.timestamps.ready = now;
+  if (status === ORDER_STATUS.SERVED && !this.timestamps.served) this.timestamps.served = now;
+
+  return this.status;
+};
+
+// Method to record a tip and refresh tipTotal
+orderSchema.methods.addTip = function (tip) {
+  this.tips.push(tip);
+  this.tipTotal = Math.round(this.tips.reduce((sum, t) => sum + t.amount, 0) * 100) / 100;
+  return this.tips[this.tips.length - 1];
+};
+
+// Method to record a tender and refresh the payment summary
+orderSchema.methods.addPayment = function (tender) {
+  this.payments.push(tender);
+  return this.rollUpPayments();
+};
+
+// Method to derive payment status, running balance and mode from `payments`
+// (orders paid before tenders were recorded keep their legacy summary)
+orderSchema.methods.rollUpPayments = function () {
+  if (this.payments.length === 0 && ['PAID', 'REFUNDED'].includes(this.payment?.status)) return this.payment;
+
+  const total = this.pricing?.total || 0;
+  const paidAmount = Math.round(this.payments.reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+  const balanceDue = Math.max(0, Math.round((total - paidAmount) * 100) / 100);
+  const modes = [...new Set(this.payments.map((p) => p.mode))];
+  const last = this.payments[this.payments.length - 1];
+
+  let status = 'UNPAID';
+  if (this.payments.length > 0) status = balanceDue === 0 ? 'PAID' : 'PARTIAL';
+  if (status === 'PAID' && this.refundedAmount > 0 && this.refundedAmount >= paidAmount) status = 'REFUNDED';
+
+  this.payment = {
+    mode: modes.length > 1 ? 'MIXED' : modes[0],
+    status,
+    paidAmount,
+    balanceDue,
+    paidAt: status === 'PAID' ? last.receivedAt : undefined,
+    paidBy: status === 'PAID' ? last.receivedBy : undefined,
+  };
+
+  return this.payment;
+};
+
+// Method to calculate total preparation time (menu figures only —
+// services/eta.service.js also accounts for kitchen load and prep history)
 orderSchema.methods.estimatedTime = function () {
   if (!this.items || this.items.length === 0) return 0;
   return Math.max(...this.items.map((item) => item.menuItem?.preparationTime || 15));
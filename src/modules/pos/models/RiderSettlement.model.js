@@ -0,0 +1,85 @@
+// backend/src/modules/pos/models/RiderSettlement.model.js
+
+import mongoose from 'mongoose';
+import Counter from './Counter.model.js';
+
+// Cash-on-delivery money a rider hands over to the counter, against the orders it was collected on
+const riderSettlementSchema = new mongoose.Schema(
+  {
+    settlementNumber: {
+      type: String,
+      uppercase: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    rider: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    orders: [
+      {
+        _id: false,
+        order: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Order',
+          required: true,
+        },
+        orderNumber: { type: String },
+        amount: { type: Number, required: true, min: 0 },
+        collectedAt: { type: Date },
+      },
+    ],
+    // Sum of orders[].amount
+    expectedAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    receivedAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // receivedAmount - expectedAmount (negative = rider short)
+    difference: {
+      type: Number,
+      default: 0,
+    },
+    notes: {
+      type: String,
+      maxlength: 300,
+      default: '',
+    },
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+riderSettlementSchema.index({ hotel: 1, rider: 1, createdAt: -1 });
+riderSettlementSchema.index({ hotel: 1, settlementNumber: 1 }, { unique: true, sparse: true });
+
+riderSettlementSchema.pre('save', async function () {
+  if (!this.settlementNumber) {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'rider-settlement' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.settlementNumber = `RS-${counter.seq.toString().padStart(4, '0')}`;
+  }
+});
+
+const RiderSettlement = mongoose.model('RiderSettlement', riderSettlementSchema);
+
+export default RiderSettlement;
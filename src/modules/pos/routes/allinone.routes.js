@@ -12,6 +12,7 @@ import {
   getAvailableTables,
   getAvailableRooms,
   getPublicMenuItem,
+  checkDeliveryArea,
 } from '../controllers/publicMenu.controller.js';
 
 import {
@@ -19,6 +20,13 @@ import {
   trackPublicOrder,
 } from '../controllers/publicOrder.controller.js';
 
+import {
+  createPublicReservation,
+  trackPublicReservation,
+  cancelPublicReservation,
+} from '../../tables/controllers/reservation.controller.js';
+import { validateCreateReservation } from '../../tables/validators/reservation.validator.js';
+
 import {
   submitFeedback,
   getItemFeedback,
@@ -97,8 +105,9 @@ router.get('/:hotelCode/items/:itemId', getPublicMenuItem);
 // ============================================
 
 /**
- * Get available tables for dine-in
+ * Get available tables for dine-in (now, or for a future reservation slot)
  * GET /api/allinone/:hotelCode/tables/available
+ * Query params: ?at=2026-01-31T20:00:00+05:30&partySize=4
  * Example: /api/allinone/HOTEL001/tables/available
  */
 router.get('/:hotelCode/tables/available', getAvailableTables);
@@ -110,6 +119,45 @@ router.get('/:hotelCode/tables/available', getAvailableTables);
  */
 router.get('/:hotelCode/rooms/available', getAvailableRooms);
 
+/**
+ * Check that the hotel delivers to an address (zone, charge, minimum order)
+ * GET /api/allinone/:hotelCode/delivery/check
+ * Query params: ?pincode=110001  or  ?lat=28.6139&lng=77.2090
+ * Example: /api/allinone/HOTEL001/delivery/check?pincode=110001
+ */
+router.get('/:hotelCode/delivery/check', checkDeliveryArea);
+
+// ============================================
+// TABLE RESERVATION ROUTES
+// ============================================
+
+/**
+ * Reserve a table (smallest free table that fits is assigned)
+ * POST /api/allinone/:hotelCode/reservations
+ * Example: /api/allinone/HOTEL001/reservations
+ * Body: {
+ *   guest: { name, phone, email },
+ *   partySize: 4,
+ *   reservedFor: '2026-01-31T20:00:00+05:30',
+ *   specialRequests: 'Window seat'
+ * }
+ */
+router.post('/:hotelCode/reservations', validateCreateReservation, createPublicReservation);
+
+/**
+ * Look up a reservation (guest phone required)
+ * GET /api/allinone/:hotelCode/reservations/:reservationNumber?phone=9876543210
+ * Example: /api/allinone/HOTEL001/reservations/RSV-0012?phone=9876543210
+ */
+router.get('/:hotelCode/reservations/:reservationNumber', trackPublicReservation);
+
+/**
+ * Cancel a reservation
+ * POST /api/allinone/:hotelCode/reservations/:reservationNumber/cancel
+ * Body: { phone, reason }
+ */
+router.post('/:hotelCode/reservations/:reservationNumber/cancel', cancelPublicReservation);
+
 // ============================================
 // ORDER ROUTES
 // ============================================
@@ -123,8 +171,9 @@ router.get('/:hotelCode/rooms/available', getAvailableRooms);
  *   tableNumber: 'T5', // for dine-in
  *   roomNumber: '101', // for room-service
  *   customer: { name, phone, email, address },
- *   items: [{ menuItem, quantity, variant, specialInstructions }],
- *   specialInstructions: 'Extra spicy'
+ *   items: [{ menuItem, quantity, variant, modifiers: [{ group, option }], comboSelections: [{ slot, menuItem }], specialInstructions }],
+ *   specialInstructions: 'Extra spicy',
+ *   couponCode: 'WELCOME10' // optional
  * }
  */
 router.post('/:hotelCode/order', placePublicOrder);
@@ -27,34 +27,91 @@ import {
 
 import {
   createOrder,
+  appendOrderItems,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  updateOrderItemStatus,
   getKitchenOrders,
   checkoutOrder,
   getRunningOrders,
   getOrderInvoicePDF,
+  getOrderInvoiceEscPos,
+  setServiceChargeWaiver,
+  getScheduledOrders,
+  releaseOrderNow,
 } from '../controllers/order.controller.js';
 
 // Middleware
 import { protect, authorize } from '../../../middlewares/auth.middleware.js';
+import { idempotent } from '../../../middlewares/idempotency.middleware.js';
 
 // Validators
 import {
   validateCreateCategory,
+  validateUpdateCategory,
   validateCreateMenuItem,
   validateUpdateMenuItem,
   validateCreateOrder,
+  validateAppendItems,
   validateOrderStatus,
+  validateItemStatus,
+  validateSplitBill,
+  validateOrderPayment,
+  validateDiscount,
+  validateApplyDiscount,
+  validateVoidItem,
+  validateRefundOrder,
   validateAvailability,
   validateObjectId,
   validateUpdateSubCategory,
   validateCreateSubCategory,
+  validateAssignRider,
+  validateCompleteDelivery,
+  validateFailDelivery,
+  validateRiderSettlement,
+  validateSyncPush,
+  validateOpenShift,
+  validateCashMovement,
+  validateCloseShift,
 } from '../validators/pos.validator.js';
 
 import { USER_ROLES } from '../../../config/constants.js';
-import { getTodaySummary } from '../controllers/analytics.controller.js';
+import { getTodaySummary, printTodaySummary } from '../controllers/analytics.controller.js';
 import { markOrderPaid } from '../controllers/orderPayment.controller.js';
+import { voidOrderItem } from '../controllers/orderVoid.controller.js';
+import { refundOrder } from '../controllers/orderRefund.controller.js';
+import { splitOrder, removeOrderSplit, payOrderSplit } from '../controllers/orderSplit.controller.js';
+import {
+  createDiscount,
+  getAllDiscounts,
+  getDiscountById,
+  updateDiscount,
+  deleteDiscount,
+  applyOrderDiscount,
+  removeOrderDiscount,
+} from '../controllers/discount.controller.js';
+import { getOrderKOT, getOrderKOTs, getAllKOTs, getKOTById, reprintKOT, getKOTEscPos } from '../controllers/kot.controller.js';
+import {
+  getDeliveryOrders,
+  getRiders,
+  assignRider,
+  pickupDelivery,
+  completeDelivery,
+  failDelivery,
+  getRiderCOD,
+  settleRiderCOD,
+} from '../controllers/delivery.controller.js';
+import { getSyncSnapshot, pushOfflineOrders } from '../controllers/sync.controller.js';
+import {
+  openShift,
+  getCurrentShift,
+  getShifts,
+  getShiftById,
+  addCashMovement,
+  getShiftReport,
+  closeShift,
+} from '../controllers/shift.controller.js';
 import { generateHotelQR, getFeedbackSummary } from '../controllers/qrAndFeedback.controller.js';
 import { createSubCategory, deleteSubCategory, getAllSubCategories, getSubCategoriesByCategory, getSubCategoryById, updateSubCategory } from '../controllers/menuSubCategory.controller.js';
 import bulkUploadRoutes from './bulkUpload.routes.js';
@@ -93,6 +150,7 @@ router.put(
   '/categories/:id',
   validateObjectId,
   authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  validateUpdateCategory,
   updateCategory
 );
 
@@ -183,18 +241,31 @@ router.get(
   getKitchenOrders
 );
 
-// Running orders (Cashier)
+// Running orders (Cashier; waiters see their own tables)
 router.get(
   '/orders/running',
   authorize(
     USER_ROLES.SUPER_ADMIN,
     USER_ROLES.HOTEL_ADMIN,
     USER_ROLES.MANAGER,
-    USER_ROLES.CASHIER
+    USER_ROLES.CASHIER,
+    USER_ROLES.WAITER
   ),
   getRunningOrders
 );
 
+// Upcoming scheduled / pre-orders (Cashier)
+router.get(
+  '/orders/scheduled',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getScheduledOrders
+);
+
 // Get all orders
 router.get('/orders', getAllOrders);
 
@@ -205,15 +276,33 @@ router.post(
     USER_ROLES.SUPER_ADMIN,
     USER_ROLES.HOTEL_ADMIN,
     USER_ROLES.MANAGER,
-    USER_ROLES.CASHIER
+    USER_ROLES.CASHIER,
+    USER_ROLES.WAITER
   ),
   validateCreateOrder,
+  idempotent,
   createOrder
 );
 
 // Get single order
 router.get('/orders/:id', validateObjectId, getOrderById);
 
+// Append a new round of items to a running order
+router.post(
+  '/orders/:id/items',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.WAITER
+  ),
+  validateAppendItems,
+  idempotent,
+  appendOrderItems
+);
+
 // Update order status
 router.patch(
   '/orders/:id/status',
@@ -229,6 +318,21 @@ router.patch(
   updateOrderStatus
 );
 
+// Update a single dish (kitchen marks preparing / ready)
+router.patch(
+  '/orders/:id/items/:itemId/status',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  validateItemStatus,
+  updateOrderItemStatus
+);
+
 router.post(
   '/orders/:id/checkout',
   protect,
@@ -241,53 +345,168 @@ router.post(
   checkoutOrder
 );
 
-// ============================================
-// KOT Route - apne posRoutes.js mein add karo
-// ============================================
+// Send a scheduled order's KOTs to the kitchen before its release time
+router.post(
+  '/orders/:id/release',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  releaseOrderNow
+);
 
-// GET /api/pos/orders/:id/kot
-router.get('/orders/:id/kot', protect, authorize(
+// Waive / restore the hotel service charge on an unpaid order
+router.patch(
+  '/orders/:id/service-charge',
+  validateObjectId,
+  authorize(
     USER_ROLES.SUPER_ADMIN,
     USER_ROLES.HOTEL_ADMIN,
     USER_ROLES.MANAGER,
     USER_ROLES.CASHIER
-  ), async (req, res) => {
-  try {
-    const order = await Order.findById(req.params.id)
-      .populate('items.menuItem', 'name preparationTime category')
-      .populate('room', 'roomNumber')
-      .populate('customer', 'name phone')
-
-    if (!order) {
-      return res.status(404).json({ success: false, message: 'Order not found' })
-    }
-
-    // KOT data frontend ko bhejo — wahan print hoga
-    const kotData = {
-      kotNumber: order.orderNumber,
-      orderId: order._id,
-      orderType: order.orderType,
-      tableNumber: order.tableNumber || null,
-      roomNumber: order.room?.roomNumber || null,
-      customerName: order.customer?.name || null,
-      items: order.items.map(item => ({
-        name: item.name,
-        quantity: item.quantity,
-        variant: item.variant || null,
-        specialInstructions: item.specialInstructions || null,
-        category: item.menuItem?.category || null,
-      })),
-      specialInstructions: order.specialInstructions || order.notes || null,
-      placedAt: order.timestamps?.placed || order.createdAt,
-      printedAt: new Date(),
-    }
-
-    res.status(200).json({ success: true, data: kotData })
-  } catch (err) {
-    console.error('KOT fetch error:', err)
-    res.status(500).json({ success: false, message: 'Failed to generate KOT' })
-  }
-})
+  ),
+  setServiceChargeWaiver
+);
+
+/**
+ * ============================================
+ * KOT ROUTES
+ * ============================================
+ */
+
+// GET /api/pos/orders/:id/kot — whole-order ticket (original response shape)
+router.get(
+  '/orders/:id/kot',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  getOrderKOT
+);
+
+// GET /api/pos/orders/:id/kots — persisted KOTs of an order (one per station)
+router.get(
+  '/orders/:id/kots',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  getOrderKOTs
+);
+
+// GET /api/pos/kots?station=tandoor
+router.get(
+  '/kots',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  getAllKOTs
+);
+
+router.get(
+  '/kots/:id',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  getKOTById
+);
+
+// GET /api/pos/kots/:id/escpos — raw ESC/POS ticket (?format=text for a preview)
+router.get(
+  '/kots/:id/escpos',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  getKOTEscPos
+);
+
+// POST /api/pos/kots/:id/reprint — logs who reprinted and bumps printCount
+router.post(
+  '/kots/:id/reprint',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.KITCHEN_STAFF
+  ),
+  reprintKOT
+);
+
+/**
+ * ============================================
+ * 🏷️ DISCOUNT & COUPON ROUTES
+ * ============================================
+ */
+
+// GET /api/pos/discounts?active=true — rules the cashier can apply
+router.get('/discounts', getAllDiscounts);
+
+router.post(
+  '/discounts',
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  validateDiscount,
+  createDiscount
+);
+
+router.get('/discounts/:id', validateObjectId, getDiscountById);
+
+router.put(
+  '/discounts/:id',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  validateDiscount,
+  updateDiscount
+);
+
+router.delete(
+  '/discounts/:id',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN),
+  deleteDiscount
+);
+
+// POST /api/pos/orders/:id/discount — apply coupon code or discount rule
+router.post(
+  '/orders/:id/discount',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  validateApplyDiscount,
+  applyOrderDiscount
+);
+
+router.delete(
+  '/orders/:id/discount',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  removeOrderDiscount
+);
 
 router.get(
   '/reports/summary',
@@ -296,7 +515,14 @@ router.get(
   getTodaySummary
 );
 
-// Mark order as paid
+// Today's summary slip for the counter printer (?format=text for a preview)
+router.get(
+  '/reports/summary/escpos',
+  authorize(USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  printTodaySummary
+);
+
+// Record payment — single mode or several tenders (partial payments allowed)
 router.patch(
   '/orders/:id/payment',
   authorize(
@@ -306,9 +532,81 @@ router.patch(
     USER_ROLES.CASHIER
   ),
   validateObjectId,
+  validateOrderPayment,
+  idempotent,
   markOrderPaid
 );
 
+/**
+ * ============================================
+ * 🚫 VOID ROUTES
+ * ============================================
+ */
+
+// POST /api/pos/orders/:id/items/:itemId/void — void a line (or part) with a reason code
+router.post(
+  '/orders/:id/items/:itemId/void',
+  validateObjectId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER,
+    USER_ROLES.WAITER
+  ),
+  validateVoidItem,
+  voidOrderItem
+);
+
+/**
+ * ============================================
+ * ↩️ REFUND ROUTES
+ * ============================================
+ */
+
+// POST /api/pos/orders/:id/refund — full / item / amount refund with credit note
+router.post(
+  '/orders/:id/refund',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  validateRefundOrder,
+  refundOrder
+);
+
+/**
+ * ============================================
+ * ✂️ SPLIT BILL ROUTES
+ * ============================================
+ */
+
+// POST /api/pos/orders/:id/split — split by items, seats or N equal shares
+router.post(
+  '/orders/:id/split',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  validateSplitBill,
+  splitOrder
+);
+
+// DELETE /api/pos/orders/:id/split — merge back into one bill (no split paid yet)
+router.delete(
+  '/orders/:id/split',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  removeOrderSplit
+);
+
+// PATCH /api/pos/orders/:id/splits/:splitId/payment — settle one split
+router.patch(
+  '/orders/:id/splits/:splitId/payment',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  validateOrderPayment,
+  idempotent,
+  payOrderSplit
+);
+
+// Invoice PDF — ?split=<splitId | splitNumber> prints a single split bill
 router.get(
   '/orders/:id/invoice/pdf',
   validateObjectId,
@@ -316,6 +614,152 @@ router.get(
   getOrderInvoicePDF
 );
 
+// Thermal-printer bill (ESC/POS bytes, ?format=text for a preview) — same ?split= as the PDF
+router.get(
+  '/orders/:id/invoice/escpos',
+  validateObjectId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  getOrderInvoiceEscPos
+);
+
+/**
+ * ============================================
+ * 🛵 DELIVERY ROUTES
+ * ============================================
+ */
+
+const dispatchStaff = [
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.HOTEL_ADMIN,
+  USER_ROLES.MANAGER,
+  USER_ROLES.CASHIER,
+];
+
+// GET /api/pos/delivery/orders — dispatch board (riders see their own deliveries)
+router.get('/delivery/orders', authorize(...dispatchStaff, USER_ROLES.RIDER), getDeliveryOrders);
+
+// GET /api/pos/delivery/riders — riders with active deliveries and cash in hand
+router.get('/delivery/riders', authorize(...dispatchStaff), getRiders);
+
+// POST /api/pos/delivery/orders/:id/assign — assign / re-assign a rider
+router.post(
+  '/delivery/orders/:id/assign',
+  validateObjectId,
+  authorize(...dispatchStaff),
+  validateAssignRider,
+  assignRider
+);
+
+// POST /api/pos/delivery/orders/:id/pickup — rider leaves with the order
+router.post(
+  '/delivery/orders/:id/pickup',
+  validateObjectId,
+  authorize(...dispatchStaff, USER_ROLES.RIDER),
+  pickupDelivery
+);
+
+// POST /api/pos/delivery/orders/:id/deliver — handed over, cash on delivery collected
+router.post(
+  '/delivery/orders/:id/deliver',
+  validateObjectId,
+  authorize(...dispatchStaff, USER_ROLES.RIDER),
+  validateCompleteDelivery,
+  idempotent,
+  completeDelivery
+);
+
+// POST /api/pos/delivery/orders/:id/fail — could not deliver, back to the counter
+router.post(
+  '/delivery/orders/:id/fail',
+  validateObjectId,
+  authorize(...dispatchStaff, USER_ROLES.RIDER),
+  validateFailDelivery,
+  failDelivery
+);
+
+// GET /api/pos/delivery/riders/:id/cod — unsettled COD cash of a rider
+router.get(
+  '/delivery/riders/:id/cod',
+  validateObjectId,
+  authorize(...dispatchStaff, USER_ROLES.RIDER),
+  getRiderCOD
+);
+
+// POST /api/pos/delivery/riders/:id/settle — rider hands COD cash to the counter
+router.post(
+  '/delivery/riders/:id/settle',
+  validateObjectId,
+  authorize(...dispatchStaff),
+  validateRiderSettlement,
+  settleRiderCOD
+);
+
+/**
+ * ============================================
+ * 💵 CASHIER SHIFT ROUTES
+ * ============================================
+ */
+
+const shiftStaff = [
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.HOTEL_ADMIN,
+  USER_ROLES.MANAGER,
+  USER_ROLES.CASHIER,
+];
+
+// POST /api/pos/shifts/open — open a cash drawer session with an opening float
+router.post('/shifts/open', authorize(...shiftStaff), validateOpenShift, openShift);
+
+// GET /api/pos/shifts/current — my open shift with live totals
+router.get('/shifts/current', authorize(...shiftStaff), getCurrentShift);
+
+// GET /api/pos/shifts — shift history (cashiers see their own)
+router.get('/shifts', authorize(...shiftStaff), getShifts);
+
+// GET /api/pos/shifts/:id
+router.get('/shifts/:id', validateObjectId, authorize(...shiftStaff), getShiftById);
+
+// POST /api/pos/shifts/:id/cash-movements — pay-in / pay-out
+router.post(
+  '/shifts/:id/cash-movements',
+  validateObjectId,
+  authorize(...shiftStaff),
+  validateCashMovement,
+  addCashMovement
+);
+
+// GET /api/pos/shifts/:id/report — X-report (open) / close report; ?format=escpos|text to print
+router.get('/shifts/:id/report', validateObjectId, authorize(...shiftStaff), getShiftReport);
+
+// POST /api/pos/shifts/:id/close — declare counted cash, record variance
+router.post(
+  '/shifts/:id/close',
+  validateObjectId,
+  authorize(...shiftStaff),
+  validateCloseShift,
+  closeShift
+);
+
+/**
+ * ============================================
+ * 🔄 OFFLINE SYNC ROUTES (POS terminals)
+ * ============================================
+ */
+
+const terminalStaff = [
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.HOTEL_ADMIN,
+  USER_ROLES.MANAGER,
+  USER_ROLES.CASHIER,
+  USER_ROLES.WAITER,
+];
+
+// GET /api/pos/sync/snapshot — menu, tables and tax settings for offline billing
+router.get('/sync/snapshot', authorize(...terminalStaff), getSyncSnapshot);
+
+// POST /api/pos/sync/orders — push orders billed offline
+router.post('/sync/orders', authorize(...terminalStaff), validateSyncPush, pushOfflineOrders);
+
 /**
  * ============================================
  * 📲 QR CODE ROUTES (Admin only)
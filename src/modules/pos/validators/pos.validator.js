@@ -1,17 +1,42 @@
 import { errorResponse } from '../../../utils/responseHandler.js';
-import { HTTP_STATUS } from '../../../config/constants.js';
+import {
+  HTTP_STATUS,
+  KITCHEN_STATIONS,
+  VOID_REASONS,
+  OFFLINE_SYNC,
+  CASH_MOVEMENT_TYPES,
+  GST_TAX_CLASSES,
+  HSN_CODE_REGEX,
+} from '../../../config/constants.js';
 import { body, param, validationResult } from 'express-validator';
+
+// GST class / HSN code on a category or menu item (null / '' clears them)
+const collectTaxErrors = ({ taxClass, hsnCode }, errors) => {
+  if (taxClass != null && !Object.values(GST_TAX_CLASSES).includes(taxClass)) {
+    errors.push(`Invalid tax class. Must be one of: ${Object.values(GST_TAX_CLASSES).join(', ')}`);
+  }
+  if (hsnCode != null && hsnCode !== '' && !HSN_CODE_REGEX.test(String(hsnCode))) {
+    errors.push('HSN/SAC code must be 4, 6 or 8 digits');
+  }
+};
+
 /**
  * Validate Create Category Data
  */
 export const validateCreateCategory = (req, res, next) => {
-  const { name } = req.body;
+  const { name, station } = req.body;
   const errors = [];
 
   if (!name || name.trim().length < 2) {
     errors.push('Category name must be at least 2 characters');
   }
 
+  if (station && !Object.values(KITCHEN_STATIONS).includes(station)) {
+    errors.push(`Invalid station. Must be one of: ${Object.values(KITCHEN_STATIONS).join(', ')}`);
+  }
+
+  collectTaxErrors(req.body, errors);
+
   if (errors.length > 0) {
     return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
   }
@@ -19,11 +44,94 @@ export const validateCreateCategory = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate Update Category Data
+ */
+export const validateUpdateCategory = (req, res, next) => {
+  const { name, station } = req.body;
+  const errors = [];
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length < 2)) {
+    errors.push('Category name must be at least 2 characters');
+  }
+
+  if (station && !Object.values(KITCHEN_STATIONS).includes(station)) {
+    errors.push('Invalid station');
+  }
+
+  collectTaxErrors(req.body, errors);
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+// Modifier groups on a menu item (shared by create + update)
+const collectModifierGroupErrors = (modifierGroups, errors) => {
+  if (!Array.isArray(modifierGroups)) {
+    errors.push('Modifier groups must be an array');
+    return;
+  }
+
+  modifierGroups.forEach((group, index) => {
+    const label = `Modifier group ${index + 1}`;
+    if (!group.name || !group.name.trim()) errors.push(`${label}: Name is required`);
+
+    const options = Array.isArray(group.options) ? group.options : [];
+    if (options.length === 0) errors.push(`${label}: At least one option is required`);
+    options.forEach((option, optionIndex) => {
+      if (!option.name || !option.name.trim()) errors.push(`${label}, option ${optionIndex + 1}: Name is required`);
+      if (option.price !== undefined && typeof option.price !== 'number') {
+        errors.push(`${label}, option ${optionIndex + 1}: Price must be a number`);
+      }
+    });
+
+    const min = group.minSelect ?? 0;
+    const max = group.maxSelect ?? null;
+    if (!Number.isInteger(min) || min < 0) errors.push(`${label}: minSelect must be a non-negative integer`);
+    if (max !== null && (!Number.isInteger(max) || max < 1)) errors.push(`${label}: maxSelect must be a positive integer`);
+    if (max !== null && max < min) errors.push(`${label}: maxSelect cannot be less than minSelect`);
+    if (max !== null && max > options.length) errors.push(`${label}: maxSelect cannot exceed the number of options`);
+  });
+};
+
+// Combo slots on a menu item (shared by create + update)
+const collectComboSlotErrors = (comboSlots, errors) => {
+  if (!Array.isArray(comboSlots) || comboSlots.length === 0) {
+    errors.push('A combo needs at least one slot');
+    return;
+  }
+
+  comboSlots.forEach((slot, index) => {
+    const label = `Combo slot ${index + 1}`;
+    if (!slot.name || !slot.name.trim()) errors.push(`${label}: Name is required`);
+
+    const options = Array.isArray(slot.options) ? slot.options : [];
+    if (options.length === 0) errors.push(`${label}: At least one option is required`);
+    options.forEach((option, optionIndex) => {
+      if (!option.menuItem || !/^[0-9a-fA-F]{24}$/.test(option.menuItem)) {
+        errors.push(`${label}, option ${optionIndex + 1}: Valid menu item ID is required`);
+      }
+      if (option.quantity !== undefined && (!Number.isInteger(option.quantity) || option.quantity < 1)) {
+        errors.push(`${label}, option ${optionIndex + 1}: Quantity must be a positive integer`);
+      }
+    });
+
+    const min = slot.minSelect ?? 1;
+    const max = slot.maxSelect ?? 1;
+    if (!Number.isInteger(min) || min < 0) errors.push(`${label}: minSelect must be a non-negative integer`);
+    if (!Number.isInteger(max) || max < 1 || max < min) errors.push(`${label}: maxSelect must be at least minSelect`);
+    if (max > options.length) errors.push(`${label}: maxSelect cannot exceed the number of options`);
+  });
+};
+
 /**
  * Validate Create Menu Item Data
  */
 export const validateCreateMenuItem = (req, res, next) => {
-  const { category, name, price, type } = req.body;
+  const { category, name, price, type, station } = req.body;
   const errors = [];
 
   // Category validation
@@ -48,6 +156,27 @@ export const validateCreateMenuItem = (req, res, next) => {
     errors.push('Invalid item type. Must be: veg, non-veg, vegan, or beverage');
   }
 
+  // Station validation (optional — falls back to category station)
+  if (station && !Object.values(KITCHEN_STATIONS).includes(station)) {
+    errors.push(`Invalid station. Must be one of: ${Object.values(KITCHEN_STATIONS).join(', ')}`);
+  }
+
+  // GST class / HSN code (optional — falls back to the category's)
+  collectTaxErrors(req.body, errors);
+  if (req.body.priceIncludesTax != null && typeof req.body.priceIncludesTax !== 'boolean') {
+    errors.push('priceIncludesTax must be true, false or null');
+  }
+
+  // Modifier groups (optional)
+  if (req.body.modifierGroups !== undefined) {
+    collectModifierGroupErrors(req.body.modifierGroups, errors);
+  }
+
+  // Combo slots (combos only)
+  if (req.body.isCombo) {
+    collectComboSlotErrors(req.body.comboSlots, errors);
+  }
+
   if (errors.length > 0) {
     return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
   }
@@ -59,7 +188,7 @@ export const validateCreateMenuItem = (req, res, next) => {
  * Validate Update Menu Item Data
  */
 export const validateUpdateMenuItem = (req, res, next) => {
-  const { name, price, type } = req.body;
+  const { name, price, type, station } = req.body;
   const errors = [];
 
   // Name validation (if provided)
@@ -77,6 +206,27 @@ export const validateUpdateMenuItem = (req, res, next) => {
     errors.push('Invalid item type');
   }
 
+  // Station validation (if provided)
+  if (station && !Object.values(KITCHEN_STATIONS).includes(station)) {
+    errors.push('Invalid station');
+  }
+
+  // GST class / HSN code (if provided)
+  collectTaxErrors(req.body, errors);
+  if (req.body.priceIncludesTax != null && typeof req.body.priceIncludesTax !== 'boolean') {
+    errors.push('priceIncludesTax must be true, false or null');
+  }
+
+  // Modifier groups (if provided)
+  if (req.body.modifierGroups !== undefined) {
+    collectModifierGroupErrors(req.body.modifierGroups, errors);
+  }
+
+  // Combo slots (if provided)
+  if (req.body.comboSlots !== undefined) {
+    collectComboSlotErrors(req.body.comboSlots, errors);
+  }
+
   if (errors.length > 0) {
     return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
   }
@@ -88,7 +238,7 @@ export const validateUpdateMenuItem = (req, res, next) => {
  * Validate Create Order Data
  */
 export const validateCreateOrder = (req, res, next) => {
-  const { orderType, items, customer } = req.body;
+  const { orderType, items, customer, scheduledFor, placeOfSupply } = req.body;
   const errors = [];
 
   // Order type validation
@@ -109,9 +259,22 @@ export const validateCreateOrder = (req, res, next) => {
       if (!item.quantity || item.quantity < 1) {
         errors.push(`Item ${index + 1}: Valid quantity is required (minimum 1)`);
       }
+      if (item.seatNumber != null && (!Number.isInteger(item.seatNumber) || item.seatNumber < 1)) {
+        errors.push(`Item ${index + 1}: Seat number must be a positive integer`);
+      }
+      if (item.modifiers != null && (!Array.isArray(item.modifiers) || item.modifiers.some((m) => !m?.group || !m?.option))) {
+        errors.push(`Item ${index + 1}: Modifiers must be a list of { group, option }`);
+      }
+      if (item.comboSelections != null && (!Array.isArray(item.comboSelections) || item.comboSelections.some((c) => !c?.slot || !c?.menuItem))) {
+        errors.push(`Item ${index + 1}: Combo selections must be a list of { slot, menuItem }`);
+      }
     });
   }
 
+  if (scheduledFor !== undefined && scheduledFor !== null && isNaN(new Date(scheduledFor))) {
+    errors.push('Scheduled time must be a valid date');
+  }
+
   // Customer validation (if takeaway or dine-in)
   if (orderType !== 'room-service' && customer) {
     if (customer.phone) {
@@ -122,6 +285,558 @@ export const validateCreateOrder = (req, res, next) => {
     }
   }
 
+  // GST place of supply (B2B customer in another state)
+  if (customer?.gstin && !/^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/i.test(customer.gstin)) {
+    errors.push('Valid customer GSTIN is required');
+  }
+  if (placeOfSupply != null && !/^[0-9]{2}$/.test(placeOfSupply)) {
+    errors.push('Place of supply must be a 2-digit state code');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Append Items (new round on a running order)
+ */
+export const validateAppendItems = (req, res, next) => {
+  const { items } = req.body;
+  const errors = [];
+
+  if (!items || !Array.isArray(items) || items.length === 0) {
+    errors.push('At least one item is required');
+  } else {
+    items.forEach((item, index) => {
+      if (!item.menuItem) {
+        errors.push(`Item ${index + 1}: Menu item ID is required`);
+      }
+      if (!item.quantity || item.quantity < 1) {
+        errors.push(`Item ${index + 1}: Valid quantity is required (minimum 1)`);
+      }
+      if (item.seatNumber != null && (!Number.isInteger(item.seatNumber) || item.seatNumber < 1)) {
+        errors.push(`Item ${index + 1}: Seat number must be a positive integer`);
+      }
+      if (item.modifiers != null && (!Array.isArray(item.modifiers) || item.modifiers.some((m) => !m?.group || !m?.option))) {
+        errors.push(`Item ${index + 1}: Modifiers must be a list of { group, option }`);
+      }
+      if (item.comboSelections != null && (!Array.isArray(item.comboSelections) || item.comboSelections.some((c) => !c?.slot || !c?.menuItem))) {
+        errors.push(`Item ${index + 1}: Combo selections must be a list of { slot, menuItem }`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Split Bill Request
+ */
+export const validateSplitBill = (req, res, next) => {
+  const { type, parts, splits } = req.body;
+  const errors = [];
+
+  if (!['items', 'seats', 'equal'].includes(type)) {
+    errors.push('Invalid split type. Must be: items, seats, or equal');
+  } else if (type === 'equal') {
+    if (!Number.isInteger(parts) || parts < 2 || parts > 20) {
+      errors.push('Parts must be an integer between 2 and 20');
+    }
+  } else if (!Array.isArray(splits) || splits.length < 2) {
+    errors.push('At least two splits are required');
+  } else {
+    splits.forEach((split, index) => {
+      if (type === 'items') {
+        if (!Array.isArray(split.items) || split.items.length === 0) {
+          errors.push(`Split ${index + 1}: At least one item is required`);
+        } else {
+          split.items.forEach((line, lineIndex) => {
+            if (!line.itemId) errors.push(`Split ${index + 1}, line ${lineIndex + 1}: Item ID is required`);
+            if (line.quantity !== undefined && !(Number(line.quantity) > 0)) {
+              errors.push(`Split ${index + 1}, line ${lineIndex + 1}: Quantity must be greater than 0`);
+            }
+          });
+        }
+      }
+      if (type === 'seats') {
+        if (!Array.isArray(split.seats) || split.seats.length === 0) {
+          errors.push(`Split ${index + 1}: At least one seat is required`);
+        } else if (split.seats.some((seat) => !Number.isInteger(seat) || seat < 1)) {
+          errors.push(`Split ${index + 1}: Seat numbers must be positive integers`);
+        }
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Order / Split Payment
+ * Body: { mode } for a single full payment, or { payments: [{ mode, amount, ... }] }
+ *       plus optional tip: { amount, mode? }
+ */
+export const validateOrderPayment = (req, res, next) => {
+  const { mode, payments, tip } = req.body;
+  const errors = [];
+  const modes = ['CASH', 'UPI', 'CARD'];
+
+  if (payments === undefined) {
+    if (!modes.includes(mode)) {
+      errors.push('Invalid payment mode. Must be CASH, UPI, or CARD');
+    }
+  } else if (!Array.isArray(payments) || payments.length === 0) {
+    errors.push('At least one payment is required');
+  } else {
+    payments.forEach((p, index) => {
+      if (!modes.includes(p.mode)) {
+        errors.push(`Payment ${index + 1}: Invalid mode. Must be CASH, UPI, or CARD`);
+      }
+      if (!(Number(p.amount) > 0)) {
+        errors.push(`Payment ${index + 1}: Amount must be greater than 0`);
+      }
+      if (p.tendered != null && !(Number(p.tendered) >= Number(p.amount))) {
+        errors.push(`Payment ${index + 1}: Tendered cash cannot be less than the amount`);
+      }
+      if (p.cardLast4 != null && !/^\d{4}$/.test(String(p.cardLast4))) {
+        errors.push(`Payment ${index + 1}: Card last 4 must be 4 digits`);
+      }
+      if (p.upiTransactionId != null && typeof p.upiTransactionId !== 'string') {
+        errors.push(`Payment ${index + 1}: UPI transaction ID must be a string`);
+      }
+    });
+  }
+
+  if (tip != null) {
+    if (!(Number(tip.amount) > 0)) {
+      errors.push('Tip amount must be greater than 0');
+    }
+    if (tip.mode != null && !modes.includes(tip.mode)) {
+      errors.push('Invalid tip mode. Must be CASH, UPI, or CARD');
+    }
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Discount / Coupon (create + update)
+ */
+export const validateDiscount = (req, res, next) => {
+  const {
+    name, code, type, value, maxDiscount, scope, menuItems, categories,
+    minOrderValue, validFrom, validTo, maxUses, perCustomerLimit,
+  } = req.body;
+  const errors = [];
+  const isCreate = req.method === 'POST';
+
+  if (isCreate || name !== undefined) {
+    if (!name || name.trim().length < 2) errors.push('Discount name must be at least 2 characters');
+  }
+
+  if (code != null && !/^[A-Za-z0-9_-]{3,20}$/.test(code)) {
+    errors.push('Coupon code must be 3-20 letters, numbers, - or _');
+  }
+
+  if (isCreate || type !== undefined) {
+    if (!['percentage', 'flat'].includes(type)) errors.push('Invalid type. Must be: percentage or flat');
+  }
+
+  if (isCreate || value !== undefined) {
+    if (typeof value !== 'number' || value <= 0) {
+      errors.push('Discount value must be a positive number');
+    } else if (type === 'percentage' && value > 100) {
+      errors.push('Percentage discount cannot exceed 100');
+    }
+  }
+
+  if (maxDiscount != null && (typeof maxDiscount !== 'number' || maxDiscount <= 0)) {
+    errors.push('Max discount must be a positive number');
+  }
+
+  if (scope !== undefined && !['order', 'items', 'categories'].includes(scope)) {
+    errors.push('Invalid scope. Must be: order, items, or categories');
+  }
+  if (scope === 'items' && (!Array.isArray(menuItems) || menuItems.length === 0)) {
+    errors.push('Select at least one menu item for an item discount');
+  }
+  if (scope === 'categories' && (!Array.isArray(categories) || categories.length === 0)) {
+    errors.push('Select at least one category for a category discount');
+  }
+
+  if (minOrderValue != null && (typeof minOrderValue !== 'number' || minOrderValue < 0)) {
+    errors.push('Minimum order value cannot be negative');
+  }
+
+  if (validFrom && isNaN(Date.parse(validFrom))) errors.push('Invalid validFrom date');
+  if (validTo && isNaN(Date.parse(validTo))) errors.push('Invalid validTo date');
+  if (validFrom && validTo && new Date(validTo) <= new Date(validFrom)) {
+    errors.push('validTo must be after validFrom');
+  }
+
+  if (maxUses != null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    errors.push('Max uses must be a positive integer');
+  }
+  if (perCustomerLimit != null && (!Number.isInteger(perCustomerLimit) || perCustomerLimit < 1)) {
+    errors.push('Per-customer limit must be a positive integer');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Apply Discount to Order
+ */
+export const validateApplyDiscount = (req, res, next) => {
+  const { couponCode, discountId } = req.body;
+  const errors = [];
+
+  if (!couponCode && !discountId) {
+    errors.push('Coupon code or discount ID is required');
+  }
+  if (discountId && !/^[0-9a-fA-F]{24}$/.test(discountId)) {
+    errors.push('Invalid discount ID');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Void Order Item
+ */
+export const validateVoidItem = (req, res, next) => {
+  const { reasonCode, note, quantity, approval } = req.body;
+  const errors = [];
+
+  if (!/^[0-9a-fA-F]{24}$/.test(req.params.itemId)) {
+    errors.push('Invalid item ID');
+  }
+
+  const reasons = Object.values(VOID_REASONS);
+  if (!reasonCode) {
+    errors.push('Reason code is required');
+  } else if (!reasons.includes(reasonCode)) {
+    errors.push(`Invalid reason code. Must be one of: ${reasons.join(', ')}`);
+  }
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > 200)) {
+    errors.push('Note must be text of at most 200 characters');
+  }
+  if (reasonCode === VOID_REASONS.OTHER && !note?.trim?.()) {
+    errors.push('Note is required when the reason is "other"');
+  }
+
+  if (quantity !== undefined && (!Number.isInteger(quantity) || quantity < 1)) {
+    errors.push('Quantity must be a positive whole number');
+  }
+
+  if (approval !== undefined && (typeof approval !== 'object' || !approval.email || !approval.password)) {
+    errors.push('Approval must include manager email and password');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Order Refund
+ */
+export const validateRefundOrder = (req, res, next) => {
+  const { reason, refundMode, amount, items, reference, restock, approval } = req.body;
+  const errors = [];
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+    errors.push('Refund reason is required (at least 3 characters)');
+  } else if (reason.length > 300) {
+    errors.push('Refund reason cannot exceed 300 characters');
+  }
+
+  if (!refundMode || !['CASH', 'UPI', 'CARD'].includes(String(refundMode).toUpperCase())) {
+    errors.push('Invalid refund mode. Must be CASH, UPI, or CARD');
+  }
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    errors.push('Refund amount must be a positive number');
+  }
+
+  if (items !== undefined) {
+    if (!Array.isArray(items)) {
+      errors.push('Items must be an array');
+    } else {
+      items.forEach((line, index) => {
+        if (!line || !/^[0-9a-fA-F]{24}$/.test(line.itemId)) {
+          errors.push(`Item ${index + 1}: Invalid item ID`);
+        }
+        if (line?.quantity !== undefined && (!Number.isInteger(line.quantity) || line.quantity < 1)) {
+          errors.push(`Item ${index + 1}: Quantity must be a positive whole number`);
+        }
+      });
+      const ids = items.map((line) => line?.itemId);
+      if (new Set(ids).size !== ids.length) {
+        errors.push('Each item can only be listed once');
+      }
+    }
+  }
+
+  if (reference !== undefined && (typeof reference !== 'string' || reference.length > 100)) {
+    errors.push('Reference must be text of at most 100 characters');
+  }
+
+  if (restock !== undefined && typeof restock !== 'boolean') {
+    errors.push('Restock must be true or false');
+  }
+
+  if (approval !== undefined && (typeof approval !== 'object' || !approval.email || !approval.password)) {
+    errors.push('Approval must include manager email and password');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Rider Assignment
+ */
+export const validateAssignRider = (req, res, next) => {
+  const { riderId } = req.body;
+  const errors = [];
+
+  if (!riderId || !/^[0-9a-fA-F]{24}$/.test(riderId)) {
+    errors.push('Valid rider ID is required');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Delivery Completion — payment is optional (defaults to cash for the balance)
+ */
+export const validateCompleteDelivery = (req, res, next) => {
+  if (req.body.mode === undefined && req.body.payments === undefined) return next();
+  if (req.body.tip !== undefined) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', ['Tips are recorded at the counter']);
+  }
+  return validateOrderPayment(req, res, next);
+};
+
+/**
+ * Validate Failed Delivery
+ */
+export const validateFailDelivery = (req, res, next) => {
+  const { reason } = req.body;
+  const errors = [];
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+    errors.push('Reason is required (at least 3 characters)');
+  } else if (reason.length > 200) {
+    errors.push('Reason cannot exceed 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Rider Cash Settlement
+ */
+export const validateRiderSettlement = (req, res, next) => {
+  const { receivedAmount, orderIds, notes } = req.body;
+  const errors = [];
+
+  if (typeof receivedAmount !== 'number' || receivedAmount < 0) {
+    errors.push('Received amount must be a number of 0 or more');
+  }
+
+  if (orderIds !== undefined) {
+    if (!Array.isArray(orderIds) || orderIds.some((id) => !/^[0-9a-fA-F]{24}$/.test(id))) {
+      errors.push('Order IDs must be an array of valid IDs');
+    } else if (new Set(orderIds).size !== orderIds.length) {
+      errors.push('Each order can only be listed once');
+    }
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 300)) {
+    errors.push('Notes must be text of at most 300 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Offline Sync Push — batch shape only; each order is checked on its own
+ * so one bad order comes back as rejected instead of failing the batch
+ */
+export const validateSyncPush = (req, res, next) => {
+  const { terminalId, snapshotVersion, orders } = req.body;
+  const errors = [];
+
+  if (!terminalId || typeof terminalId !== 'string' || terminalId.length > 64) {
+    errors.push('Terminal ID is required (at most 64 characters)');
+  }
+
+  if (snapshotVersion != null && typeof snapshotVersion !== 'string') {
+    errors.push('Snapshot version must be a string');
+  }
+
+  if (!Array.isArray(orders) || orders.length === 0) {
+    errors.push('At least one order is required');
+  } else if (orders.length > OFFLINE_SYNC.MAX_BATCH) {
+    errors.push(`At most ${OFFLINE_SYNC.MAX_BATCH} orders can be synced at once`);
+  } else {
+    orders.forEach((order, index) => {
+      const id = order?.clientOrderId;
+      if (typeof id !== 'string' || id.length < 8 || id.length > 100) {
+        errors.push(`Order ${index + 1}: clientOrderId is required (8-100 characters)`);
+      }
+    });
+
+    const ids = orders.map((order) => order?.clientOrderId);
+    if (new Set(ids).size !== ids.length) {
+      errors.push('Each clientOrderId can only appear once per batch');
+    }
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Open Shift
+ */
+export const validateOpenShift = (req, res, next) => {
+  const { counter, openingFloat, notes } = req.body;
+  const errors = [];
+
+  if (!counter || typeof counter !== 'string' || !counter.trim()) {
+    errors.push('Counter is required');
+  } else if (counter.length > 50) {
+    errors.push('Counter name cannot exceed 50 characters');
+  }
+
+  if (typeof openingFloat !== 'number' || openingFloat < 0) {
+    errors.push('Opening float must be a number of 0 or more');
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 300)) {
+    errors.push('Notes must be text of at most 300 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Pay-in / Pay-out
+ */
+export const validateCashMovement = (req, res, next) => {
+  const { type, amount, reason } = req.body;
+  const errors = [];
+
+  if (!Object.values(CASH_MOVEMENT_TYPES).includes(type)) {
+    errors.push(`Invalid type. Must be: ${Object.values(CASH_MOVEMENT_TYPES).join(' or ')}`);
+  }
+
+  if (typeof amount !== 'number' || !(amount > 0)) {
+    errors.push('Amount must be greater than 0');
+  }
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+    errors.push('Reason is required (at least 3 characters)');
+  } else if (reason.length > 200) {
+    errors.push('Reason cannot exceed 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Close Shift — cash must be declared, as an amount or by denomination
+ */
+export const validateCloseShift = (req, res, next) => {
+  const { declared, denominations, notes } = req.body;
+  const errors = [];
+
+  if (declared !== undefined) {
+    if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+      errors.push('Declared amounts must be an object of { CASH, UPI, CARD }');
+    } else {
+      Object.entries(declared).forEach(([mode, amount]) => {
+        if (!['CASH', 'UPI', 'CARD'].includes(mode)) {
+          errors.push(`Unknown tender ${mode}. Must be CASH, UPI or CARD`);
+        } else if (amount !== null && (typeof amount !== 'number' || amount < 0)) {
+          errors.push(`Declared ${mode} must be a number of 0 or more`);
+        }
+      });
+    }
+  }
+
+  if (denominations !== undefined) {
+    if (
+      !Array.isArray(denominations) ||
+      denominations.some((d) => !(d?.value > 0) || !Number.isInteger(d?.count) || d.count < 0)
+    ) {
+      errors.push('Denominations must be a list of { value, count }');
+    }
+  }
+
+  if (declared?.CASH == null && !(Array.isArray(denominations) && denominations.length > 0)) {
+    errors.push('Counted cash is required (declared.CASH or denominations)');
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 300)) {
+    errors.push('Notes must be text of at most 300 characters');
+  }
+
   if (errors.length > 0) {
     return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
   }
@@ -149,6 +864,31 @@ export const validateOrderStatus = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate Order Item Status Update (kitchen, per dish)
+ */
+export const validateItemStatus = (req, res, next) => {
+  const { itemId } = req.params;
+  const { status } = req.body;
+  const errors = [];
+
+  if (!/^[0-9a-fA-F]{24}$/.test(itemId)) {
+    errors.push('Invalid item ID format');
+  }
+
+  if (!status) {
+    errors.push('Status is required');
+  } else if (!['pending', 'preparing', 'ready', 'served'].includes(status)) {
+    errors.push('Invalid status. Must be: pending, preparing, ready, or served');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
 /**
  * Validate Item Availability Update
  */
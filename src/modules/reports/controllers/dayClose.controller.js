@@ -0,0 +1,453 @@
+// backend/src/modules/reports/controllers/dayClose.controller.js
+
+import ZReport from '../models/ZReport.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
+import {
+  HTTP_STATUS,
+  USER_ROLES,
+  PAGINATION,
+  BUSINESS_DAY_STATUS,
+} from '../../../config/constants.js';
+import {
+  resolveBusinessDay,
+  buildDaySnapshot,
+  findUnsettledOrders,
+} from '../../../services/dayClose.service.js';
+import ExcelJS from 'exceljs';
+import pdfMake from 'pdfmake/build/pdfmake.js';
+import * as pdfFonts from 'pdfmake/build/vfs_fonts.js';
+pdfMake.vfs = pdfFonts.pdfMake ? pdfFonts.pdfMake.vfs : pdfFonts.vfs;
+
+const loadHotel = async (req, source) => {
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? source.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotel = await Hotel.findById(hotelId);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+  return hotel;
+};
+
+const loadReport = async (id, user) => {
+  const report = await ZReport.findById(id)
+    .populate('closedBy', 'name')
+    .populate('reopenedBy', 'name');
+  if (!report) throw new AppError('Z-report not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    report.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  return report;
+};
+
+// ── Export layout (shared by PDF and Excel) ──
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+const label = (s) => (s ? s.replace(/[_-]/g, ' ').replace(/\b\w/g, (c) => c.toUpperCase()) : '-');
+
+const zReportSections = (snapshot) => {
+  const { sales, taxes, tenders, voids, discounts, rooms, shifts, totals } = snapshot;
+
+  return [
+    {
+      title: 'Summary',
+      head: ['', 'Amount'],
+      rows: [
+        ['POS net sales', money(sales.netSales)],
+        ['Room net revenue', money(rooms.netRevenue)],
+        ['Gross revenue', money(totals.grossRevenue)],
+        ['Less: refunds', money(-totals.refunds)],
+        ['Net revenue', money(totals.netRevenue)],
+        ['Net tax', money(totals.netTax)],
+        ['Net tenders', money(snapshot.tenderTotal)],
+      ],
+    },
+    {
+      title: 'POS Sales',
+      head: ['', 'Amount'],
+      rows: [
+        ['Orders', String(sales.orders)],
+        ['Gross sales', money(sales.grossSales)],
+        ['Discounts', money(-sales.discount)],
+        ['Service charge', money(sales.serviceCharge)],
+        ['Delivery charges', money(sales.deliveryCharge)],
+        ['Extra charges', money(sales.extraCharges)],
+        ['Taxable value', money(sales.taxable)],
+        ['Tax', money(sales.tax)],
+        ['Round off', money(sales.roundOff)],
+        ['Total', money(sales.total)],
+        ['Charged to rooms', money(sales.chargedToRoom)],
+        ['Refunds (credit notes)', money(-sales.refunds)],
+        ['Net sales', money(sales.netSales)],
+        [`Cancelled orders (${sales.cancelledOrders})`, money(sales.cancelledValue)],
+      ],
+    },
+    {
+      title: 'Sales by Order Type',
+      head: ['Type', 'Orders', 'Gross', 'Discount', 'Tax', 'Total'],
+      rows: sales.byType.map((r) => [
+        label(r.orderType), String(r.orders), money(r.grossSales), money(r.discount), money(r.tax), money(r.total),
+      ]),
+    },
+    {
+      title: 'Taxes',
+      head: ['', 'Taxable', 'CGST', 'SGST', 'IGST', 'Tax', 'Refunded', 'Net'],
+      rows: [['POS', taxes.pos], ['Rooms', taxes.rooms], ['Total', taxes.total]].map(([name, t]) => [
+        name, money(t.taxable), money(t.cgst), money(t.sgst), money(t.igst), money(t.tax), money(t.refunded), money(t.net),
+      ]),
+    },
+    {
+      title: 'POS GST by Rate',
+      head: ['Rate', 'Taxable', 'CGST', 'SGST', 'IGST', 'Tax'],
+      rows: (taxes.posByRate || []).map((r) => [
+        `${r.rate}%`, money(r.taxable), money(r.cgst), money(r.sgst), money(r.igst), money(r.tax),
+      ]),
+    },
+    {
+      title: 'Tenders',
+      head: ['Mode', 'POS', 'Tips', 'Rooms', 'Refunds', 'Net'],
+      rows: [
+        ...tenders.map((t) => [label(t.mode), money(t.pos), money(t.tips), money(t.rooms), money(-t.refunds), money(t.net)]),
+        ['Total', '', '', '', '', money(snapshot.tenderTotal)],
+      ],
+    },
+    {
+      title: 'Voids',
+      head: ['Reason', 'Lines', 'Qty', 'Amount', 'Prepared'],
+      rows: [
+        ...voids.byReason.map((v) => [label(v.reasonCode), String(v.count), String(v.quantity), money(v.amount), money(v.preparedAmount)]),
+        ['Total', String(voids.count), String(voids.quantity), money(voids.amount), money(voids.preparedLoss)],
+      ],
+    },
+    {
+      title: 'Discounts',
+      head: ['Rule', 'Code', 'Orders', 'Amount'],
+      rows: [
+        ...discounts.byRule.map((d) => [d.name || '-', d.code || '-', String(d.orders), money(d.amount)]),
+        ['Total', '', String(discounts.orders), money(discounts.amount)],
+      ],
+    },
+    {
+      title: 'Room Revenue',
+      head: ['', 'Amount'],
+      rows: [
+        ['Check-outs', String(rooms.checkOuts)],
+        ['Room charges', money(rooms.roomCharges)],
+        ['Extra charges', money(rooms.extraCharges)],
+        ['Discounts', money(-rooms.discount)],
+        ['Taxable value', money(rooms.taxable)],
+        ['Tax', money(rooms.tax)],
+        ['Total', money(rooms.total)],
+        ['Refunds (credit notes)', money(-rooms.refunds)],
+        ['Net revenue', money(rooms.netRevenue)],
+      ],
+    },
+    {
+      title: 'Cashier Shifts',
+      head: ['Shift', 'Counter', 'Cashier', 'Expected cash', 'Counted', 'Variance'],
+      rows: shifts.map((s) => [
+        s.shiftNumber, s.counter, s.cashier || '-', money(s.expectedCash),
+        s.declaredCash == null ? '-' : money(s.declaredCash),
+        s.cashVariance == null ? '-' : money(s.cashVariance),
+      ]),
+    },
+  ];
+};
+
+const reportHeading = (report, hotel) => {
+  const closedOn = new Date(report.closedAt).toLocaleString('en-IN', { timeZone: report.timezone });
+  const lines = [
+    `Business date: ${report.businessDate} (${report.timezone}) | ${report.reportNumber} rev ${report.revision}`,
+    `Closed by ${report.closedBy?.name || '-'} on ${closedOn}`,
+  ];
+  if (report.status === BUSINESS_DAY_STATUS.REOPENED) {
+    lines.push(`REOPENED by ${report.reopenedBy?.name || '-'}: ${report.reopenReason} (superseded)`);
+  }
+  if (hotel.gst?.number) lines.unshift(`GSTIN: ${hotel.gst.number}`);
+  return lines;
+};
+
+const sendZReportExcel = async (res, report, hotel) => {
+  const workbook = new ExcelJS.Workbook();
+  const ws = workbook.addWorksheet('Z-Report');
+  ws.columns = [{ width: 28 }, ...Array(7).fill({ width: 14 })];
+
+  ws.mergeCells('A1:H1');
+  ws.getCell('A1').value = hotel.name.toUpperCase();
+  ws.getCell('A1').font = { bold: true, size: 16 };
+  ws.getCell('A1').alignment = { horizontal: 'center' };
+  ws.addRow(['Z-REPORT (DAY CLOSE)']).font = { bold: true, size: 13 };
+  reportHeading(report, hotel).forEach((line) => ws.addRow([line]));
+
+  zReportSections(report.snapshot).forEach((section) => {
+    ws.addRow([]);
+    ws.addRow([section.title.toUpperCase()]).font = { bold: true };
+    ws.addRow(section.head).font = { bold: true };
+    // Money columns go in as numbers so the sheet can be summed
+    section.rows.forEach((row) => ws.addRow(row.map((v, i) => (i > 0 && v !== '' && !isNaN(v) ? Number(v) : v))));
+  });
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename=Z_Report_${report.businessDate}_${report.reportNumber}.xlsx`);
+
+  await workbook.xlsx.write(res);
+  return res.end();
+};
+
+const sendZReportPDF = async (res, report, hotel) => {
+  const docDefinition = {
+    content: [
+      { text: hotel.name.toUpperCase(), style: 'header' },
+      ...reportHeading(report, hotel).map((text) => ({ text })),
+      { text: 'Z-Report (Day Close)', style: 'title' },
+      ...zReportSections(report.snapshot)
+        .filter((section) => section.rows.length > 0)
+        .flatMap((section) => [
+          { text: section.title, style: 'section', margin: [0, 12, 0, 6] },
+          {
+            table: {
+              headerRows: 1,
+              widths: ['*', ...section.head.slice(1).map(() => 'auto')],
+              body: [
+                section.head.map((text) => ({ text, bold: true })),
+                ...section.rows.map((row) => row.map((text, i) => ({ text, alignment: i > 0 ? 'right' : 'left' }))),
+              ],
+            },
+            layout: 'lightHorizontalLines',
+          },
+        ]),
+    ],
+    styles: {
+      header: { fontSize: 18, bold: true },
+      title: { fontSize: 16, bold: true, margin: [0, 15, 0, 10] },
+      section: { fontSize: 12, bold: true },
+    },
+    defaultStyle: { fontSize: 9 },
+  };
+
+  const buffer = await pdfMake.createPdf(docDefinition).getBuffer();
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Length', buffer.length);
+  res.setHeader('Content-Disposition', `attachment; filename=Z_Report_${report.businessDate}_${report.reportNumber}.pdf`);
+  return res.status(HTTP_STATUS.OK).send(buffer);
+};
+
+/**
+ * DAY CLOSE PREVIEW
+ * GET /api/reports/day-close/preview?date=YYYY-MM-DD
+ * Live figures for a business day (default today) and the bills still open,
+ * without closing anything.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getDayClosePreview = asyncHandler(async (req, res) => {
+  const hotel = await loadHotel(req, req.query);
+  const day = resolveBusinessDay(hotel, req.query.date);
+
+  const [snapshot, unsettledOrders, closed] = await Promise.all([
+    buildDaySnapshot(hotel._id, day),
+    findUnsettledOrders(hotel._id, day.from, day.to),
+    ZReport.findOne({ hotel: hotel._id, businessDate: day.businessDate, status: BUSINESS_DAY_STATUS.CLOSED })
+      .select('reportNumber revision closedAt'),
+  ]);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Day close preview generated', {
+    businessDate: day.businessDate,
+    closed: closed || null,
+    canClose: !closed && unsettledOrders.length === 0,
+    unsettledOrders,
+    snapshot,
+  });
+});
+
+/**
+ * CLOSE BUSINESS DAY (Z-REPORT)
+ * POST /api/reports/day-close
+ * Body: { date?: 'YYYY-MM-DD', notes }
+ * Freezes the day's figures into a Z-report. Orders and payments in a closed
+ * day can't be changed until a manager reopens it. All bills from the day must
+ * be settled (or cancelled) first.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const closeBusinessDay = asyncHandler(async (req, res) => {
+  const hotel = await loadHotel(req, req.body);
+  const day = resolveBusinessDay(hotel, req.body.date);
+
+  const existing = await ZReport.findOne({
+    hotel: hotel._id,
+    businessDate: day.businessDate,
+    status: BUSINESS_DAY_STATUS.CLOSED,
+  });
+  if (existing) {
+    throw new AppError(`${day.businessDate} is already closed (${existing.reportNumber})`, HTTP_STATUS.CONFLICT);
+  }
+
+  const unsettled = await findUnsettledOrders(hotel._id, day.from, day.to);
+  if (unsettled.length > 0) {
+    const numbers = unsettled.slice(0, 10).map((o) => o.orderNumber).join(', ');
+    throw new AppError(
+      `${unsettled.length} bill(s) from ${day.businessDate} are not settled: ${numbers}${unsettled.length > 10 ? ', …' : ''}`,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+
+  const snapshot = await buildDaySnapshot(hotel._id, day);
+  const previous = await ZReport.findOne({ hotel: hotel._id, businessDate: day.businessDate })
+    .sort({ revision: -1 })
+    .select('revision');
+
+  let report;
+  try {
+    report = await ZReport.create({
+      hotel: hotel._id,
+      businessDate: day.businessDate,
+      timezone: day.timeZone,
+      from: day.from,
+      to: day.to,
+      revision: (previous?.revision || 0) + 1,
+      closedBy: req.user._id,
+      notes: req.body.notes?.trim() || '',
+      snapshot,
+    });
+  } catch (error) {
+    // Closed from another terminal a moment ago
+    if (error.code === 11000) {
+      throw new AppError(`${day.businessDate} was just closed`, HTTP_STATUS.CONFLICT);
+    }
+    throw error;
+  }
+  await report.populate('closedBy', 'name');
+
+  req.app.get('io').of('/pos').emit('day:closed', {
+    reportId: report._id,
+    reportNumber: report.reportNumber,
+    businessDate: report.businessDate,
+  });
+
+  return successResponse(res, HTTP_STATUS.CREATED, `Business day ${day.businessDate} closed`, { report });
+});
+
+/**
+ * GET Z-REPORTS
+ * GET /api/reports/z-reports?startDate=&endDate=&status=&page=&limit=
+ * Dates are business dates (YYYY-MM-DD). Snapshots are left out of the list.
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getZReports = asyncHandler(async (req, res) => {
+  const {
+    page = 1,
+    limit = PAGINATION.DEFAULT_LIMIT,
+    status,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const hotel = await loadHotel(req, req.query);
+  const query = { hotel: hotel._id };
+
+  if (status) {
+    if (!Object.values(BUSINESS_DAY_STATUS).includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${Object.values(BUSINESS_DAY_STATUS).join(', ')}`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    query.status = status;
+  }
+  if (startDate || endDate) {
+    query.businessDate = {};
+    if (startDate) query.businessDate.$gte = startDate;
+    if (endDate) query.businessDate.$lte = endDate;
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [reports, total] = await Promise.all([
+    ZReport.find(query)
+      .select('-snapshot')
+      .populate('closedBy', 'name')
+      .populate('reopenedBy', 'name')
+      .sort({ businessDate: -1, revision: -1 })
+      .skip(skip)
+      .limit(limitNum),
+    ZReport.countDocuments(query),
+  ]);
+
+  return paginatedResponse(res, reports, pageNum, limitNum, total, 'Z-reports fetched successfully');
+});
+
+/**
+ * GET / EXPORT Z-REPORT
+ * GET /api/reports/z-reports/:id?format=json|pdf|excel
+ * Access: Hotel Admin, Manager, Cashier
+ */
+export const getZReportById = asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!['json', 'pdf', 'excel'].includes(format)) {
+    throw new AppError('format must be json, pdf or excel', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const report = await loadReport(req.params.id, req.user);
+
+  if (format === 'json') {
+    return successResponse(res, HTTP_STATUS.OK, 'Z-report fetched successfully', { report });
+  }
+
+  const hotel = await Hotel.findById(report.hotel).select('name gst');
+  return format === 'excel'
+    ? sendZReportExcel(res, report, hotel)
+    : sendZReportPDF(res, report, hotel);
+});
+
+/**
+ * REOPEN BUSINESS DAY
+ * POST /api/reports/z-reports/:id/reopen
+ * Body: { reason }
+ * Unlocks the day for corrections. The Z-report keeps its figures and is
+ * marked reopened; closing the day again issues a new revision.
+ * Access: Hotel Admin, Manager
+ */
+export const reopenBusinessDay = asyncHandler(async (req, res) => {
+  const report = await loadReport(req.params.id, req.user);
+
+  const reopened = await ZReport.findOneAndUpdate(
+    { _id: report._id, status: BUSINESS_DAY_STATUS.CLOSED },
+    {
+      status: BUSINESS_DAY_STATUS.REOPENED,
+      reopenedAt: new Date(),
+      reopenedBy: req.user._id,
+      reopenReason: req.body.reason.trim(),
+    },
+    { new: true }
+  )
+    .populate('closedBy', 'name')
+    .populate('reopenedBy', 'name');
+
+  if (!reopened) {
+    throw new AppError(`${report.reportNumber} is not the closing report in force`, HTTP_STATUS.CONFLICT);
+  }
+
+  req.app.get('io').of('/pos').emit('day:reopened', {
+    reportId: reopened._id,
+    reportNumber: reopened.reportNumber,
+    businessDate: reopened.businessDate,
+    reason: reopened.reopenReason,
+  });
+
+  return successResponse(res, HTTP_STATUS.OK, `Business day ${reopened.businessDate} reopened`, {
+    report: reopened,
+  });
+});
@@ -3,12 +3,66 @@
 import Booking from '../../rooms/models/Booking.model.js';
 import Order from '../../pos/models/Order.model.js';
 import Hotel from '../../hotels/models/Hotel.model.js';
+import CreditNote from '../../billing/models/CreditNote.model.js';
+import { creditNoteTaxSplit } from '../../../services/refund.service.js';
 import { successResponse } from '../../../utils/responseHandler.js';
 import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
 import ExcelJS from 'exceljs';
 
+// Credit notes for the same hotel + window — refunds reverse GST in the period they're issued
+const findCreditNotes = (query, sourceType) => {
+  const creditNoteQuery = { sourceType, createdAt: query.createdAt };
+  if (query.hotel) creditNoteQuery.hotel = query.hotel;
+  return CreditNote.find(creditNoteQuery).sort({ createdAt: 1 });
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Taxable value and GST split of an order. With tax-inclusive menu prices the
+// subtotal already contains GST, so the stored taxable value is used; orders
+// priced before it was stored had tax on top of the subtotal, intra-state.
+const orderTaxFigures = (order) => {
+  const p = order.pricing || {};
+  if (p.taxable != null) {
+    return { taxable: p.taxable, cgst: p.cgst || 0, sgst: p.sgst || 0, igst: p.igst || 0, tax: p.tax || 0 };
+  }
+  const tax = p.tax || 0;
+  const cgst = round2(tax / 2);
+  return { taxable: p.subtotal || 0, cgst, sgst: round2(tax - cgst), igst: 0, tax };
+};
+
+// Credit note spread over the HSN/SAC rows of the order it refunds, in
+// proportion to each row's taxable value and tax
+const creditNoteHsnRows = (cn) => {
+  const breakdown = cn.order?.pricing?.taxBreakdown || [];
+  const taxableBase = breakdown.reduce((sum, row) => sum + row.taxable, 0);
+  const taxBase = breakdown.reduce((sum, row) => sum + row.tax, 0);
+  const split = { ...creditNoteTaxSplit(cn), tax: cn.amounts.tax };
+
+  return breakdown.map((row) => ({
+    hsnCode: row.hsnCode,
+    rate: row.rate,
+    taxable: taxableBase > 0 ? (cn.amounts.taxable * row.taxable) / taxableBase : 0,
+    ...Object.fromEntries(
+      ['cgst', 'sgst', 'igst', 'tax'].map((k) => [k, taxBase > 0 ? (split[k] * row.tax) / taxBase : 0])
+    ),
+  }));
+};
+
+const creditNoteRow = (cn) => ({
+  creditNoteNumber: cn.creditNoteNumber,
+  originalInvoiceNumber: cn.originalInvoiceNumber,
+  date: cn.createdAt,
+  customerName: cn.customer?.name || 'N/A',
+  taxableAmount: cn.amounts.taxable,
+  ...creditNoteTaxSplit(cn),
+  totalGST: cn.amounts.tax,
+  total: cn.amounts.total,
+  reason: cn.reason,
+});
+
 export const getBookingsGSTReport = asyncHandler(async (req, res) => {
   const { startDate, endDate, hotel } = req.query;
 
@@ -62,6 +116,27 @@ export const getBookingsGSTReport = asyncHandler(async (req, res) => {
     dailyBreakdown[date].net += net;
   });
 
+  // ── Refunds (credit notes) are netted out ──
+  const creditNotes = await findCreditNotes(query, 'booking');
+  const refunds = { count: 0, taxable: 0, gst: 0, total: 0 };
+  creditNotes.forEach((cn) => {
+    refunds.count++;
+    refunds.taxable += cn.amounts.taxable;
+    refunds.gst += cn.amounts.tax;
+    refunds.total += cn.amounts.total;
+
+    const date = new Date(cn.createdAt).toISOString().split('T')[0];
+    if (!dailyBreakdown[date]) {
+      dailyBreakdown[date] = { date, bookings: 0, revenue: 0, gst: 0, net: 0 };
+    }
+    dailyBreakdown[date].revenue -= cn.amounts.taxable;
+    dailyBreakdown[date].gst -= cn.amounts.tax;
+    dailyBreakdown[date].net -= cn.amounts.total;
+  });
+  totalRevenue -= refunds.taxable;
+  totalGST -= refunds.gst;
+  totalNet -= refunds.total;
+
   const dailyData = Object.values(dailyBreakdown).sort(
     (a, b) => new Date(a.date) - new Date(b.date)
   );
@@ -72,9 +147,16 @@ export const getBookingsGSTReport = asyncHandler(async (req, res) => {
       totalRevenue: Math.round(totalRevenue),
       totalGST: Math.round(totalGST),
       totalNet: Math.round(totalNet),
+      refunds: {
+        count: refunds.count,
+        taxable: Math.round(refunds.taxable),
+        gst: Math.round(refunds.gst),
+        total: Math.round(refunds.total),
+      },
       startDate,
       endDate,
     },
+    creditNotes: creditNotes.map(creditNoteRow),
     dailyBreakdown: dailyData,
     bookings: bookings.map((b) => {
       const subtotal = b.pricing?.subtotal || 0;
@@ -146,11 +228,19 @@ export const getPOSGSTReport = asyncHandler(async (req, res) => {
     'takeaway': { count: 0, revenue: 0, gst: 0 },
     'delivery': { count: 0, revenue: 0, gst: 0 },
   };
+  // HSN/SAC-wise summary (GSTR-1), from orders priced with a tax breakdown
+  const hsnSummary = {};
+  const addToHsnSummary = (row, sign) => {
+    const key = `${row.hsnCode}|${row.rate}`;
+    if (!hsnSummary[key]) {
+      hsnSummary[key] = { hsnCode: row.hsnCode, rate: row.rate, taxable: 0, cgst: 0, sgst: 0, igst: 0, tax: 0 };
+    }
+    ['taxable', 'cgst', 'sgst', 'igst', 'tax'].forEach((k) => { hsnSummary[key][k] += sign * row[k]; });
+  };
 
   orders.forEach((order) => {
     totalOrders++;
-    const revenue = order.pricing?.subtotal || 0;
-    const gst = order.pricing?.tax || 0;
+    const { taxable: revenue, tax: gst } = orderTaxFigures(order);
     const net = order.pricing?.total || 0;
 
     totalRevenue += revenue;
@@ -171,7 +261,31 @@ export const getPOSGSTReport = asyncHandler(async (req, res) => {
     dailyBreakdown[date].revenue += revenue;
     dailyBreakdown[date].gst += gst;
     dailyBreakdown[date].net += net;
+
+    (order.pricing?.taxBreakdown || []).forEach((row) => addToHsnSummary(row, 1));
+  });
+
+  // ── Refunds (credit notes) are netted out ──
+  const creditNotes = await findCreditNotes(query, 'order').populate('order', 'pricing.taxBreakdown');
+  const refunds = { count: 0, taxable: 0, gst: 0, total: 0 };
+  creditNotes.forEach((cn) => {
+    refunds.count++;
+    refunds.taxable += cn.amounts.taxable;
+    refunds.gst += cn.amounts.tax;
+    refunds.total += cn.amounts.total;
+    creditNoteHsnRows(cn).forEach((row) => addToHsnSummary(row, -1));
+
+    const date = new Date(cn.createdAt).toISOString().split('T')[0];
+    if (!dailyBreakdown[date]) {
+      dailyBreakdown[date] = { date, orders: 0, revenue: 0, gst: 0, net: 0 };
+    }
+    dailyBreakdown[date].revenue -= cn.amounts.taxable;
+    dailyBreakdown[date].gst -= cn.amounts.tax;
+    dailyBreakdown[date].net -= cn.amounts.total;
   });
+  totalRevenue -= refunds.taxable;
+  totalGST -= refunds.gst;
+  totalNet -= refunds.total;
 
   const dailyData = Object.values(dailyBreakdown).sort(
     (a, b) => new Date(a.date) - new Date(b.date)
@@ -183,22 +297,45 @@ export const getPOSGSTReport = asyncHandler(async (req, res) => {
       totalRevenue: Math.round(totalRevenue),
       totalGST: Math.round(totalGST),
       totalNet: Math.round(totalNet),
+      refunds: {
+        count: refunds.count,
+        taxable: Math.round(refunds.taxable),
+        gst: Math.round(refunds.gst),
+        total: Math.round(refunds.total),
+      },
       startDate,
       endDate,
     },
+    creditNotes: creditNotes.map(creditNoteRow),
     dailyBreakdown: dailyData,
     orderTypeBreakdown,
-    orders: orders.map((o) => ({
-      orderNumber: o.orderNumber,
-      orderType: o.orderType,
-      customerName: o.customer?.name || 'N/A',
-      itemsCount: o.items?.length || 0,
-      revenue: o.pricing?.subtotal || 0,
-      gst: o.pricing?.tax || 0,
-      total: o.pricing?.total || 0,
-      status: o.status,
-      createdAt: o.createdAt,
-    })),
+    hsnSummary: Object.values(hsnSummary)
+      .map((row) => ({
+        ...row,
+        ...Object.fromEntries(['taxable', 'cgst', 'sgst', 'igst', 'tax'].map((k) => [k, Math.round(row[k] * 100) / 100])),
+      }))
+      .sort((a, b) => a.rate - b.rate || a.hsnCode.localeCompare(b.hsnCode)),
+    orders: orders.map((o) => {
+      const figures = orderTaxFigures(o);
+      return {
+        orderNumber: o.orderNumber,
+        orderType: o.orderType,
+        customerName: o.customer?.name || 'N/A',
+        customerGstin: o.customer?.gstin || null,
+        placeOfSupply: o.placeOfSupply || null,
+        itemsCount: o.items?.length || 0,
+        subtotal: o.pricing?.subtotal || 0,
+        revenue: figures.taxable,
+        gst: figures.tax,
+        includedTax: o.pricing?.includedTax || 0,
+        cgst: figures.cgst,
+        sgst: figures.sgst,
+        igst: figures.igst,
+        total: o.pricing?.total || 0,
+        status: o.status,
+        createdAt: o.createdAt,
+      };
+    }),
   });
 });
 
@@ -282,6 +419,26 @@ export const exportBookingsGSTExcel = asyncHandler(async (req, res) => {
     ]);
   });
 
+  // Credit notes as negative rows
+  const creditNotes = await findCreditNotes(query, 'booking');
+  creditNotes.forEach((cn) => {
+    totalRevenue -= cn.amounts.taxable;
+    totalGST -= cn.amounts.tax;
+    totalNet -= cn.amounts.total;
+
+    worksheet.addRow([
+      new Date(cn.createdAt).toLocaleDateString(),
+      cn.creditNoteNumber,
+      cn.customer?.name || 'N/A',
+      `Refund of ${cn.originalInvoiceNumber}`,
+      '', '', '', '',
+      -cn.amounts.taxable,
+      -cn.amounts.tax,
+      -cn.amounts.total,
+      'refunded',
+    ]);
+  });
+
   const totalRow = worksheet.addRow(['', '', '', '', '', '', 'TOTAL:', totalRevenue, '', totalGST, totalNet, '']);
   totalRow.font = { bold: true };
   totalRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE7E6E6' } };
@@ -329,12 +486,12 @@ export const exportPOSGSTExcel = asyncHandler(async (req, res) => {
   const workbook = new ExcelJS.Workbook();
   const worksheet = workbook.addWorksheet('POS GST Report');
 
-  worksheet.mergeCells('A1:J1');
+  worksheet.mergeCells('A1:M1');
   worksheet.getCell('A1').value = `${hotelData?.name || 'Hotel'} - POS GST Report`;
   worksheet.getCell('A1').font = { size: 16, bold: true };
   worksheet.getCell('A1').alignment = { horizontal: 'center' };
 
-  worksheet.mergeCells('A2:J2');
+  worksheet.mergeCells('A2:M2');
   worksheet.getCell('A2').value = `Period: ${new Date(startDate).toLocaleDateString()} - ${new Date(endDate).toLocaleDateString()}`;
   worksheet.getCell('A2').alignment = { horizontal: 'center' };
 
@@ -342,20 +499,22 @@ export const exportPOSGSTExcel = asyncHandler(async (req, res) => {
 
   const headerRow = worksheet.addRow([
     'Date', 'Order No.', 'Order Type', 'Customer', 'Items',
-    'Revenue (₹)', 'GST (₹)', 'Total (₹)', 'Payment', 'Status',
+    'Taxable Value (₹)', 'CGST (₹)', 'SGST (₹)', 'IGST (₹)', 'GST (₹)', 'Total (₹)', 'Payment', 'Status',
   ]);
 
   headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' } };
   headerRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFFF6600' } };
 
-  let totalRevenue = 0, totalGST = 0, totalNet = 0;
+  let totalRevenue = 0, totalCGST = 0, totalSGST = 0, totalIGST = 0, totalGST = 0, totalNet = 0;
 
   orders.forEach((order) => {
-    const revenue = order.pricing?.subtotal || 0;
-    const gst = order.pricing?.tax || 0;
+    const { taxable: revenue, cgst, sgst, igst, tax: gst } = orderTaxFigures(order);
     const net = order.pricing?.total || 0;
 
     totalRevenue += revenue;
+    totalCGST += cgst;
+    totalSGST += sgst;
+    totalIGST += igst;
     totalGST += gst;
     totalNet += net;
 
@@ -364,19 +523,51 @@ export const exportPOSGSTExcel = asyncHandler(async (req, res) => {
       order.orderNumber, order.orderType,
       order.customer?.name || 'N/A',
       order.items?.length || 0,
-      revenue, gst, net,
+      revenue, cgst, sgst, igst, gst, net,
       order.payment?.status || 'UNPAID',
       order.status,
     ]);
   });
 
-  const totalRow = worksheet.addRow(['', '', '', '', 'TOTAL:', totalRevenue, totalGST, totalNet, '', '']);
+  // Credit notes as negative rows
+  const creditNotes = await findCreditNotes(query, 'order');
+  creditNotes.forEach((cn) => {
+    const { cgst, sgst, igst } = creditNoteTaxSplit(cn);
+    totalRevenue -= cn.amounts.taxable;
+    totalCGST -= cgst;
+    totalSGST -= sgst;
+    totalIGST -= igst;
+    totalGST -= cn.amounts.tax;
+    totalNet -= cn.amounts.total;
+
+    worksheet.addRow([
+      new Date(cn.createdAt).toLocaleDateString(),
+      cn.creditNoteNumber,
+      `Refund of ${cn.originalInvoiceNumber}`,
+      cn.customer?.name || 'N/A',
+      cn.lines.length,
+      -cn.amounts.taxable,
+      -cgst,
+      -sgst,
+      -igst,
+      -cn.amounts.tax,
+      -cn.amounts.total,
+      cn.refund.mode,
+      'refunded',
+    ]);
+  });
+
+  const totalRow = worksheet.addRow([
+    '', '', '', '', 'TOTAL:',
+    round2(totalRevenue), round2(totalCGST), round2(totalSGST), round2(totalIGST), round2(totalGST), round2(totalNet),
+    '', '',
+  ]);
   totalRow.font = { bold: true };
   totalRow.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFE7E6E6' } };
 
   worksheet.columns = [
     { width: 12 }, { width: 15 }, { width: 15 }, { width: 18 }, { width: 8 },
-    { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 },
+    { width: 16 }, { width: 11 }, { width: 11 }, { width: 11 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 },
   ];
 
   res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
@@ -1,13 +1,17 @@
+import mongoose from 'mongoose';
 import Invoice from '../../billing/models/Invoice.model.js';
 import Booking from '../../rooms/models/Booking.model.js';
 import Hotel from '../../hotels/models/Hotel.model.js';
 import Order from '../../pos/models/Order.model.js';
 import Room from '../../rooms/models/Room.model.js';
 import StockTransaction from '../../inventory/models/StockTransaction.model.js';
+import CreditNote from '../../billing/models/CreditNote.model.js';
+import WaiterAssignment from '../../tables/models/WaiterAssignment.model.js';
 import { successResponse } from '../../../utils/responseHandler.js';
 import { HTTP_STATUS, USER_ROLES } from '../../../config/constants.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
+import { summarizeCreditNotes, creditNoteTaxSplit } from '../../../services/refund.service.js';
 import ExcelJS from 'exceljs';
 import pdfMake from 'pdfmake/build/pdfmake.js';
 import * as pdfFonts from 'pdfmake/build/vfs_fonts.js';
@@ -72,9 +76,44 @@ export const getRevenueReport = asyncHandler(async (req, res) => {
     { $sort: { _id: 1 } },
   ]);
 
+  // ── Net out POS refunds (credit notes dated in the period) ──
+  const refunds = await summarizeCreditNotes({
+    hotel: assignedHotel,
+    start,
+    end,
+    sourceType: 'order',
+    dateFormat,
+  });
+  revenueData.forEach((row) => {
+    const refunded = refunds.byPeriod[row._id] || { total: 0, tax: 0 };
+    row.grossRevenue = row.totalRevenue;
+    row.refunds = refunded.total;
+    row.totalRevenue = row.grossRevenue - refunded.total;
+    row.foodRevenue -= refunded.total;
+    row.taxCollected -= refunded.tax;
+  });
+  // Refunds on days with no sales still reduce the period
+  Object.entries(refunds.byPeriod)
+    .filter(([period]) => !revenueData.some((row) => row._id === period))
+    .forEach(([period, refunded]) => {
+      revenueData.push({
+        _id: period,
+        grossRevenue: 0,
+        refunds: refunded.total,
+        totalRevenue: -refunded.total,
+        roomRevenue: 0,
+        foodRevenue: -refunded.total,
+        taxCollected: -refunded.tax,
+        invoiceCount: 0,
+      });
+    });
+  revenueData.sort((a, b) => a._id.localeCompare(b._id));
 
   // Calculate totals
   const totals = {
+    grossRevenue: revenueData.reduce((sum, item) => sum + item.grossRevenue, 0),
+    refunds: refunds.totals.total,
+    refundCount: refunds.totals.count,
     totalRevenue: revenueData.reduce((sum, item) => sum + item.totalRevenue, 0),
     roomRevenue: revenueData.reduce((sum, item) => sum + item.roomRevenue, 0),
     foodRevenue: revenueData.reduce((sum, item) => sum + item.foodRevenue, 0),
@@ -260,6 +299,9 @@ export const getSalesReport = asyncHandler(async (req, res) => {
       $group: {
         _id: dateFormat,
         totalSales: { $sum: '$pricing.total' },
+        grossSales: { $sum: '$pricing.subtotal' },
+        totalDiscount: { $sum: { $ifNull: ['$pricing.discount', 0] } },
+        discountedOrders: { $sum: { $cond: [{ $gt: ['$pricing.discount', 0] }, 1, 0] } },
         orderCount: { $sum: 1 },
         avgOrderValue: { $avg: '$pricing.total' },
       },
@@ -269,6 +311,31 @@ export const getSalesReport = asyncHandler(async (req, res) => {
     },
   ]);
 
+  // Discounts by rule / coupon code
+  const discountBreakdown = await Order.aggregate([
+    {
+      $match: {
+        hotel: assignedHotel,
+        createdAt: { $gte: start, $lte: end },
+        status: 'served',
+        'pricing.discount': { $gt: 0 },
+      },
+    },
+    {
+      $group: {
+        _id: { $ifNull: ['$appliedDiscount.discount', null] },
+        code: { $first: '$appliedDiscount.code' },
+        name: { $first: '$appliedDiscount.name' },
+        orderCount: { $sum: 1 },
+        totalDiscount: { $sum: '$pricing.discount' },
+        salesAfterDiscount: { $sum: '$pricing.total' },
+      },
+    },
+    {
+      $sort: { totalDiscount: -1 },
+    },
+  ]);
+
   // Top selling items
   const topItems = await Order.aggregate([
     {
@@ -279,6 +346,7 @@ export const getSalesReport = asyncHandler(async (req, res) => {
       },
     },
     { $unwind: '$items' },
+    { $match: { 'items.status': { $ne: 'cancelled' } } },
     {
       $group: {
         _id: '$items.name',
@@ -294,11 +362,47 @@ export const getSalesReport = asyncHandler(async (req, res) => {
     },
   ]);
 
+  // ── Net out POS refunds (credit notes dated in the period) ──
+  const refunds = await summarizeCreditNotes({
+    hotel: assignedHotel,
+    start,
+    end,
+    sourceType: 'order',
+    dateFormat,
+  });
+  salesData.forEach((row) => {
+    row.refunds = refunds.byPeriod[row._id]?.total || 0;
+    row.totalSales -= row.refunds;
+  });
+  Object.entries(refunds.byPeriod)
+    .filter(([period]) => !salesData.some((row) => row._id === period))
+    .forEach(([period, refunded]) => {
+      salesData.push({
+        _id: period,
+        totalSales: -refunded.total,
+        grossSales: 0,
+        totalDiscount: 0,
+        discountedOrders: 0,
+        orderCount: 0,
+        avgOrderValue: 0,
+        refunds: refunded.total,
+      });
+    });
+  salesData.sort((a, b) => a._id.localeCompare(b._id));
+
   const totals = {
     totalSales: salesData.reduce((sum, item) => sum + item.totalSales, 0),
+    refunds: refunds.totals.total,
+    refundCount: refunds.totals.count,
+    grossSales: salesData.reduce((sum, item) => sum + item.grossSales, 0),
+    totalDiscount: salesData.reduce((sum, item) => sum + item.totalDiscount, 0),
+    discountedOrders: salesData.reduce((sum, item) => sum + item.discountedOrders, 0),
     orderCount: salesData.reduce((sum, item) => sum + item.orderCount, 0),
-    avgOrderValue: salesData.length > 0
-      ? Math.round(salesData.reduce((sum, item) => sum + item.avgOrderValue, 0) / salesData.length)
+    avgOrderValue: salesData.some((item) => item.orderCount > 0)
+      ? Math.round(
+          salesData.reduce((sum, item) => sum + item.avgOrderValue, 0) /
+            salesData.filter((item) => item.orderCount > 0).length
+        )
       : 0,
   };
 
@@ -309,12 +413,373 @@ export const getSalesReport = asyncHandler(async (req, res) => {
     {
       report: salesData,
       topItems,
+      discountBreakdown,
       totals,
       period: { startDate: start, endDate: end, groupBy },
     }
   );
 });
 
+/**
+ * Get Voids Report (loss prevention)
+ * GET /api/reports/voids
+ * Query: startDate, endDate, reasonCode, voidedBy
+ * Access: Hotel Admin, Manager
+ */
+export const getVoidsReport = asyncHandler(async (req, res) => {
+  const { hotel, startDate, endDate, reasonCode, voidedBy } = req.query;
+
+  let assignedHotel = hotel;
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    assignedHotel = req.user.hotel._id;
+  }
+
+  if (!assignedHotel) {
+    throw new AppError('Hotel ID is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const end = endDate ? new Date(endDate) : new Date();
+
+  const voidMatch = {
+    'items.status': 'cancelled',
+    'items.voidInfo.voidedAt': { $gte: start, $lte: end },
+  };
+  if (reasonCode) voidMatch['items.voidInfo.reasonCode'] = reasonCode;
+  if (voidedBy) {
+    if (!mongoose.Types.ObjectId.isValid(voidedBy)) {
+      throw new AppError('Invalid staff ID', HTTP_STATUS.BAD_REQUEST);
+    }
+    voidMatch['items.voidInfo.voidedBy'] = new mongoose.Types.ObjectId(voidedBy);
+  }
+
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        hotel: new mongoose.Types.ObjectId(assignedHotel),
+        'items.voidInfo.voidedAt': { $gte: start, $lte: end },
+      },
+    },
+    { $unwind: '$items' },
+    { $match: voidMatch },
+    {
+      $project: {
+        orderNumber: 1,
+        tableNumber: 1,
+        orderType: 1,
+        name: '$items.name',
+        variant: '$items.variant',
+        quantity: '$items.quantity',
+        amount: '$items.voidInfo.amount',
+        reasonCode: '$items.voidInfo.reasonCode',
+        note: '$items.voidInfo.note',
+        wasPrepared: '$items.voidInfo.wasPrepared',
+        voidedBy: '$items.voidInfo.voidedBy',
+        approvedBy: '$items.voidInfo.approvedBy',
+        voidedAt: '$items.voidInfo.voidedAt',
+      },
+    },
+    {
+      $facet: {
+        byReason: [
+          {
+            $group: {
+              _id: '$reasonCode',
+              count: { $sum: 1 },
+              quantity: { $sum: '$quantity' },
+              amount: { $sum: '$amount' },
+              preparedAmount: { $sum: { $cond: ['$wasPrepared', '$amount', 0] } },
+            },
+          },
+          { $sort: { amount: -1 } },
+        ],
+        byStaff: [
+          {
+            $group: {
+              _id: '$voidedBy',
+              count: { $sum: 1 },
+              amount: { $sum: '$amount' },
+              preparedCount: { $sum: { $cond: ['$wasPrepared', 1, 0] } },
+            },
+          },
+          { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+          { $project: { count: 1, amount: 1, preparedCount: 1, name: { $arrayElemAt: ['$user.name', 0] } } },
+          { $sort: { amount: -1 } },
+        ],
+        voids: [
+          { $sort: { voidedAt: -1 } },
+          { $limit: 500 },
+          { $lookup: { from: 'users', localField: 'voidedBy', foreignField: '_id', as: 'voidedByUser' } },
+          { $lookup: { from: 'users', localField: 'approvedBy', foreignField: '_id', as: 'approvedByUser' } },
+          {
+            $addFields: {
+              voidedByName: { $arrayElemAt: ['$voidedByUser.name', 0] },
+              approvedByName: { $arrayElemAt: ['$approvedByUser.name', 0] },
+            },
+          },
+          { $project: { voidedByUser: 0, approvedByUser: 0 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = {
+    count: result.byReason.reduce((sum, r) => sum + r.count, 0),
+    quantity: result.byReason.reduce((sum, r) => sum + r.quantity, 0),
+    amount: result.byReason.reduce((sum, r) => sum + r.amount, 0),
+    // Voids after the kitchen started are actual food loss
+    preparedLoss: result.byReason.reduce((sum, r) => sum + r.preparedAmount, 0),
+  };
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Voids report fetched successfully',
+    {
+      byReason: result.byReason,
+      byStaff: result.byStaff,
+      voids: result.voids,
+      totals,
+      period: { startDate: start, endDate: end },
+    }
+  );
+});
+
+/**
+ * Get Waiter Performance Report (sales and table turns per waiter)
+ * GET /api/reports/waiters
+ * Query: startDate, endDate, waiter
+ * Table turn = a dine-in bill from seating (order created) to settlement.
+ * Access: Hotel Admin, Manager
+ */
+export const getWaiterReport = asyncHandler(async (req, res) => {
+  const { hotel, startDate, endDate, waiter } = req.query;
+
+  let assignedHotel = hotel;
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    assignedHotel = req.user.hotel._id;
+  }
+
+  if (!assignedHotel) {
+    throw new AppError('Hotel ID is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const end = endDate ? new Date(endDate) : new Date();
+
+  const match = {
+    hotel: new mongoose.Types.ObjectId(assignedHotel),
+    waiter: { $ne: null },
+    status: { $ne: 'cancelled' },
+    createdAt: { $gte: start, $lte: end },
+  };
+  if (waiter) {
+    if (!mongoose.Types.ObjectId.isValid(waiter)) {
+      throw new AppError('Invalid waiter ID', HTTP_STATUS.BAD_REQUEST);
+    }
+    match.waiter = new mongoose.Types.ObjectId(waiter);
+  }
+
+  const waiters = await Order.aggregate([
+    { $match: match },
+    {
+      $addFields: {
+        settled: { $in: ['$payment.status', ['PAID', 'REFUNDED']] },
+        itemCount: {
+          $sum: {
+            $map: {
+              input: { $filter: { input: '$items', cond: { $ne: ['$$this.status', 'cancelled'] } } },
+              in: '$$this.quantity',
+            },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        turnMinutes: {
+          $cond: [
+            { $and: ['$settled', { $eq: ['$orderType', 'dine-in'] }, { $ifNull: ['$payment.paidAt', false] }] },
+            { $divide: [{ $subtract: ['$payment.paidAt', '$createdAt'] }, 60000] },
+            null,
+          ],
+        },
+      },
+    },
+    {
+      $group: {
+        _id: '$waiter',
+        orderCount: { $sum: 1 },
+        grossSales: { $sum: '$pricing.total' },
+        refunds: { $sum: { $ifNull: ['$refundedAmount', 0] } },
+        itemsSold: { $sum: '$itemCount' },
+        tableTurns: { $sum: { $cond: [{ $ne: ['$turnMinutes', null] }, 1, 0] } },
+        avgTurnMinutes: { $avg: '$turnMinutes' },
+        tables: { $addToSet: '$tableNumber' },
+      },
+    },
+    { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+    {
+      $project: {
+        _id: 0,
+        waiter: '$_id',
+        name: { $arrayElemAt: ['$user.name', 0] },
+        orderCount: 1,
+        grossSales: { $round: ['$grossSales', 2] },
+        refunds: { $round: ['$refunds', 2] },
+        netSales: { $round: [{ $subtract: ['$grossSales', '$refunds'] }, 2] },
+        avgOrderValue: { $round: [{ $divide: ['$grossSales', '$orderCount'] }, 2] },
+        itemsSold: 1,
+        tableTurns: 1,
+        avgTurnMinutes: { $round: [{ $ifNull: ['$avgTurnMinutes', 0] }, 1] },
+        tablesServed: { $size: { $setDifference: ['$tables', [null]] } },
+      },
+    },
+    { $sort: { netSales: -1 } },
+  ]);
+
+  const totals = {
+    orderCount: waiters.reduce((sum, w) => sum + w.orderCount, 0),
+    netSales: Math.round(waiters.reduce((sum, w) => sum + w.netSales, 0) * 100) / 100,
+    tableTurns: waiters.reduce((sum, w) => sum + w.tableTurns, 0),
+  };
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Waiter report fetched successfully',
+    {
+      waiters,
+      totals,
+      period: { startDate: start, endDate: end },
+    }
+  );
+});
+
+/**
+ * Get Tip Pool Report
+ * GET /api/reports/tips
+ * Query: startDate, endDate, method = hours (default) | equal
+ * Each tip is shared by the waiters on shift when it was received — by shift
+ * length (hours) or evenly (equal). Tips taken while nobody was on shift are
+ * reported as unallocated.
+ * Access: Hotel Admin, Manager
+ */
+export const getTipPoolReport = asyncHandler(async (req, res) => {
+  const { hotel, startDate, endDate, method = 'hours' } = req.query;
+
+  let assignedHotel = hotel;
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    assignedHotel = req.user.hotel._id;
+  }
+
+  if (!assignedHotel) {
+    throw new AppError('Hotel ID is required', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!['hours', 'equal'].includes(method)) {
+    throw new AppError('method must be hours or equal', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const start = startDate ? new Date(startDate) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const end = endDate ? new Date(endDate) : new Date();
+  const hotelId = new mongoose.Types.ObjectId(assignedHotel);
+
+  const tips = await Order.aggregate([
+    { $match: { hotel: hotelId, 'tips.receivedAt': { $gte: start, $lte: end } } },
+    { $unwind: '$tips' },
+    { $match: { 'tips.receivedAt': { $gte: start, $lte: end } } },
+    {
+      $project: {
+        _id: 0,
+        orderNumber: 1,
+        waiter: 1,
+        amount: '$tips.amount',
+        mode: '$tips.mode',
+        receivedAt: '$tips.receivedAt',
+      },
+    },
+  ]);
+
+  const shifts = await WaiterAssignment.find({
+    hotel: hotelId,
+    startsAt: { $lte: end },
+    endsAt: { $gte: start },
+  }).populate('waiter', 'name');
+
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const shiftEnd = (shift) => shift.endedAt || shift.endsAt;
+  const shiftHours = (shift) => Math.max(0, (shiftEnd(shift) - shift.startsAt) / 3600000);
+
+  // ── Staff rows ──
+  const staff = new Map();
+  const rowFor = (user) => {
+    const key = (user._id || user).toString();
+    if (!staff.has(key)) {
+      staff.set(key, {
+        waiter: user._id || user,
+        name: user.name || null,
+        shifts: 0,
+        hoursWorked: 0,
+        directTips: 0,
+        poolShare: 0,
+      });
+    }
+    return staff.get(key);
+  };
+
+  shifts.forEach((shift) => {
+    if (!shift.waiter) return;
+    const row = rowFor(shift.waiter);
+    row.shifts += 1;
+    row.hoursWorked = round2(row.hoursWorked + shiftHours(shift));
+  });
+
+  // ── Share out each tip among the waiters on shift at that moment ──
+  const totals = { count: tips.length, amount: 0, allocated: 0, unallocated: 0, byMode: { CASH: 0, UPI: 0, CARD: 0 } };
+
+  tips.forEach((tip) => {
+    totals.amount = round2(totals.amount + tip.amount);
+    totals.byMode[tip.mode] = round2((totals.byMode[tip.mode] || 0) + tip.amount);
+    if (tip.waiter && staff.has(tip.waiter.toString())) {
+      const row = staff.get(tip.waiter.toString());
+      row.directTips = round2(row.directTips + tip.amount);
+    }
+
+    const onShift = shifts.filter(
+      (shift) => shift.waiter && shift.startsAt <= tip.receivedAt && shiftEnd(shift) > tip.receivedAt
+    );
+    if (onShift.length === 0) {
+      totals.unallocated = round2(totals.unallocated + tip.amount);
+      return;
+    }
+
+    let weights = onShift.map((shift) => (method === 'equal' ? 1 : shiftHours(shift)));
+    if (weights.every((w) => w === 0)) weights = onShift.map(() => 1);
+    const weightTotal = weights.reduce((sum, w) => sum + w, 0);
+    onShift.forEach((shift, index) => {
+      rowFor(shift.waiter).poolShare += (tip.amount * weights[index]) / weightTotal;
+    });
+    totals.allocated = round2(totals.allocated + tip.amount);
+  });
+
+  const distribution = [...staff.values()]
+    .map((row) => ({ ...row, poolShare: round2(row.poolShare) }))
+    .sort((a, b) => b.poolShare - a.poolShare);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Tip pool report fetched successfully',
+    {
+      method,
+      distribution,
+      totals,
+      tips: tips.slice(0, 500),
+      period: { startDate: start, endDate: end },
+    }
+  );
+});
+
 /**
  * Get Inventory Report
  * GET /api/reports/inventory
@@ -490,6 +955,34 @@ export const generateGSTReport = async (req, res) => {
       grandTotal: reportRows.reduce((sum, r) => sum + r.finalAmount, 0)
     };
 
+    // Refunds issued in the period reverse their GST (credit notes)
+    const creditNotes = await CreditNote.find({
+      hotel: hotelId,
+      sourceType: 'booking',
+      createdAt: { $gte: start, $lte: end },
+    });
+    const refunds = {
+      count: creditNotes.length,
+      taxable: creditNotes.reduce((sum, cn) => sum + cn.amounts.taxable, 0),
+      cgst: 0,
+      sgst: 0,
+      igst: 0,
+      gst: creditNotes.reduce((sum, cn) => sum + cn.amounts.tax, 0),
+      total: creditNotes.reduce((sum, cn) => sum + cn.amounts.total, 0),
+    };
+    creditNotes.forEach((cn) => {
+      const { cgst, sgst, igst } = creditNoteTaxSplit(cn);
+      refunds.cgst += cgst;
+      refunds.sgst += sgst;
+      refunds.igst += igst;
+    });
+    summary.totalTaxable -= refunds.taxable;
+    summary.totalCGST -= refunds.cgst;
+    summary.totalSGST -= refunds.sgst;
+    summary.totalIGST -= refunds.igst;
+    summary.totalGST -= refunds.gst;
+    summary.grandTotal -= refunds.total;
+
     const period = `${dateFrom} to ${dateTo}`;
     const generatedOn = new Date().toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
 
@@ -530,6 +1023,7 @@ export const generateGSTReport = async (req, res) => {
       ws.addRow([]);
       ws.addRow(['CONSOLIDATED SUMMARY']);
       ws.addRow(['Total Bookings', summary.totalBookings]);
+      ws.addRow([`Less: Credit Notes (${refunds.count})`, (-refunds.total).toFixed(2)]);
       ws.addRow(['Total Taxable Value', summary.totalTaxable.toFixed(2)]);
       ws.addRow(['Total CGST', summary.totalCGST.toFixed(2)]);
       ws.addRow(['Total SGST', summary.totalSGST.toFixed(2)]);
@@ -576,6 +1070,7 @@ export const generateGSTReport = async (req, res) => {
             table: {
               body: [
                 ['Total Bookings', summary.totalBookings],
+                [`Less: Credit Notes (${refunds.count})`, `-₹${refunds.total.toFixed(2)}`],
                 ['Total Taxable Value', `₹${summary.totalTaxable.toFixed(2)}`],
                 ['Total CGST', `₹${summary.totalCGST.toFixed(2)}`],
                 ['Total SGST', `₹${summary.totalSGST.toFixed(2)}`],
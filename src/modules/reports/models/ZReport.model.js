@@ -0,0 +1,110 @@
+// backend/src/modules/reports/models/ZReport.model.js
+
+import mongoose from 'mongoose';
+import Counter from '../../pos/models/Counter.model.js';
+import { BUSINESS_DAY_STATUS } from '../../../config/constants.js';
+
+// Day-end close of one business day. The snapshot is frozen at close and never
+// edited: reopening only flags the report, closing again issues a new revision.
+const zReportSchema = new mongoose.Schema(
+  {
+    reportNumber: {
+      type: String,
+      uppercase: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    // Calendar date in the hotel's timezone, "YYYY-MM-DD"
+    businessDate: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/,
+    },
+    timezone: {
+      type: String,
+      default: 'Asia/Kolkata',
+    },
+    // UTC window the business date covers
+    from: { type: Date, required: true },
+    to: { type: Date, required: true },
+    // 1 for the first close, +1 each time the day is closed again after a reopen
+    revision: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: Object.values(BUSINESS_DAY_STATUS),
+      default: BUSINESS_DAY_STATUS.CLOSED,
+    },
+    closedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    closedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    notes: {
+      type: String,
+      maxlength: 500,
+      default: '',
+    },
+    // Sales, taxes, tenders, voids, discounts and room revenue (see buildDaySnapshot)
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // ── Set on reopen ──
+    reopenedAt: {
+      type: Date,
+      default: null,
+    },
+    reopenedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    reopenReason: {
+      type: String,
+      maxlength: 300,
+      default: '',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+zReportSchema.index({ hotel: 1, businessDate: -1, revision: -1 });
+zReportSchema.index({ hotel: 1, reportNumber: 1 }, { unique: true, sparse: true });
+// A business day has at most one report in force
+zReportSchema.index(
+  { hotel: 1, businessDate: 1 },
+  { unique: true, partialFilterExpression: { status: BUSINESS_DAY_STATUS.CLOSED }, name: 'one_closed_report_per_day' }
+);
+
+zReportSchema.pre('save', async function () {
+  if (!this.isNew && this.isModified('snapshot')) {
+    throw new Error('Z-report figures cannot be changed once the day is closed');
+  }
+
+  if (!this.reportNumber) {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'z-report' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.reportNumber = `ZR-${counter.seq.toString().padStart(4, '0')}`;
+  }
+});
+
+const ZReport = mongoose.model('ZReport', zReportSchema);
+
+export default ZReport;
@@ -5,8 +5,19 @@ import {
   getOccupancyReport,
   getSalesReport,
   getInventoryReport,
+  getVoidsReport,
+  getWaiterReport,
+  getTipPoolReport,
   generateGSTReport,
 } from '../controllers/reports.controller.js';
+import {
+  getDayClosePreview,
+  closeBusinessDay,
+  getZReports,
+  getZReportById,
+  reopenBusinessDay,
+} from '../controllers/dayClose.controller.js';
+import { validateDayClose, validateDayReopen } from '../validators/reports.validator.js';
 import { protect, authorize } from '../../../middlewares/auth.middleware.js';
 import { USER_ROLES } from '../../../config/constants.js';
 
@@ -66,6 +77,39 @@ router.get(
   getSalesReport
 );
 
+// Get voids report (loss prevention)
+router.get(
+  '/voids',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER
+  ),
+  getVoidsReport
+);
+
+// Get waiter performance report (sales, table turns)
+router.get(
+  '/waiters',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER
+  ),
+  getWaiterReport
+);
+
+// Get tip pool report (tips shared across waiters on shift)
+router.get(
+  '/tips',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER
+  ),
+  getTipPoolReport
+);
+
 // Get inventory report
 router.get(
   '/inventory',
@@ -77,4 +121,69 @@ router.get(
   getInventoryReport
 );
 
+/**
+ * Day Close (Z-report) Routes
+ */
+
+// Preview today's (or ?date=) figures and open bills before closing
+router.get(
+  '/day-close/preview',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getDayClosePreview
+);
+
+// Close a business day — locks its orders and payments
+router.post(
+  '/day-close',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  validateDayClose,
+  closeBusinessDay
+);
+
+// List Z-reports
+router.get(
+  '/z-reports',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getZReports
+);
+
+// Get a Z-report (?format=pdf|excel to export)
+router.get(
+  '/z-reports/:id',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  getZReportById
+);
+
+// Reopen a closed day (managers only)
+router.post(
+  '/z-reports/:id/reopen',
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER
+  ),
+  validateDayReopen,
+  reopenBusinessDay
+);
+
 export default router;
\ No newline at end of file
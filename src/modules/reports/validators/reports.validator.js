@@ -0,0 +1,46 @@
+// backend/src/modules/reports/validators/reports.validator.js
+
+import { errorResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS } from '../../../config/constants.js';
+
+/**
+ * Validate Day Close (Z-report)
+ */
+export const validateDayClose = (req, res, next) => {
+  const { date, notes } = req.body;
+  const errors = [];
+
+  if (date !== undefined && (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date))) {
+    errors.push('date must be in YYYY-MM-DD format');
+  }
+
+  if (notes !== undefined && (typeof notes !== 'string' || notes.length > 500)) {
+    errors.push('Notes must be text up to 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
+/**
+ * Validate Day Reopen
+ */
+export const validateDayReopen = (req, res, next) => {
+  const { reason } = req.body;
+  const errors = [];
+
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    errors.push('A reason is required to reopen a closed day');
+  } else if (reason.length > 300) {
+    errors.push('Reason cannot exceed 300 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
@@ -7,6 +7,10 @@ import { HTTP_STATUS, PAGINATION, USER_ROLES, BOOKING_STATUS, ROOM_STATUS, PAYME
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
 import PDFDocument from 'pdfkit';
+import CreditNote from '../../billing/models/CreditNote.model.js';
+import { resolveApprover } from '../../../services/approval.service.js';
+import { refundTaxPortion, splitRefundTax } from '../../../services/refund.service.js';
+import { assertDayOpen } from '../../../services/dayClose.service.js';
 
 // ── Helper: Check room availability ──────────────────────────────────────────
 const checkRoomAvailability = async (roomId, checkIn, checkOut, bookingType, excludeBookingId = null) => {
@@ -467,6 +471,85 @@ export const updatePayment = asyncHandler(async (req, res) => {
   return successResponse(res, HTTP_STATUS.OK, 'Payment updated successfully', { booking });
 });
 
+/**
+ * Refund Booking Payment (full or partial)
+ * POST /api/bookings/:id/refund
+ * Body: { reason, refundMode: cash|upi|card, amount?, reference?, approval?: { email, password } }
+ * No amount refunds everything collected that hasn't been refunded yet.
+ * Access: Super Admin, Hotel Admin, Manager, Cashier (with manager approval)
+ */
+export const refundBooking = asyncHandler(async (req, res) => {
+  const { amount, reason, reference = '', approval } = req.body;
+  const refundMode = req.body.refundMode.toLowerCase();
+
+  const booking = await Booking.findById(req.params.id);
+  if (!booking) throw new AppError('Booking not found', HTTP_STATUS.NOT_FOUND);
+
+  if (req.user.role !== USER_ROLES.SUPER_ADMIN) {
+    if (!req.user.hotel || booking.hotel.toString() !== req.user.hotel._id.toString()) {
+      throw new AppError('Access denied to refund this booking', HTTP_STATUS.FORBIDDEN);
+    }
+  }
+
+  const collected = booking.advancePayment || 0;
+  const refundable = Math.round((collected - booking.refundedAmount) * 100) / 100;
+  if (collected <= 0) throw new AppError('Nothing has been paid on this booking', HTTP_STATUS.BAD_REQUEST);
+  if (refundable <= 0) throw new AppError('Booking is already fully refunded', HTTP_STATUS.BAD_REQUEST);
+
+  const refundAmount = amount !== undefined ? Math.round(amount * 100) / 100 : refundable;
+  if (refundAmount > refundable) {
+    throw new AppError(`Refund exceeds refundable balance of ₹${refundable}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assertDayOpen(booking.hotel);
+
+  const approver = await resolveApprover(req.user, approval, booking.hotel);
+  const tax = refundTaxPortion(refundAmount, booking.pricing?.total || 0, booking.pricing?.tax || 0);
+  const taxable = Math.round((refundAmount - tax) * 100) / 100;
+
+  const creditNote = await CreditNote.create({
+    hotel: booking.hotel,
+    sourceType: 'booking',
+    booking: booking._id,
+    originalInvoiceNumber: booking.invoiceNumber || booking.bookingNumber,
+    customer: { name: booking.guest?.name || '', phone: booking.guest?.phone || '' },
+    lines: [{ description: `Room charges refund - ${booking.bookingNumber}`, quantity: 1, rate: taxable, amount: taxable }],
+    amounts: { taxable, tax, ...splitRefundTax(tax, booking.pricing?.igstAmount > 0), total: refundAmount },
+    reason,
+    refund: { mode: refundMode.toUpperCase(), reference },
+    issuedBy: req.user._id,
+    approvedBy: approver._id,
+  });
+
+  booking.refunds.push({
+    creditNote: creditNote._id,
+    amount: refundAmount,
+    tax,
+    mode: refundMode,
+    reference,
+    reason,
+    refundedBy: req.user._id,
+    approvedBy: approver._id,
+  });
+  booking.refundedAmount = Math.round((booking.refundedAmount + refundAmount) * 100) / 100;
+  if (booking.refundedAmount >= collected) booking.paymentStatus = PAYMENT_STATUS.REFUNDED;
+
+  // A note the booking doesn't record would show in GST reports and allow a second refund
+  try {
+    await booking.save();
+  } catch (error) {
+    await CreditNote.deleteOne({ _id: creditNote._id });
+    throw error;
+  }
+
+  return successResponse(res, HTTP_STATUS.OK, 'Booking refunded successfully', {
+    booking,
+    refund: booking.refunds[booking.refunds.length - 1],
+    creditNote,
+    refundableBalance: Math.round((collected - booking.refundedAmount) * 100) / 100,
+  });
+});
+
 /**
  * Delete Booking
  * DELETE /api/bookings/:id
@@ -196,6 +196,41 @@ const bookingSchema = new mongoose.Schema(
       min: 0,
     },
 
+    // Money returned to the guest, one credit note per refund
+    refunds: [
+      {
+        creditNote: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'CreditNote',
+          required: true,
+        },
+        amount: { type: Number, required: true, min: 0.01 },
+        tax: { type: Number, default: 0, min: 0 },
+        mode: {
+          type: String,
+          enum: ['cash', 'upi', 'card'],
+          required: true,
+        },
+        reference: { type: String, trim: true, default: '' },
+        reason: { type: String, required: true, trim: true },
+        refundedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        approvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        refundedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+
     specialRequests: {
       type: String,
       maxlength: 500,
@@ -8,12 +8,14 @@ import {
   cancelBooking,
   markNoShow,
   updatePayment,
+  refundBooking,
   deleteBooking,
 } from '../controllers/booking.controller.js';
 import { protect, authorize } from '../../../middlewares/auth.middleware.js';
 import {
   validateCreateBooking,
   validateBookingId,
+  validateRefundBooking,
 } from '../validators/booking.validator.js';
 import { USER_ROLES } from '../../../config/constants.js';
 
@@ -82,6 +84,20 @@ router.post('/:id/cancel', protect, cancelBooking);
 router.post('/:id/no-show', protect, markNoShow);
 router.post('/:id/payment', protect, updatePayment);
 
+// Refund booking payment (issues a credit note)
+router.post(
+  '/:id/refund',
+  validateBookingId,
+  authorize(
+    USER_ROLES.SUPER_ADMIN,
+    USER_ROLES.HOTEL_ADMIN,
+    USER_ROLES.MANAGER,
+    USER_ROLES.CASHIER
+  ),
+  validateRefundBooking,
+  refundBooking
+);
+
 
 
 // Delete booking (any status)
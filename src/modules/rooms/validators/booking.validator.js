@@ -104,6 +104,42 @@ export const validateCreateBooking = (req, res, next) => {
   next();
 };
 
+/**
+ * Validate Booking Refund
+ */
+export const validateRefundBooking = (req, res, next) => {
+  const { reason, refundMode, amount, reference, approval } = req.body;
+  const errors = [];
+
+  if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+    errors.push('Refund reason is required (at least 3 characters)');
+  } else if (reason.length > 300) {
+    errors.push('Refund reason cannot exceed 300 characters');
+  }
+
+  if (!refundMode || !['cash', 'upi', 'card'].includes(String(refundMode).toLowerCase())) {
+    errors.push('Invalid refund mode. Must be cash, upi, or card');
+  }
+
+  if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
+    errors.push('Refund amount must be a positive number');
+  }
+
+  if (reference !== undefined && (typeof reference !== 'string' || reference.length > 100)) {
+    errors.push('Reference must be text of at most 100 characters');
+  }
+
+  if (approval !== undefined && (typeof approval !== 'object' || !approval.email || !approval.password)) {
+    errors.push('Approval must include manager email and password');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  next();
+};
+
 /**
  * Validate Booking ID
  */
@@ -0,0 +1,537 @@
+// backend/src/modules/tables/controllers/reservation.controller.js
+
+import Reservation from '../models/Reservation.model.js';
+import Table from '../models/Table.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse, paginatedResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES, RESERVATION_STATUS, PAGINATION } from '../../../config/constants.js';
+import {
+  reservationWindow,
+  findFreeTables,
+  isTableFree,
+  refreshTableHold,
+  depositFor,
+} from '../../../services/reservation.service.js';
+import { setTablesStatus } from '../../../services/table.service.js';
+
+const OPEN_STATUSES = [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED];
+
+// ── Helpers ──
+const staffHotelId = (req, source) =>
+  req.user.role === USER_ROLES.SUPER_ADMIN ? source.hotel : req.user.hotel?._id;
+
+const loadHotel = async (hotelId) => {
+  if (!hotelId) throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  const hotel = await Hotel.findById(hotelId);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+  return hotel;
+};
+
+const loadReservation = async (id, user) => {
+  const reservation = await Reservation.findById(id);
+  if (!reservation) throw new AppError('Reservation not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    reservation.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  return reservation;
+};
+
+const assertBookableTime = (hotel, reservedFor) => {
+  const graceMs = (hotel.settings?.reservationGraceMinutes ?? 15) * 60 * 1000;
+  if (reservedFor.getTime() < Date.now() - graceMs) {
+    throw new AppError('Reservation time is in the past', HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+// Requested table, checked for size and clashes, or the smallest free one
+const pickTable = async (hotel, { tableId, partySize, start, excludeReservation = null }) => {
+  if (!tableId) {
+    const [table] = await findFreeTables(hotel, { start, partySize, excludeReservation });
+    if (!table) {
+      throw new AppError(`No table for ${partySize} is free at that time`, HTTP_STATUS.CONFLICT);
+    }
+    return table;
+  }
+
+  const table = await Table.findOne({ _id: tableId, hotel: hotel._id });
+  if (!table) throw new AppError('Table not found', HTTP_STATUS.NOT_FOUND);
+
+  if (partySize > table.capacity) {
+    throw new AppError(
+      `Table ${table.tableNumber} seats ${table.capacity}, party is ${partySize}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (!(await isTableFree(hotel, table, { start, excludeReservation }))) {
+    throw new AppError(`Table ${table.tableNumber} is already reserved at that time`, HTTP_STATUS.CONFLICT);
+  }
+  return table;
+};
+
+const emitReservation = (req, event, reservation) => {
+  req.app.get('io').of('/pos').emit(event, reservation);
+};
+
+// ── Staff ──
+
+/**
+ * GET RESERVATIONS
+ * GET /api/tables/reservations?date=2026-01-31&status=confirmed&table=TABLE_ID&search=&page=1&limit=20
+ * Access: All hotel staff
+ */
+export const getReservations = asyncHandler(async (req, res) => {
+  const { date, status, table, search, page = 1, limit = PAGINATION.DEFAULT_LIMIT } = req.query;
+
+  const hotelId = staffHotelId(req, req.query);
+  if (!hotelId) throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+
+  const query = { hotel: hotelId };
+  if (status) query.status = status;
+  if (table) query.table = table;
+
+  if (date) {
+    const dayStart = new Date(date);
+    if (isNaN(dayStart)) throw new AppError('Invalid date', HTTP_STATUS.BAD_REQUEST);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+    query.reservedFor = { $gte: dayStart, $lte: dayEnd };
+  }
+
+  if (search) {
+    query.$or = [
+      { reservationNumber: new RegExp(search, 'i') },
+      { 'guest.name': new RegExp(search, 'i') },
+      { 'guest.phone': new RegExp(search, 'i') },
+    ];
+  }
+
+  const pageNum = parseInt(page);
+  const limitNum = Math.min(parseInt(limit), PAGINATION.MAX_LIMIT);
+  const skip = (pageNum - 1) * limitNum;
+
+  const [reservations, total] = await Promise.all([
+    Reservation.find(query)
+      .populate('createdBy', 'name')
+      .sort({ reservedFor: 1 })
+      .skip(skip)
+      .limit(limitNum),
+    Reservation.countDocuments(query),
+  ]);
+
+  return paginatedResponse(res, reservations, pageNum, limitNum, total, 'Reservations fetched successfully');
+});
+
+/**
+ * RESERVATION AVAILABILITY
+ * GET /api/tables/reservations/availability?at=2026-01-31T20:00:00+05:30&partySize=4
+ * Access: All hotel staff
+ */
+export const getReservationAvailability = asyncHandler(async (req, res) => {
+  const hotel = await loadHotel(staffHotelId(req, req.query));
+
+  const start = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(start)) throw new AppError('Invalid time', HTTP_STATUS.BAD_REQUEST);
+  const partySize = parseInt(req.query.partySize) || 1;
+
+  const tables = await findFreeTables(hotel, { start, partySize });
+  const window = reservationWindow(hotel, start);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Availability fetched successfully', {
+    from: window.start,
+    until: window.end,
+    partySize,
+    tables,
+    count: tables.length,
+  });
+});
+
+/**
+ * GET RESERVATION
+ * GET /api/tables/reservations/:id
+ * Access: All hotel staff
+ */
+export const getReservationById = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, req.user);
+  await reservation.populate('createdBy', 'name');
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation fetched successfully', { reservation });
+});
+
+/**
+ * CREATE RESERVATION
+ * POST /api/tables/reservations
+ * Body: {
+ *   guest: { name, phone, email? }, partySize, reservedFor,
+ *   tableId?,                               // default: smallest free table that fits
+ *   specialRequests?,
+ *   deposit?: { amount, mode, reference? }  // taken at the counter
+ * }
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const createReservation = asyncHandler(async (req, res) => {
+  const { guest, partySize, tableId, specialRequests = '', deposit } = req.body;
+  const hotel = await loadHotel(staffHotelId(req, req.body));
+
+  const reservedFor = new Date(req.body.reservedFor);
+  assertBookableTime(hotel, reservedFor);
+
+  const table = await pickTable(hotel, { tableId, partySize, start: reservedFor });
+  const window = reservationWindow(hotel, reservedFor);
+
+  const depositAmount = deposit?.amount ?? depositFor(hotel, partySize);
+  const reservation = new Reservation({
+    hotel: hotel._id,
+    table: table._id,
+    tableNumber: table.tableNumber,
+    guest,
+    partySize,
+    reservedFor: window.start,
+    endsAt: window.end,
+    status: RESERVATION_STATUS.CONFIRMED,
+    source: 'staff',
+    specialRequests,
+    deposit: deposit?.mode
+      ? {
+          amount: depositAmount,
+          status: 'paid',
+          mode: deposit.mode.toUpperCase(),
+          reference: deposit.reference || '',
+          paidAt: new Date(),
+        }
+      : { amount: depositAmount, status: depositAmount > 0 ? 'due' : 'none' },
+    createdBy: req.user._id,
+  });
+  await reservation.save();
+
+  await refreshTableHold(hotel, table, req.app.get('io'));
+  emitReservation(req, 'reservation:created', reservation);
+
+  return successResponse(res, HTTP_STATUS.CREATED, 'Reservation created successfully', { reservation });
+});
+
+/**
+ * UPDATE RESERVATION (reschedule, resize, move table, guest details)
+ * PATCH /api/tables/reservations/:id
+ * Body: { reservedFor?, partySize?, tableId?, guest?, specialRequests? }
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const updateReservation = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, req.user);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotel = await loadHotel(reservation.hotel);
+  const { guest, specialRequests, tableId } = req.body;
+
+  const reservedFor = req.body.reservedFor ? new Date(req.body.reservedFor) : reservation.reservedFor;
+  const partySize = req.body.partySize ?? reservation.partySize;
+  if (req.body.reservedFor) assertBookableTime(hotel, reservedFor);
+
+  const previousTable = await Table.findById(reservation.table);
+
+  if (req.body.reservedFor || req.body.partySize || tableId) {
+    const table = await pickTable(hotel, {
+      tableId: tableId || reservation.table,
+      partySize,
+      start: reservedFor,
+      excludeReservation: reservation._id,
+    });
+    const window = reservationWindow(hotel, reservedFor);
+
+    reservation.table = table._id;
+    reservation.tableNumber = table.tableNumber;
+    reservation.partySize = partySize;
+    reservation.reservedFor = window.start;
+    reservation.endsAt = window.end;
+  }
+
+  if (guest) {
+    Object.entries(guest).forEach(([key, value]) => {
+      if (['name', 'phone', 'email'].includes(key)) reservation.guest[key] = value;
+    });
+  }
+  if (specialRequests !== undefined) reservation.specialRequests = specialRequests;
+
+  await reservation.save();
+
+  const io = req.app.get('io');
+  await refreshTableHold(hotel, previousTable, io);
+  if (!previousTable || !previousTable._id.equals(reservation.table)) {
+    await refreshTableHold(hotel, await Table.findById(reservation.table), io);
+  }
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation updated successfully', { reservation });
+});
+
+/**
+ * RECORD RESERVATION DEPOSIT
+ * POST /api/tables/reservations/:id/deposit
+ * Body: { amount?, mode: CASH|UPI|CARD, reference? }
+ * A pending online reservation is confirmed once its deposit is in.
+ * Access: Super Admin, Hotel Admin, Manager, Cashier
+ */
+export const recordReservationDeposit = asyncHandler(async (req, res) => {
+  const { amount, mode, reference = '' } = req.body;
+  const reservation = await loadReservation(req.params.id, req.user);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (reservation.deposit.status === 'paid') {
+    throw new AppError('Deposit is already paid', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const depositAmount = amount ?? reservation.deposit.amount;
+  if (!depositAmount || depositAmount <= 0) {
+    throw new AppError('Deposit amount is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  reservation.deposit = {
+    amount: depositAmount,
+    status: 'paid',
+    mode: mode.toUpperCase(),
+    reference,
+    paidAt: new Date(),
+  };
+  if (reservation.status === RESERVATION_STATUS.PENDING) {
+    reservation.status = RESERVATION_STATUS.CONFIRMED;
+  }
+  await reservation.save();
+
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Deposit recorded successfully', { reservation });
+});
+
+/**
+ * SEAT RESERVATION (guest arrived)
+ * POST /api/tables/reservations/:id/seat
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const seatReservation = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, req.user);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const table = await Table.findById(reservation.table);
+  if (!table) throw new AppError('Reserved table no longer exists', HTTP_STATUS.NOT_FOUND);
+  if (table.status === 'occupied') {
+    throw new AppError(
+      `Table ${table.tableNumber} is still occupied. Move the reservation to another table first.`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  reservation.status = RESERVATION_STATUS.SEATED;
+  reservation.seatedAt = new Date();
+  await reservation.save();
+
+  const [updatedTable] = await setTablesStatus(table.hotel, [table.tableNumber], 'occupied', req.app.get('io'));
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Guests seated successfully', {
+    reservation,
+    table: updatedTable || table,
+  });
+});
+
+/**
+ * CANCEL RESERVATION
+ * POST /api/tables/reservations/:id/cancel
+ * Body: { reason?, refundDeposit? }  // deposit is kept unless refundDeposit is true
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const cancelReservation = asyncHandler(async (req, res) => {
+  const { reason = '', refundDeposit = false } = req.body;
+  const reservation = await loadReservation(req.params.id, req.user);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  reservation.status = RESERVATION_STATUS.CANCELLED;
+  reservation.cancelledAt = new Date();
+  reservation.cancellationReason = reason;
+  if (reservation.deposit.status === 'paid') {
+    reservation.deposit.status = refundDeposit ? 'refunded' : 'forfeited';
+  } else if (reservation.deposit.status === 'due') {
+    reservation.deposit.status = 'none';
+  }
+  await reservation.save();
+
+  const hotel = await loadHotel(reservation.hotel);
+  await refreshTableHold(hotel, await Table.findById(reservation.table), req.app.get('io'));
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation cancelled successfully', { reservation });
+});
+
+/**
+ * MARK RESERVATION NO-SHOW
+ * POST /api/tables/reservations/:id/no-show
+ * Releases the table; a paid deposit is forfeited.
+ * Access: Super Admin, Hotel Admin, Manager, Cashier, Waiter
+ */
+export const markReservationNoShow = asyncHandler(async (req, res) => {
+  const reservation = await loadReservation(req.params.id, req.user);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (reservation.reservedFor > new Date()) {
+    throw new AppError('Reservation time has not arrived yet', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  reservation.status = RESERVATION_STATUS.NO_SHOW;
+  reservation.noShowAt = new Date();
+  if (reservation.deposit.status === 'paid') reservation.deposit.status = 'forfeited';
+  else if (reservation.deposit.status === 'due') reservation.deposit.status = 'none';
+  await reservation.save();
+
+  const hotel = await loadHotel(reservation.hotel);
+  await refreshTableHold(hotel, await Table.findById(reservation.table), req.app.get('io'));
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation marked as no-show', { reservation });
+});
+
+// ── Public (AllInOne) ──
+
+const loadPublicHotel = async (hotelCode) => {
+  const hotel = await Hotel.findOne({ code: hotelCode.toUpperCase(), status: 'active' });
+  if (!hotel) throw new AppError('Hotel not found or inactive', HTTP_STATUS.NOT_FOUND);
+  return hotel;
+};
+
+// Guest-facing view — no staff ids
+const publicView = (reservation) => ({
+  reservationNumber: reservation.reservationNumber,
+  status: reservation.status,
+  tableNumber: reservation.tableNumber,
+  partySize: reservation.partySize,
+  reservedFor: reservation.reservedFor,
+  endsAt: reservation.endsAt,
+  guest: { name: reservation.guest.name },
+  specialRequests: reservation.specialRequests,
+  deposit: { amount: reservation.deposit.amount, status: reservation.deposit.status },
+});
+
+const findPublicReservation = async (hotel, reservationNumber, phone) => {
+  const reservation = await Reservation.findOne({
+    hotel: hotel._id,
+    reservationNumber: reservationNumber.toUpperCase(),
+  });
+  // Phone doubles as the guest's proof of ownership
+  if (!reservation || reservation.guest.phone !== String(phone || '').trim()) {
+    throw new AppError('Reservation not found', HTTP_STATUS.NOT_FOUND);
+  }
+  return reservation;
+};
+
+/**
+ * 🌍 PUBLIC: Reserve a Table
+ * POST /api/allinone/:hotelCode/reservations
+ * Body: { guest: { name, phone, email? }, partySize, reservedFor, specialRequests? }
+ * Held as pending until the deposit is paid when the hotel asks for one.
+ * Access: Public (No Auth Required)
+ */
+export const createPublicReservation = asyncHandler(async (req, res) => {
+  const { guest, partySize, specialRequests = '' } = req.body;
+  const hotel = await loadPublicHotel(req.params.hotelCode);
+
+  if (hotel.settings?.onlineReservationsEnabled === false) {
+    throw new AppError('Online reservations are not available', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const reservedFor = new Date(req.body.reservedFor);
+  if (reservedFor < new Date()) {
+    throw new AppError('Reservation time is in the past', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const table = await pickTable(hotel, { partySize, start: reservedFor });
+  const window = reservationWindow(hotel, reservedFor);
+  const depositAmount = depositFor(hotel, partySize);
+
+  const reservation = new Reservation({
+    hotel: hotel._id,
+    table: table._id,
+    tableNumber: table.tableNumber,
+    guest,
+    partySize,
+    reservedFor: window.start,
+    endsAt: window.end,
+    status: depositAmount > 0 ? RESERVATION_STATUS.PENDING : RESERVATION_STATUS.CONFIRMED,
+    source: 'online',
+    specialRequests,
+    deposit: { amount: depositAmount, status: depositAmount > 0 ? 'due' : 'none' },
+  });
+  await reservation.save();
+
+  await refreshTableHold(hotel, table, req.app.get('io'));
+  emitReservation(req, 'reservation:created', reservation);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.CREATED,
+    depositAmount > 0
+      ? `Table held. Pay the ₹${depositAmount} deposit to confirm.`
+      : 'Reservation confirmed',
+    { reservation: publicView(reservation) }
+  );
+});
+
+/**
+ * 🌍 PUBLIC: Look Up a Reservation
+ * GET /api/allinone/:hotelCode/reservations/:reservationNumber?phone=9876543210
+ * Access: Public (No Auth Required)
+ */
+export const trackPublicReservation = asyncHandler(async (req, res) => {
+  const hotel = await loadPublicHotel(req.params.hotelCode);
+  const reservation = await findPublicReservation(hotel, req.params.reservationNumber, req.query.phone);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation fetched successfully', {
+    reservation: publicView(reservation),
+  });
+});
+
+/**
+ * 🌍 PUBLIC: Cancel a Reservation
+ * POST /api/allinone/:hotelCode/reservations/:reservationNumber/cancel
+ * Body: { phone, reason? }
+ * Access: Public (No Auth Required)
+ */
+export const cancelPublicReservation = asyncHandler(async (req, res) => {
+  const { phone, reason = '' } = req.body;
+  const hotel = await loadPublicHotel(req.params.hotelCode);
+  const reservation = await findPublicReservation(hotel, req.params.reservationNumber, phone);
+
+  if (!OPEN_STATUSES.includes(reservation.status)) {
+    throw new AppError(`Reservation is ${reservation.status}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Paid deposits are settled by the restaurant, not refunded automatically
+  reservation.status = RESERVATION_STATUS.CANCELLED;
+  reservation.cancelledAt = new Date();
+  reservation.cancellationReason = reason || 'Cancelled by guest';
+  if (reservation.deposit.status === 'due') reservation.deposit.status = 'none';
+  await reservation.save();
+
+  await refreshTableHold(hotel, await Table.findById(reservation.table), req.app.get('io'));
+  emitReservation(req, 'reservation:updated', reservation);
+
+  return successResponse(res, HTTP_STATUS.OK, 'Reservation cancelled successfully', {
+    reservation: publicView(reservation),
+  });
+});
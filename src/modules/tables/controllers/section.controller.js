@@ -0,0 +1,169 @@
+// backend/src/modules/tables/controllers/section.controller.js
+
+import Section from '../models/Section.model.js';
+import Table from '../models/Table.model.js';
+import WaiterAssignment from '../models/WaiterAssignment.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES } from '../../../config/constants.js';
+
+const loadSection = async (id, user) => {
+  const section = await Section.findById(id);
+  if (!section) throw new AppError('Section not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    section.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  return section;
+};
+
+// Point the given tables at the section (and drop tables no longer listed)
+const setSectionTables = async (section, tableIds) => {
+  const count = await Table.countDocuments({ _id: { $in: tableIds }, hotel: section.hotel });
+  if (count !== tableIds.length) {
+    throw new AppError('One or more tables not found in this hotel', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await Table.updateMany(
+    { hotel: section.hotel, section: section._id, _id: { $nin: tableIds } },
+    { section: null }
+  );
+  await Table.updateMany({ _id: { $in: tableIds } }, { section: section._id });
+};
+
+/**
+ * CREATE SECTION
+ * POST /api/tables/sections
+ * Body: { name, description?, tableIds? }
+ */
+export const createSection = asyncHandler(async (req, res) => {
+  const { name, description = '', tableIds } = req.body;
+
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? req.body.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const exists = await Section.findOne({ hotel: hotelId, name: name.trim() });
+  if (exists) {
+    throw new AppError('Section with this name already exists', HTTP_STATUS.CONFLICT);
+  }
+
+  const section = await Section.create({
+    hotel: hotelId,
+    name,
+    description,
+    createdBy: req.user._id,
+  });
+
+  if (tableIds) await setSectionTables(section, tableIds);
+  const tables = await Table.find({ section: section._id }).sort({ tableNumber: 1 });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.CREATED,
+    'Section created successfully',
+    { section, tables }
+  );
+});
+
+/**
+ * GET SECTIONS (with their tables)
+ * GET /api/tables/sections?hotel=HOTEL_ID
+ */
+export const getSections = asyncHandler(async (req, res) => {
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? req.query.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const [sections, tables] = await Promise.all([
+    Section.find({ hotel: hotelId }).sort({ name: 1 }).lean(),
+    Table.find({ hotel: hotelId }).select('tableNumber capacity status section').sort({ tableNumber: 1 }).lean(),
+  ]);
+
+  const withTables = sections.map((section) => ({
+    ...section,
+    tables: tables.filter((t) => t.section?.toString() === section._id.toString()),
+  }));
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Sections fetched successfully',
+    {
+      sections: withTables,
+      unassignedTables: tables.filter((t) => !t.section),
+    }
+  );
+});
+
+/**
+ * UPDATE SECTION
+ * PUT /api/tables/sections/:id
+ * Body: { name?, description?, isActive?, tableIds? } — tableIds replaces the section's tables
+ */
+export const updateSection = asyncHandler(async (req, res) => {
+  const { name, description, isActive, tableIds } = req.body;
+  const section = await loadSection(req.params.id, req.user);
+
+  if (name && name.trim() !== section.name) {
+    const exists = await Section.findOne({ hotel: section.hotel, name: name.trim(), _id: { $ne: section._id } });
+    if (exists) {
+      throw new AppError('Section with this name already exists', HTTP_STATUS.CONFLICT);
+    }
+    section.name = name;
+  }
+  if (description !== undefined) section.description = description;
+  if (isActive !== undefined) section.isActive = isActive;
+  await section.save();
+
+  if (tableIds) await setSectionTables(section, tableIds);
+  const tables = await Table.find({ section: section._id }).sort({ tableNumber: 1 });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Section updated successfully',
+    { section, tables }
+  );
+});
+
+/**
+ * DELETE SECTION
+ * DELETE /api/tables/sections/:id
+ * Tables stay, just without a section.
+ */
+export const deleteSection = asyncHandler(async (req, res) => {
+  const section = await loadSection(req.params.id, req.user);
+
+  const onShift = await WaiterAssignment.exists({
+    section: section._id,
+    endsAt: { $gt: new Date() },
+    endedAt: null,
+  });
+  if (onShift) {
+    throw new AppError('Section has current or upcoming waiter assignments', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await Table.updateMany({ section: section._id }, { section: null });
+  await section.deleteOne();
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Section deleted successfully'
+  );
+});
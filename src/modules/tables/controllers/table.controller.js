@@ -1,8 +1,15 @@
 import Table from '../models/Table.model.js';
+import Order from '../../pos/models/Order.model.js';
+import KOT from '../../pos/models/KOT.model.js';
+import Hotel from '../../hotels/models/Hotel.model.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
 import AppError from '../../../utils/AppError.js';
 import { successResponse } from '../../../utils/responseHandler.js';
-import { HTTP_STATUS, USER_ROLES } from '../../../config/constants.js';
+import { HTTP_STATUS, USER_ROLES, ORDER_STATUS } from '../../../config/constants.js';
+import { repriceOrder } from '../../../services/orderPricing.service.js';
+import { setTablesStatus, orderTableNumbers } from '../../../services/table.service.js';
+import { assertWaiterTable } from '../../../services/waiter.service.js';
+import { assertOrderDayOpen } from '../../../services/dayClose.service.js';
 
 /**
  * CREATE TABLE
@@ -181,4 +188,276 @@ export const deleteTable = asyncHandler(async (req, res) => {
     HTTP_STATUS.OK,
     'Table deleted successfully'
   );
-});
\ No newline at end of file
+});
+// ── Running dine-in order helpers (transfer / merge) ──
+const loadHotelTable = async (id, user) => {
+  const table = await Table.findById(id);
+  if (!table) throw new AppError('Table not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    table.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  return table;
+};
+
+const RUNNING_QUERY = {
+  orderType: 'dine-in',
+  status: { $nin: [ORDER_STATUS.COMPLETED, ORDER_STATUS.CANCELLED] },
+  'payment.status': { $nin: ['PAID', 'REFUNDED'] },
+};
+
+// The unpaid order seated at a table (orderId picks one if several are open)
+const findRunningOrder = async (table, orderId = null) => {
+  const orders = await Order.find({ ...RUNNING_QUERY, hotel: table.hotel, tableNumber: table.tableNumber });
+
+  if (orderId) {
+    const order = orders.find((o) => o._id.toString() === orderId);
+    if (!order) throw new AppError(`Order is not running on table ${table.tableNumber}`, HTTP_STATUS.NOT_FOUND);
+    return order;
+  }
+  if (orders.length === 0) {
+    const host = await Order.findOne({ ...RUNNING_QUERY, hotel: table.hotel, mergedTables: table.tableNumber });
+    if (host) {
+      throw new AppError(
+        `Table ${table.tableNumber} is merged into table ${host.tableNumber}. Unmerge it first.`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    throw new AppError(`No running order on table ${table.tableNumber}`, HTTP_STATUS.NOT_FOUND);
+  }
+  if (orders.length > 1) {
+    throw new AppError(`Table ${table.tableNumber} has ${orders.length} running orders. Pass orderId.`, HTTP_STATUS.BAD_REQUEST);
+  }
+  return orders[0];
+};
+
+const assertUnsettled = (order) => {
+  if (order.payments.length > 0) {
+    throw new AppError(`Order ${order.orderNumber} has payments recorded`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (order.splits.length > 0) {
+    throw new AppError(`Remove the split on order ${order.orderNumber} first`, HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * TRANSFER ORDER TO ANOTHER TABLE
+ * POST /api/tables/:id/transfer
+ * Body: { toTableId, orderId? }
+ */
+export const transferTable = asyncHandler(async (req, res) => {
+  const { toTableId, orderId } = req.body;
+
+  const fromTable = await loadHotelTable(req.params.id, req.user);
+  const toTable = await loadHotelTable(toTableId, req.user);
+
+  if (fromTable._id.equals(toTable._id)) {
+    throw new AppError('Choose a different table', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!fromTable.hotel.equals(toTable.hotel)) {
+    throw new AppError('Tables belong to different hotels', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (toTable.status !== 'available') {
+    throw new AppError(`Table ${toTable.tableNumber} is ${toTable.status}. Merge instead.`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const order = await findRunningOrder(fromTable, orderId);
+  await assertWaiterTable(req.user, order);
+
+  order.tableNumber = toTable.tableNumber;
+  await order.save();
+
+  // Kitchen tickets show the new table
+  await KOT.updateMany({ order: order._id }, { tableNumber: toTable.tableNumber });
+
+  const io = req.app.get('io');
+  const stillSeated = await Order.exists({ ...RUNNING_QUERY, hotel: fromTable.hotel, tableNumber: fromTable.tableNumber });
+  const [updatedTo] = await setTablesStatus(toTable.hotel, [toTable.tableNumber], 'occupied', io);
+  const [updatedFrom] = stillSeated
+    ? [fromTable]
+    : await setTablesStatus(fromTable.hotel, [fromTable.tableNumber], 'available', io);
+
+  io.of('/pos').emit('order:updated', order);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    `Order moved from table ${fromTable.tableNumber} to ${toTable.tableNumber}`,
+    { order, fromTable: updatedFrom, toTable: updatedTo }
+  );
+});
+
+/**
+ * MERGE TABLES INTO ONE BILL
+ * POST /api/tables/:id/merge
+ * Body: { fromTableId } — that table's order is moved onto this table's bill
+ */
+export const mergeTables = asyncHandler(async (req, res) => {
+  const { fromTableId } = req.body;
+
+  const hostTable = await loadHotelTable(req.params.id, req.user);
+  const fromTable = await loadHotelTable(fromTableId, req.user);
+
+  if (hostTable._id.equals(fromTable._id)) {
+    throw new AppError('Cannot merge a table with itself', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!hostTable.hotel.equals(fromTable.hotel)) {
+    throw new AppError('Tables belong to different hotels', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hostOrder = await findRunningOrder(hostTable);
+  const sourceOrder = await findRunningOrder(fromTable);
+  await assertWaiterTable(req.user, hostOrder);
+  await assertWaiterTable(req.user, sourceOrder);
+  assertUnsettled(hostOrder);
+  assertUnsettled(sourceOrder);
+
+  if (sourceOrder.merges.length > 0) {
+    throw new AppError(`Unmerge the tables on ${fromTable.tableNumber} first`, HTTP_STATUS.BAD_REQUEST);
+  }
+  if (sourceOrder.appliedDiscount?.discount) {
+    throw new AppError(`Remove the discount on table ${fromTable.tableNumber} before merging`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Merging reprices the host bill and cancels the source order
+  await assertOrderDayOpen(hostOrder);
+  await assertOrderDayOpen(sourceOrder);
+
+  const hotel = await Hotel.findById(hostOrder.hotel);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  // ── Move lines (same _ids, so KOTs and kitchen status still match) ──
+  const movedIds = sourceOrder.items.map((item) => item._id);
+  sourceOrder.items.forEach((item) => hostOrder.items.push(item.toObject()));
+  hostOrder.merges.push({
+    order: sourceOrder._id,
+    orderNumber: sourceOrder.orderNumber,
+    tableNumber: sourceOrder.tableNumber,
+    items: movedIds,
+    mergedBy: req.user._id,
+  });
+  hostOrder.mergedTables.push(sourceOrder.tableNumber);
+
+  await repriceOrder(hostOrder, hotel);
+  hostOrder.rollUpPayments();
+  hostOrder.rollUpItemStatus();
+
+  // Source order is closed out — its lines now live on the host bill
+  sourceOrder.items = [];
+  sourceOrder.mergedInto = hostOrder._id;
+  sourceOrder.status = ORDER_STATUS.CANCELLED;
+  sourceOrder.timestamps.cancelled = new Date();
+  await repriceOrder(sourceOrder, hotel);
+  sourceOrder.rollUpPayments();
+
+  await hostOrder.save();
+  await sourceOrder.save();
+
+  const io = req.app.get('io');
+  const tables = await setTablesStatus(hostTable.hotel, orderTableNumbers(hostOrder), 'occupied', io);
+
+  io.of('/pos').emit('order:updated', hostOrder);
+  io.of('/pos').emit('order:merged', {
+    orderId: hostOrder._id,
+    orderNumber: hostOrder.orderNumber,
+    mergedOrderId: sourceOrder._id,
+    mergedOrderNumber: sourceOrder.orderNumber,
+    tables: orderTableNumbers(hostOrder),
+  });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    `Table ${fromTable.tableNumber} merged into table ${hostTable.tableNumber}`,
+    { order: hostOrder, tables }
+  );
+});
+
+/**
+ * UNMERGE TABLES
+ * POST /api/tables/:id/unmerge
+ * Body: { tableId? } — only that merged table (default: all)
+ */
+export const unmergeTables = asyncHandler(async (req, res) => {
+  const { tableId } = req.body;
+
+  const hostTable = await loadHotelTable(req.params.id, req.user);
+  const hostOrder = await findRunningOrder(hostTable);
+  await assertWaiterTable(req.user, hostOrder);
+  assertUnsettled(hostOrder);
+
+  if (hostOrder.merges.length === 0) {
+    throw new AppError(`Table ${hostTable.tableNumber} has no merged tables`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let merges = hostOrder.merges;
+  if (tableId) {
+    const table = await loadHotelTable(tableId, req.user);
+    merges = merges.filter((m) => m.tableNumber === table.tableNumber);
+    if (merges.length === 0) {
+      throw new AppError(`Table ${table.tableNumber} is not merged into table ${hostTable.tableNumber}`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  const hotel = await Hotel.findById(hostOrder.hotel);
+  if (!hotel) throw new AppError('Hotel not found', HTTP_STATUS.NOT_FOUND);
+
+  // Every bill involved is edited, so none may be from a closed day
+  await assertOrderDayOpen(hostOrder);
+  const sourceOrders = await Promise.all(merges.map((merge) => Order.findById(merge.order)));
+  for (const sourceOrder of sourceOrders) {
+    if (sourceOrder) await assertOrderDayOpen(sourceOrder);
+  }
+
+  const restored = [];
+  for (const [index, merge] of merges.entries()) {
+    const sourceOrder = sourceOrders[index];
+    if (!sourceOrder) continue;
+
+    // ── Move the original lines back ──
+    const ids = merge.items.map(String);
+    const lines = hostOrder.items.filter((item) => ids.includes(item._id.toString()));
+    sourceOrder.items = lines.map((item) => item.toObject());
+    lines.forEach((item) => hostOrder.items.pull(item._id));
+
+    sourceOrder.mergedInto = null;
+    sourceOrder.tableNumber = merge.tableNumber;
+    sourceOrder.timestamps.cancelled = null;
+    sourceOrder.status = ORDER_STATUS.PENDING;
+    sourceOrder.rollUpItemStatus();
+    await repriceOrder(sourceOrder, hotel);
+    sourceOrder.rollUpPayments();
+    await sourceOrder.save();
+
+    hostOrder.mergedTables.pull(merge.tableNumber);
+    restored.push(sourceOrder);
+  }
+
+  const restoredIds = merges.map((m) => m.order.toString());
+  hostOrder.merges = hostOrder.merges.filter((m) => !restoredIds.includes(m.order.toString()));
+  await repriceOrder(hostOrder, hotel);
+  hostOrder.rollUpPayments();
+  hostOrder.rollUpItemStatus();
+  await hostOrder.save();
+
+  // Both parties are still seated
+  const io = req.app.get('io');
+  const tables = await setTablesStatus(
+    hostTable.hotel,
+    [hostTable.tableNumber, ...merges.map((m) => m.tableNumber)],
+    'occupied',
+    io
+  );
+
+  io.of('/pos').emit('order:updated', hostOrder);
+  restored.forEach((order) => io.of('/pos').emit('order:updated', order));
+
+  return successResponse(res, HTTP_STATUS.OK, 'Tables unmerged successfully', {
+    order: hostOrder,
+    restoredOrders: restored,
+    tables,
+  });
+});
@@ -0,0 +1,211 @@
+// backend/src/modules/tables/controllers/waiterAssignment.controller.js
+
+import WaiterAssignment from '../models/WaiterAssignment.model.js';
+import Section from '../models/Section.model.js';
+import Table from '../models/Table.model.js';
+import User from '../../auth/models/User.model.js';
+import asyncHandler from '../../../utils/asyncHandler.js';
+import AppError from '../../../utils/AppError.js';
+import { successResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS, USER_ROLES } from '../../../config/constants.js';
+import { getWaiterTables } from '../../../services/waiter.service.js';
+
+const loadAssignment = async (id, user) => {
+  const assignment = await WaiterAssignment.findById(id);
+  if (!assignment) throw new AppError('Assignment not found', HTTP_STATUS.NOT_FOUND);
+
+  if (
+    user.role !== USER_ROLES.SUPER_ADMIN &&
+    assignment.hotel.toString() !== user.hotel._id.toString()
+  ) {
+    throw new AppError('Access denied', HTTP_STATUS.FORBIDDEN);
+  }
+  return assignment;
+};
+
+const populateAssignment = (query) =>
+  query
+    .populate('waiter', 'name email phone')
+    .populate('section', 'name')
+    .populate('assignedBy', 'name');
+
+/**
+ * ASSIGN WAITER
+ * POST /api/tables/assignments
+ * Body: { waiter, section?, tableNumbers?, startsAt, endsAt, notes? }
+ */
+export const createAssignment = asyncHandler(async (req, res) => {
+  const { waiter, section, tableNumbers = [], startsAt, endsAt, notes = '' } = req.body;
+
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? req.body.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const waiterUser = await User.findOne({ _id: waiter, hotel: hotelId, role: USER_ROLES.WAITER });
+  if (!waiterUser) {
+    throw new AppError('Waiter not found in this hotel', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (section) {
+    const sectionDoc = await Section.findOne({ _id: section, hotel: hotelId, isActive: true });
+    if (!sectionDoc) throw new AppError('Section not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const numbers = [...new Set(tableNumbers.map((n) => String(n).trim()))];
+  if (numbers.length > 0) {
+    const found = await Table.find({ hotel: hotelId, tableNumber: { $in: numbers } }).distinct('tableNumber');
+    const missing = numbers.filter((n) => !found.includes(n));
+    if (missing.length > 0) {
+      throw new AppError(`Tables not found: ${missing.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  // One assignment per waiter at a time
+  const overlapping = await WaiterAssignment.exists({
+    hotel: hotelId,
+    waiter,
+    endedAt: null,
+    startsAt: { $lt: new Date(endsAt) },
+    endsAt: { $gt: new Date(startsAt) },
+  });
+  if (overlapping) {
+    throw new AppError(`${waiterUser.name} already has an assignment in this shift`, HTTP_STATUS.CONFLICT);
+  }
+
+  const assignment = await WaiterAssignment.create({
+    hotel: hotelId,
+    waiter,
+    section: section || null,
+    tableNumbers: numbers,
+    startsAt,
+    endsAt,
+    notes,
+    assignedBy: req.user._id,
+  });
+
+  const populated = await populateAssignment(WaiterAssignment.findById(assignment._id));
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('waiter:assigned', populated);
+
+  return successResponse(
+    res,
+    HTTP_STATUS.CREATED,
+    'Waiter assigned successfully',
+    { assignment: populated }
+  );
+});
+
+/**
+ * GET ASSIGNMENTS
+ * GET /api/tables/assignments?date=2026-01-31&waiter=USER_ID&current=true
+ */
+export const getAssignments = asyncHandler(async (req, res) => {
+  const { date, waiter, current } = req.query;
+
+  const hotelId =
+    req.user.role === USER_ROLES.SUPER_ADMIN
+      ? req.query.hotel
+      : req.user.hotel?._id;
+
+  if (!hotelId) {
+    throw new AppError('Hotel is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const query = { hotel: hotelId };
+  if (waiter) query.waiter = waiter;
+
+  if (current === 'true') {
+    const now = new Date();
+    query.startsAt = { $lte: now };
+    query.endsAt = { $gt: now };
+    query.endedAt = null;
+  } else if (date) {
+    const dayStart = new Date(date);
+    if (isNaN(dayStart)) throw new AppError('Invalid date', HTTP_STATUS.BAD_REQUEST);
+    dayStart.setHours(0, 0, 0, 0);
+    const dayEnd = new Date(dayStart);
+    dayEnd.setHours(23, 59, 59, 999);
+    // Shifts that touch the day
+    query.startsAt = { $lte: dayEnd };
+    query.endsAt = { $gte: dayStart };
+  }
+
+  const assignments = await populateAssignment(WaiterAssignment.find(query)).sort({ startsAt: 1 });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Assignments fetched successfully',
+    { assignments, count: assignments.length }
+  );
+});
+
+/**
+ * MY TABLES (logged-in waiter)
+ * GET /api/tables/assignments/me
+ */
+export const getMyTables = asyncHandler(async (req, res) => {
+  const { assignments, tableNumbers } = await getWaiterTables(req.user.hotel._id, req.user._id);
+
+  const tables = await Table.find({ hotel: req.user.hotel._id, tableNumber: { $in: tableNumbers } })
+    .populate('section', 'name')
+    .sort({ tableNumber: 1 });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Assigned tables fetched successfully',
+    { assignments, tables }
+  );
+});
+
+/**
+ * END ASSIGNMENT (close the shift early)
+ * POST /api/tables/assignments/:id/end
+ */
+export const endAssignment = asyncHandler(async (req, res) => {
+  const assignment = await loadAssignment(req.params.id, req.user);
+
+  if (assignment.endedAt) {
+    throw new AppError('Assignment has already ended', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  assignment.endedAt = new Date();
+  await assignment.save();
+
+  const io = req.app.get('io');
+  io.of('/pos').emit('waiter:unassigned', { assignmentId: assignment._id, waiter: assignment.waiter });
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Assignment ended successfully',
+    { assignment }
+  );
+});
+
+/**
+ * DELETE ASSIGNMENT (not started yet)
+ * DELETE /api/tables/assignments/:id
+ */
+export const deleteAssignment = asyncHandler(async (req, res) => {
+  const assignment = await loadAssignment(req.params.id, req.user);
+
+  if (assignment.startsAt <= new Date()) {
+    throw new AppError('Shift has started. End the assignment instead.', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await assignment.deleteOne();
+
+  return successResponse(
+    res,
+    HTTP_STATUS.OK,
+    'Assignment deleted successfully'
+  );
+});
@@ -0,0 +1,142 @@
+// backend/src/modules/tables/models/Reservation.model.js
+
+import mongoose from 'mongoose';
+import { RESERVATION_STATUS } from '../../../config/constants.js';
+import Counter from '../../pos/models/Counter.model.js';
+
+// A table held for a guest from reservedFor until endsAt (hotel slot length)
+const reservationSchema = new mongoose.Schema(
+  {
+    reservationNumber: {
+      type: String,
+      uppercase: true,
+    },
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    table: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Table',
+      required: true,
+    },
+    tableNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    guest: {
+      name: {
+        type: String,
+        required: [true, 'Guest name is required'],
+        trim: true,
+        maxlength: 100,
+      },
+      phone: {
+        type: String,
+        required: [true, 'Guest phone is required'],
+        trim: true,
+      },
+      email: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        default: '',
+      },
+    },
+    partySize: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    reservedFor: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(RESERVATION_STATUS),
+      default: RESERVATION_STATUS.CONFIRMED,
+    },
+    source: {
+      type: String,
+      enum: ['staff', 'online'],
+      default: 'staff',
+    },
+    specialRequests: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+      default: '',
+    },
+    // Advance taken to hold the table — kept on a no-show
+    deposit: {
+      amount: { type: Number, default: 0, min: 0 },
+      status: {
+        type: String,
+        enum: ['none', 'due', 'paid', 'refunded', 'forfeited'],
+        default: 'none',
+      },
+      mode: {
+        type: String,
+        enum: ['CASH', 'UPI', 'CARD', null],
+        default: null,
+      },
+      reference: { type: String, trim: true, maxlength: 100, default: '' },
+      paidAt: { type: Date, default: null },
+    },
+    seatedAt: {
+      type: Date,
+      default: null,
+    },
+    cancelledAt: {
+      type: Date,
+      default: null,
+    },
+    cancellationReason: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+      default: '',
+    },
+    noShowAt: {
+      type: Date,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reservationSchema.index({ hotel: 1, reservationNumber: 1 }, { unique: true });
+reservationSchema.index({ hotel: 1, reservedFor: 1, status: 1 });
+reservationSchema.index({ table: 1, reservedFor: 1 });
+reservationSchema.index({ hotel: 1, 'guest.phone': 1 });
+
+// Reservation number — per-hotel atomic counter
+reservationSchema.pre('save', async function () {
+  if (!this.reservationNumber) {
+    const counter = await Counter.findOneAndUpdate(
+      { hotel: this.hotel, name: 'reservation' },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+    this.reservationNumber = `RSV-${counter.seq.toString().padStart(4, '0')}`;
+  }
+});
+
+const Reservation = mongoose.model('Reservation', reservationSchema);
+
+export default Reservation;
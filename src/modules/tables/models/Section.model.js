@@ -0,0 +1,42 @@
+// backend/src/modules/tables/models/Section.model.js
+
+import mongoose from 'mongoose';
+
+// Floor section (e.g. "Patio", "First Floor") — tables point at their section
+const sectionSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Section name is required'],
+      trim: true,
+      maxlength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: '',
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// 🔒 One section name per hotel
+sectionSchema.index({ hotel: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('Section', sectionSchema);
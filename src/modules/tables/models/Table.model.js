@@ -22,6 +22,12 @@ const tableSchema = new mongoose.Schema(
       min: 1,
     },
 
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Section',
+      default: null,
+    },
+
     status: {
       type: String,
       enum: ['available', 'occupied', 'reserved'],
@@ -0,0 +1,56 @@
+// backend/src/modules/tables/models/WaiterAssignment.model.js
+
+import mongoose from 'mongoose';
+
+// A waiter covering a section and/or individual tables for one shift
+const waiterAssignmentSchema = new mongoose.Schema(
+  {
+    hotel: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Hotel',
+      required: true,
+    },
+    waiter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Every table in the section, plus any listed in tableNumbers
+    section: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Section',
+      default: null,
+    },
+    tableNumbers: [{ type: String, trim: true }],
+    startsAt: {
+      type: Date,
+      required: true,
+    },
+    endsAt: {
+      type: Date,
+      required: true,
+    },
+    // Set when the shift is closed early
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+      default: '',
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+waiterAssignmentSchema.index({ hotel: 1, startsAt: 1, endsAt: 1 });
+waiterAssignmentSchema.index({ waiter: 1, startsAt: -1 });
+
+export default mongoose.model('WaiterAssignment', waiterAssignmentSchema);
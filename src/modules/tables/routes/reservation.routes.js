@@ -0,0 +1,70 @@
+// backend/src/modules/tables/routes/reservation.routes.js
+
+import express from 'express';
+import {
+  getReservations,
+  getReservationAvailability,
+  getReservationById,
+  createReservation,
+  updateReservation,
+  recordReservationDeposit,
+  seatReservation,
+  cancelReservation,
+  markReservationNoShow,
+} from '../controllers/reservation.controller.js';
+
+import {
+  validateCreateReservation,
+  validateUpdateReservation,
+  validateReservationDeposit,
+  validateReservationId,
+} from '../validators/reservation.validator.js';
+
+import { protect, authorize } from '../../../middlewares/auth.middleware.js';
+import { USER_ROLES } from '../../../config/constants.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const floorStaff = authorize(
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.HOTEL_ADMIN,
+  USER_ROLES.MANAGER,
+  USER_ROLES.CASHIER,
+  USER_ROLES.WAITER
+);
+
+/**
+ * List / availability
+ */
+router.get('/', getReservations);
+router.get('/availability', getReservationAvailability);
+router.get('/:id', validateReservationId, getReservationById);
+
+/**
+ * Create / update
+ */
+router.post('/', floorStaff, validateCreateReservation, createReservation);
+router.patch('/:id', validateReservationId, floorStaff, validateUpdateReservation, updateReservation);
+
+/**
+ * Deposit
+ * Cash handling staff only
+ */
+router.post(
+  '/:id/deposit',
+  validateReservationId,
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER, USER_ROLES.CASHIER),
+  validateReservationDeposit,
+  recordReservationDeposit
+);
+
+/**
+ * Arrival / cancellation / no-show
+ */
+router.post('/:id/seat', validateReservationId, floorStaff, seatReservation);
+router.post('/:id/cancel', validateReservationId, floorStaff, cancelReservation);
+router.post('/:id/no-show', validateReservationId, floorStaff, markReservationNoShow);
+
+export default router;
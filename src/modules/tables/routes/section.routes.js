@@ -0,0 +1,49 @@
+// backend/src/modules/tables/routes/section.routes.js
+
+import express from 'express';
+import {
+  createSection,
+  getSections,
+  updateSection,
+  deleteSection,
+} from '../controllers/section.controller.js';
+
+import { validateSection } from '../validators/table.validator.js';
+
+import { protect, authorize } from '../../../middlewares/auth.middleware.js';
+import { USER_ROLES } from '../../../config/constants.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * Get sections (with tables)
+ */
+router.get('/', getSections);
+
+/**
+ * Create / update / delete section
+ * Super Admin / Hotel Admin / Manager
+ */
+router.post(
+  '/',
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  validateSection,
+  createSection
+);
+
+router.put(
+  '/:id',
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  validateSection,
+  updateSection
+);
+
+router.delete(
+  '/:id',
+  authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER),
+  deleteSection
+);
+
+export default router;
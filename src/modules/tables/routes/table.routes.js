@@ -3,6 +3,9 @@ import {
   createTable,
   deleteTable,
   getTables,
+  mergeTables,
+  transferTable,
+  unmergeTables,
   updateTable,
   updateTableStatus,
 } from '../controllers/table.controller.js';
@@ -10,6 +13,9 @@ import {
 import {
   validateCreateTable,
   validateUpdateTable,
+  validateTransferTable,
+  validateMergeTables,
+  validateUnmergeTables,
 } from '../validators/table.validator.js';
 
 import { protect, authorize } from '../../../middlewares/auth.middleware.js';
@@ -62,6 +68,22 @@ router.patch(
   updateTableStatus
 );
 
+/**
+ * Move / merge running dine-in orders
+ * Floor staff
+ */
+const floorStaff = authorize(
+  USER_ROLES.SUPER_ADMIN,
+  USER_ROLES.HOTEL_ADMIN,
+  USER_ROLES.MANAGER,
+  USER_ROLES.CASHIER,
+  USER_ROLES.WAITER
+);
+
+router.post('/:id/transfer', floorStaff, validateTransferTable, transferTable);
+router.post('/:id/merge', floorStaff, validateMergeTables, mergeTables);
+router.post('/:id/unmerge', floorStaff, validateUnmergeTables, unmergeTables);
+
 /**
  * Delete table
  */
@@ -0,0 +1,36 @@
+// backend/src/modules/tables/routes/waiterAssignment.routes.js
+
+import express from 'express';
+import {
+  createAssignment,
+  getAssignments,
+  getMyTables,
+  endAssignment,
+  deleteAssignment,
+} from '../controllers/waiterAssignment.controller.js';
+
+import { validateCreateAssignment } from '../validators/table.validator.js';
+
+import { protect, authorize } from '../../../middlewares/auth.middleware.js';
+import { USER_ROLES } from '../../../config/constants.js';
+
+const router = express.Router();
+
+router.use(protect);
+
+const floorManagers = authorize(USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER);
+
+/**
+ * Logged-in waiter's tables for the current shift
+ */
+router.get('/me', authorize(USER_ROLES.WAITER), getMyTables);
+
+/**
+ * Shift assignments
+ */
+router.get('/', getAssignments);
+router.post('/', floorManagers, validateCreateAssignment, createAssignment);
+router.post('/:id/end', floorManagers, endAssignment);
+router.delete('/:id', floorManagers, deleteAssignment);
+
+export default router;
@@ -0,0 +1,137 @@
+// backend/src/modules/tables/validators/reservation.validator.js
+
+import { errorResponse } from '../../../utils/responseHandler.js';
+import { HTTP_STATUS } from '../../../config/constants.js';
+
+const objectIdRegex = /^[0-9a-fA-F]{24}$/;
+const emailRegex = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+const DEPOSIT_MODES = ['CASH', 'UPI', 'CARD'];
+
+const validateGuest = (guest, errors, { partial = false } = {}) => {
+  if (!guest || typeof guest !== 'object') {
+    if (!partial) errors.push('Guest information is required');
+    return;
+  }
+
+  if ((!partial || guest.name !== undefined) && (!guest.name || guest.name.toString().trim() === '')) {
+    errors.push('Guest name is required');
+  }
+
+  if ((!partial || guest.phone !== undefined) && (!guest.phone || guest.phone.toString().trim() === '')) {
+    errors.push('Guest phone is required');
+  }
+
+  if (guest.email && !emailRegex.test(guest.email)) {
+    errors.push('Please enter a valid email address');
+  }
+};
+
+const validatePartySize = (partySize, errors) => {
+  if (!Number.isInteger(Number(partySize)) || Number(partySize) < 1) {
+    errors.push('Party size must be at least 1');
+  }
+};
+
+const validateTime = (reservedFor, errors) => {
+  if (!reservedFor || isNaN(new Date(reservedFor).getTime())) {
+    errors.push('Valid reservation time (reservedFor) is required');
+  }
+};
+
+/**
+ * Validate Create Reservation (staff and public)
+ */
+export const validateCreateReservation = (req, res, next) => {
+  const { guest, partySize, reservedFor, tableId, deposit, specialRequests } = req.body;
+  const errors = [];
+
+  validateGuest(guest, errors);
+  validatePartySize(partySize, errors);
+  validateTime(reservedFor, errors);
+
+  if (tableId !== undefined && !objectIdRegex.test(tableId)) {
+    errors.push('Invalid table ID');
+  }
+
+  if (deposit !== undefined) {
+    if (deposit.amount !== undefined && (isNaN(Number(deposit.amount)) || Number(deposit.amount) < 0)) {
+      errors.push('Deposit amount cannot be negative');
+    }
+    if (deposit.mode !== undefined && !DEPOSIT_MODES.includes(String(deposit.mode).toUpperCase())) {
+      errors.push(`Deposit mode must be one of: ${DEPOSIT_MODES.join(', ')}`);
+    }
+  }
+
+  if (specialRequests && specialRequests.length > 500) {
+    errors.push('Special requests cannot exceed 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  if (partySize !== undefined) req.body.partySize = Number(partySize);
+  if (deposit?.amount !== undefined) req.body.deposit.amount = Number(deposit.amount);
+  next();
+};
+
+/**
+ * Validate Update Reservation
+ */
+export const validateUpdateReservation = (req, res, next) => {
+  const { guest, partySize, reservedFor, tableId, specialRequests } = req.body;
+  const errors = [];
+
+  if (guest !== undefined) validateGuest(guest, errors, { partial: true });
+  if (partySize !== undefined) validatePartySize(partySize, errors);
+  if (reservedFor !== undefined) validateTime(reservedFor, errors);
+
+  if (tableId !== undefined && !objectIdRegex.test(tableId)) {
+    errors.push('Invalid table ID');
+  }
+
+  if (specialRequests && specialRequests.length > 500) {
+    errors.push('Special requests cannot exceed 500 characters');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  if (partySize !== undefined) req.body.partySize = Number(partySize);
+  next();
+};
+
+/**
+ * Validate Reservation Deposit
+ */
+export const validateReservationDeposit = (req, res, next) => {
+  const { amount, mode } = req.body;
+  const errors = [];
+
+  if (amount !== undefined && (isNaN(Number(amount)) || Number(amount) <= 0)) {
+    errors.push('Deposit amount must be greater than 0');
+  }
+
+  if (!mode || !DEPOSIT_MODES.includes(String(mode).toUpperCase())) {
+    errors.push(`Deposit mode must be one of: ${DEPOSIT_MODES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Validation failed', errors);
+  }
+
+  if (amount !== undefined) req.body.amount = Number(amount);
+  next();
+};
+
+/**
+ * Validate Reservation ID param
+ */
+export const validateReservationId = (req, res, next) => {
+  if (!objectIdRegex.test(req.params.id)) {
+    return errorResponse(res, HTTP_STATUS.BAD_REQUEST, 'Invalid reservation ID format');
+  }
+
+  next();
+};
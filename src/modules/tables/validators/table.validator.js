@@ -55,3 +55,137 @@ export const validateUpdateTable = (req, res, next) => {
 
   next();
 };
+
+const isObjectId = (value) => typeof value === 'string' && /^[0-9a-fA-F]{24}$/.test(value);
+
+export const validateTransferTable = (req, res, next) => {
+  const { toTableId, orderId } = req.body;
+  const errors = [];
+
+  if (!isObjectId(toTableId)) {
+    errors.push('Valid target table (toTableId) is required');
+  }
+
+  if (orderId !== undefined && !isObjectId(orderId)) {
+    errors.push('Invalid order ID');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      'Validation failed',
+      errors
+    );
+  }
+
+  next();
+};
+
+export const validateMergeTables = (req, res, next) => {
+  const { fromTableId } = req.body;
+  const errors = [];
+
+  if (!isObjectId(fromTableId)) {
+    errors.push('Valid table to merge (fromTableId) is required');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      'Validation failed',
+      errors
+    );
+  }
+
+  next();
+};
+
+export const validateUnmergeTables = (req, res, next) => {
+  const { tableId } = req.body || {};
+  const errors = [];
+
+  if (tableId !== undefined && !isObjectId(tableId)) {
+    errors.push('Invalid table ID');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      'Validation failed',
+      errors
+    );
+  }
+
+  next();
+};
+
+export const validateSection = (req, res, next) => {
+  const { name, tableIds } = req.body;
+  const isCreate = req.method === 'POST';
+  const errors = [];
+
+  if ((isCreate || name !== undefined) && (!name || name.trim() === '')) {
+    errors.push('Section name is required');
+  }
+
+  if (tableIds !== undefined && (!Array.isArray(tableIds) || !tableIds.every(isObjectId))) {
+    errors.push('tableIds must be an array of table IDs');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      'Validation failed',
+      errors
+    );
+  }
+
+  next();
+};
+
+export const validateCreateAssignment = (req, res, next) => {
+  const { waiter, section, tableNumbers, startsAt, endsAt } = req.body;
+  const errors = [];
+
+  if (!isObjectId(waiter)) {
+    errors.push('Valid waiter ID is required');
+  }
+
+  if (section !== undefined && section !== null && !isObjectId(section)) {
+    errors.push('Invalid section ID');
+  }
+
+  if (tableNumbers !== undefined && !Array.isArray(tableNumbers)) {
+    errors.push('tableNumbers must be an array');
+  }
+
+  if (!section && (!Array.isArray(tableNumbers) || tableNumbers.length === 0)) {
+    errors.push('Assign a section or at least one table');
+  }
+
+  const start = new Date(startsAt);
+  const end = new Date(endsAt);
+  if (!startsAt || isNaN(start.getTime())) {
+    errors.push('Valid shift start (startsAt) is required');
+  }
+  if (!endsAt || isNaN(end.getTime())) {
+    errors.push('Valid shift end (endsAt) is required');
+  } else if (end <= start) {
+    errors.push('Shift end must be after shift start');
+  }
+
+  if (errors.length > 0) {
+    return errorResponse(
+      res,
+      HTTP_STATUS.BAD_REQUEST,
+      'Validation failed',
+      errors
+    );
+  }
+
+  next();
+};
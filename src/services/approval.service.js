@@ -0,0 +1,45 @@
+// backend/src/services/approval.service.js
+
+import User from '../modules/auth/models/User.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, USER_ROLES, USER_STATUS } from '../config/constants.js';
+
+// Roles that can sign off voids / refunds without a second person
+export const APPROVER_ROLES = [USER_ROLES.SUPER_ADMIN, USER_ROLES.HOTEL_ADMIN, USER_ROLES.MANAGER];
+
+/**
+ * Work out who approves a sensitive action (void, refund ...).
+ * Managers and admins approve their own actions; other staff need a manager
+ * to enter their credentials on the same terminal (`approval: { email, password }`).
+ *
+ * @param {Object} user - req.user
+ * @param {Object} [approval] - { email, password } of the approving manager
+ * @param {ObjectId} hotelId - Hotel the action belongs to
+ * @param {Object} [options]
+ * @param {Boolean} [options.required] - false → staff may proceed unapproved (returns null)
+ * @returns {Promise<Object|null>} Approving user
+ */
+export const resolveApprover = async (user, approval, hotelId, { required = true } = {}) => {
+  if (APPROVER_ROLES.includes(user.role)) return user;
+  if (!required) return null;
+
+  const { email, password } = approval || {};
+  if (!email || !password) {
+    throw new AppError('Manager approval is required for this action', HTTP_STATUS.FORBIDDEN);
+  }
+
+  const approver = await User.findOne({ email: email.toLowerCase().trim() }).select('+password');
+  if (!approver || !(await approver.comparePassword(password))) {
+    // Not 401: the cashier's own session is fine, clients log out on 401
+    throw new AppError('Invalid manager credentials', HTTP_STATUS.FORBIDDEN);
+  }
+
+  if (!APPROVER_ROLES.includes(approver.role) || approver.status !== USER_STATUS.ACTIVE) {
+    throw new AppError('Approver must be an active manager or admin', HTTP_STATUS.FORBIDDEN);
+  }
+  if (approver.role !== USER_ROLES.SUPER_ADMIN && approver.hotel?.toString() !== hotelId.toString()) {
+    throw new AppError('Approver does not belong to this hotel', HTTP_STATUS.FORBIDDEN);
+  }
+
+  return approver;
+};
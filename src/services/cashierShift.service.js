@@ -0,0 +1,166 @@
+// backend/src/services/cashierShift.service.js
+
+import mongoose from 'mongoose';
+import Order from '../modules/pos/models/Order.model.js';
+import RiderSettlement from '../modules/pos/models/RiderSettlement.model.js';
+import { CASH_MOVEMENT_TYPES } from '../config/constants.js';
+
+export const TENDER_MODES = ['CASH', 'UPI', 'CARD'];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const byMode = (rows) =>
+  Object.fromEntries(TENDER_MODES.map((mode) => [mode, round2(rows.find((r) => r._id === mode)?.amount || 0)]));
+
+// Sum of an Order sub-array (payments / tips / refunds) handled by `userId` in a window, per mode
+const sumOrderEntries = async (hotelId, field, userField, dateField, userId, from, to) => {
+  const window = { [userField]: userId, [dateField]: { $gte: from, $lte: to } };
+  const prefixed = Object.fromEntries(Object.entries(window).map(([k, v]) => [`${field}.${k}`, v]));
+
+  const rows = await Order.aggregate([
+    { $match: { hotel: hotelId, [field]: { $elemMatch: window } } },
+    { $unwind: `$${field}` },
+    { $match: prefixed },
+    {
+      $group: {
+        _id: `$${field}.mode`,
+        amount: { $sum: `$${field}.amount` },
+        count: { $sum: 1 },
+        orders: { $addToSet: '$_id' },
+      },
+    },
+  ]);
+  return rows;
+};
+
+/**
+ * Takings of a shift from the cashier's own tenders, tips and refunds between
+ * opening and `to`, plus pay-ins/outs and rider COD cash handed to the cashier.
+ *
+ *   expected CASH = opening float + cash sales + cash tips + rider COD
+ *                   + pay-ins - pay-outs - cash refunds
+ *   expected UPI / CARD = sales + tips - refunds in that mode
+ *
+ * @param {Object} shift - CashierShift document
+ * @param {Date} [to] - End of the window (default: close time, else now)
+ * @returns {Promise<Object>}
+ */
+export const buildShiftSummary = async (shift, to = shift.closedAt || new Date()) => {
+  const hotelId = new mongoose.Types.ObjectId(shift.hotel._id || shift.hotel);
+  const cashierId = new mongoose.Types.ObjectId(shift.cashier._id || shift.cashier);
+  const from = shift.openedAt;
+
+  const [payments, tips, refunds, settlements] = await Promise.all([
+    sumOrderEntries(hotelId, 'payments', 'receivedBy', 'receivedAt', cashierId, from, to),
+    sumOrderEntries(hotelId, 'tips', 'receivedBy', 'receivedAt', cashierId, from, to),
+    sumOrderEntries(hotelId, 'refunds', 'refundedBy', 'refundedAt', cashierId, from, to),
+    RiderSettlement.aggregate([
+      { $match: { hotel: hotelId, settledBy: cashierId, createdAt: { $gte: from, $lte: to } } },
+      { $group: { _id: null, amount: { $sum: '$receivedAmount' }, count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const sales = byMode(payments);
+  const tipTotals = byMode(tips);
+  const refundTotals = byMode(refunds);
+  const codSettled = round2(settlements[0]?.amount || 0);
+
+  const payIns = round2(
+    shift.cashMovements.filter((m) => m.type === CASH_MOVEMENT_TYPES.PAY_IN).reduce((sum, m) => sum + m.amount, 0)
+  );
+  const payOuts = round2(
+    shift.cashMovements.filter((m) => m.type === CASH_MOVEMENT_TYPES.PAY_OUT).reduce((sum, m) => sum + m.amount, 0)
+  );
+
+  const expected = Object.fromEntries(
+    TENDER_MODES.map((mode) => [mode, round2(sales[mode] + tipTotals[mode] - refundTotals[mode])])
+  );
+  expected.CASH = round2(expected.CASH + shift.openingFloat + codSettled + payIns - payOuts);
+
+  const orderIds = new Set(payments.flatMap((r) => r.orders.map(String)));
+
+  return {
+    from,
+    to,
+    openingFloat: shift.openingFloat,
+    sales,
+    totalSales: round2(TENDER_MODES.reduce((sum, mode) => sum + sales[mode], 0)),
+    tenders: payments.reduce((sum, r) => sum + r.count, 0),
+    orders: orderIds.size,
+    tips: tipTotals,
+    refunds: refundTotals,
+    codSettled,
+    payIns,
+    payOuts,
+    expected,
+  };
+};
+
+/**
+ * Declared minus expected, per tender. Modes not declared have no variance.
+ */
+export const calculateVariance = (expected, declared) =>
+  Object.fromEntries(
+    TENDER_MODES.map((mode) => [
+      mode,
+      declared[mode] == null ? null : round2(declared[mode] - expected[mode]),
+    ])
+  );
+
+/**
+ * Report slip for thermal printing / JSON: X-report while the shift is open,
+ * shift close report once it is closed.
+ *
+ * @param {Object} shift - CashierShift with cashier populated (name)
+ * @param {Object} summary - buildShiftSummary() result
+ * @returns {Object} { title, from, to, sections } (see renderShiftReport)
+ */
+export const buildShiftReport = (shift, summary) => {
+  const closed = Boolean(shift.closedAt);
+  const sections = [
+    {
+      title: 'Shift',
+      rows: [
+        ['Shift', shift.shiftNumber],
+        ['Counter', shift.counter],
+        ['Cashier', shift.cashier?.name || '-'],
+        ['Orders', String(summary.orders)],
+        ['Tenders', String(summary.tenders)],
+      ],
+    },
+    {
+      title: 'Sales by tender',
+      rows: [...TENDER_MODES.map((mode) => [mode, summary.sales[mode]]), ['Total', summary.totalSales]],
+    },
+    {
+      title: 'Cash drawer',
+      rows: [
+        ['Opening float', summary.openingFloat],
+        ['Cash sales', summary.sales.CASH],
+        ['Cash tips', summary.tips.CASH],
+        ['Rider COD handed in', summary.codSettled],
+        ['Pay-ins', summary.payIns],
+        ['Pay-outs', -summary.payOuts],
+        ['Cash refunds', -summary.refunds.CASH],
+        ['Expected cash', summary.expected.CASH],
+      ],
+    },
+  ];
+
+  if (closed && shift.declared) {
+    sections.push({
+      title: 'Count',
+      rows: TENDER_MODES.filter((mode) => shift.declared[mode] != null).flatMap((mode) => [
+        [`${mode} expected`, shift.expected[mode]],
+        [`${mode} counted`, shift.declared[mode]],
+        [`${mode} variance`, shift.variance[mode]],
+      ]),
+    });
+  }
+
+  return {
+    title: closed ? 'Shift Close Report' : 'X-Report',
+    from: summary.from,
+    to: summary.to,
+    sections,
+  };
+};
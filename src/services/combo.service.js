@@ -0,0 +1,113 @@
+// backend/src/services/combo.service.js
+
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+const matchesSlot = (slot, ref) =>
+  ref != null && (slot._id.toString() === String(ref) || slot.name.toLowerCase() === String(ref).trim().toLowerCase());
+
+/**
+ * Validate the choices made for a combo and price them.
+ *
+ * Each selection is `{ slot, menuItem }` (slot by _id or name).
+ * Slots with a single option and a minimum of 1 are filled automatically,
+ * so fixed components (rice, roti ...) don't need to be sent.
+ *
+ * @param {Object} menuItem - Combo MenuItem document
+ * @param {Array} [selections]
+ * @returns {Promise<{ components: Array, comboTotal: Number }>}
+ *   components: [{ slot, menuItem, name, quantity, priceDelta }] per combo
+ */
+export const resolveComboSelections = async (menuItem, selections = []) => {
+  if (!menuItem.isCombo) {
+    if (selections.length > 0) {
+      throw new AppError(`"${menuItem.name}" is not a combo`, HTTP_STATUS.BAD_REQUEST);
+    }
+    return { components: [], comboTotal: 0 };
+  }
+
+  const optionIds = menuItem.comboSlots.flatMap((slot) => slot.options.map((o) => o.menuItem));
+  const componentDocs = await MenuItem.find({ _id: { $in: optionIds } }).select('name isAvailable isActive');
+  const componentById = new Map(componentDocs.map((doc) => [doc._id.toString(), doc]));
+
+  const chosen = new Map(menuItem.comboSlots.map((slot) => [slot._id.toString(), []]));
+
+  for (const selection of selections) {
+    const slot = menuItem.comboSlots.find((s) => matchesSlot(s, selection.slot));
+    if (!slot) {
+      throw new AppError(`"${menuItem.name}" has no choice "${selection.slot}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const option = slot.options.find((o) => o.menuItem.toString() === String(selection.menuItem));
+    if (!option) {
+      throw new AppError(`That item is not an option for "${slot.name}" in ${menuItem.name}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const picked = chosen.get(slot._id.toString());
+    if (picked.includes(option)) {
+      throw new AppError(`Same item chosen twice for "${slot.name}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+    picked.push(option);
+  }
+
+  const components = [];
+  for (const slot of menuItem.comboSlots) {
+    const picked = chosen.get(slot._id.toString());
+
+    // Fixed component — nothing to choose
+    if (picked.length === 0 && slot.options.length === 1 && slot.minSelect >= 1) {
+      picked.push(slot.options[0]);
+    }
+
+    if (picked.length < slot.minSelect) {
+      throw new AppError(`${menuItem.name}: choose ${slot.minSelect} for "${slot.name}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (picked.length > slot.maxSelect) {
+      throw new AppError(`${menuItem.name}: choose at most ${slot.maxSelect} for "${slot.name}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    for (const option of picked) {
+      const component = componentById.get(option.menuItem.toString());
+      if (!component || !component.isActive) {
+        throw new AppError(`A component of ${menuItem.name} is no longer on the menu`, HTTP_STATUS.BAD_REQUEST);
+      }
+      if (!component.isAvailable) {
+        throw new AppError(`"${component.name}" in ${menuItem.name} is currently unavailable`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      components.push({
+        slot: slot.name,
+        menuItem: component._id,
+        name: component.name,
+        quantity: option.quantity || 1,
+        priceDelta: option.priceDelta || 0,
+      });
+    }
+  }
+
+  const comboTotal = components.reduce((sum, c) => sum + c.priceDelta, 0);
+  return { components, comboTotal };
+};
+
+/**
+ * Check combo slot definitions against the hotel's menu (used on create/update).
+ * Components must belong to the same hotel and cannot be combos themselves.
+ */
+export const assertValidComboSlots = async (comboSlots, hotelId, selfId = null) => {
+  const ids = comboSlots.flatMap((slot) => (slot.options || []).map((o) => o.menuItem));
+  if (selfId && ids.some((id) => String(id) === selfId.toString())) {
+    throw new AppError('A combo cannot contain itself', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const components = await MenuItem.find({ _id: { $in: ids }, hotel: hotelId }).select('isCombo name');
+  const uniqueIds = new Set(ids.map(String));
+  if (components.length !== uniqueIds.size) {
+    throw new AppError('Combo components must be menu items of this hotel', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const nested = components.find((c) => c.isCombo);
+  if (nested) {
+    throw new AppError(`"${nested.name}" is a combo and cannot be used inside another combo`, HTTP_STATUS.BAD_REQUEST);
+  }
+};
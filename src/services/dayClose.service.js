@@ -0,0 +1,514 @@
+// backend/src/services/dayClose.service.js
+
+import mongoose from 'mongoose';
+import Order from '../modules/pos/models/Order.model.js';
+import CashierShift from '../modules/pos/models/CashierShift.model.js';
+import Booking from '../modules/rooms/models/Booking.model.js';
+import Invoice from '../modules/billing/models/Invoice.model.js';
+import CreditNote from '../modules/billing/models/CreditNote.model.js';
+import Hotel from '../modules/hotels/models/Hotel.model.js';
+import ZReport from '../modules/reports/models/ZReport.model.js';
+import AppError from '../utils/AppError.js';
+import {
+  HTTP_STATUS,
+  ORDER_STATUS,
+  BOOKING_STATUS,
+  SHIFT_STATUS,
+  BUSINESS_DAY_STATUS,
+} from '../config/constants.js';
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+const sumBy = (rows, field) => round2(rows.reduce((sum, r) => sum + (r[field] || 0), 0));
+
+// ── Business dates ──
+
+/**
+ * Calendar date of `date` in the hotel's timezone, "YYYY-MM-DD".
+ */
+export const businessDateOf = (date, timeZone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+
+// Milliseconds the zone is ahead of UTC at `date`
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, p.value])
+  );
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Local midnight of a "YYYY-MM-DD" date as a UTC instant
+const zonedMidnight = (businessDate, timeZone) => {
+  const [y, m, d] = businessDate.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d);
+  const first = guess - zoneOffset(new Date(guess), timeZone);
+  // Second pass picks up a DST change between the guess and midnight
+  return new Date(guess - zoneOffset(new Date(first), timeZone));
+};
+
+/**
+ * UTC window covered by a business date in the hotel's timezone.
+ *
+ * @param {string} businessDate - "YYYY-MM-DD"
+ * @param {string} [timeZone]
+ * @returns {{ from: Date, to: Date }}
+ */
+export const businessDayRange = (businessDate, timeZone = DEFAULT_TIMEZONE) => {
+  const [y, m, d] = businessDate.split('-').map(Number);
+  const nextDate = new Date(Date.UTC(y, m - 1, d + 1)).toISOString().slice(0, 10);
+  const from = zonedMidnight(businessDate, timeZone);
+  const to = new Date(zonedMidnight(nextDate, timeZone).getTime() - 1);
+  return { from, to };
+};
+
+const hotelTimezone = async (hotelId) => {
+  const hotel = await Hotel.findById(hotelId).select('settings.timezone').lean();
+  return hotel?.settings?.timezone || DEFAULT_TIMEZONE;
+};
+
+// ── Day lock ──
+
+/**
+ * Z-report in force for the business day `date` falls on, if that day is closed.
+ */
+export const findClosedDay = async (hotelId, date = new Date()) => {
+  const timeZone = await hotelTimezone(hotelId);
+  return ZReport.findOne({
+    hotel: hotelId,
+    businessDate: businessDateOf(date, timeZone),
+    status: BUSINESS_DAY_STATUS.CLOSED,
+  }).select('reportNumber businessDate');
+};
+
+/**
+ * Refuse a change that would land in a closed business day.
+ *
+ * @param {string|ObjectId} hotelId
+ * @param {Date} [date] - When the change belongs (default: now)
+ * @throws {AppError} 409 while the day is closed
+ */
+export const assertDayOpen = async (hotelId, date = new Date()) => {
+  const closed = await findClosedDay(hotelId, date);
+  if (closed) {
+    throw new AppError(
+      `Business day ${closed.businessDate} is closed (${closed.reportNumber}). A manager must reopen it first`,
+      HTTP_STATUS.CONFLICT
+    );
+  }
+};
+
+/**
+ * Business date of an order: its slot for pre-orders, otherwise when it was created.
+ */
+const orderBusinessDate = (order) => order.scheduledFor || order.createdAt;
+
+// Orders whose business date falls in the window
+const ordersInWindow = (from, to) => ({
+  $or: [
+    { scheduledFor: { $gte: from, $lte: to } },
+    { scheduledFor: null, createdAt: { $gte: from, $lte: to } },
+  ],
+});
+
+/**
+ * Orders belong to their business day (see orderBusinessDate) — items, voids,
+ * discounts and payments on an order from a closed day are refused.
+ */
+export const assertOrderDayOpen = (order) =>
+  assertDayOpen(order.hotel?._id || order.hotel, orderBusinessDate(order));
+
+// ── Snapshot ──
+
+const summarizeOrders = async (hotelId, from, to) => {
+  const [result] = await Order.aggregate([
+    { $match: { hotel: hotelId, ...ordersInWindow(from, to) } },
+    {
+      $facet: {
+        byType: [
+          { $match: { status: { $ne: ORDER_STATUS.CANCELLED } } },
+          {
+            $group: {
+              _id: '$orderType',
+              orders: { $sum: 1 },
+              grossSales: { $sum: '$pricing.subtotal' },
+              discount: { $sum: { $ifNull: ['$pricing.discount', 0] } },
+              serviceCharge: { $sum: { $ifNull: ['$pricing.serviceCharge', 0] } },
+              deliveryCharge: { $sum: { $ifNull: ['$pricing.deliveryCharge', 0] } },
+              extraCharges: { $sum: { $ifNull: ['$pricing.extraChargesTotal', 0] } },
+              tax: { $sum: '$pricing.tax' },
+              // Orders priced before the GST breakdown: intra-state, half CGST / half SGST
+              taxable: {
+                $sum: {
+                  $ifNull: [
+                    '$pricing.taxable',
+                    { $subtract: ['$pricing.total', { $add: ['$pricing.tax', { $ifNull: ['$pricing.roundOff', 0] }] }] },
+                  ],
+                },
+              },
+              cgst: { $sum: { $ifNull: ['$pricing.cgst', { $divide: ['$pricing.tax', 2] }] } },
+              sgst: { $sum: { $ifNull: ['$pricing.sgst', { $divide: ['$pricing.tax', 2] }] } },
+              igst: { $sum: { $ifNull: ['$pricing.igst', 0] } },
+              roundOff: { $sum: { $ifNull: ['$pricing.roundOff', 0] } },
+              total: { $sum: '$pricing.total' },
+              // Room-service bills settled on the guest's room invoice
+              chargedToRoom: {
+                $sum: { $cond: [{ $ifNull: ['$booking', false] }, '$pricing.total', 0] },
+              },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        taxRates: [
+          { $match: { status: { $ne: ORDER_STATUS.CANCELLED } } },
+          { $unwind: '$pricing.taxBreakdown' },
+          {
+            $group: {
+              _id: '$pricing.taxBreakdown.rate',
+              taxable: { $sum: '$pricing.taxBreakdown.taxable' },
+              cgst: { $sum: '$pricing.taxBreakdown.cgst' },
+              sgst: { $sum: '$pricing.taxBreakdown.sgst' },
+              igst: { $sum: '$pricing.taxBreakdown.igst' },
+              tax: { $sum: '$pricing.taxBreakdown.tax' },
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+        cancelled: [
+          { $match: { status: ORDER_STATUS.CANCELLED } },
+          { $group: { _id: null, orders: { $sum: 1 }, total: { $sum: '$pricing.total' } } },
+        ],
+        discounts: [
+          { $match: { status: { $ne: ORDER_STATUS.CANCELLED }, 'pricing.discount': { $gt: 0 } } },
+          {
+            $group: {
+              _id: { $ifNull: ['$appliedDiscount.discount', null] },
+              code: { $first: '$appliedDiscount.code' },
+              name: { $first: '$appliedDiscount.name' },
+              orders: { $sum: 1 },
+              amount: { $sum: '$pricing.discount' },
+            },
+          },
+          { $sort: { amount: -1 } },
+        ],
+      },
+    },
+  ]);
+  return result;
+};
+
+const summarizeVoids = (hotelId, from, to) =>
+  Order.aggregate([
+    { $match: { hotel: hotelId, 'items.voidInfo.voidedAt': { $gte: from, $lte: to } } },
+    { $unwind: '$items' },
+    { $match: { 'items.status': ORDER_STATUS.CANCELLED, 'items.voidInfo.voidedAt': { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: '$items.voidInfo.reasonCode',
+        count: { $sum: 1 },
+        quantity: { $sum: '$items.quantity' },
+        amount: { $sum: '$items.voidInfo.amount' },
+        preparedAmount: { $sum: { $cond: ['$items.voidInfo.wasPrepared', '$items.voidInfo.amount', 0] } },
+      },
+    },
+    { $sort: { amount: -1 } },
+  ]);
+
+// Order tenders / tips received in the window, per mode
+const sumOrderEntries = (hotelId, field, from, to) =>
+  Order.aggregate([
+    { $match: { hotel: hotelId, [`${field}.receivedAt`]: { $gte: from, $lte: to } } },
+    { $unwind: `$${field}` },
+    { $match: { [`${field}.receivedAt`]: { $gte: from, $lte: to } } },
+    { $group: { _id: `$${field}.mode`, amount: { $sum: `$${field}.amount` }, count: { $sum: 1 } } },
+  ]);
+
+const summarizeRoomPayments = (hotelId, from, to) =>
+  Invoice.aggregate([
+    { $match: { hotel: hotelId, 'payments.paidAt': { $gte: from, $lte: to } } },
+    { $unwind: '$payments' },
+    { $match: { 'payments.paidAt': { $gte: from, $lte: to } } },
+    { $group: { _id: { $toUpper: '$payments.method' }, amount: { $sum: '$payments.amount' }, count: { $sum: 1 } } },
+  ]);
+
+const summarizeRefunds = (hotelId, from, to) =>
+  CreditNote.aggregate([
+    { $match: { hotel: hotelId, createdAt: { $gte: from, $lte: to } } },
+    {
+      $group: {
+        _id: { sourceType: '$sourceType', mode: { $toUpper: '$refund.mode' } },
+        count: { $sum: 1 },
+        taxable: { $sum: '$amounts.taxable' },
+        tax: { $sum: '$amounts.tax' },
+        total: { $sum: '$amounts.total' },
+      },
+    },
+  ]);
+
+// Room revenue is recognised on checkout, as in the GST report
+const summarizeRooms = async (hotelId, from, to) => {
+  const [rooms] = await Booking.aggregate([
+    {
+      $match: {
+        hotel: hotelId,
+        status: BOOKING_STATUS.CHECKED_OUT,
+        'dates.checkOut': { $gte: from, $lte: to },
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        checkOuts: { $sum: 1 },
+        roomCharges: { $sum: '$pricing.roomCharges' },
+        extraCharges: { $sum: { $ifNull: ['$pricing.extraCharges', 0] } },
+        discount: { $sum: { $ifNull: ['$pricing.discount', 0] } },
+        taxable: { $sum: { $ifNull: ['$pricing.taxableAmount', 0] } },
+        cgst: { $sum: { $ifNull: ['$pricing.cgstAmount', 0] } },
+        sgst: { $sum: { $ifNull: ['$pricing.sgstAmount', 0] } },
+        igst: { $sum: { $ifNull: ['$pricing.igstAmount', 0] } },
+        tax: { $sum: { $ifNull: ['$pricing.tax', 0] } },
+        total: { $sum: { $ifNull: ['$pricing.total', 0] } },
+      },
+    },
+  ]);
+  return rooms || {};
+};
+
+/**
+ * Orders from the window that still have money outstanding (room-service bills
+ * charged to a booking are settled on the room invoice and don't count).
+ * Pre-orders for a later slot belong to that day, not this one.
+ */
+export const findUnsettledOrders = (hotelId, from, to) =>
+  Order.find({
+    hotel: hotelId,
+    ...ordersInWindow(from, to),
+    status: { $ne: ORDER_STATUS.CANCELLED },
+    'payment.status': { $nin: ['PAID', 'REFUNDED'] },
+    booking: null,
+  })
+    .select('orderNumber orderType tableNumber pricing.total payment.status payment.paidAmount')
+    .sort({ createdAt: 1 })
+    .limit(50)
+    .lean();
+
+/**
+ * Day-end figures for a business date, as frozen into the Z-report.
+ *
+ *   POS net sales  = order totals (excl. cancelled) - POS credit notes issued that day
+ *   Room revenue   = checkouts that day - room credit notes issued that day
+ *   Tenders        = money received that day per mode (POS tenders, tips, room
+ *                    invoice payments) less refunds paid out that day
+ *
+ * Refunds are counted on the day the credit note is issued, so a refund against
+ * a closed day's bill lands in the open day.
+ *
+ * @param {string|ObjectId} hotelId
+ * @param {{ businessDate: string, timeZone: string, from: Date, to: Date }} day
+ * @returns {Promise<Object>}
+ */
+export const buildDaySnapshot = async (hotelId, { businessDate, timeZone, from, to }) => {
+  const hotel = new mongoose.Types.ObjectId(hotelId);
+
+  const [orders, voids, payments, tips, roomPayments, refunds, rooms, shifts] = await Promise.all([
+    summarizeOrders(hotel, from, to),
+    summarizeVoids(hotel, from, to),
+    sumOrderEntries(hotel, 'payments', from, to),
+    sumOrderEntries(hotel, 'tips', from, to),
+    summarizeRoomPayments(hotel, from, to),
+    summarizeRefunds(hotel, from, to),
+    summarizeRooms(hotel, from, to),
+    CashierShift.find({ hotel, status: SHIFT_STATUS.CLOSED, closedAt: { $gte: from, $lte: to } })
+      .select('shiftNumber counter cashier openedAt closedAt expected declared variance')
+      .populate('cashier', 'name')
+      .sort({ closedAt: 1 })
+      .lean(),
+  ]);
+
+  // ── Sales ──
+  const byType = orders.byType.map(({ _id, ...row }) => ({
+    orderType: _id,
+    ...Object.fromEntries(Object.entries(row).map(([k, v]) => [k, k === 'orders' ? v : round2(v)])),
+  }));
+  const posRefunds = refunds.filter((r) => r._id.sourceType === 'order');
+  const roomRefunds = refunds.filter((r) => r._id.sourceType === 'booking');
+
+  const sales = {
+    orders: byType.reduce((sum, r) => sum + r.orders, 0),
+    grossSales: sumBy(byType, 'grossSales'),
+    discount: sumBy(byType, 'discount'),
+    serviceCharge: sumBy(byType, 'serviceCharge'),
+    deliveryCharge: sumBy(byType, 'deliveryCharge'),
+    extraCharges: sumBy(byType, 'extraCharges'),
+    tax: sumBy(byType, 'tax'),
+    roundOff: sumBy(byType, 'roundOff'),
+    total: sumBy(byType, 'total'),
+    chargedToRoom: sumBy(byType, 'chargedToRoom'),
+    refunds: sumBy(posRefunds, 'total'),
+    cancelledOrders: orders.cancelled[0]?.orders || 0,
+    cancelledValue: round2(orders.cancelled[0]?.total || 0),
+    byType,
+  };
+  sales.taxable = round2(sales.total - sales.tax - sales.roundOff);
+  sales.netSales = round2(sales.total - sales.refunds);
+
+  // ── Room revenue ──
+  const roomRevenue = {
+    checkOuts: rooms.checkOuts || 0,
+    ...Object.fromEntries(
+      ['roomCharges', 'extraCharges', 'discount', 'taxable', 'cgst', 'sgst', 'igst', 'tax', 'total'].map((k) => [
+        k,
+        round2(rooms[k] || 0),
+      ])
+    ),
+    refunds: sumBy(roomRefunds, 'total'),
+  };
+  roomRevenue.netRevenue = round2(roomRevenue.total - roomRevenue.refunds);
+
+  // ── Taxes ──
+  const posTaxRefund = sumBy(posRefunds, 'tax');
+  const roomTaxRefund = sumBy(roomRefunds, 'tax');
+  const taxes = {
+    pos: {
+      taxable: sumBy(byType, 'taxable'),
+      cgst: sumBy(byType, 'cgst'),
+      sgst: sumBy(byType, 'sgst'),
+      igst: sumBy(byType, 'igst'),
+      tax: sales.tax,
+      refunded: posTaxRefund,
+      net: round2(sales.tax - posTaxRefund),
+    },
+    rooms: {
+      taxable: roomRevenue.taxable,
+      cgst: roomRevenue.cgst,
+      sgst: roomRevenue.sgst,
+      igst: roomRevenue.igst,
+      tax: roomRevenue.tax,
+      refunded: roomTaxRefund,
+      net: round2(roomRevenue.tax - roomTaxRefund),
+    },
+  };
+  taxes.total = Object.fromEntries(
+    ['taxable', 'cgst', 'sgst', 'igst', 'tax', 'refunded', 'net'].map((k) => [
+      k,
+      round2(taxes.pos[k] + taxes.rooms[k]),
+    ])
+  );
+  // POS GST per slab (orders with a breakdown)
+  taxes.posByRate = orders.taxRates.map(({ _id, ...row }) => ({
+    rate: _id,
+    ...Object.fromEntries(Object.entries(row).map(([k, v]) => [k, round2(v)])),
+  }));
+
+  // ── Tenders ──
+  const modes = [
+    ...new Set(['CASH', 'UPI', 'CARD', ...roomPayments.map((r) => r._id), ...refunds.map((r) => r._id.mode)]),
+  ];
+  const amountFor = (rows, mode) => round2(rows.filter((r) => r._id === mode).reduce((s, r) => s + r.amount, 0));
+  const tenders = modes.map((mode) => {
+    const row = {
+      mode,
+      pos: amountFor(payments, mode),
+      tips: amountFor(tips, mode),
+      rooms: amountFor(roomPayments, mode),
+      refunds: round2(refunds.filter((r) => r._id.mode === mode).reduce((s, r) => s + r.total, 0)),
+    };
+    row.net = round2(row.pos + row.tips + row.rooms - row.refunds);
+    return row;
+  });
+
+  // ── Voids ──
+  const voidRows = voids.map(({ _id, ...row }) => ({
+    reasonCode: _id,
+    count: row.count,
+    quantity: row.quantity,
+    amount: round2(row.amount),
+    preparedAmount: round2(row.preparedAmount),
+  }));
+
+  // ── Discounts ──
+  const discountRows = orders.discounts.map(({ _id, code, name, orders: count, amount }) => ({
+    discount: _id,
+    code: code || null,
+    name: name || (_id ? '' : 'Manual discount'),
+    orders: count,
+    amount: round2(amount),
+  }));
+
+  return {
+    businessDate,
+    timeZone,
+    from,
+    to,
+    sales,
+    taxes,
+    tenders,
+    tenderTotal: sumBy(tenders, 'net'),
+    voids: {
+      count: voidRows.reduce((sum, r) => sum + r.count, 0),
+      quantity: voidRows.reduce((sum, r) => sum + r.quantity, 0),
+      amount: sumBy(voidRows, 'amount'),
+      // Voids after the kitchen started are actual food loss
+      preparedLoss: sumBy(voidRows, 'preparedAmount'),
+      byReason: voidRows,
+    },
+    discounts: {
+      orders: discountRows.reduce((sum, r) => sum + r.orders, 0),
+      amount: sumBy(discountRows, 'amount'),
+      byRule: discountRows,
+    },
+    rooms: roomRevenue,
+    shifts: shifts.map((s) => ({
+      shiftNumber: s.shiftNumber,
+      counter: s.counter,
+      cashier: s.cashier?.name || '',
+      openedAt: s.openedAt,
+      closedAt: s.closedAt,
+      expectedCash: s.expected?.CASH ?? null,
+      declaredCash: s.declared?.CASH ?? null,
+      cashVariance: s.variance?.CASH ?? null,
+    })),
+    totals: {
+      grossRevenue: round2(sales.total + roomRevenue.total),
+      refunds: round2(sales.refunds + roomRevenue.refunds),
+      netRevenue: round2(sales.netSales + roomRevenue.netRevenue),
+      netTax: taxes.total.net,
+    },
+  };
+};
+
+/**
+ * Resolve the business date to close / preview for a hotel.
+ *
+ * @param {Object} hotel - Hotel document (settings.timezone)
+ * @param {string} [date] - "YYYY-MM-DD" (default: today in the hotel's timezone)
+ * @returns {{ businessDate: string, timeZone: string, from: Date, to: Date }}
+ */
+export const resolveBusinessDay = (hotel, date) => {
+  const timeZone = hotel.settings?.timezone || DEFAULT_TIMEZONE;
+  const today = businessDateOf(new Date(), timeZone);
+  const businessDate = date || today;
+
+  // Round-trip rejects dates that don't exist (e.g. 2026-02-30)
+  const parsed = new Date(`${businessDate}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(businessDate) || isNaN(parsed) || parsed.toISOString().slice(0, 10) !== businessDate) {
+    throw new AppError('date must be in YYYY-MM-DD format', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (businessDate > today) {
+    throw new AppError('Cannot close a business day that has not started', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return { businessDate, timeZone, ...businessDayRange(businessDate, timeZone) };
+};
@@ -0,0 +1,78 @@
+// backend/src/services/delivery.service.js
+
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, DELIVERY_STATUS } from '../config/constants.js';
+
+/**
+ * Find the hotel delivery zone for an address, rejecting addresses no zone covers.
+ * Hotels without active zones deliver anywhere, so this returns null for them.
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {Object} address - { pincode, location: { lat, lng } }
+ * @returns {{ zone: Object, distanceKm: Number|null }|null}
+ */
+export const resolveDeliveryZone = (hotel, { pincode, location } = {}) => {
+  const zones = hotel.activeDeliveryZones();
+  if (zones.length === 0) return null;
+
+  const hasLocation = location?.lat != null && location?.lng != null;
+  if (!pincode && !hasLocation) {
+    throw new AppError('Delivery pincode or location is required to check if we deliver to you', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const match = hotel.findDeliveryZone({ pincode, location });
+  if (match) return match;
+
+  const maxRadius = Math.max(0, ...zones.filter((z) => z.pincodes.length === 0).map((z) => z.radiusKm || 0));
+  let message = pincode
+    ? `Sorry, we do not deliver to pincode ${pincode}`
+    : 'Sorry, your address is outside our delivery area';
+  if (hasLocation && maxRadius > 0) message += ` (we deliver within ${maxRadius} km)`;
+
+  throw new AppError(message, HTTP_STATUS.BAD_REQUEST);
+};
+
+/**
+ * Reject orders below the zone's minimum order value.
+ */
+export const assertZoneMinimum = (zone, subtotal) => {
+  if (zone && subtotal < zone.minOrder) {
+    throw new AppError(
+      `Minimum order for delivery to ${zone.name} is ₹${zone.minOrder}. Add ₹${zone.minOrder - subtotal} more.`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+};
+
+/**
+ * Order.delivery.zone snapshot of a resolved zone.
+ */
+export const zoneSnapshot = ({ zone, distanceKm }) => ({
+  zoneId: zone._id,
+  name: zone.name,
+  charge: zone.charge,
+  freeDeliveryAbove: zone.freeDeliveryAbove,
+  distanceKm,
+});
+
+/**
+ * Delivery details safe to show the guest (rider name and phone, no cash figures).
+ * Expects delivery.rider populated with name + phone.
+ *
+ * @param {Object} order
+ * @returns {Object|null} null for non-delivery orders
+ */
+export const publicDeliveryInfo = (order) => {
+  if (order.orderType !== 'delivery' || !order.delivery) return null;
+
+  const { status, rider, zone, pickedUpAt, deliveredAt, failedAt, failureReason } = order.delivery;
+  return {
+    status,
+    zone: zone?.name || null,
+    rider: rider?.name ? { name: rider.name, phone: rider.phone } : null,
+    pickedUpAt,
+    deliveredAt,
+    failedAt,
+    failureReason: status === DELIVERY_STATUS.FAILED ? failureReason : '',
+  };
+};
@@ -0,0 +1,150 @@
+// backend/src/services/discount.service.js
+
+import Discount from '../modules/pos/models/Discount.model.js';
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import Order from '../modules/pos/models/Order.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const discountLabel = (discount) => (discount.code ? `Coupon ${discount.code}` : discount.name);
+
+/**
+ * Find a discount by coupon code or id and make sure it can be redeemed now.
+ *
+ * @param {Object} params
+ * @param {ObjectId} params.hotelId
+ * @param {String} [params.code] - Coupon code (case-insensitive)
+ * @param {ObjectId} [params.discountId] - Discount picked from the POS list
+ * @param {Boolean} [params.isPublic] - Public ordering site (coupons marked allowOnline only)
+ * @returns {Promise<Object>} Discount document
+ */
+export const findRedeemableDiscount = async ({ hotelId, code, discountId, isPublic = false }) => {
+  const query = { hotel: hotelId };
+  if (code) query.code = code.trim().toUpperCase();
+  else query._id = discountId;
+
+  const discount = await Discount.findOne(query);
+  if (!discount || (isPublic && (!discount.code || !discount.allowOnline))) {
+    throw new AppError(code ? 'Invalid coupon code' : 'Discount not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!discount.isRedeemable()) {
+    throw new AppError(`${discountLabel(discount)} has expired or is no longer available`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return discount;
+};
+
+/**
+ * Work out the discount amount for a set of order lines.
+ *
+ * @param {Object} discount - Discount document
+ * @param {Object} params
+ * @param {Array}  params.items - Order lines (menuItem, subtotal, status)
+ * @param {String} params.orderType
+ * @param {String} [params.customerPhone] - Needed for per-customer limits
+ * @param {ObjectId} [params.orderId] - Order being re-priced (excluded from per-customer count)
+ * @param {Boolean} [params.checkLimits] - false when re-pricing an order that already redeemed it
+ * @returns {Promise<{ amount: Number, applied: Object }>}
+ */
+export const calculateDiscount = async (
+  discount,
+  { items, orderType, customerPhone = null, orderId = null, checkLimits = true }
+) => {
+  const label = discountLabel(discount);
+  const lines = items.filter((item) => item.status !== ORDER_STATUS.CANCELLED);
+  const subtotal = lines.reduce((sum, item) => sum + item.subtotal, 0);
+
+  if (checkLimits) {
+    if (discount.orderTypes?.length > 0 && !discount.orderTypes.includes(orderType)) {
+      throw new AppError(`${label} is not valid for ${orderType} orders`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (subtotal < (discount.minOrderValue || 0)) {
+      throw new AppError(`${label} needs a minimum order of ₹${discount.minOrderValue}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (discount.perCustomerLimit != null) {
+      if (!customerPhone) {
+        throw new AppError(`${label} needs the customer's phone number`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const used = await Order.countDocuments({
+        hotel: discount.hotel,
+        'appliedDiscount.discount': discount._id,
+        'customer.phone': customerPhone,
+        status: { $ne: ORDER_STATUS.CANCELLED },
+        ...(orderId && { _id: { $ne: orderId } }),
+      });
+
+      if (used >= discount.perCustomerLimit) {
+        throw new AppError(`${label} has already been used the maximum number of times by this customer`, HTTP_STATUS.BAD_REQUEST);
+      }
+    }
+  }
+
+  // ── Eligible amount by scope ──
+  let eligible = subtotal;
+  const lineMenuItemId = (item) => (item.menuItem?._id || item.menuItem).toString();
+
+  if (discount.scope === 'items') {
+    const ids = new Set(discount.menuItems.map((id) => id.toString()));
+    eligible = lines.filter((item) => ids.has(lineMenuItemId(item))).reduce((sum, item) => sum + item.subtotal, 0);
+  } else if (discount.scope === 'categories') {
+    const ids = new Set(discount.categories.map((id) => id.toString()));
+    const menuItems = await MenuItem.find({ _id: { $in: lines.map(lineMenuItemId) } }).select('category');
+    const categoryOf = new Map(menuItems.map((mi) => [mi._id.toString(), mi.category?.toString()]));
+    eligible = lines
+      .filter((item) => ids.has(categoryOf.get(lineMenuItemId(item))))
+      .reduce((sum, item) => sum + item.subtotal, 0);
+  }
+
+  if (eligible <= 0) {
+    if (!checkLimits) return { amount: 0, applied: null };
+    throw new AppError(`${label} does not apply to any item in this order`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  let amount = discount.type === 'percentage' ? (eligible * discount.value) / 100 : discount.value;
+  if (discount.type === 'percentage' && discount.maxDiscount != null) {
+    amount = Math.min(amount, discount.maxDiscount);
+  }
+  amount = round2(Math.min(amount, eligible));
+
+  return {
+    amount,
+    applied: {
+      discount: discount._id,
+      code: discount.code,
+      name: discount.name,
+      type: discount.type,
+      value: discount.value,
+      scope: discount.scope,
+      amount,
+    },
+  };
+};
+
+/**
+ * Count one redemption. Atomic so parallel orders can't go past maxUses.
+ */
+export const redeemDiscount = async (discountId) => {
+  const updated = await Discount.findOneAndUpdate(
+    {
+      _id: discountId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$usedCount', '$maxUses'] } }],
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!updated) throw new AppError('Discount usage limit reached', HTTP_STATUS.CONFLICT);
+  return updated;
+};
+
+/**
+ * Give a redemption back (discount removed or order cancelled).
+ */
+export const releaseDiscount = async (discountId) =>
+  Discount.updateOne({ _id: discountId, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
@@ -0,0 +1,205 @@
+// backend/src/services/eta.service.js
+
+import mongoose from 'mongoose';
+import Order from '../modules/pos/models/Order.model.js';
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import { ORDER_STATUS, KITCHEN_STATIONS } from '../config/constants.js';
+import { resolveStations } from './kot.service.js';
+
+const MINUTE = 60 * 1000;
+const DEFAULT_PREP_MINUTES = 15;
+// Dishes one station cooks side by side
+const LINES_PER_STATION = 4;
+// Prep history window, and samples needed before history replaces the menu figure
+const HISTORY_DAYS = 14;
+const MIN_SAMPLES = 3;
+
+const COOKING = [ORDER_STATUS.PENDING, ORDER_STATUS.PREPARING];
+// Scheduled orders join the kitchen queue once their KOTs are released
+const RELEASED = { $or: [{ scheduledFor: null }, { kotReleasedAt: { $ne: null } }] };
+
+/**
+ * Average start-to-ready minutes per menu item, from item timestamps on recent orders.
+ * @returns {Promise<Map<String, Number>>} menuItemId -> minutes
+ */
+const prepHistory = async (hotelId, menuItemIds) => {
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE);
+  const ids = menuItemIds.map((id) => new mongoose.Types.ObjectId(id));
+
+  const rows = await Order.aggregate([
+    { $match: { hotel: new mongoose.Types.ObjectId(hotelId), createdAt: { $gte: since }, 'items.menuItem': { $in: ids } } },
+    { $unwind: '$items' },
+    {
+      $match: {
+        'items.menuItem': { $in: ids },
+        'items.timestamps.preparing': { $ne: null },
+        'items.timestamps.ready': { $ne: null },
+      },
+    },
+    {
+      $project: {
+        menuItem: '$items.menuItem',
+        minutes: { $divide: [{ $subtract: ['$items.timestamps.ready', '$items.timestamps.preparing'] }, MINUTE] },
+      },
+    },
+    // Ignore dishes marked ready hours later (forgotten on the screen)
+    { $match: { minutes: { $gt: 0, $lt: 180 } } },
+    { $group: { _id: '$menuItem', minutes: { $avg: '$minutes' }, samples: { $sum: 1 } } },
+  ]);
+
+  return new Map(
+    rows.filter((row) => row.samples >= MIN_SAMPLES).map((row) => [row._id.toString(), row.minutes])
+  );
+};
+
+// Kitchen lines of an order item — combos cook as their components
+const kitchenLines = (item) =>
+  item.comboItems?.length > 0
+    ? item.comboItems.map((c) => ({ menuItem: c.menuItem.toString(), quantity: c.quantity * item.quantity }))
+    : [{ menuItem: (item.menuItem?._id || item.menuItem).toString(), quantity: item.quantity }];
+
+const etaLabel = (minutes) => {
+  if (minutes <= 0) return 'Ready';
+  const low = Math.max(1, Math.floor(minutes / 5) * 5);
+  return `${low}-${low + 5} minutes`;
+};
+
+/**
+ * Estimate when orders will be ready, from:
+ *  - each dish's prep time (recent history, else MenuItem.preparationTime),
+ *  - how long a dish already on the stove has been cooking,
+ *  - the queue of pending dishes ahead of it at the same station.
+ *
+ * Orders are loaded once per hotel, so ask for several at a time.
+ *
+ * @param {ObjectId|String} hotelId
+ * @param {Array} [orders] - Orders to estimate (default: every running order of the hotel)
+ * @returns {Promise<Map<String, Object>>} orderId -> { minutes, readyAt, label, stations }
+ */
+export const estimateOrderEtas = async (hotelId, orders = null) => {
+  const now = Date.now();
+
+  const running = await Order.find({
+    hotel: hotelId,
+    status: { $in: COOKING },
+    'items.status': { $in: COOKING },
+    ...RELEASED,
+  })
+    .select('orderNumber createdAt items.menuItem items.comboItems items.quantity items.status items.timestamps')
+    .sort({ createdAt: 1 })
+    .lean();
+  const targets = orders || running;
+
+  const menuItemIds = [
+    ...new Set(
+      [...running, ...targets].flatMap((order) =>
+        order.items.filter((item) => COOKING.includes(item.status)).flatMap((item) => kitchenLines(item).map((l) => l.menuItem))
+      )
+    ),
+  ];
+
+  const [stations, history, menuItems] = await Promise.all([
+    resolveStations(menuItemIds),
+    prepHistory(hotelId, menuItemIds),
+    MenuItem.find({ _id: { $in: menuItemIds } }).select('preparationTime').lean(),
+  ]);
+  const menuPrep = new Map(menuItems.map((mi) => [mi._id.toString(), mi.preparationTime]));
+
+  const prepMinutes = (menuItemId) =>
+    history.get(menuItemId) ?? menuPrep.get(menuItemId) ?? DEFAULT_PREP_MINUTES;
+  const stationOf = (menuItemId) => stations.get(menuItemId) || KITCHEN_STATIONS.MAIN;
+
+  // ── Work left per line: full prep if queued, the remainder if cooking ──
+  const lineWork = (order) =>
+    order.items
+      .filter((item) => COOKING.includes(item.status))
+      .flatMap((item) =>
+        kitchenLines(item).map((line) => {
+          const prep = prepMinutes(line.menuItem);
+          const startedAt = item.timestamps?.preparing ? new Date(item.timestamps.preparing).getTime() : null;
+          const cooking = item.status === ORDER_STATUS.PREPARING && startedAt;
+          return {
+            station: stationOf(line.menuItem),
+            cooking,
+            quantity: line.quantity,
+            minutes: cooking ? Math.max(1, prep - (now - startedAt) / MINUTE) : prep,
+          };
+        })
+      );
+
+  const etas = new Map();
+  targets.forEach((order) => {
+    const orderId = order._id.toString();
+    const createdAt = new Date(order.createdAt).getTime();
+
+    // Pending work at each station from orders placed before this one
+    const queueAhead = {};
+    running
+      .filter((other) => other._id.toString() !== orderId && new Date(other.createdAt).getTime() <= createdAt)
+      .forEach((other) => {
+        lineWork(other).forEach((line) => {
+          queueAhead[line.station] = (queueAhead[line.station] || 0) + line.minutes * line.quantity;
+        });
+      });
+
+    const byStation = {};
+    lineWork(order).forEach((line) => {
+      // A station cooks several dishes at once, so waiting work is shared out
+      const wait = line.cooking ? 0 : (queueAhead[line.station] || 0) / LINES_PER_STATION;
+      const minutes = Math.ceil(wait + line.minutes);
+      byStation[line.station] = Math.max(byStation[line.station] || 0, minutes);
+    });
+
+    const minutes = Math.max(0, ...Object.values(byStation));
+    etas.set(orderId, {
+      minutes,
+      readyAt: new Date(now + minutes * MINUTE),
+      label: etaLabel(minutes),
+      stations: byStation,
+    });
+  });
+
+  return etas;
+};
+
+/**
+ * ETA for a single order.
+ * @returns {Promise<Object>} { minutes, readyAt, label, stations }
+ */
+export const estimateOrderEta = async (order) => {
+  const etas = await estimateOrderEtas(order.hotel?._id || order.hotel, [order]);
+  return etas.get(order._id.toString());
+};
+
+/**
+ * Recompute ETAs for the hotel's running public orders and push them to each
+ * order's /allinone room as `order:eta`. Called whenever kitchen load changes;
+ * not awaited by callers, so failures are only logged.
+ *
+ * @param {Object} io - socket.io server
+ * @param {ObjectId|String} hotelId
+ */
+export const broadcastOrderEtas = async (io, hotelId) => {
+  if (!io) return;
+
+  try {
+    const orders = await Order.find({
+      hotel: hotelId,
+      isPublicOrder: true,
+      status: { $in: COOKING },
+      ...RELEASED,
+    })
+      .select('orderNumber createdAt items.menuItem items.comboItems items.quantity items.status items.timestamps')
+      .lean();
+    if (orders.length === 0) return;
+
+    const etas = await estimateOrderEtas(hotelId, orders);
+    orders.forEach((order) => {
+      io.of('/allinone')
+        .to(`order:${order.orderNumber}`)
+        .emit('order:eta', { orderNumber: order.orderNumber, ...etas.get(order._id.toString()) });
+    });
+  } catch (err) {
+    console.error('ETA broadcast error (non-critical):', err.message);
+  }
+};
@@ -0,0 +1,236 @@
+// backend/src/services/gst.service.js
+
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS, GST_RATE, GST_CLASS_RATES } from '../config/constants.js';
+
+const GSTIN_REGEX = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z]{1}[1-9A-Z]{1}Z[0-9A-Z]{1}$/;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * GST rate for menu items without a tax class and for taxable charges.
+ */
+export const hotelTaxRate = (hotel) => hotel.settings?.taxRate ?? GST_RATE;
+
+/**
+ * Whether menu prices include GST, unless the item says otherwise.
+ */
+const hotelPricesIncludeTax = (hotel) => hotel.settings?.pricesIncludeTax === true;
+
+/**
+ * Hotel's own state code: the address, otherwise the first two digits of its GSTIN.
+ */
+export const hotelStateCode = (hotel) => hotel.address?.stateCode || hotel.gst?.number?.slice(0, 2) || null;
+
+/**
+ * Resolve tax class, rate and HSN/SAC code for every menu item in the list.
+ * Item-level values win, otherwise the category's, otherwise the hotel default
+ * rate and SAC code. `inclusive` comes from the item, else the hotel setting.
+ * @param {Array} menuItemIds
+ * @param {Object} hotel - Hotel document
+ * @returns {Map<String, Object>} menuItemId -> { taxClass, rate, hsnCode, inclusive }
+ */
+export const resolveItemTaxes = async (menuItemIds, hotel) => {
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } })
+    .select('taxClass hsnCode priceIncludesTax category')
+    .populate('category', 'taxClass hsnCode');
+
+  const taxes = new Map();
+  menuItems.forEach((mi) => {
+    const taxClass = mi.taxClass || mi.category?.taxClass || null;
+    taxes.set(mi._id.toString(), {
+      taxClass,
+      rate: taxClass ? GST_CLASS_RATES[taxClass] : hotelTaxRate(hotel),
+      hsnCode: mi.hsnCode || mi.category?.hsnCode || hotel.settings?.defaultSacCode || '',
+      inclusive: mi.priceIncludesTax ?? hotelPricesIncludeTax(hotel),
+    });
+  });
+  return taxes;
+};
+
+/**
+ * Stamp `tax` on order lines that don't carry one yet. Lines keep the rate
+ * they were ordered at even if the menu's tax class changes later.
+ *
+ * @param {Array} lines - Order lines with `menuItem`
+ * @param {Object} hotel - Hotel document
+ * @returns {Promise<Array>} the same lines
+ */
+export const applyLineTaxes = async (lines, hotel) => {
+  const pending = lines.filter((line) => line.tax?.rate == null);
+  if (pending.length === 0) return lines;
+
+  const taxes = await resolveItemTaxes(
+    [...new Set(pending.map((line) => (line.menuItem?._id || line.menuItem).toString()))],
+    hotel
+  );
+  pending.forEach((line) => {
+    line.tax = taxes.get((line.menuItem?._id || line.menuItem).toString()) || {
+      taxClass: null,
+      rate: hotelTaxRate(hotel),
+      hsnCode: hotel.settings?.defaultSacCode || '',
+      inclusive: hotelPricesIncludeTax(hotel),
+    };
+  });
+  return lines;
+};
+
+/**
+ * Place of supply for an order: the explicit state code, otherwise the state
+ * in the customer's GSTIN, otherwise the hotel's own state (walk-in / B2C).
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {Object} [params]
+ * @param {String} [params.placeOfSupply] - 2-digit state code
+ * @param {String} [params.customerGstin]
+ * @returns {{ placeOfSupply: String|undefined, interState: Boolean }}
+ */
+export const resolvePlaceOfSupply = (hotel, { placeOfSupply, customerGstin } = {}) => {
+  if (placeOfSupply && !/^[0-9]{2}$/.test(placeOfSupply)) {
+    throw new AppError('Place of supply must be a 2-digit state code', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (customerGstin && !GSTIN_REGEX.test(customerGstin.toUpperCase())) {
+    throw new AppError('Please enter a valid customer GSTIN', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const hotelState = hotelStateCode(hotel);
+  const state = placeOfSupply || customerGstin?.slice(0, 2) || hotelState || undefined;
+
+  return {
+    placeOfSupply: state,
+    interState: Boolean(hotelState && state && state !== hotelState),
+  };
+};
+
+/**
+ * GST per HSN/SAC code and rate. The order discount is spread over the lines
+ * in proportion to their value; taxable charges (packaging, service charge...)
+ * go at the default rate under the hotel SAC code. Tax-inclusive lines have
+ * their taxable value backed out of the price, so they add nothing on top.
+ * Same-state supplies split each slab equally into CGST and SGST, inter-state
+ * supplies pay IGST.
+ *
+ * @param {Object} params
+ * @param {Array}  params.lines - Order lines with `subtotal` and `tax` (cancelled lines are skipped)
+ * @param {Number} [params.discount]
+ * @param {Number} [params.charges] - Taxable charges on top of the lines
+ * @param {Number} params.defaultRate - Rate for lines without `tax.rate` and for charges
+ * @param {String} [params.defaultHsn] - SAC code for lines without one and for charges
+ * @param {Boolean} [params.interState]
+ * @returns {{ taxable, tax, includedTax, cgst, sgst, igst, taxBreakdown: Array }}
+ */
+export const calculateTaxBreakdown = ({
+  lines,
+  discount = 0,
+  charges = 0,
+  defaultRate,
+  defaultHsn = '',
+  interState = false,
+}) => {
+  const active = lines.filter((line) => line.status !== ORDER_STATUS.CANCELLED);
+  const subtotal = active.reduce((sum, line) => sum + line.subtotal, 0);
+
+  const groups = new Map();
+  const add = (rate, hsnCode, amount, inclusive = false) => {
+    const key = `${rate}|${hsnCode}`;
+    if (!groups.has(key)) groups.set(key, { hsnCode, rate, exclusive: 0, inclusive: 0 });
+    groups.get(key)[inclusive ? 'inclusive' : 'exclusive'] += amount;
+  };
+
+  // Last line takes the rounding remainder so the shares add up to the discount
+  let remaining = discount;
+  active.forEach((line, i) => {
+    const share = i === active.length - 1
+      ? remaining
+      : subtotal > 0 ? round2((discount * line.subtotal) / subtotal) : 0;
+    remaining = round2(remaining - share);
+    add(
+      line.tax?.rate ?? defaultRate,
+      line.tax?.hsnCode || defaultHsn,
+      Math.max(0, line.subtotal - share),
+      line.tax?.inclusive === true
+    );
+  });
+  if (charges > 0) add(defaultRate, defaultHsn, charges);
+
+  const taxBreakdown = [...groups.values()]
+    .map(({ hsnCode, rate, exclusive, inclusive }) => {
+      // Inclusive: price = taxable + tax, so taxable = price / (1 + rate)
+      const gross = round2(inclusive);
+      const inclusiveTaxable = round2((gross * 100) / (100 + rate));
+      const includedTax = round2(gross - inclusiveTaxable);
+
+      const exclusiveTaxable = round2(exclusive);
+      const tax = round2((exclusiveTaxable * rate) / 100 + includedTax);
+      const cgst = interState ? 0 : round2(tax / 2);
+      return {
+        hsnCode,
+        rate,
+        taxable: round2(exclusiveTaxable + inclusiveTaxable),
+        cgst,
+        sgst: interState ? 0 : round2(tax - cgst),
+        igst: interState ? tax : 0,
+        tax,
+        includedTax,
+      };
+    })
+    .filter((row) => row.taxable > 0)
+    .sort((a, b) => a.rate - b.rate || a.hsnCode.localeCompare(b.hsnCode));
+
+  const sum = (field) => round2(taxBreakdown.reduce((total, row) => total + row[field], 0));
+
+  return {
+    taxable: sum('taxable'),
+    tax: sum('tax'),
+    includedTax: sum('includedTax'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    taxBreakdown: taxBreakdown.map(({ includedTax, ...row }) => row),
+  };
+};
+
+/**
+ * Rate charged on every taxed line of the order, null when it mixes rates.
+ * Orders priced before per-item tax classes fall back to the hotel rate.
+ */
+export const orderTaxRate = (order) => {
+  const breakdown = order.pricing.taxBreakdown || [];
+  if (breakdown.length === 0) return hotelTaxRate(order.hotel);
+  const rates = [...new Set(breakdown.filter((row) => row.tax > 0).map((row) => row.rate))];
+  return rates.length === 1 ? rates[0] : null;
+};
+
+/**
+ * GST rows of a bill: CGST + SGST (same state) or IGST per rate and HSN/SAC
+ * code. Splits print their own breakdown; splits made before it was stored
+ * print their tax as one pair.
+ *
+ * @param {Object} order - Order with hotel populated (settings.taxRate)
+ * @param {Object} [split] - Split bill being printed
+ * @returns {Array} [label, amount] pairs
+ */
+export const billTaxRows = (order, split = null) => {
+  const breakdown = ((split || order).pricing.taxBreakdown || []).filter((row) => row.tax > 0);
+
+  if (breakdown.length > 0) {
+    return breakdown.flatMap((row) => {
+      const code = row.hsnCode ? ` (${row.hsnCode})` : '';
+      return row.igst > 0
+        ? [[`IGST @ ${row.rate}%${code}`, row.igst]]
+        : [[`CGST @ ${row.rate / 2}%${code}`, row.cgst], [`SGST @ ${row.rate / 2}%${code}`, row.sgst]];
+    });
+  }
+
+  const tax = (split || order).pricing.tax;
+  const rate = orderTaxRate(order);
+  if (order.pricing.igst > 0) return [[rate != null ? `IGST @ ${rate}%` : 'IGST', tax]];
+
+  // Intra-state supply: GST is split equally into central and state tax
+  const cgst = round2(tax / 2);
+  return [
+    [rate != null ? `CGST @ ${rate / 2}%` : 'CGST', cgst],
+    [rate != null ? `SGST @ ${rate / 2}%` : 'SGST', round2(tax - cgst)],
+  ];
+};
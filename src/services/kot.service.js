@@ -0,0 +1,103 @@
+// backend/src/services/kot.service.js
+
+import KOT from '../modules/pos/models/KOT.model.js';
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import { KITCHEN_STATIONS } from '../config/constants.js';
+
+/**
+ * Resolve kitchen station for every menu item in the list.
+ * Item-level station wins, otherwise the category station, otherwise MAIN.
+ * @param {Array} menuItemIds
+ * @returns {Map<String, String>} menuItemId -> station
+ */
+export const resolveStations = async (menuItemIds) => {
+  const menuItems = await MenuItem.find({ _id: { $in: menuItemIds } })
+    .select('station category')
+    .populate('category', 'station');
+
+  const stations = new Map();
+  menuItems.forEach((mi) => {
+    stations.set(
+      mi._id.toString(),
+      mi.station || mi.category?.station || KITCHEN_STATIONS.MAIN
+    );
+  });
+  return stations;
+};
+
+/**
+ * Create one KOT per kitchen station for the given order lines.
+ *
+ * @param {Object} order - Saved Order document
+ * @param {Object} [options]
+ * @param {Array}  [options.items] - Subset of order.items to send (default: all)
+ * @param {ObjectId} [options.createdBy] - Staff user, null for public orders
+ * @param {Boolean} [options.isAddon] - Marks follow-up rounds on a running order
+ * @param {Object} [options.io] - socket.io server, emits `kot:created` on /pos
+ * @returns {Promise<Array>} Created KOT documents
+ */
+export const createKOTsForOrder = async (
+  order,
+  { items = order.items, createdBy = null, isAddon = false, io = null } = {}
+) => {
+  if (!items || items.length === 0) return [];
+
+  // Combos go to the kitchen as their components, each routed to its own station
+  const lines = items.flatMap((item) => {
+    const menuItemId = (item.menuItem?._id || item.menuItem).toString();
+    const base = {
+      orderItem: item._id,
+      variant: item.variant || null,
+      modifiers: (item.modifiers || []).map((m) => m.option),
+      specialInstructions: item.specialInstructions || '',
+    };
+
+    if (item.comboItems?.length > 0) {
+      return item.comboItems.map((component) => ({
+        ...base,
+        menuItem: component.menuItem.toString(),
+        name: component.name,
+        quantity: component.quantity * item.quantity,
+        comboOf: item.name,
+      }));
+    }
+
+    return [{ ...base, menuItem: menuItemId, name: item.name, quantity: item.quantity }];
+  });
+
+  const stations = await resolveStations(lines.map((line) => line.menuItem));
+
+  // Group lines by station
+  const byStation = {};
+  lines.forEach((line) => {
+    const station = stations.get(line.menuItem) || KITCHEN_STATIONS.MAIN;
+    if (!byStation[station]) byStation[station] = [];
+    byStation[station].push(line);
+  });
+
+  const kots = [];
+  for (const [station, stationLines] of Object.entries(byStation)) {
+    // Sequential create so KOT numbers stay in station order
+    const kot = await KOT.create({
+      hotel: order.hotel?._id || order.hotel,
+      order: order._id,
+      orderNumber: order.orderNumber,
+      station,
+      orderType: order.orderType,
+      tableNumber: order.tableNumber || null,
+      room: order.room?._id || order.room || null,
+      customerName: order.customer?.name || null,
+      items: stationLines,
+      specialInstructions: order.specialInstructions || '',
+      isAddon,
+      createdBy,
+    });
+    kots.push(kot);
+  }
+
+  if (io) {
+    kots.forEach((kot) => io.of('/pos').emit('kot:created', kot.toPrintData()));
+  }
+
+  return kots;
+};
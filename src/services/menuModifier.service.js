@@ -0,0 +1,84 @@
+// backend/src/services/menuModifier.service.js
+
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+const matches = (doc, ref) =>
+  ref != null && (doc._id.toString() === String(ref) || doc.name.toLowerCase() === String(ref).trim().toLowerCase());
+
+/**
+ * Validate modifier selections for a menu item and price them.
+ *
+ * Each selection is `{ group, option }` where both may be an _id or a name.
+ * Enforces required groups, min/max selections and option availability.
+ *
+ * @param {Object} menuItem - MenuItem document
+ * @param {Array} [selections]
+ * @returns {{ modifiers: Array, modifiersTotal: Number }}
+ *   modifiers: [{ groupId, group, optionId, option, price }] in menu order
+ */
+export const resolveModifiers = (menuItem, selections = []) => {
+  const groups = menuItem.modifierGroups || [];
+  const chosen = new Map(groups.map((g) => [g._id.toString(), []]));
+
+  for (const selection of selections) {
+    const group = groups.find((g) => matches(g, selection.group));
+    if (!group) {
+      throw new AppError(`"${menuItem.name}" has no modifier group "${selection.group}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const option = group.options.find((o) => matches(o, selection.option));
+    if (!option) {
+      throw new AppError(`"${group.name}" has no option "${selection.option}"`, HTTP_STATUS.BAD_REQUEST);
+    }
+    if (!option.isAvailable) {
+      throw new AppError(`"${option.name}" is currently unavailable for ${menuItem.name}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const picked = chosen.get(group._id.toString());
+    if (picked.some((o) => o._id.equals(option._id))) {
+      throw new AppError(`"${option.name}" is selected more than once`, HTTP_STATUS.BAD_REQUEST);
+    }
+    picked.push(option);
+  }
+
+  const modifiers = [];
+  for (const group of groups) {
+    const picked = chosen.get(group._id.toString());
+    const min = Math.max(group.minSelect || 0, group.required ? 1 : 0);
+
+    if (picked.length < min) {
+      throw new AppError(
+        `${menuItem.name}: choose at least ${min} from "${group.name}"`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+    if (group.maxSelect != null && picked.length > group.maxSelect) {
+      throw new AppError(
+        `${menuItem.name}: choose at most ${group.maxSelect} from "${group.name}"`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    // Keep menu order so KOTs and invoices read consistently
+    group.options
+      .filter((option) => picked.some((o) => o._id.equals(option._id)))
+      .forEach((option) => {
+        modifiers.push({
+          groupId: group._id,
+          group: group.name,
+          optionId: option._id,
+          option: option.name,
+          price: option.price || 0,
+        });
+      });
+  }
+
+  const modifiersTotal = modifiers.reduce((sum, m) => sum + m.price, 0);
+  return { modifiers, modifiersTotal };
+};
+
+/**
+ * Short text for tickets and invoices, e.g. "Extra cheese, No onion".
+ */
+export const formatModifiers = (modifiers = []) => modifiers.map((m) => m.option).join(', ');
@@ -0,0 +1,374 @@
+// backend/src/services/offlineSync.service.js
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Order from '../modules/pos/models/Order.model.js';
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import MenuCategory from '../modules/pos/models/MenuCategory.model.js';
+import MenuSubCategory from '../modules/pos/models/MenuSubCategory.model.js';
+import Table from '../modules/tables/models/Table.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS, GST_CLASS_RATES, OFFLINE_SYNC } from '../config/constants.js';
+import { calculateOrderPricing } from './orderPricing.service.js';
+import { applyLineTaxes, hotelTaxRate, hotelStateCode, resolvePlaceOfSupply } from './gst.service.js';
+import { resolveModifiers } from './menuModifier.service.js';
+import { resolveComboSelections } from './combo.service.js';
+import { buildTenders, buildTip } from './orderPayment.service.js';
+import { createKOTsForOrder } from './kot.service.js';
+import { setTablesStatus } from './table.service.js';
+import { findTableWaiter } from './waiter.service.js';
+import { assertDayOpen } from './dayClose.service.js';
+
+const MINUTE = 60 * 1000;
+
+// Hotel settings a terminal needs to bill on its own
+const PRICING_SETTINGS = [
+  'currency', 'timezone', 'taxRate', 'defaultSacCode', 'pricesIncludeTax',
+  'packagingEnabled', 'packagingApplicableOn', 'packagingChargeType', 'packagingCharge', 'packagingSlabs',
+  'serviceChargeEnabled', 'serviceChargeRate', 'serviceChargeApplicableOn', 'serviceChargeTaxable',
+];
+
+const MENU_ITEM_FIELDS =
+  'category subCategory name description price variants modifierGroups isCombo comboSlots type veg station taxClass hsnCode priceIncludesTax preparationTime isAvailable displayOrder';
+
+/**
+ * Everything a terminal needs to keep billing offline: menu, tables and tax /
+ * charge settings. `version` is a hash of the content, so it only changes when
+ * something a terminal prices with has changed (not on every order).
+ *
+ * @param {Object} hotel - Hotel document
+ * @returns {Promise<{ version: String, snapshot: Object }>}
+ */
+export const buildSyncSnapshot = async (hotel) => {
+  const hotelId = hotel._id;
+
+  const [categories, subCategories, menuItems, tables] = await Promise.all([
+    MenuCategory.find({ hotel: hotelId, isActive: true })
+      .select('name displayOrder station taxClass hsnCode')
+      .sort({ displayOrder: 1, _id: 1 })
+      .lean(),
+    MenuSubCategory.find({ hotel: hotelId, isActive: true })
+      .select('category name displayOrder')
+      .sort({ displayOrder: 1, _id: 1 })
+      .lean(),
+    MenuItem.find({ hotel: hotelId, isActive: true })
+      .select(MENU_ITEM_FIELDS)
+      .sort({ displayOrder: 1, _id: 1 })
+      .lean(),
+    // Layout only — live table status changes all the time and isn't versioned
+    Table.find({ hotel: hotelId }).select('tableNumber capacity section').sort({ tableNumber: 1 }).lean(),
+  ]);
+
+  const settings = Object.fromEntries(PRICING_SETTINGS.map((key) => [key, hotel.settings?.[key] ?? null]));
+
+  const snapshot = {
+    hotel: { _id: hotelId, name: hotel.name, code: hotel.code, gst: hotel.gst ?? null },
+    // Lines take their item / category tax class, unclassified ones the hotel rate
+    taxRate: hotelTaxRate(hotel),
+    taxClassRates: GST_CLASS_RATES,
+    stateCode: hotelStateCode(hotel),
+    settings,
+    orderTypes: OFFLINE_SYNC.ORDER_TYPES,
+    categories,
+    subCategories,
+    menuItems,
+    tables,
+  };
+
+  const version = crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex').slice(0, 16);
+  return { version, snapshot };
+};
+
+// ── Lines of an offline order, priced from the current menu ──
+// Missing items reject the order; price / availability drift is only reported,
+// the sale already happened at the counter.
+const priceOfflineLines = async (items, hotelId, conflicts) => {
+  const lines = [];
+
+  for (const [index, item] of items.entries()) {
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      throw new AppError(`Item ${index + 1}: valid quantity is required`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const menuItem = mongoose.isValidObjectId(item.menuItem)
+      ? await MenuItem.findOne({ _id: item.menuItem, hotel: hotelId })
+      : null;
+    if (!menuItem) {
+      throw new AppError(`Item ${index + 1}: menu item not found`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!menuItem.canOrder()) {
+      conflicts.push({
+        code: 'item_unavailable',
+        message: `${menuItem.name} is no longer available`,
+        menuItem: menuItem._id,
+      });
+    }
+
+    const { modifiers, modifiersTotal } = resolveModifiers(menuItem, item.modifiers);
+    const { components, comboTotal } = await resolveComboSelections(menuItem, item.comboSelections);
+    const price = menuItem.getPrice(item.variant) + modifiersTotal + comboTotal;
+
+    if (item.price != null && Number(item.price) !== price) {
+      conflicts.push({
+        code: 'price_changed',
+        message: `${menuItem.name} billed at ₹${price} (terminal had ₹${item.price})`,
+        menuItem: menuItem._id,
+        clientValue: Number(item.price),
+        serverValue: price,
+      });
+    }
+
+    lines.push({
+      menuItem: menuItem._id,
+      name: menuItem.name,
+      variant: item.variant || null,
+      modifiers,
+      comboItems: components,
+      quantity: item.quantity,
+      price,
+      subtotal: price * item.quantity,
+      specialInstructions: item.specialInstructions || '',
+      seatNumber: item.seatNumber || null,
+      status: ORDER_STATUS.PENDING,
+    });
+  }
+
+  return lines;
+};
+
+/**
+ * Create one order billed offline. Pricing is always recalculated on the server;
+ * anything that differs from the terminal's bill is recorded as a conflict.
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {Object} payload - Order as sent by the terminal
+ * @param {Object} context - { user, terminalId, snapshotVersion, io }
+ * @returns {Promise<Object>} Per-order result { clientOrderId, status, orderId, orderNumber, total, conflicts }
+ */
+const createOfflineOrder = async (hotel, payload, { user, terminalId, snapshotVersion, io }) => {
+  const {
+    clientOrderId,
+    orderType,
+    tableNumber,
+    customer,
+    items,
+    payment,
+    extraCharges,
+    specialInstructions,
+    waiveServiceCharge = false,
+    served = false,
+    kotPrinted = false,
+    clientTotal,
+    placedAt,
+  } = payload;
+  const conflicts = [];
+
+  if (!OFFLINE_SYNC.ORDER_TYPES.includes(orderType)) {
+    throw new AppError(
+      `Offline orders must be ${OFFLINE_SYNC.ORDER_TYPES.join(' or ')}`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('At least one item is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // ── When the order was taken (terminal clock, within the allowed skew) ──
+  let placed = placedAt ? new Date(placedAt) : new Date();
+  if (isNaN(placed)) throw new AppError('Invalid placedAt time', HTTP_STATUS.BAD_REQUEST);
+  if (placed.getTime() > Date.now() + OFFLINE_SYNC.CLOCK_SKEW_MINUTES * MINUTE) {
+    conflicts.push({
+      code: 'clock_skew',
+      message: 'Terminal clock is ahead of the server, sync time used instead',
+      clientValue: placed,
+    });
+    placed = new Date();
+  }
+
+  // Tenders are kept at placedAt, so neither that day nor today may be closed
+  await assertDayOpen(hotel._id, placed);
+  await assertDayOpen(hotel._id);
+
+  // ── Table ──
+  let table = null;
+  if (orderType === 'dine-in') {
+    if (!tableNumber) throw new AppError('Table number is required for dine-in', HTTP_STATUS.BAD_REQUEST);
+    table = await Table.findOne({ hotel: hotel._id, tableNumber });
+    if (!table) {
+      conflicts.push({ code: 'table_not_found', message: `Table ${tableNumber} does not exist`, clientValue: tableNumber });
+    }
+  }
+
+  // ── Lines & pricing ──
+  const lines = await priceOfflineLines(items, hotel._id, conflicts);
+  await applyLineTaxes(lines, hotel);
+  const { placeOfSupply, interState } = resolvePlaceOfSupply(hotel, { customerGstin: customer?.gstin });
+  const { extraCharges: validExtraCharges, pricing } = calculateOrderPricing({
+    hotel,
+    orderType,
+    items: lines,
+    extraCharges,
+    taxRate: hotelTaxRate(hotel),
+    interState,
+    waiveServiceCharge,
+  });
+
+  if (clientTotal != null && Number(clientTotal) !== pricing.total) {
+    conflicts.push({
+      code: 'total_mismatch',
+      message: `Bill total is ₹${pricing.total} (terminal had ₹${clientTotal})`,
+      clientValue: Number(clientTotal),
+      serverValue: pricing.total,
+    });
+  }
+
+  // ── Payments taken offline (kept at the time they were received) ──
+  // The money is already in the drawer, so it is recorded as collected even
+  // when the server total differs; the order is left PARTIAL or over-paid
+  let tenders = [];
+  let tip = null;
+  if (payment && (payment.mode || payment.payments?.length)) {
+    // A single-mode payment settled the terminal's own bill
+    const collected = payment.payments?.length
+      ? payment.payments
+      : [{ mode: payment.mode, amount: clientTotal != null ? Number(clientTotal) : pricing.total }];
+    const received = Math.round(collected.reduce((sum, p) => sum + Number(p.amount), 0) * 100) / 100;
+    if (!Number.isFinite(received) || received < 0) {
+      throw new AppError('Payment amounts must be numbers of 0 or more', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (received > 0) {
+      // Balance raised to what was received, so nothing is turned into change or refused
+      tenders = buildTenders({ payments: collected }, Math.max(pricing.total, received), { receivedBy: user._id });
+      tenders.forEach((tender) => { tender.receivedAt = placed; });
+      tip = buildTip(payment.tip, tenders, { receivedBy: user._id });
+      if (tip) tip.receivedAt = placed;
+    }
+
+    const settledOnTerminal = clientTotal != null && received >= Number(clientTotal);
+    if (received > pricing.total || (received < pricing.total && settledOnTerminal)) {
+      conflicts.push({
+        code: 'payment_mismatch',
+        message: `Terminal collected ₹${received} against a bill of ₹${pricing.total}`,
+        clientValue: received,
+        serverValue: pricing.total,
+      });
+    }
+  }
+
+  const order = new Order({
+    hotel: hotel._id,
+    orderType,
+    tableNumber: orderType === 'dine-in' ? tableNumber : undefined,
+    customer,
+    items: lines,
+    extraCharges: validExtraCharges,
+    pricing,
+    placeOfSupply,
+    status: ORDER_STATUS.PENDING,
+    payments: tenders,
+    specialInstructions,
+    serviceChargeWaived: waiveServiceCharge,
+    createdBy: user._id,
+    waiter: orderType === 'dine-in' ? await findTableWaiter(hotel._id, tableNumber, placed) : null,
+    timestamps: { placed },
+    clientOrderId,
+    offlineSync: { terminalId, snapshotVersion: snapshotVersion || null, syncedAt: new Date(), conflicts },
+  });
+
+  // Already handed over while offline — nothing left for the kitchen
+  if (served) {
+    order.items.forEach((item) => order.setItemStatus(item, ORDER_STATUS.SERVED));
+    order.rollUpItemStatus();
+  }
+  order.rollUpPayments();
+  if (tip) order.addTip(tip);
+
+  await order.save();
+
+  await Promise.all(
+    lines.map((line) => MenuItem.updateOne({ _id: line.menuItem }, { $inc: { totalOrders: line.quantity } }))
+  );
+
+  // Terminals print KOTs locally while offline; only send what the kitchen hasn't seen
+  if (!served && !kotPrinted) {
+    await createKOTsForOrder(order, { createdBy: user._id, io });
+  }
+  if (table && !served && order.payment.status !== 'PAID') {
+    await setTablesStatus(hotel._id, [tableNumber], 'occupied', io);
+  }
+  if (io) io.of('/pos').emit('order:created', order);
+
+  return {
+    clientOrderId,
+    status: 'created',
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    total: pricing.total,
+    paymentStatus: order.payment.status,
+    conflicts,
+  };
+};
+
+const duplicateResult = (clientOrderId, order) => ({
+  clientOrderId,
+  status: 'duplicate',
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  total: order.pricing.total,
+  paymentStatus: order.payment?.status,
+  conflicts: [],
+});
+
+/**
+ * Apply a batch of offline orders from one terminal, in the order given.
+ * Each order is handled on its own — one bad order doesn't block the rest.
+ * Orders already synced (same clientOrderId) come back as `duplicate`, so a
+ * terminal can safely re-push a batch after a dropped connection.
+ *
+ * Result statuses:
+ *  - created   — order saved (conflicts list any drift from the terminal's bill)
+ *  - duplicate — already synced earlier
+ *  - rejected  — invalid, fix on the terminal (won't succeed on retry)
+ *  - failed    — server error, retry later
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {Array} orders
+ * @param {Object} context - { user, terminalId, snapshotVersion, io }
+ * @returns {Promise<Array>} One result per order
+ */
+export const syncOfflineOrders = async (hotel, orders, context) => {
+  const results = [];
+
+  for (const payload of orders) {
+    const { clientOrderId } = payload;
+
+    const existing = await Order.findOne({ hotel: hotel._id, clientOrderId }).select('orderNumber pricing.total payment.status');
+    if (existing) {
+      results.push(duplicateResult(clientOrderId, existing));
+      continue;
+    }
+
+    try {
+      results.push(await createOfflineOrder(hotel, payload, context));
+    } catch (error) {
+      // Another push of the same batch got there first
+      if (error.code === 11000 && error.keyPattern?.clientOrderId) {
+        const synced = await Order.findOne({ hotel: hotel._id, clientOrderId }).select('orderNumber pricing.total payment.status');
+        results.push(duplicateResult(clientOrderId, synced));
+        continue;
+      }
+
+      const rejected = error instanceof AppError || error.name === 'ValidationError';
+      if (!rejected) console.error(`Offline order ${clientOrderId} sync failed:`, error.message);
+      results.push({
+        clientOrderId,
+        status: rejected ? 'rejected' : 'failed',
+        conflicts: [{ code: rejected ? 'invalid_order' : 'server_error', message: error.message }],
+      });
+    }
+  }
+
+  return results;
+};
@@ -0,0 +1,112 @@
+// backend/src/services/orderInventory.service.js
+
+import MenuItem from '../modules/pos/models/MenuItem.model.js';
+import StockTransaction from '../modules/inventory/models/StockTransaction.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+
+/**
+ * Recipes consumed by `quantity` of an order line.
+ * A combo uses its own recipe (packaging etc.) plus every component's recipe.
+ */
+const recipesForItem = (orderItem, quantity) => {
+  const recipes = [{ menuItemId: orderItem.menuItem?._id || orderItem.menuItem, quantity }];
+  (orderItem.comboItems || []).forEach((component) => {
+    recipes.push({ menuItemId: component.menuItem, quantity: component.quantity * quantity });
+  });
+  return recipes;
+};
+
+/**
+ * Deduct recipe stock for every active line of an order and log a
+ * `usage` StockTransaction per ingredient. Marks `order.inventoryDeductedAt`
+ * (caller saves the order).
+ */
+export const deductInventoryForOrder = async (order, user) => {
+  const activeItems = order.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED);
+
+  for (const orderItem of activeItems) {
+    for (const recipe of recipesForItem(orderItem, orderItem.quantity)) {
+      const menuItem = await MenuItem.findById(recipe.menuItemId).populate('ingredients.inventoryItem');
+      if (!menuItem || !menuItem.ingredients) continue;
+
+      for (const ingredient of menuItem.ingredients) {
+        const inventoryItem = ingredient.inventoryItem;
+        if (!inventoryItem) continue;
+
+        const requiredQty = ingredient.quantity * recipe.quantity;
+
+        if (inventoryItem.quantity.current < requiredQty) {
+          throw new AppError(`Insufficient stock for ${inventoryItem.name}`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        const previousStock = inventoryItem.quantity.current;
+        inventoryItem.quantity.current -= requiredQty;
+        await inventoryItem.save();
+
+        await StockTransaction.create({
+          hotel: order.hotel,
+          inventoryItem: inventoryItem._id,
+          transactionType: 'usage',
+          quantity: requiredQty,
+          unit: inventoryItem.unit,
+          previousStock,
+          newStock: inventoryItem.quantity.current,
+          reference: { type: 'order', id: order._id, number: order.orderNumber },
+          reason: `POS Order ${order.orderNumber}`,
+          performedBy: user._id,
+        });
+      }
+    }
+  }
+
+  order.inventoryDeductedAt = new Date();
+};
+
+/**
+ * Put back the stock deducted for `quantity` of a voided / refunded line.
+ * Does nothing if the order's stock hasn't been deducted yet.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} orderItem - Line (or voided part of a line)
+ * @param {Number} quantity
+ * @param {Object} user - Staff performing the reversal
+ * @param {String} reason - Stored on each StockTransaction
+ * @returns {Promise<Array>} Created `return` transactions
+ */
+export const restockOrderItem = async (order, orderItem, quantity, user, reason) => {
+  if (!order.inventoryDeductedAt) return [];
+
+  const transactions = [];
+  for (const recipe of recipesForItem(orderItem, quantity)) {
+    const menuItem = await MenuItem.findById(recipe.menuItemId).populate('ingredients.inventoryItem');
+    if (!menuItem || !menuItem.ingredients) continue;
+
+    for (const ingredient of menuItem.ingredients) {
+      const inventoryItem = ingredient.inventoryItem;
+      if (!inventoryItem) continue;
+
+      const returnQty = ingredient.quantity * recipe.quantity;
+      const previousStock = inventoryItem.quantity.current;
+      inventoryItem.quantity.current += returnQty;
+      await inventoryItem.save();
+
+      transactions.push(
+        await StockTransaction.create({
+          hotel: order.hotel,
+          inventoryItem: inventoryItem._id,
+          transactionType: 'return',
+          quantity: returnQty,
+          unit: inventoryItem.unit,
+          previousStock,
+          newStock: inventoryItem.quantity.current,
+          reference: { type: 'order', id: order._id, number: order.orderNumber },
+          reason,
+          performedBy: user._id,
+        })
+      );
+    }
+  }
+
+  return transactions;
+};
@@ -0,0 +1,85 @@
+// backend/src/services/orderPayment.service.js
+
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS } from '../config/constants.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Build tender entries for a payment request against an outstanding balance.
+ *
+ * Accepts either the legacy single-mode body `{ mode }` (pays the full balance)
+ * or `{ payments: [{ mode, amount, tendered, upiTransactionId, cardLast4, reference }] }`.
+ * Cash paid above the balance is returned as change; UPI/card cannot overpay.
+ *
+ * @param {Object} body - Request body
+ * @param {Number} balanceDue - Amount still payable
+ * @param {Object} [meta]
+ * @param {ObjectId} [meta.receivedBy] - Cashier recording the payment
+ * @param {ObjectId} [meta.split] - Split bill the tenders settle
+ * @returns {Array} Tender entries ready for Order.payments
+ */
+export const buildTenders = ({ mode, payments }, balanceDue, { receivedBy = null, split = null } = {}) => {
+  if (balanceDue <= 0) {
+    throw new AppError('Nothing left to pay on this bill', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const receivedAt = new Date();
+  const raw = Array.isArray(payments) && payments.length > 0 ? payments : [{ mode, amount: balanceDue }];
+
+  const tenders = raw.map((p) => {
+    const amount = round2(Number(p.amount));
+    const tendered = p.mode === 'CASH' && p.tendered != null ? round2(Number(p.tendered)) : null;
+
+    return {
+      mode: p.mode,
+      amount,
+      tendered,
+      change: tendered != null ? round2(tendered - amount) : 0,
+      upiTransactionId: p.mode === 'UPI' ? p.upiTransactionId?.trim() || null : null,
+      cardLast4: p.mode === 'CARD' ? p.cardLast4 || null : null,
+      reference: p.reference?.trim() || '',
+      split,
+      receivedBy,
+      receivedAt,
+    };
+  });
+
+  // ── Overpayment: only cash can be given back as change ──
+  let excess = round2(tenders.reduce((sum, t) => sum + t.amount, 0) - balanceDue);
+  if (excess > 0) {
+    const cashTotal = tenders.filter((t) => t.mode === 'CASH').reduce((sum, t) => sum + t.amount, 0);
+    if (cashTotal < excess) {
+      throw new AppError(`Payment exceeds balance due of ₹${balanceDue.toFixed(2)}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    for (const tender of [...tenders].reverse()) {
+      if (tender.mode !== 'CASH' || excess <= 0) continue;
+      const change = Math.min(excess, tender.amount);
+      tender.tendered = tender.tendered ?? tender.amount;
+      tender.amount = round2(tender.amount - change);
+      tender.change = round2(tender.tendered - tender.amount);
+      excess = round2(excess - change);
+    }
+  }
+
+  return tenders.filter((t) => t.amount > 0);
+};
+
+/**
+ * Build a tip entry for Order.tips from `{ amount, mode? }`.
+ * The tip goes on the first tender's mode unless one is given.
+ *
+ * @param {Object} [tip] - Request body tip
+ * @param {Array} tenders - Tenders recorded in the same payment
+ * @param {Object} [meta] - { receivedBy, split }
+ * @returns {Object|null}
+ */
+export const buildTip = (tip, tenders, { receivedBy = null, split = null } = {}) => {
+  if (!tip || !(Number(tip.amount) > 0)) return null;
+
+  const mode = tip.mode || tenders[0]?.mode;
+  if (!mode) throw new AppError('Tip mode is required', HTTP_STATUS.BAD_REQUEST);
+
+  return { amount: round2(Number(tip.amount)), mode, split, receivedBy, receivedAt: new Date() };
+};
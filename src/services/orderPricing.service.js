@@ -0,0 +1,158 @@
+// backend/src/services/orderPricing.service.js
+
+import { ORDER_STATUS } from '../config/constants.js';
+import Discount from '../modules/pos/models/Discount.model.js';
+import { calculateDiscount } from './discount.service.js';
+import { hotelTaxRate, hotelStateCode, calculateTaxBreakdown } from './gst.service.js';
+
+// Label used for the auto-calculated packaging line in Order.extraCharges
+export const PACKAGING_LABEL = 'Packaging';
+
+// Manual extra charges with this label are dropped once the hotel charges it automatically
+const SERVICE_CHARGE_LABEL = /^service\s*charge$/i;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Default tax rate for an order (lines without a tax class, taxable charges).
+ * Same for staff and public orders: the hotel setting.
+ */
+export const getOrderTaxRate = (order, hotel) => hotelTaxRate(hotel);
+
+/**
+ * Calculate extra charges + pricing block for an order.
+ * Packaging, delivery and service charge are always re-derived from hotel
+ * settings, manual extra charges are kept as-is. Tax is charged per line at its
+ * GST rate after discount (see calculateTaxBreakdown), added on top unless the
+ * line's price already includes it; service charge is taxed only when the hotel
+ * marks it taxable.
+ *
+ * @param {Object} params
+ * @param {Object} params.hotel - Hotel document (needs calc* helpers)
+ * @param {String} params.orderType
+ * @param {Array}  params.items - Order lines with `subtotal` and `tax` (cancelled lines are skipped)
+ * @param {Array}  [params.extraCharges] - Manual extra charges
+ * @param {Number} params.taxRate - GST percentage for lines without a rate and for charges
+ * @param {Boolean} [params.interState] - IGST instead of CGST + SGST
+ * @param {Number} [params.discount] - Discount amount (capped at subtotal)
+ * @param {Boolean} [params.waiveServiceCharge] - Guest asked for it to be removed
+ * @param {Object} [params.deliveryZone] - Hotel delivery zone (or Order.delivery.zone snapshot)
+ * @returns {{ extraCharges: Array, packagingCharge: Number, pricing: Object }}
+ */
+export const calculateOrderPricing = ({
+  hotel,
+  orderType,
+  items,
+  extraCharges = [],
+  taxRate,
+  interState = false,
+  discount = 0,
+  waiveServiceCharge = false,
+  deliveryZone = null,
+}) => {
+  // Voided lines stay on the order for the audit trail but aren't charged
+  const subtotal = items
+    .filter((item) => item.status !== ORDER_STATUS.CANCELLED)
+    .reduce((sum, item) => sum + item.subtotal, 0);
+  const discountAmount = Math.min(Math.max(0, discount), subtotal);
+
+  // ── Auto: Service charge from hotel settings (on the discounted subtotal) ──
+  const autoServiceCharge = hotel.calcServiceCharge(orderType, subtotal - discountAmount);
+  const serviceCharge = waiveServiceCharge ? 0 : autoServiceCharge;
+  const serviceChargeTaxable = hotel.settings?.serviceChargeTaxable !== false;
+
+  // ── Manual charges (drop any stale packaging line, it's recalculated below) ──
+  const charges = (Array.isArray(extraCharges) ? extraCharges : [])
+    .filter((c) => c.label && c.label !== PACKAGING_LABEL && Number(c.amount) > 0)
+    .filter((c) => !(autoServiceCharge > 0 && SERVICE_CHARGE_LABEL.test(c.label.trim())))
+    .map((c) => ({ label: c.label, amount: Number(c.amount) }));
+
+  // ── Auto: Packaging charge from hotel settings ──
+  const packagingCharge = hotel.calcPackagingCharge(orderType, subtotal);
+  if (packagingCharge > 0) {
+    charges.push({ label: PACKAGING_LABEL, amount: packagingCharge });
+  }
+
+  const extraChargesTotal = charges.reduce((sum, c) => sum + c.amount, 0);
+
+  // ── Auto: Delivery charge from hotel settings ──
+  const deliveryCharge = orderType === 'delivery' ? hotel.calcDeliveryCharge(subtotal, deliveryZone) : 0;
+
+  const gst = calculateTaxBreakdown({
+    lines: items,
+    discount: discountAmount,
+    charges: extraChargesTotal + (serviceChargeTaxable ? serviceCharge : 0),
+    defaultRate: taxRate,
+    defaultHsn: hotel.settings?.defaultSacCode || '',
+    interState,
+  });
+  // Tax-inclusive lines: taxable + tax is the menu price, so nothing is added on top
+  const payable = round2(gst.taxable + gst.tax + deliveryCharge + (serviceChargeTaxable ? 0 : serviceCharge));
+  const total = Math.ceil(payable);
+
+  return {
+    extraCharges: charges,
+    packagingCharge,
+    pricing: {
+      subtotal,
+      discount: discountAmount,
+      taxable: gst.taxable,
+      tax: gst.tax,
+      includedTax: gst.includedTax,
+      cgst: gst.cgst,
+      sgst: gst.sgst,
+      igst: gst.igst,
+      taxBreakdown: gst.taxBreakdown,
+      roundOff: round2(total - payable),
+      deliveryCharge,
+      extraChargesTotal,
+      serviceCharge,
+      total,
+    },
+  };
+};
+
+/**
+ * Re-price an existing order in place (after items change).
+ * The applied discount is re-evaluated against the current lines without
+ * re-checking redemption limits, since the order already used it.
+ *
+ * @param {Object} order - Order document (modified, not saved)
+ * @param {Object} hotel - Hotel document
+ * @returns {Promise<Object>} order.pricing
+ */
+export const repriceOrder = async (order, hotel) => {
+  let discount = 0;
+
+  if (order.appliedDiscount?.discount) {
+    const rule = await Discount.findById(order.appliedDiscount.discount);
+    if (rule) {
+      const { amount } = await calculateDiscount(rule, {
+        items: order.items,
+        orderType: order.orderType,
+        checkLimits: false,
+      });
+      discount = amount;
+    } else {
+      discount = order.appliedDiscount.amount || 0;
+    }
+    order.appliedDiscount.amount = discount;
+  }
+
+  const hotelState = hotelStateCode(hotel);
+  const { extraCharges, pricing } = calculateOrderPricing({
+    hotel,
+    orderType: order.orderType,
+    items: order.items,
+    extraCharges: order.extraCharges,
+    taxRate: getOrderTaxRate(order, hotel),
+    interState: Boolean(hotelState && order.placeOfSupply && order.placeOfSupply !== hotelState),
+    discount,
+    waiveServiceCharge: order.serviceChargeWaived,
+    deliveryZone: order.delivery?.zone?.name ? order.delivery.zone : null,
+  });
+
+  order.extraCharges = extraCharges;
+  order.pricing = pricing;
+  return order.pricing;
+};
@@ -0,0 +1,87 @@
+// backend/src/services/refund.service.js
+
+import mongoose from 'mongoose';
+import CreditNote from '../modules/billing/models/CreditNote.model.js';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * GST contained in a refund, in the same proportion as the original bill.
+ * @param {Number} amount - Refund amount (tax inclusive)
+ * @param {Number} total - Bill total
+ * @param {Number} tax - Tax on the bill
+ */
+export const refundTaxPortion = (amount, total, tax) =>
+  total > 0 ? round2((amount * (tax || 0)) / total) : 0;
+
+/**
+ * Split a refund's GST the way the original bill was charged: IGST for
+ * inter-state supplies, otherwise equal CGST and SGST.
+ * @param {Number} tax - GST contained in the refund
+ * @param {Boolean} interState - The bill carried IGST
+ * @returns {{ cgst: Number, sgst: Number, igst: Number }}
+ */
+export const splitRefundTax = (tax, interState) => {
+  if (interState) return { cgst: 0, sgst: 0, igst: tax };
+  const cgst = round2(tax / 2);
+  return { cgst, sgst: round2(tax - cgst), igst: 0 };
+};
+
+/**
+ * GST split of a credit note as issued. Notes from before the split was
+ * stored reversed same-state tax, so theirs is halved into CGST and SGST.
+ * @param {Object} creditNote
+ * @returns {{ cgst: Number, sgst: Number, igst: Number }}
+ */
+export const creditNoteTaxSplit = ({ amounts }) => {
+  if (amounts.cgst != null || amounts.igst != null) {
+    return { cgst: amounts.cgst || 0, sgst: amounts.sgst || 0, igst: amounts.igst || 0 };
+  }
+  return splitRefundTax(amounts.tax || 0, false);
+};
+
+/**
+ * Credit notes issued in a period — used to net refunds out of revenue,
+ * sales and GST reports.
+ *
+ * @param {Object} params
+ * @param {ObjectId|String} params.hotel
+ * @param {Date} params.start
+ * @param {Date} params.end
+ * @param {String} [params.sourceType] - 'order' | 'booking' (default: both)
+ * @param {Object} [params.dateFormat] - $dateToString expression to bucket by
+ * @returns {Promise<{ totals: Object, byPeriod: Object }>}
+ *   totals: { count, taxable, tax, total }, byPeriod: { [bucket]: same shape }
+ */
+export const summarizeCreditNotes = async ({ hotel, start, end, sourceType, dateFormat = null }) => {
+  const match = {
+    hotel: new mongoose.Types.ObjectId(hotel),
+    createdAt: { $gte: start, $lte: end },
+  };
+  if (sourceType) match.sourceType = sourceType;
+
+  const rows = await CreditNote.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: dateFormat || null,
+        count: { $sum: 1 },
+        taxable: { $sum: '$amounts.taxable' },
+        tax: { $sum: '$amounts.tax' },
+        total: { $sum: '$amounts.total' },
+      },
+    },
+  ]);
+
+  const totals = { count: 0, taxable: 0, tax: 0, total: 0 };
+  const byPeriod = {};
+  rows.forEach(({ _id, ...row }) => {
+    if (_id !== null) byPeriod[_id] = row;
+    totals.count += row.count;
+    totals.taxable = round2(totals.taxable + row.taxable);
+    totals.tax = round2(totals.tax + row.tax);
+    totals.total = round2(totals.total + row.total);
+  });
+
+  return { totals, byPeriod };
+};
@@ -0,0 +1,187 @@
+// backend/src/services/reservation.service.js
+
+import Table from '../modules/tables/models/Table.model.js';
+import Reservation from '../modules/tables/models/Reservation.model.js';
+import Hotel from '../modules/hotels/models/Hotel.model.js';
+import { RESERVATION_STATUS } from '../config/constants.js';
+import { setTablesStatus } from './table.service.js';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const slotMinutes = (hotel) => hotel.settings?.reservationSlotMinutes || 90;
+const graceMinutes = (hotel) => hotel.settings?.reservationGraceMinutes ?? 15;
+
+/**
+ * Time a reservation starting at `start` holds its table.
+ * @returns {{ start: Date, end: Date }}
+ */
+export const reservationWindow = (hotel, start) => {
+  const from = new Date(start);
+  return { start: from, end: new Date(from.getTime() + slotMinutes(hotel) * MINUTE) };
+};
+
+/**
+ * Query for reservations that hold a table at some point in [start, end).
+ * Unseated guests stop holding the table once the grace period has passed,
+ * even before staff mark them as no-show.
+ */
+const blockingQuery = (hotel, start, end, excludeId = null) => {
+  const query = {
+    hotel: hotel._id,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED, RESERVATION_STATUS.SEATED] },
+    reservedFor: { $lt: end },
+    endsAt: { $gt: start },
+    $or: [
+      { status: RESERVATION_STATUS.SEATED },
+      { reservedFor: { $gte: new Date(Date.now() - graceMinutes(hotel) * MINUTE) } },
+    ],
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  return query;
+};
+
+/**
+ * Tables that can seat `partySize` guests for a full slot starting at `start`.
+ * For a slot that overlaps the current sitting, tables that are occupied or
+ * held right now are left out as well.
+ *
+ * @param {Object} hotel - Hotel document (settings drive slot length and grace)
+ * @param {Object} params
+ * @param {Date} [params.start] - Default: now
+ * @param {Number} [params.partySize]
+ * @param {ObjectId} [params.excludeReservation] - Ignore this reservation (rescheduling)
+ * @returns {Promise<Array>} Tables, smallest fitting first
+ */
+export const findFreeTables = async (hotel, { start = new Date(), partySize = 1, excludeReservation = null } = {}) => {
+  const window = reservationWindow(hotel, start);
+
+  const held = await Reservation.find(blockingQuery(hotel, window.start, window.end, excludeReservation)).distinct('table');
+  const heldIds = held.map(String);
+
+  const query = { hotel: hotel._id, capacity: { $gte: partySize } };
+
+  const overlapsNow = window.start.getTime() < Date.now() + slotMinutes(hotel) * MINUTE;
+  if (overlapsNow) {
+    let ownTable = null;
+    if (excludeReservation) {
+      ownTable = (await Reservation.findById(excludeReservation).select('table'))?.table || null;
+    }
+    query.$or = [{ status: 'available' }, ...(ownTable ? [{ _id: ownTable }] : [])];
+  }
+
+  const tables = await Table.find(query).sort({ capacity: 1, tableNumber: 1 });
+  return tables.filter((table) => !heldIds.includes(table._id.toString()));
+};
+
+/**
+ * Whether `table` is free for a slot at `start` (ignoring `excludeReservation`).
+ */
+export const isTableFree = async (hotel, table, { start, excludeReservation = null } = {}) => {
+  const window = reservationWindow(hotel, start);
+  const clash = await Reservation.exists({
+    ...blockingQuery(hotel, window.start, window.end, excludeReservation),
+    table: table._id,
+  });
+  return !clash;
+};
+
+/**
+ * Keep `Table.status` in step with its reservations: a free table whose guest
+ * is due within one slot is shown as reserved, and a reserved table with no
+ * guest due is released. Seated or occupied tables are left alone.
+ *
+ * @param {Object} hotel
+ * @param {Object} table - Table document
+ * @param {Object} [io] - socket.io server, for `table:updated`
+ */
+export const refreshTableHold = async (hotel, table, io = null) => {
+  if (!table || table.status === 'occupied') return table;
+
+  const now = new Date();
+  const due = await Reservation.exists({
+    ...blockingQuery(hotel, now, new Date(now.getTime() + slotMinutes(hotel) * MINUTE)),
+    table: table._id,
+    status: { $in: [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED] },
+  });
+
+  const status = due ? 'reserved' : 'available';
+  if (table.status === status) return table;
+
+  const [updated] = await setTablesStatus(table.hotel, [table.tableNumber], status, io);
+  return updated || table;
+};
+
+/**
+ * Refresh the hold on every table whose reservation comes within a slot, or
+ * runs out of its grace period, before the next sweep. Tables held for other
+ * reasons (a guest's QR order) are left alone.
+ *
+ * @param {Object} [io] - socket.io server, for `table:updated`
+ * @param {Number} [intervalMs] - Time until the next sweep
+ * @returns {Promise<Number>} Tables whose status changed
+ */
+export const refreshDueTableHolds = async (io = null, intervalMs = MINUTE) => {
+  const active = [RESERVATION_STATUS.PENDING, RESERVATION_STATUS.CONFIRMED];
+  // Widest window any hotel could need; narrowed per hotel below
+  const hotelIds = await Reservation.distinct('hotel', {
+    status: { $in: active },
+    reservedFor: { $gte: new Date(Date.now() - DAY), $lt: new Date(Date.now() + DAY) },
+  });
+
+  let changed = 0;
+  for (const hotelId of hotelIds) {
+    try {
+      const hotel = await Hotel.findById(hotelId).select('settings');
+      if (!hotel) continue;
+
+      const now = Date.now();
+      const tableIds = await Reservation.distinct('table', {
+        hotel: hotel._id,
+        status: { $in: active },
+        reservedFor: {
+          $gte: new Date(now - graceMinutes(hotel) * MINUTE - intervalMs),
+          $lt: new Date(now + slotMinutes(hotel) * MINUTE + intervalMs),
+        },
+      });
+
+      for (const table of await Table.find({ _id: { $in: tableIds } })) {
+        const updated = await refreshTableHold(hotel, table, io);
+        if (updated.status !== table.status) changed += 1;
+      }
+    } catch (err) {
+      console.error(`Table holds for hotel ${hotelId} failed:`, err.message);
+    }
+  }
+  return changed;
+};
+
+/**
+ * Sweep table holds every `intervalMs` (default 1 minute), so tables turn
+ * reserved as a booking's slot nears and free up after a no-show.
+ * @returns {Object} Interval handle (pass to clearInterval on shutdown)
+ */
+export const startTableHoldSweeper = (io, intervalMs = MINUTE) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await refreshDueTableHolds(io, intervalMs);
+    } catch (err) {
+      console.error('Table hold sweeper error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+/**
+ * Deposit asked for a party (hotel setting per guest).
+ */
+export const depositFor = (hotel, partySize) =>
+  Math.round((hotel.settings?.reservationDepositPerGuest || 0) * partySize * 100) / 100;
@@ -0,0 +1,170 @@
+// backend/src/services/scheduledOrder.service.js
+
+import Order from '../modules/pos/models/Order.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { createKOTsForOrder } from './kot.service.js';
+import { broadcastOrderEtas } from './eta.service.js';
+
+const MINUTE = 60 * 1000;
+
+// Order types that can be booked ahead (dine-in uses table reservations)
+export const SCHEDULABLE_ORDER_TYPES = ['takeaway', 'delivery'];
+
+// Orders the kitchen should see: not scheduled, or scheduled and already released
+export const RELEASED_QUERY = { $or: [{ scheduledFor: null }, { kotReleasedAt: { $ne: null } }] };
+
+/**
+ * Slot time in the hotel's timezone, e.g. "31 Jan 2026, 1:00 pm".
+ */
+export const scheduleLabel = (hotel, date) =>
+  new Date(date).toLocaleString('en-IN', {
+    timeZone: hotel.settings?.timezone || 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short',
+  });
+
+/**
+ * Check a requested slot against the hotel's scheduling rules and opening hours.
+ *
+ * @param {Object} hotel - Hotel document
+ * @param {String|Date} scheduledFor
+ * @param {String} orderType
+ * @returns {{ scheduledFor: Date, kotReleaseAt: Date }}
+ */
+export const validateScheduledFor = (hotel, scheduledFor, orderType) => {
+  const s = hotel.settings;
+
+  if (!s.scheduledOrdersEnabled) {
+    throw new AppError('This restaurant does not take scheduled orders', HTTP_STATUS.BAD_REQUEST);
+  }
+  if (!SCHEDULABLE_ORDER_TYPES.includes(orderType)) {
+    throw new AppError(
+      `Only ${SCHEDULABLE_ORDER_TYPES.join(' and ')} orders can be scheduled`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const slot = new Date(scheduledFor);
+  if (isNaN(slot)) throw new AppError('Invalid scheduled time', HTTP_STATUS.BAD_REQUEST);
+
+  const now = Date.now();
+  const earliest = now + s.scheduledOrderMinLeadMinutes * MINUTE;
+  if (slot.getTime() < earliest) {
+    throw new AppError(
+      `Scheduled orders need at least ${s.scheduledOrderMinLeadMinutes} minutes notice`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (slot.getTime() > now + s.scheduledOrderMaxDaysAhead * 24 * 60 * MINUTE) {
+    throw new AppError(
+      `Orders can be scheduled at most ${s.scheduledOrderMaxDaysAhead} days ahead`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+  if (!hotel.isOpenAt(slot)) {
+    throw new AppError(
+      `We are closed at ${scheduleLabel(hotel, slot)}. Please pick a time within opening hours.`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return {
+    scheduledFor: slot,
+    kotReleaseAt: new Date(Math.max(now, slot.getTime() - s.kotReleaseMinutes * MINUTE)),
+  };
+};
+
+/**
+ * Scheduled and its KOTs not sent yet.
+ */
+export const isAwaitingRelease = (order) => Boolean(order.scheduledFor) && !order.kotReleasedAt;
+
+/**
+ * Send a held scheduled order to the kitchen.
+ * The order is claimed atomically, so the background releaser and a cashier
+ * releasing early can't both print KOTs.
+ *
+ * @param {Object} order - Order document
+ * @param {Object} [options] - { io, releasedBy }
+ * @returns {Promise<Array|null>} Created KOTs, or null if already released
+ */
+export const releaseScheduledOrder = async (order, { io = null, releasedBy = null } = {}) => {
+  const claimedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, kotReleasedAt: null, status: { $ne: ORDER_STATUS.CANCELLED } },
+    { kotReleasedAt: claimedAt },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let kots;
+  try {
+    kots = await createKOTsForOrder(claimed, {
+      items: claimed.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED),
+      createdBy: releasedBy || claimed.createdBy || null,
+      io,
+    });
+  } catch (err) {
+    // Give the claim back so the next tick (or the cashier) can retry
+    await Order.updateOne({ _id: claimed._id, kotReleasedAt: claimedAt }, { kotReleasedAt: null });
+    throw err;
+  }
+
+  if (io) {
+    io.of('/pos').emit('order:released', {
+      orderId: claimed._id,
+      orderNumber: claimed.orderNumber,
+      orderType: claimed.orderType,
+      scheduledFor: claimed.scheduledFor,
+      kots: kots.length,
+    });
+    broadcastOrderEtas(io, claimed.hotel);
+  }
+  return kots;
+};
+
+/**
+ * Release every scheduled order whose KOT time has come.
+ * @returns {Promise<Number>} Orders released
+ */
+export const releaseDueScheduledOrders = async (io) => {
+  const due = await Order.find({
+    kotReleaseAt: { $lte: new Date() },
+    kotReleasedAt: null,
+    status: ORDER_STATUS.PENDING,
+  }).sort({ kotReleaseAt: 1 });
+
+  let released = 0;
+  for (const order of due) {
+    try {
+      if (await releaseScheduledOrder(order, { io })) released += 1;
+    } catch (err) {
+      console.error(`Scheduled order ${order.orderNumber} release failed:`, err.message);
+    }
+  }
+  return released;
+};
+
+/**
+ * Poll for due scheduled orders every `intervalMs` (default 1 minute).
+ * @returns {Object} Interval handle (pass to clearInterval on shutdown)
+ */
+export const startScheduledOrderReleaser = (io, intervalMs = MINUTE) => {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await releaseDueScheduledOrders(io);
+    } catch (err) {
+      console.error('Scheduled order releaser error:', err.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,34 @@
+// backend/src/services/table.service.js
+
+import Table from '../modules/tables/models/Table.model.js';
+
+/**
+ * Set the status of one or more tables and emit `table:updated` on /pos
+ * for each, so every POS screen refreshes its table grid.
+ *
+ * @param {ObjectId} hotelId
+ * @param {Array<String>} tableNumbers
+ * @param {String} status - 'available' | 'occupied' | 'reserved'
+ * @param {Object} [io] - socket.io server
+ * @returns {Promise<Array>} Updated tables
+ */
+export const setTablesStatus = async (hotelId, tableNumbers, status, io = null) => {
+  const updated = [];
+  for (const tableNumber of [...new Set(tableNumbers.filter(Boolean))]) {
+    const table = await Table.findOneAndUpdate(
+      { hotel: hotelId, tableNumber },
+      { status },
+      { new: true }
+    );
+    if (table) updated.push(table);
+  }
+
+  if (io) updated.forEach((table) => io.of('/pos').emit('table:updated', table));
+  return updated;
+};
+
+/**
+ * Tables seated on an order's bill (its own table plus any merged in).
+ */
+export const orderTableNumbers = (order) =>
+  order.orderType === 'dine-in' ? [order.tableNumber, ...(order.mergedTables || [])].filter(Boolean) : [];
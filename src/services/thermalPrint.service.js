@@ -0,0 +1,413 @@
+// backend/src/services/thermalPrint.service.js
+
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, ORDER_STATUS } from '../config/constants.js';
+import { billTaxRows, orderTaxRate } from './gst.service.js';
+
+// ── ESC/POS commands ──
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const CMD = {
+  INIT: [ESC, 0x40],
+  ALIGN: { left: [ESC, 0x61, 0], center: [ESC, 0x61, 1], right: [ESC, 0x61, 2] },
+  BOLD: (on) => [ESC, 0x45, on ? 1 : 0],
+  // GS ! n — 0x11 = double width + double height
+  SIZE: (double) => [GS, 0x21, double ? 0x11 : 0x00],
+  FEED: (lines) => [ESC, 0x64, lines],
+  // Feed to the cutter, then partial cut
+  CUT: [GS, 0x56, 0x42, 0x00],
+  // GS ( L fn 69 — print NV graphics stored under key (kc1, kc2) at 1x scale
+  NV_LOGO: (key) => [GS, 0x28, 0x4c, 0x06, 0x00, 0x30, 0x45, key.charCodeAt(0), key.charCodeAt(1), 0x01, 0x01],
+};
+
+// Font A characters per line
+export const PAPER_COLUMNS = { 58: 32, 80: 48 };
+
+export const PRINT_FORMATS = ['escpos', 'text'];
+
+// Printers use single-byte code pages — keep to plain ASCII
+const printable = (value) =>
+  String(value ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[•·]/g, '*')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '?');
+
+const money = (n) => (Number(n) || 0).toFixed(2);
+const qty = (n) => (Number.isInteger(n) ? String(n) : Number(n).toFixed(2));
+
+// Word-wrap to `width` columns (long words are broken, leading indent is kept)
+const wrap = (text, width) => {
+  const lines = [];
+  String(text).split('\n').forEach((paragraph) => {
+    const indent = paragraph.match(/^ */)[0].slice(0, Math.max(0, width - 1));
+    const room = width - indent.length;
+    const wrapped = [];
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      while (word.length > room) {
+        if (line) { wrapped.push(line); line = ''; }
+        wrapped.push(word.slice(0, room));
+        word = word.slice(room);
+      }
+      if (!line) line = word;
+      else if (line.length + 1 + word.length <= room) line += ` ${word}`;
+      else { wrapped.push(line); line = word; }
+    });
+    wrapped.push(line);
+    wrapped.forEach((l) => lines.push(l ? indent + l : l));
+  });
+  return lines;
+};
+
+const pad = (text, width, align) => {
+  const t = text.slice(0, width);
+  if (align === 'right') return t.padStart(width);
+  if (align === 'center') return t.padStart(Math.floor((width + t.length) / 2)).padEnd(width);
+  return t.padEnd(width);
+};
+
+/**
+ * Receipt builder for thermal printers. Lines are laid out once in monospace
+ * columns, then rendered either as ESC/POS bytes or as a plain-text preview.
+ *
+ * @param {Object} options - { width: 58 | 80, autoCut }
+ */
+export const createReceipt = ({ width = 80, autoCut = true } = {}) => {
+  const columns = PAPER_COLUMNS[width] || PAPER_COLUMNS[80];
+  const ops = [];
+
+  const receipt = {
+    columns,
+
+    // Wrapped text; `double` prints at twice the size (half the columns)
+    text(value, { align = 'left', bold = false, double = false } = {}) {
+      const cols = double ? Math.floor(columns / 2) : columns;
+      wrap(printable(value), cols).forEach((line) => ops.push({ line, align, bold, double }));
+      return receipt;
+    },
+
+    // Label on the left, value on the right; when both don't fit the value
+    // goes right-aligned on the line below
+    row(left, right = '', { bold = false } = {}) {
+      const l = printable(left);
+      const r = printable(right);
+      const push = (line) => ops.push({ line, align: 'left', bold, double: false });
+
+      if (l.length + r.length + 1 <= columns) {
+        push(l.padEnd(columns - r.length) + r);
+      } else {
+        wrap(l, columns).forEach(push);
+        if (r) push(r.slice(0, columns).padStart(columns));
+      }
+      return receipt;
+    },
+
+    // Fixed-width columns: [{ text, width, align }]; the first column wraps
+    columnsRow(cells, { bold = false } = {}) {
+      const [first, ...rest] = cells;
+      const firstLines = wrap(printable(first.text), first.width);
+      firstLines.forEach((line, i) => {
+        const tail = i === 0 ? rest.map((c) => pad(printable(c.text), c.width, c.align)).join('') : '';
+        ops.push({ line: pad(line, first.width, first.align) + tail, align: 'left', bold, double: false });
+      });
+      return receipt;
+    },
+
+    rule(char = '-') {
+      ops.push({ line: char.repeat(columns), align: 'left', bold: false, double: false });
+      return receipt;
+    },
+
+    feed(lines = 1) {
+      ops.push({ feed: lines });
+      return receipt;
+    },
+
+    // Logo uploaded to the printer's NV memory under a 2-character key
+    logo(key) {
+      ops.push({ logo: key });
+      return receipt;
+    },
+
+    toText() {
+      const out = [];
+      ops.forEach((op) => {
+        if (op.logo) out.push(pad('[LOGO]', columns, 'center'));
+        else if (op.feed) for (let i = 0; i < op.feed; i += 1) out.push('');
+        else out.push(pad(op.double ? op.line.toUpperCase() : op.line, columns, op.align).trimEnd());
+      });
+      return `${out.join('\n')}\n`;
+    },
+
+    toBuffer() {
+      const bytes = [...CMD.INIT];
+      ops.forEach((op) => {
+        if (op.logo) {
+          bytes.push(...CMD.ALIGN.center, ...CMD.NV_LOGO(op.logo), LF);
+        } else if (op.feed) {
+          bytes.push(...CMD.FEED(op.feed));
+        } else {
+          bytes.push(...CMD.ALIGN[op.align], ...CMD.BOLD(op.bold), ...CMD.SIZE(op.double));
+          bytes.push(...Buffer.from(op.line.trimEnd(), 'latin1'), LF);
+        }
+      });
+      bytes.push(...CMD.BOLD(false), ...CMD.SIZE(false), ...CMD.ALIGN.left, ...CMD.FEED(3));
+      if (autoCut) bytes.push(...CMD.CUT);
+      return Buffer.from(bytes);
+    },
+  };
+
+  return receipt;
+};
+
+/**
+ * Paper width + output format for a print request (`?width=58&format=text`),
+ * defaulting to the hotel's printer settings.
+ */
+export const resolvePrintOptions = (hotel, query = {}) => {
+  const width = query.width ? Number(query.width) : hotel?.settings?.printerPaperWidth || 80;
+  if (!PAPER_COLUMNS[width]) {
+    throw new AppError('Paper width must be 58 or 80', HTTP_STATUS.BAD_REQUEST);
+  }
+  const format = query.format || 'escpos';
+  if (!PRINT_FORMATS.includes(format)) {
+    throw new AppError(`Format must be one of: ${PRINT_FORMATS.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+  return { width, format, autoCut: hotel?.settings?.printerAutoCut !== false };
+};
+
+/**
+ * Send a receipt as a raw ESC/POS download (`.bin`) or a plain-text preview.
+ */
+export const sendReceipt = (res, receipt, { format, filename }) => {
+  if (format === 'text') {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename=${filename}.txt`);
+    return res.send(receipt.toText());
+  }
+
+  res.setHeader('Content-Type', 'application/octet-stream');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}.bin`);
+  return res.send(receipt.toBuffer());
+};
+
+const formatTime = (hotel, date) =>
+  new Date(date).toLocaleString('en-IN', {
+    timeZone: hotel?.settings?.timezone || 'Asia/Kolkata',
+    dateStyle: 'short',
+    timeStyle: 'short',
+  });
+
+// Hotel name, address, header lines and GSTIN
+const hotelHeader = (receipt, hotel, { showGst }) => {
+  const s = hotel.settings || {};
+  if (s.printLogo && s.printerLogoKey) receipt.logo(s.printerLogoKey);
+
+  receipt.text(hotel.name, { align: 'center', bold: true, double: true });
+  const address = hotel.address || {};
+  if (address.street) receipt.text(address.street, { align: 'center' });
+  const city = [address.city, address.state].filter(Boolean).join(', ');
+  if (city || address.pincode) receipt.text(`${city} ${address.pincode || ''}`.trim(), { align: 'center' });
+  if (hotel.contact?.phone) receipt.text(`Ph: ${hotel.contact.phone}`, { align: 'center' });
+  if (s.receiptHeader) receipt.text(s.receiptHeader, { align: 'center' });
+  if (showGst && hotel.gst?.number) receipt.text(`GSTIN: ${hotel.gst.number}`, { align: 'center' });
+};
+
+/**
+ * Kitchen ticket for one station.
+ *
+ * @param {Object} kot - KOT.toPrintData()
+ * @param {Object} hotel - Hotel (timezone, printer settings)
+ * @param {Object} options - { width, autoCut }
+ */
+export const renderKOT = (kot, hotel, options) => {
+  const receipt = createReceipt(options);
+
+  receipt.text('KOT', { align: 'center', bold: true, double: true });
+  receipt.text(String(kot.station).toUpperCase(), { align: 'center', bold: true });
+  if (kot.isReprint) receipt.text(`** REPRINT (${kot.printCount}) **`, { align: 'center', bold: true });
+  if (kot.isAddon) receipt.text('-- ADD-ON ROUND --', { align: 'center' });
+  receipt.rule();
+
+  receipt.row(kot.kotNumber, formatTime(hotel, kot.placedAt));
+  receipt.row(`Order: ${kot.orderNumber}`, String(kot.orderType || '').toUpperCase());
+  if (kot.tableNumber) receipt.text(`Table: ${kot.tableNumber}`, { bold: true, double: true });
+  if (kot.roomNumber) receipt.text(`Room: ${kot.roomNumber}`, { bold: true, double: true });
+  if (kot.customerName) receipt.text(`Guest: ${kot.customerName}`);
+  receipt.rule();
+
+  kot.items.forEach((item) => {
+    const variant = item.variant ? ` (${item.variant})` : '';
+    receipt.text(`${qty(item.quantity)} x ${item.name}${variant}`, { bold: true });
+    item.modifiers.forEach((m) => receipt.text(`    + ${m}`));
+    if (item.comboOf) receipt.text(`    [${item.comboOf}]`);
+    if (item.specialInstructions) receipt.text(`    * ${item.specialInstructions}`);
+  });
+
+  if (kot.specialInstructions) {
+    receipt.rule();
+    receipt.text(`Note: ${kot.specialInstructions}`, { bold: true });
+  }
+  receipt.rule();
+  receipt.text(`Printed ${formatTime(hotel, kot.printedAt)}`, { align: 'center' });
+
+  return receipt;
+};
+
+/**
+ * Customer bill (whole order or one split), same figures as the PDF invoice.
+ *
+ * @param {Object} order - Order with hotel populated (name address contact gst settings)
+ * @param {Object} options - { width, autoCut, split }
+ */
+export const renderBill = (order, { split = null, ...options } = {}) => {
+  const hotel = order.hotel;
+  const showGst = hotel.settings?.receiptShowGst !== false;
+  const receipt = createReceipt(options);
+
+  const pricing = split ? split.pricing : order.pricing;
+  const lines = split
+    ? split.items.map((line) => ({
+        name: line.name,
+        modifiers: order.items.id(line.orderItem)?.modifiers || [],
+        quantity: line.quantity,
+        price: line.price,
+        amount: line.amount,
+      }))
+    : order.items.filter((item) => item.status !== ORDER_STATUS.CANCELLED).map((item) => ({
+        name: item.variant ? `${item.name} (${item.variant})` : item.name,
+        modifiers: item.modifiers || [],
+        quantity: item.quantity,
+        price: item.price,
+        amount: item.quantity * item.price,
+      }));
+  const tenders = split
+    ? order.payments.filter((p) => p.split?.toString() === split._id.toString())
+    : order.payments;
+  const billNo = split ? `${order.orderNumber}-${split.splitNumber}` : order.orderNumber;
+
+  hotelHeader(receipt, hotel, { showGst });
+  receipt.rule();
+  receipt.text(showGst ? 'TAX INVOICE' : 'BILL', { align: 'center', bold: true });
+  receipt.row(`Bill: ${billNo}`, formatTime(hotel, order.createdAt));
+  if (order.invoiceNumber) receipt.row(`Invoice: ${order.invoiceNumber}`, order.orderType.toUpperCase());
+  if (split) receipt.text(`Split ${split.splitNumber} of ${order.splits.length}${split.label ? ` (${split.label})` : ''}`);
+  if (order.tableNumber) receipt.text(`Table: ${order.tableNumber}`);
+  if (order.room?.roomNumber) receipt.text(`Room: ${order.room.roomNumber}`);
+  if (order.customer?.name) receipt.text(`Guest: ${order.customer.name}`);
+  if (order.customer?.phone) receipt.text(`Phone: ${order.customer.phone}`);
+  if (showGst && order.customer?.gstin) receipt.text(`GSTIN: ${order.customer.gstin}`);
+  if (showGst && order.placeOfSupply) receipt.text(`Place of Supply: ${order.placeOfSupply}`);
+  receipt.rule();
+
+  // ── Items: 80mm fits Item | Qty | Rate | Amount, 58mm puts the figures under the name ──
+  const wide = receipt.columns >= PAPER_COLUMNS[80];
+  const itemCols = receipt.columns - 24;
+  if (wide) {
+    receipt.columnsRow([
+      { text: 'Item', width: itemCols },
+      { text: 'Qty', width: 5, align: 'right' },
+      { text: 'Rate', width: 9, align: 'right' },
+      { text: 'Amount', width: 10, align: 'right' },
+    ], { bold: true });
+    receipt.rule();
+  }
+  lines.forEach((item) => {
+    if (wide) {
+      receipt.columnsRow([
+        { text: item.name, width: itemCols },
+        { text: qty(item.quantity), width: 5, align: 'right' },
+        { text: money(item.price), width: 9, align: 'right' },
+        { text: money(item.amount), width: 10, align: 'right' },
+      ]);
+    } else {
+      receipt.text(item.name);
+      receipt.row(`  ${qty(item.quantity)} x ${money(item.price)}`, money(item.amount));
+    }
+    item.modifiers.forEach((m) => receipt.text(`  + ${m.option}`));
+  });
+  receipt.rule();
+
+  // ── Totals ──
+  receipt.row('Subtotal', money(pricing.subtotal));
+  if (pricing.discount > 0) {
+    const label = order.appliedDiscount?.code || order.appliedDiscount?.name;
+    receipt.row(label ? `Discount (${label})` : 'Discount', `-${money(pricing.discount)}`);
+  }
+  if (pricing.extraChargesTotal > 0) {
+    if (split) receipt.row('Extra Charges', money(pricing.extraChargesTotal));
+    else order.extraCharges?.forEach((ec) => receipt.row(ec.label, money(ec.amount)));
+  }
+  if (pricing.serviceCharge > 0) {
+    const rate = hotel.settings?.serviceChargeRate;
+    receipt.row(rate ? `Service Charge (${rate}%)` : 'Service Charge', money(pricing.serviceCharge));
+  }
+  if (pricing.deliveryCharge > 0) receipt.row('Delivery Charge', money(pricing.deliveryCharge));
+
+  // Tax-inclusive prices: back the GST out of the lines above, then show it
+  if (pricing.includedTax > 0) receipt.row('Less: GST in prices', `-${money(pricing.includedTax)}`);
+  if (showGst) {
+    billTaxRows(order, split).forEach(([label, amount]) => receipt.row(label, money(amount)));
+  } else {
+    const rate = orderTaxRate(order);
+    receipt.row(rate != null ? `GST (${rate}%)` : 'GST', money(pricing.tax));
+  }
+  if (pricing.roundOff) receipt.row('Round Off', money(pricing.roundOff));
+  receipt.rule('=');
+  receipt.row('TOTAL', `Rs. ${money(pricing.total)}`, { bold: true });
+  receipt.rule('=');
+
+  // ── Tenders ──
+  tenders.forEach((t) => {
+    const ref = t.upiTransactionId ? ` (${t.upiTransactionId})` : t.cardLast4 ? ` (XXXX ${t.cardLast4})` : '';
+    receipt.row(`Paid ${t.mode}${ref}`, money(t.amount));
+    if (t.change > 0) receipt.row('  Change returned', money(t.change));
+  });
+  const balance = Math.max(0, pricing.total - tenders.reduce((sum, t) => sum + t.amount, 0));
+  if (tenders.length > 0 && balance > 0) receipt.row('Balance Due', money(balance), { bold: true });
+
+  if (hotel.settings?.receiptFooter) {
+    receipt.feed(1);
+    receipt.text(hotel.settings.receiptFooter, { align: 'center' });
+  }
+
+  return receipt;
+};
+
+/**
+ * Cash-up / sales summary slip (shift close, day summary).
+ *
+ * @param {Object} report - { title, from, to, printedBy, sections: [{ title, rows: [[label, value]] }] }
+ *   (numeric values print as amounts; pass counts as strings)
+ * @param {Object} hotel
+ * @param {Object} options - { width, autoCut }
+ */
+export const renderShiftReport = (report, hotel, options) => {
+  const receipt = createReceipt(options);
+
+  receipt.text(hotel.name, { align: 'center', bold: true });
+  receipt.text(report.title, { align: 'center', bold: true, double: true });
+  receipt.rule();
+  if (report.from) receipt.row('From', formatTime(hotel, report.from));
+  if (report.to) receipt.row('To', formatTime(hotel, report.to));
+  if (report.printedBy) receipt.row('Printed by', report.printedBy);
+
+  report.sections.forEach((section) => {
+    receipt.rule();
+    if (section.title) receipt.text(section.title.toUpperCase(), { bold: true });
+    section.rows.forEach(([label, value]) =>
+      receipt.row(label, typeof value === 'number' ? money(value) : String(value ?? '-'))
+    );
+  });
+
+  receipt.rule();
+  receipt.text(`Printed ${formatTime(hotel, new Date())}`, { align: 'center' });
+  return receipt;
+};
@@ -0,0 +1,87 @@
+// backend/src/services/waiter.service.js
+
+import Table from '../modules/tables/models/Table.model.js';
+import WaiterAssignment from '../modules/tables/models/WaiterAssignment.model.js';
+import AppError from '../utils/AppError.js';
+import { HTTP_STATUS, USER_ROLES } from '../config/constants.js';
+import { orderTableNumbers } from './table.service.js';
+
+/**
+ * Query for assignments on shift at `at` (not closed early).
+ */
+export const onShiftQuery = (hotelId, at = new Date()) => ({
+  hotel: hotelId,
+  startsAt: { $lte: at },
+  endsAt: { $gt: at },
+  endedAt: null,
+});
+
+// Table numbers an assignment covers (its section's tables plus listed ones)
+const assignmentTables = async (assignments) => {
+  const sectionIds = assignments.map((a) => a.section).filter(Boolean);
+  const sectionTables = sectionIds.length
+    ? await Table.find({ section: { $in: sectionIds } }).select('tableNumber section')
+    : [];
+
+  return assignments.map((assignment) => [
+    ...new Set([
+      ...assignment.tableNumbers,
+      ...sectionTables
+        .filter((t) => assignment.section && t.section.equals(assignment.section))
+        .map((t) => t.tableNumber),
+    ]),
+  ]);
+};
+
+/**
+ * Tables a waiter is covering right now.
+ * @returns {Promise<{ assignments: Array, tableNumbers: Array<String> }>}
+ */
+export const getWaiterTables = async (hotelId, waiterId, at = new Date()) => {
+  const assignments = await WaiterAssignment.find({ ...onShiftQuery(hotelId, at), waiter: waiterId })
+    .populate('section', 'name');
+  const tables = await assignmentTables(assignments);
+
+  return { assignments, tableNumbers: [...new Set(tables.flat())] };
+};
+
+/**
+ * Waiter on shift for a table (first assignment that covers it), or null.
+ */
+export const findTableWaiter = async (hotelId, tableNumber, at = new Date()) => {
+  if (!tableNumber) return null;
+
+  const assignments = await WaiterAssignment.find(onShiftQuery(hotelId, at)).sort({ startsAt: 1 });
+  const tables = await assignmentTables(assignments);
+  const index = tables.findIndex((numbers) => numbers.includes(tableNumber));
+
+  return index === -1 ? null : assignments[index].waiter;
+};
+
+/**
+ * Waiters may only take dine-in orders for tables they are covering.
+ * Other roles pass straight through.
+ *
+ * @param {Object} user - req.user
+ * @param {Object} target - Order, or { orderType, tableNumber } for a new one
+ */
+export const assertWaiterTable = async (user, target) => {
+  if (user.role !== USER_ROLES.WAITER) return;
+
+  if (target.orderType !== 'dine-in') {
+    throw new AppError('Waiters can only take dine-in orders', HTTP_STATUS.FORBIDDEN);
+  }
+
+  // A waiter keeps the orders they took, even after handing the table over
+  if (target.waiter && target.waiter.toString() === user._id.toString()) return;
+
+  const { tableNumbers } = await getWaiterTables(user.hotel._id, user._id);
+  const tables = target._id ? orderTableNumbers(target) : [target.tableNumber];
+
+  if (!tables.some((tableNumber) => tableNumbers.includes(tableNumber))) {
+    throw new AppError(
+      `Table ${tables[0] || '-'} is not assigned to you`,
+      HTTP_STATUS.FORBIDDEN
+    );
+  }
+};